@@ -3,24 +3,57 @@
  * Cloudflare Worker — single-file deployment
  *
  * Deploy: paste this file into the Cloudflare Workers editor, then visit
- *   https://<your-worker>.workers.dev/registerWebhook
+ *   https://<your-worker>.workers.dev/registerWebhook?key=<ADMIN_KEY>
  *
  * Required bindings (Settings → Variables and Secrets):
  *   TELEGRAM_BOT_TOKEN  — Secret  — from @BotFather
- *   ALLOWED_USER_IDS    — Secret  — comma-separated Telegram user IDs
+ *   ALLOWED_USER_IDS    — Secret  — comma-separated Telegram user IDs (always admins)
+ *   WEBHOOK_SECRET      — Secret  — random string (A-Z, a-z, 0-9, _ -) Telegram sends with every update
+ *   ADMIN_KEY           — Secret  — random string required to call /registerWebhook and /rotatekey
+ *   TOKEN_ENCRYPTION_KEY — Secret  — random string used to encrypt stored DigitalOcean tokens (AES-GCM)
+ *
+ * Optional bindings:
+ *   TOKEN_ENCRYPTION_KEY_OLD — Secret  — previous key while rotating; visit /rotatekey?key=<ADMIN_KEY>
  *
  * Required KV binding (Settings → Bindings → KV namespace):
  *   Variable name: DROPLET_CREATION
  *
+ * Required cron trigger (Settings → Triggers → Cron Triggers):
+ *   * * * * *  — every minute, follows droplet actions and new droplets until they finish
+ *                 and runs scheduled snapshot policies and watchers
+ *
  * Features:
  *   - Create / rebuild / rename / delete droplets
+ *   - Paged droplet list with status / region / tag / note filters, sorting and name search
+ *   - Pick SSH keys per droplet (team default set, upload new keys, or root password)
+ *   - Advanced create options: backups, IPv6, monitoring, VPC and tags
+ *   - Cloud-init user data templates with {{name}} / {{region}} placeholders (/templates)
+ *   - Saved droplet presets for one-tap creation of 1 or N droplets (/presets)
  *   - Power on / power off / restart droplets
+ *   - Resize droplets (CPU/RAM only or with disk), shutting down and powering back on around the resize
+ *   - Bulk power / reboot / snapshot / delete over a multi-select or a tag (/tag)
+ *   - Live status updates when power / restart / rebuild / snapshot actions finish
+ *   - New droplets report their public IP and SSH command once provisioned
+ *   - Droplet metrics (CPU, memory, disk, bandwidth) with min / avg / max and PNG charts drawn in the Worker
+ *   - Monitoring alert policies: list, create (email or Slack), enable / disable, delete (/alerts)
+ *   - Watchers checked by the cron trigger: droplet status, droplet count, month-to-date usage and
+ *     snapshot storage, pushed to subscribed chats with quiet hours and one alert per breach (/watch)
  *   - Take snapshots per droplet
+ *   - Scheduled snapshot policies per droplet (daily / weekly, keep last N)
  *   - Manage account-wide snapshots (list + delete)
+ *   - Block storage volumes: create, attach / detach, resize, snapshot, delete (/volumes)
+ *   - Reserved IPs: allocate, assign / move between droplets, unassign, release (/reservedips)
+ *   - DNS domains: browse records, add / edit / delete A, AAAA, CNAME, TXT and MX records (/domains)
+ *   - Cloud firewalls: rules, droplets and tags, plus "open port 22 to my IP" (/firewalls)
  *   - Add / edit / delete notes per droplet
  *   - Search 200+ OS images and applications
  *   - Smart caching (OS & Apps: 24 h, Snapshots: no cache)
- *   - Per-user DigitalOcean API tokens stored in KV
+ *   - Per-user DigitalOcean API tokens stored in KV, encrypted with AES-GCM
+ *   - Multiple named DigitalOcean accounts per user with a switcher (/accounts)
+ *   - Role-based permissions: viewer / operator / admin (/users)
+ *   - Audit log of every mutating action with filters and CSV export (/audit)
+ *   - Billing overview: balance, month-to-date usage, invoice preview and per-product costs vs last month (/billing)
+ *   - Invoice PDF / CSV downloads sent as Telegram documents (/billing, /genai)
  *   - GenAI Serverless Inference usage & cost per month (/genai)
  */
 
@@ -30,6 +63,25 @@ const CACHE_TTL = 86400; // 24 hours for OS and Apps
 const IMAGES_PER_PAGE = 200; // DigitalOcean API limit
 const MAX_NOTE_LENGTH = 500;
 const MAX_SNAPSHOT_NAME_LENGTH = 200;
+const ACTION_TRACK_TTL = 86400; // stop following an action after 24 hours
+const PROVISION_TIMEOUT_MS = 30 * 60 * 1000; // give up waiting for a new droplet after 30 minutes
+const SNAPSHOT_POLICY_KEEP_OPTIONS = [2, 3, 4, 7, 14, 30];
+const DEFAULT_PROFILE = 'default';
+const MAX_PROFILE_NAME_LENGTH = 20;
+const ROLES = ['viewer', 'operator', 'admin']; // ascending privilege
+const AUDIT_TTL = 90 * 86400; // keep audit entries for 90 days
+const AUDIT_PAGE_SIZE = 10;
+const AUDIT_MAX_SCAN = 1000; // newest entries scanned per /audit query
+const AUDIT_METADATA_MAX_BYTES = 1000; // KV list metadata is limited to 1024 bytes of JSON
+const BACKUP_PRICE_RATIO = 0.2; // weekly backups cost 20% of the droplet price
+const MAX_TEMPLATE_NAME_LENGTH = 32;
+const MAX_TEMPLATE_PREVIEW_LENGTH = 3000; // keep template previews inside Telegram's 4096 char limit
+const MAX_BULK_SUMMARY_LENGTH = 3500; // per-droplet result lines shown after a bulk action
+const MAX_PRESET_NAME_LENGTH = 32;
+const MAX_DNS_TXT_LENGTH = 512;
+const VOLUME_SIZES = [10, 25, 50, 100, 250, 500, 1000]; // GB, offered when creating or growing a volume
+const VOLUME_PRICE_PER_GB = 0.10; // monthly block storage price
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
 
 // Validate droplet name (DigitalOcean only allows: a-z, A-Z, 0-9, ., -)
 function isValidDropletName(name) {
@@ -37,6 +89,30 @@ function isValidDropletName(name) {
 	return /^[a-zA-Z0-9.-]+$/.test(name);
 }
 
+// Validate account profile name (letters, digits, _ and -)
+function isValidProfileName(name) {
+	if (!name || name.length > MAX_PROFILE_NAME_LENGTH) return false;
+	return /^[a-zA-Z0-9_-]+$/.test(name);
+}
+
+// Validate cloud-init template name (letters, digits, _ and -)
+function isValidTemplateName(name) {
+	if (!name || name.length > MAX_TEMPLATE_NAME_LENGTH) return false;
+	return /^[a-zA-Z0-9_-]+$/.test(name);
+}
+
+// Validate preset name; it prefixes droplet names, so the droplet name rules apply
+function isValidPresetName(name) {
+	if (!name || name.length > MAX_PRESET_NAME_LENGTH) return false;
+	return isValidDropletName(name);
+}
+
+// Validate volume name (lowercase letters, digits and -, starting with a letter)
+function isValidVolumeName(name) {
+	if (!name) return false;
+	return /^[a-z][a-z0-9-]{0,63}$/.test(name);
+}
+
 // Validate snapshot name (letters, digits, space, . _ -)
 function isValidSnapshotName(name) {
 	if (!name || name.trim().length === 0) return false;
@@ -71,14 +147,52 @@ function formatDate(iso) {
 	}
 }
 
+// Format a duration in milliseconds (e.g. 45s, 3m 12s, 1h 05m)
+function formatDuration(ms) {
+	if (ms == null || isNaN(ms) || ms < 0) return '?';
+	const totalSeconds = Math.round(ms / 1000);
+	const h = Math.floor(totalSeconds / 3600);
+	const m = Math.floor((totalSeconds % 3600) / 60);
+	const s = totalSeconds % 60;
+	if (h > 0) return `${h}h ${String(m).padStart(2, '0')}m`;
+	if (m > 0) return `${m}m ${s}s`;
+	return `${s}s`;
+}
+
+// Telegram accepts 1-256 characters: A-Z, a-z, 0-9, _ and -
+function isValidWebhookSecret(secret) {
+	return !!secret && /^[A-Za-z0-9_-]{1,256}$/.test(secret);
+}
+
+// Constant-time string comparison for secrets
+function safeEqual(a, b) {
+	if (a.length !== b.length) return false;
+	let diff = 0;
+	for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+	return diff === 0;
+}
+
+// Admin-only HTTP paths take the key as ?key=<ADMIN_KEY>
+function isAdminRequest(url, env) {
+	return !!env.ADMIN_KEY && safeEqual(url.searchParams.get('key') || '', env.ADMIN_KEY);
+}
+
 export default {
 	async fetch(request, env) {
 		const url = new URL(request.url);
 
 		if (url.pathname === '/registerWebhook') {
-			const webhookUrl = `${url.origin}/webhook`;
-			const telegramApiUrl = `https://api.telegram.org/bot${env.TELEGRAM_BOT_TOKEN}/setWebhook?url=${webhookUrl}`;
-			const response = await fetch(telegramApiUrl);
+			if (!env.ADMIN_KEY || !isValidWebhookSecret(env.WEBHOOK_SECRET)) {
+				return new Response('ADMIN_KEY and WEBHOOK_SECRET (A-Z, a-z, 0-9, _ and -) must be configured.', { status: 500 });
+			}
+			if (!isAdminRequest(url, env)) {
+				return new Response('Forbidden', { status: 403 });
+			}
+			const response = await fetch(`https://api.telegram.org/bot${env.TELEGRAM_BOT_TOKEN}/setWebhook`, {
+				method: 'POST',
+				headers: { 'Content-Type': 'application/json' },
+				body: JSON.stringify({ url: `${url.origin}/webhook`, secret_token: env.WEBHOOK_SECRET }),
+			});
 			const result = await response.json();
 
 			await setMyCommands(env);
@@ -93,18 +207,41 @@ export default {
 			});
 		}
 
+		if (url.pathname === '/rotatekey') {
+			if (!env.ADMIN_KEY || !env.TOKEN_ENCRYPTION_KEY) {
+				return new Response('ADMIN_KEY and TOKEN_ENCRYPTION_KEY must be configured.', { status: 500 });
+			}
+			if (!isAdminRequest(url, env)) {
+				return new Response('Forbidden', { status: 403 });
+			}
+			const result = await rotateTokenEncryption(env);
+			return new Response(JSON.stringify(result, null, 2), {
+				headers: { 'Content-Type': 'application/json' },
+			});
+		}
+
 		if (url.pathname === '/webhook' && request.method === 'POST') {
+			const secretToken = request.headers.get('X-Telegram-Bot-Api-Secret-Token') || '';
+			if (!env.WEBHOOK_SECRET || !safeEqual(secretToken, env.WEBHOOK_SECRET)) {
+				return new Response('Unauthorized', { status: 401 });
+			}
 			const update = await request.json();
 			if (update.message) {
 				await handleMessage(update.message, env);
+				await claimState(update.message.chat.id, update.message.from.id, env);
 			} else if (update.callback_query) {
 				await handleCallbackQuery(update.callback_query, env);
+				await claimState(update.callback_query.message.chat.id, update.callback_query.from.id, env);
 			}
 			return new Response('OK');
 		}
 
 		return new Response('DigitalOcean Bot Running!');
 	},
+
+	async scheduled(event, env, ctx) {
+		ctx.waitUntil(runScheduledTasks(env));
+	},
 };
 
 // ─── API HELPERS ──────────────────────────────────────────────────────────────
@@ -122,6 +259,14 @@ async function doApiCall(endpoint, method, apiToken, body = null) {
 	return await response.json();
 }
 
+// DELETE returns 204 with no body, so callers get the raw response to check its status
+async function doApiDelete(endpoint, apiToken) {
+	return await fetch(`https://api.digitalocean.com/v2${endpoint}`, {
+		method: 'DELETE',
+		headers: { Authorization: `Bearer ${apiToken}`, 'Content-Type': 'application/json' },
+	});
+}
+
 // Get ALL public images with proper pagination, cached for 24 h
 async function getAllImages(apiToken, env) {
 	try {
@@ -188,16 +333,106 @@ function filterImagesForRebuild(images, droplet) {
 	});
 }
 
+// ─── TOKEN ENCRYPTION ─────────────────────────────────────────────────────────
+
+// Stored format: enc:v1:<base64 iv>:<base64 AES-GCM ciphertext>
+const ENCRYPTED_TOKEN_PREFIX = 'enc:v1:';
+
+function bytesToBase64(bytes) {
+	let binary = '';
+	for (const b of bytes) binary += String.fromCharCode(b);
+	return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+	const binary = atob(base64);
+	const bytes = new Uint8Array(binary.length);
+	for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+	return bytes;
+}
+
+// Derive a 256-bit AES-GCM key from the secret binding (any long random string)
+async function importTokenKey(secret) {
+	if (!secret) throw new Error('TOKEN_ENCRYPTION_KEY is not configured');
+	const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(secret));
+	return await crypto.subtle.importKey('raw', digest, { name: 'AES-GCM' }, false, ['encrypt', 'decrypt']);
+}
+
+async function encryptToken(plaintext, secret) {
+	const key = await importTokenKey(secret);
+	const iv = crypto.getRandomValues(new Uint8Array(12));
+	const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(plaintext));
+	return `${ENCRYPTED_TOKEN_PREFIX}${bytesToBase64(iv)}:${bytesToBase64(new Uint8Array(ciphertext))}`;
+}
+
+async function decryptToken(stored, secret) {
+	const [ivB64, ctB64] = stored.slice(ENCRYPTED_TOKEN_PREFIX.length).split(':');
+	const key = await importTokenKey(secret);
+	const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBytes(ivB64) }, key, base64ToBytes(ctB64));
+	return new TextDecoder().decode(plaintext);
+}
+
+// Decrypt with the current key, falling back to TOKEN_ENCRYPTION_KEY_OLD during a rotation
+async function decryptStoredToken(stored, env) {
+	try {
+		return await decryptToken(stored, env.TOKEN_ENCRYPTION_KEY);
+	} catch (error) {
+		if (!env.TOKEN_ENCRYPTION_KEY_OLD) throw error;
+		return await decryptToken(stored, env.TOKEN_ENCRYPTION_KEY_OLD);
+	}
+}
+
+// Read a token from KV; legacy plaintext entries are encrypted in place on first read
+async function readStoredToken(kvKey, env) {
+	const stored = await env.DROPLET_CREATION.get(kvKey);
+	if (!stored) return null;
+	if (!stored.startsWith(ENCRYPTED_TOKEN_PREFIX)) {
+		await env.DROPLET_CREATION.put(kvKey, await encryptToken(stored, env.TOKEN_ENCRYPTION_KEY));
+		return stored;
+	}
+	return await decryptStoredToken(stored, env);
+}
+
+// Re-encrypt every stored token with the current TOKEN_ENCRYPTION_KEY
+async function rotateTokenEncryption(env) {
+	let rotated = 0;
+	const failed = [];
+	let cursor;
+	do {
+		const listResult = await env.DROPLET_CREATION.list({ prefix: 'api_token_', cursor });
+		for (const key of listResult.keys) {
+			try {
+				const stored = await env.DROPLET_CREATION.get(key.name);
+				if (!stored) continue;
+				const plaintext = stored.startsWith(ENCRYPTED_TOKEN_PREFIX) ? await decryptStoredToken(stored, env) : stored;
+				await env.DROPLET_CREATION.put(key.name, await encryptToken(plaintext, env.TOKEN_ENCRYPTION_KEY));
+				rotated++;
+			} catch (error) {
+				console.error(`Error rotating ${key.name}:`, error);
+				failed.push(key.name);
+			}
+		}
+		cursor = listResult.list_complete ? null : listResult.cursor;
+	} while (cursor);
+	return { rotated, failed };
+}
+
 // ─── TOKEN MANAGEMENT ─────────────────────────────────────────────────────────
 
-async function saveUserApiToken(userId, apiToken, env) {
+// Validate and store a token for a profile (default: the active one), which becomes active
+async function saveUserApiToken(userId, apiToken, env, profile = null) {
 	try {
 		const testResponse = await fetch('https://api.digitalocean.com/v2/account', {
 			headers: { Authorization: `Bearer ${apiToken}`, 'Content-Type': 'application/json' },
 		});
 		if (!testResponse.ok) return false;
+		const index = await getProfileIndex(userId, env);
+		const name = profile || index.active || DEFAULT_PROFILE;
 		await clearUserSessions(userId, env);
-		await env.DROPLET_CREATION.put(`api_token_${userId}`, apiToken);
+		await env.DROPLET_CREATION.put(`api_token_${userId}_${name}`, await encryptToken(apiToken, env.TOKEN_ENCRYPTION_KEY));
+		if (!index.profiles.includes(name)) index.profiles.push(name);
+		index.active = name;
+		await env.DROPLET_CREATION.put(`api_profiles_${userId}`, JSON.stringify(index));
 		return true;
 	} catch (error) {
 		console.error('Error validating API token:', error);
@@ -205,15 +440,115 @@ async function saveUserApiToken(userId, apiToken, env) {
 	}
 }
 
-async function getUserApiToken(userId, env) {
+// Token of the given profile, or of the active profile when none is given
+async function getUserApiToken(userId, env, profile = null) {
 	try {
-		return await env.DROPLET_CREATION.get(`api_token_${userId}`);
+		const name = profile || (await getProfileIndex(userId, env)).active;
+		if (!name) return null;
+		return await readStoredToken(`api_token_${userId}_${name}`, env);
 	} catch (error) {
 		console.error('Error getting API token:', error);
 		return null;
 	}
 }
 
+// UUID of the DigitalOcean account behind a token. Profile names are per chat, so data tied to
+// one account (SSH key and VPC IDs) is keyed or checked by this instead.
+async function getAccountUuid(apiToken) {
+	try {
+		const data = await doApiCall('/account', 'GET', apiToken);
+		return data.account?.uuid || null;
+	} catch (error) {
+		console.error('Error getting account:', error);
+		return null;
+	}
+}
+
+// ─── ACCOUNT PROFILES ─────────────────────────────────────────────────────────
+
+// Profile index: { active: 'prod', profiles: ['prod', 'staging'] }.
+// A legacy single token (api_token_<userId>) is moved to the 'default' profile on first read.
+async function getProfileIndex(userId, env) {
+	const json = await env.DROPLET_CREATION.get(`api_profiles_${userId}`);
+	if (json) return JSON.parse(json);
+	const legacy = await env.DROPLET_CREATION.get(`api_token_${userId}`);
+	if (!legacy) return { active: null, profiles: [] };
+	const index = { active: DEFAULT_PROFILE, profiles: [DEFAULT_PROFILE] };
+	await env.DROPLET_CREATION.put(`api_token_${userId}_${DEFAULT_PROFILE}`, legacy);
+	await env.DROPLET_CREATION.put(`api_profiles_${userId}`, JSON.stringify(index));
+	await env.DROPLET_CREATION.delete(`api_token_${userId}`);
+	return index;
+}
+
+async function getActiveProfileName(userId, env) {
+	try {
+		return (await getProfileIndex(userId, env)).active;
+	} catch (error) {
+		console.error('Error getting active profile:', error);
+		return null;
+	}
+}
+
+async function switchUserProfile(userId, profile, env) {
+	const index = await getProfileIndex(userId, env);
+	if (!index.profiles.includes(profile)) return false;
+	if (index.active !== profile) {
+		await clearUserSessions(userId, env);
+		index.active = profile;
+		await env.DROPLET_CREATION.put(`api_profiles_${userId}`, JSON.stringify(index));
+	}
+	return true;
+}
+
+async function removeUserProfile(userId, profile, env) {
+	const index = await getProfileIndex(userId, env);
+	if (!index.profiles.includes(profile)) return false;
+	await env.DROPLET_CREATION.delete(`api_token_${userId}_${profile}`);
+	index.profiles = index.profiles.filter(p => p !== profile);
+	if (index.active === profile) {
+		await clearUserSessions(userId, env);
+		index.active = index.profiles[0] || null;
+	}
+	await env.DROPLET_CREATION.put(`api_profiles_${userId}`, JSON.stringify(index));
+	return true;
+}
+
+function buildAccountsKeyboard(index) {
+	const keyboard = index.profiles.map(name => name === index.active
+		? [{ text: `✅ ${name} (active)`, callback_data: 'acct_noop' },
+		   { text: '🗑️', callback_data: `acct_del_${name}` }]
+		: [{ text: `🔄 Use ${name}`, callback_data: `acct_use_${name}` },
+		   { text: '🗑️', callback_data: `acct_del_${name}` }]);
+	keyboard.push([{ text: '➕ Add Account', callback_data: 'acct_add' }]);
+	return keyboard;
+}
+
+function buildAccountsText(index) {
+	if (index.profiles.length === 0) return '👤 *DigitalOcean Accounts*\n\nNo accounts yet. Add one to get started.';
+	return `👤 *DigitalOcean Accounts*\n\nActive: \`${index.active}\`\nTotal: ${index.profiles.length}\n\nSwitching accounts clears your sessions.`;
+}
+
+async function showAccounts(chatId, env) {
+	const index = await getProfileIndex(chatId, env);
+	await sendMessage(chatId, buildAccountsText(index), env, { inline_keyboard: buildAccountsKeyboard(index) });
+}
+
+async function showAccountsEdit(chatId, messageId, env) {
+	const index = await getProfileIndex(chatId, env);
+	await editMessage(chatId, messageId, buildAccountsText(index), env, { inline_keyboard: buildAccountsKeyboard(index) });
+}
+
+async function confirmRemoveAccount(chatId, messageId, profile, env) {
+	await editMessage(chatId, messageId,
+		`⚠️ *Remove Account?*\n\nAccount: \`${profile}\`\n\nIts stored API token will be deleted.`,
+		env, {
+			inline_keyboard: [
+				[{ text: '✅ Yes, Remove', callback_data: `acct_delyes_${profile}` }],
+				[{ text: '◀️ Cancel',     callback_data: 'acct_back' }],
+			]
+		});
+}
+
 async function clearUserSessions(userId, env) {
 	try {
 		const prefixes = [`session_${userId}_`, `create_${userId}_`, `state_${userId}`, `rebuild_${userId}_`, `page_${userId}_`];
@@ -253,6 +588,18 @@ async function getDropletNote(dropletId, env) {
 	}
 }
 
+// Ids of droplets with a note, from one KV list instead of a read per droplet
+async function getNotedDropletIds(env) {
+	const ids = new Set();
+	let cursor;
+	do {
+		const page = await env.DROPLET_CREATION.list({ prefix: 'droplet_note_', cursor });
+		page.keys.forEach(k => ids.add(k.name.replace('droplet_note_', '')));
+		cursor = page.list_complete ? null : page.cursor;
+	} while (cursor);
+	return ids;
+}
+
 async function setDropletNote(dropletId, note, env) {
 	try {
 		if (!note || note.trim().length === 0) {
@@ -293,7 +640,50 @@ async function editMessage(chatId, messageId, text, env, replyMarkup = null) {
 	const url = `https://api.telegram.org/bot${env.TELEGRAM_BOT_TOKEN}/editMessageText`;
 	const body = { chat_id: chatId, message_id: messageId, text, parse_mode: 'Markdown' };
 	if (replyMarkup) body.reply_markup = replyMarkup;
-	await fetch(url, {
+	const response = await fetch(url, {
+		method: 'POST',
+		headers: { 'Content-Type': 'application/json' },
+		body: JSON.stringify(body),
+	});
+	return await response.json();
+}
+
+// Upload a file (string or bytes) as a Telegram document
+async function sendDocument(chatId, filename, content, mimeType, env, caption = null) {
+	const form = new FormData();
+	form.append('chat_id', String(chatId));
+	form.append('document', new Blob([content], { type: mimeType }), filename);
+	if (caption) {
+		form.append('caption', caption);
+		form.append('parse_mode', 'Markdown');
+	}
+	const response = await fetch(`https://api.telegram.org/bot${env.TELEGRAM_BOT_TOKEN}/sendDocument`, {
+		method: 'POST',
+		body: form,
+	});
+	return await response.json();
+}
+
+async function sendPhoto(chatId, filename, bytes, env, caption = null) {
+	const form = new FormData();
+	form.append('chat_id', String(chatId));
+	form.append('photo', new Blob([bytes], { type: 'image/png' }), filename);
+	if (caption) {
+		form.append('caption', caption);
+		form.append('parse_mode', 'Markdown');
+	}
+	const response = await fetch(`https://api.telegram.org/bot${env.TELEGRAM_BOT_TOKEN}/sendPhoto`, {
+		method: 'POST',
+		body: form,
+	});
+	return await response.json();
+}
+
+// Acknowledge a button press; with text, shows it as an alert to the presser
+async function answerCallbackQuery(callbackQueryId, env, text = null) {
+	const body = { callback_query_id: callbackQueryId };
+	if (text) { body.text = text; body.show_alert = true; }
+	await fetch(`https://api.telegram.org/bot${env.TELEGRAM_BOT_TOKEN}/answerCallbackQuery`, {
 		method: 'POST',
 		headers: { 'Content-Type': 'application/json' },
 		body: JSON.stringify(body),
@@ -315,8 +705,21 @@ async function setMyCommands(env) {
 		{ command: 'menu',       description: 'Show main menu' },
 		{ command: 'droplets',   description: 'List your droplets' },
 		{ command: 'create',     description: 'Create new droplet' },
+		{ command: 'tag',        description: 'Select droplets by tag for bulk actions' },
 		{ command: 'snapshots',  description: 'Manage snapshots' },
+		{ command: 'volumes',    description: 'Manage block storage volumes' },
+		{ command: 'reservedips', description: 'Manage reserved IPs' },
+		{ command: 'domains',    description: 'Manage DNS domains & records' },
+		{ command: 'alerts',     description: 'Monitoring alert policies' },
+		{ command: 'watch',      description: 'Threshold watchers & alerts' },
+		{ command: 'billing',    description: 'Balance & costs by product' },
 		{ command: 'genai',      description: 'GenAI inference usage & cost' },
+		{ command: 'presets',    description: 'Launch a saved droplet preset' },
+		{ command: 'firewalls',  description: 'Manage cloud firewalls' },
+		{ command: 'templates',  description: 'Cloud-init templates' },
+		{ command: 'accounts',   description: 'Switch DigitalOcean accounts' },
+		{ command: 'users',      description: 'Manage users & roles (admin)' },
+		{ command: 'audit',      description: 'Audit log (admin)' },
 		{ command: 'setapi',     description: 'Set API token' },
 		{ command: 'clearcache', description: 'Clear cache' },
 		{ command: 'help',       description: 'Show help' },
@@ -339,19 +742,24 @@ async function setChatMenuButton(env) {
 
 async function showMainMenu(chatId, env) {
 	const hasApiToken = await getUserApiToken(chatId, env);
+	const profile = await getActiveProfileName(chatId, env);
 	const keyboard = {
 		inline_keyboard: [
 			[{ text: '📋 List Droplets',     callback_data: 'menu_droplets' }],
 			[{ text: '🚀 Create Droplet',    callback_data: 'menu_create' }],
 			[{ text: '📸 Manage Snapshots',  callback_data: 'menu_snapshots' }],
-			[{ text: '🤖 GenAI Usage',       callback_data: 'menu_genai' }],
-			[{ text: '🔑 API Token',         callback_data: 'menu_setapi' }],
+			[{ text: '💾 Volumes',           callback_data: 'menu_volumes' }],
+			[{ text: '💳 Billing',           callback_data: 'menu_billing' },
+			 { text: '🤖 GenAI Usage',       callback_data: 'menu_genai' }],
+			[{ text: '👤 Accounts',          callback_data: 'menu_accounts' },
+			 { text: '🔑 API Token',         callback_data: 'menu_setapi' }],
 			[{ text: '🗑️ Clear Cache',       callback_data: 'menu_clearcache' }],
 			[{ text: 'ℹ️ Help',              callback_data: 'menu_help' }],
 		]
 	};
 	const status = hasApiToken ? '✅ API token configured' : '⚠️ No API token set';
-	await sendMessage(chatId, `🤖 *DigitalOcean Bot Menu*\n\n${status}\n\nSelect an option:`, env, keyboard);
+	const account = profile ? `👤 Account: \`${profile}\`\n` : '';
+	await sendMessage(chatId, `🤖 *DigitalOcean Bot Menu*\n\n${account}${status}\n\nSelect an option:`, env, keyboard);
 }
 
 // ─── GENAI USAGE ──────────────────────────────────────────────────────────────
@@ -369,18 +777,30 @@ function parseGenAIDescription(description) {
 	};
 }
 
-// Fetch invoice items for a given invoice UUID and return only GenAI items
-async function fetchGenAIItems(invoiceUuid, apiToken) {
+// Fetch every item of an invoice (or of the current invoice preview), page by page
+async function fetchInvoiceItems(invoiceUuid, apiToken) {
 	try {
-		const data = await doApiCall(`/customers/my/invoices/${invoiceUuid}`, 'GET', apiToken);
-		const items = data.invoice_items || [];
-		return items.filter(item => item.product === 'GenAI Serverless Inference');
+		const items = [];
+		const perPage = 200;
+		for (let page = 1; page <= 20; page++) {
+			const data = await doApiCall(`/customers/my/invoices/${invoiceUuid}?page=${page}&per_page=${perPage}`, 'GET', apiToken);
+			const pageItems = data.invoice_items || [];
+			items.push(...pageItems);
+			if (pageItems.length < perPage || items.length >= (data.meta?.total ?? Infinity)) break;
+		}
+		return items;
 	} catch (e) {
 		console.error('Error fetching invoice items:', e);
 		return [];
 	}
 }
 
+// Fetch invoice items for a given invoice UUID and return only GenAI items
+async function fetchGenAIItems(invoiceUuid, apiToken) {
+	const items = await fetchInvoiceItems(invoiceUuid, apiToken);
+	return items.filter(item => item.product === 'GenAI Serverless Inference');
+}
+
 // Build a human-readable message for GenAI usage of one invoice period
 function buildGenAIMessage(period, genaiItems) {
 	if (genaiItems.length === 0) {
@@ -473,7 +893,10 @@ async function showGenAIMenu(chatId, env) {
 	}
 
 	for (const inv of (invoicesData.invoices || [])) {
-		buttons.push([{ text: `📄 ${inv.invoice_period}`, callback_data: `genai_inv_${inv.invoice_uuid}` }]);
+		buttons.push([
+			{ text: `📄 ${inv.invoice_period}`, callback_data: `genai_inv_${inv.invoice_uuid}` },
+			...buildInvoiceFileButtons(inv.invoice_uuid),
+		]);
 	}
 
 	if (buttons.length === 0) {
@@ -483,7 +906,7 @@ async function showGenAIMenu(chatId, env) {
 
 	await sendMessage(
 		chatId,
-		`🤖 *GenAI Serverless Inference Usage*\n\nSelect a billing period to view usage:`,
+		`🤖 *GenAI Serverless Inference Usage*\n\nSelect a billing period to view usage, or download a past invoice as PDF / CSV:`,
 		env,
 		{ inline_keyboard: buttons }
 	);
@@ -518,1153 +941,6607 @@ async function showGenAIInvoiceDetail(chatId, messageId, invoiceUuid, env) {
 	});
 }
 
-// ─── MESSAGE HANDLER ──────────────────────────────────────────────────────────
+// ─── BILLING ──────────────────────────────────────────────────────────────────
 
-async function handleMessage(message, env) {
-	const chatId = message.chat.id;
-	const userId = message.from.id;
-	const text = message.text;
+const BILLING_RECENT_INVOICES = 6;
 
-	const allowedUsers = env.ALLOWED_USER_IDS.split(',').map(id => parseInt(id.trim()));
-	if (!allowedUsers.includes(userId)) {
-		await sendMessage(chatId, '⛔ Access denied. You are not authorized to use this bot.', env);
-		return;
+function formatUsd(amount) {
+	const value = parseFloat(amount) || 0;
+	return `${value < 0 ? '-' : ''}$${Math.abs(value).toFixed(2)}`;
+}
+
+// Total cost per product, e.g. { Droplets: 24, Volumes: 5 }
+function sumInvoiceItemsByProduct(items) {
+	const totals = {};
+	for (const item of items) {
+		const product = item.product || 'Other';
+		totals[product] = (totals[product] || 0) + (parseFloat(item.amount) || 0);
 	}
+	return totals;
+}
 
-	// Escape hatches — always break out of any state
-	if (text === '/start' || text === '/menu') {
-		await clearState(chatId, env);
-		await showMainMenu(chatId, env);
-		return;
+function formatCostChange(current, previous) {
+	if (previous == null) return 'new';
+	const diff = current - previous;
+	if (Math.abs(diff) < 0.005) return 'same';
+	return `${diff > 0 ? '▲' : '▼'} ${formatUsd(Math.abs(diff))}`;
+}
+
+// Like buildGenAIMessage, but for every product, each compared with the previous period when given
+function buildBillingBreakdown(period, items, previousPeriod = null, previousItems = null) {
+	const totals = sumInvoiceItemsByProduct(items);
+	const previous = previousItems ? sumInvoiceItemsByProduct(previousItems) : {};
+	// Products billed only in the previous period still show, at $0.00
+	const products = [...new Set([...Object.keys(totals), ...Object.keys(previous)])]
+		.sort((a, b) => (totals[b] || 0) - (totals[a] || 0) || a.localeCompare(b));
+	if (products.length === 0) {
+		return `*${period}*\n_No invoice items yet._`;
 	}
-	if (text === '/cancel') {
-		await clearState(chatId, env);
-		await sendMessage(chatId, '✅ Cancelled.', env);
-		return;
+
+	let msg = `📦 *By Product — ${period}*\n`;
+	if (previousItems) msg += `_Compared with ${previousPeriod}_\n`;
+	msg += `━━━━━━━━━━━━━━━━━━━\n`;
+
+	for (const product of products) {
+		const amount = totals[product] || 0;
+		msg += `\n🔷 *${product}:* ${formatUsd(amount)}`;
+		if (previousItems) msg += ` (${formatCostChange(amount, previous[product])})`;
 	}
 
-	// Check current state for direct-input flows
-	const state = await getState(chatId, env);
+	const total = Object.values(totals).reduce((sum, v) => sum + v, 0);
+	msg += `\n\n━━━━━━━━━━━━━━━━━━━\n`;
+	msg += `💵 *Total: ${formatUsd(total)}*`;
+	if (previousItems) {
+		const previousTotal = Object.values(previous).reduce((sum, v) => sum + v, 0);
+		msg += ` (${previousPeriod}: ${formatUsd(previousTotal)})`;
+	}
 
-	if (state?.step === 'setting_api_token') {
-		await deleteMessage(chatId, message.message_id, env);
-		const validatingMsg = await sendMessage(chatId, '⏳ Validating your API token...', env);
-		const isValid = await saveUserApiToken(chatId, text.trim(), env);
-		if (validatingMsg.result?.message_id) await deleteMessage(chatId, validatingMsg.result.message_id, env);
-		if (isValid) {
-			await sendMessage(chatId, '✅ API token saved successfully!\n\nYou can now use /droplets and /create commands.', env);
-		} else {
-			await sendMessage(chatId, '❌ Invalid API token!\n\nPlease check your token and try /setapi again.', env);
-		}
-		await clearState(chatId, env);
-		return;
+	return msg;
+}
+
+// Billing periods newest first: the current invoice preview, then past invoices
+async function getBillingPeriods(apiToken) {
+	const data = await doApiCall('/customers/my/invoices', 'GET', apiToken);
+	const periods = (data.invoices || [])
+		.map(inv => ({ uuid: inv.invoice_uuid, period: inv.invoice_period, amount: inv.amount }))
+		.sort((a, b) => b.period.localeCompare(a.period));
+	if (data.invoice_preview) {
+		const p = data.invoice_preview;
+		periods.unshift({ uuid: p.invoice_uuid, period: p.invoice_period, amount: p.amount, updatedAt: p.updated_at, current: true });
 	}
+	return periods;
+}
 
-	if (state?.step === 'searching_image') {
-		await handleImageSearch(chatId, text, state, env);
-		return;
+// Balance, current invoice preview and its per-product breakdown against last month
+async function showBilling(chatId, messageId, env) {
+	const apiToken = await getUserApiToken(chatId, env);
+	if (!apiToken) { await sendMessage(chatId, '❌ No API token. Use /setapi first.', env); return; }
+
+	if (messageId) {
+		await editMessage(chatId, messageId, '⏳ Loading billing...', env);
+	} else {
+		const loading = await sendMessage(chatId, '⏳ Loading billing...', env);
+		messageId = loading.result?.message_id;
+		if (!messageId) return;
 	}
 
-	if (state?.step === 'rebuild_searching_image') {
-		await handleRebuildImageSearch(chatId, text, state, env);
+	let balance;
+	let periods;
+	try {
+		balance = await doApiCall('/customers/my/balance', 'GET', apiToken);
+		periods = await getBillingPeriods(apiToken);
+	} catch (e) {
+		console.error('Error fetching billing:', e);
+		await editMessage(chatId, messageId, '❌ Failed to fetch billing data.', env);
 		return;
 	}
 
-	// CREATE flow — asking for custom droplet name
-	if (state?.step === 'renaming_droplet') {
-		const sessionId = state.sessionId;
-		if (!sessionId) {
-			await clearState(chatId, env);
-			await sendMessage(chatId, '❌ Session expired. Please try /create again.', env);
-			return;
-		}
-		const customName = text.trim();
-		if (!isValidDropletName(customName)) {
-			await sendMessage(chatId, '❌ *Invalid droplet name!*\n\n✅ Allowed: a-z, A-Z, 0-9, . and -\n\nPlease try again:', env);
-			return;
-		}
-		const dataStr = await env.DROPLET_CREATION.get(sessionId);
-		if (!dataStr) {
-			await clearState(chatId, env);
-			await sendMessage(chatId, '❌ Session expired. Please try /create again.', env);
-			return;
-		}
-		const data = JSON.parse(dataStr);
-		await clearState(chatId, env);
-		await confirmDropletCreation(chatId, customName, data.region, data.size, data.image, env);
-		return;
+	let msg = `💳 *Billing Overview*\n\n`;
+	if (balance.month_to_date_usage != null) {
+		msg += `*Month-to-date usage:* ${formatUsd(balance.month_to_date_usage)}\n`;
+		msg += `*Month-to-date balance:* ${formatUsd(balance.month_to_date_balance)}\n`;
+		msg += `*Account balance:* ${formatUsd(balance.account_balance)}\n`;
+		msg += `_Updated ${formatDate(balance.generated_at)}_\n`;
+	} else {
+		msg += `⚠️ Balance unavailable: ${balance.message || 'Unknown error'}\n`;
 	}
 
-	// Renaming an existing droplet
-	if (state?.step === 'renaming_existing_droplet') {
-		const { dropletId, oldName } = state;
-		if (!dropletId) {
-			await clearState(chatId, env);
-			await sendMessage(chatId, '❌ Session expired. Please try again.', env);
-			return;
-		}
-		const newName = text.trim();
-		if (!isValidDropletName(newName)) {
-			await sendMessage(chatId, '❌ *Invalid droplet name!*\n\n✅ Allowed: a-z, A-Z, 0-9, . and -\n\nPlease try again:', env);
-			return;
-		}
-		if (newName === oldName) {
-			await clearState(chatId, env);
-			await sendMessage(chatId, '❌ *New name is same as old name!*\n\nPlease use a different name.', env);
-			return;
-		}
-		await clearState(chatId, env);
-		await confirmRenameDroplet(chatId, dropletId, oldName, newName, env);
-		return;
+	const [current, ...past] = periods[0]?.current ? periods : [null, ...periods];
+	if (current) {
+		msg += `\n🧾 *Invoice preview (${current.period}):* ${formatUsd(current.amount)}\n_Updated ${formatDate(current.updatedAt)}_\n\n`;
+		const previous = past[0];
+		const [items, previousItems] = await Promise.all([
+			fetchInvoiceItems(current.uuid, apiToken),
+			previous ? fetchInvoiceItems(previous.uuid, apiToken) : null,
+		]);
+		msg += buildBillingBreakdown(`${current.period} (so far)`, items, previous?.period, previousItems);
 	}
 
-	// Custom snapshot name input
-	if (state?.step === 'naming_snapshot') {
-		const { dropletId, dropletName } = state;
-		if (!dropletId) {
-			await clearState(chatId, env);
-			await sendMessage(chatId, '❌ Session expired. Please try again.', env);
-			return;
-		}
-		const snapshotName = text.trim();
-		if (!isValidSnapshotName(snapshotName)) {
-			await sendMessage(chatId, `❌ *Invalid snapshot name!*\n\n✅ Allowed: a-z, A-Z, 0-9, spaces, . _ -\n✅ Max ${MAX_SNAPSHOT_NAME_LENGTH} characters\n\nPlease try again or send /cancel:`, env);
-			return;
-		}
-		await clearState(chatId, env);
-		await confirmSnapshotCreation(chatId, dropletId, dropletName, snapshotName, env);
+	const buttons = [];
+	const recent = past.slice(0, BILLING_RECENT_INVOICES);
+	for (let i = 0; i < recent.length; i += 2) {
+		buttons.push(recent.slice(i, i + 2).map(inv => ({ text: `📄 ${inv.period} · ${formatUsd(inv.amount)}`, callback_data: `bill_inv_${inv.uuid}` })));
+	}
+	buttons.push([{ text: '🤖 GenAI Usage', callback_data: 'menu_genai' },
+	              { text: '🔄 Refresh',     callback_data: 'bill_back' }]);
+	if (recent.length > 0) msg += `\n\nOpen a past invoice to compare it or download it as PDF / CSV.`;
+
+	await editMessage(chatId, messageId, msg, env, { inline_keyboard: buttons });
+}
+
+// Breakdown of a past invoice against the invoice before it
+async function showBillingInvoice(chatId, messageId, invoiceUuid, env) {
+	const apiToken = await getUserApiToken(chatId, env);
+	if (!apiToken) { await editMessage(chatId, messageId, '❌ No API token.', env); return; }
+
+	await editMessage(chatId, messageId, '⏳ Loading invoice...', env);
+
+	const back = { inline_keyboard: [[{ text: '◀️ Back to billing', callback_data: 'bill_back' }]] };
+	let periods;
+	try {
+		periods = await getBillingPeriods(apiToken);
+	} catch (e) {
+		console.error('Error fetching invoices:', e);
+		await editMessage(chatId, messageId, '❌ Failed to fetch invoices.', env, back);
 		return;
 	}
+	const index = periods.findIndex(p => p.uuid === invoiceUuid);
+	if (index === -1) { await editMessage(chatId, messageId, '❌ Invoice not found.', env, back); return; }
+	const invoice = periods[index];
+	const previous = periods[index + 1];
+
+	const [items, previousItems] = await Promise.all([
+		fetchInvoiceItems(invoice.uuid, apiToken),
+		previous ? fetchInvoiceItems(previous.uuid, apiToken) : null,
+	]);
+	const msg = `🧾 *Invoice ${invoice.period}*\n\n*Amount:* ${formatUsd(invoice.amount)}\n\n${buildBillingBreakdown(invoice.period, items, previous?.period, previousItems)}`;
+
+	const keyboard = [...back.inline_keyboard];
+	if (!invoice.current) keyboard.unshift(buildInvoiceFileButtons(invoice.uuid));
+	await editMessage(chatId, messageId, msg, env, { inline_keyboard: keyboard });
+}
 
-	// Editing a droplet note
-	if (state?.step === 'editing_note') {
-		const { dropletId } = state;
-		if (!dropletId) {
-			await clearState(chatId, env);
-			await sendMessage(chatId, '❌ Session expired. Please try again.', env);
-			return;
-		}
-		const noteText = text.trim();
-		if (noteText.length > MAX_NOTE_LENGTH) {
-			await sendMessage(chatId, `❌ Note too long! Maximum ${MAX_NOTE_LENGTH} characters (yours: ${noteText.length}).\n\nPlease try again:`, env);
-			return;
-		}
-		const success = await setDropletNote(dropletId, noteText, env);
-		await clearState(chatId, env);
-		await sendMessage(chatId, success ? '✅ *Note saved!*\n\nYou can view it in droplet details.' : '❌ Failed to save note. Please try again.', env);
+const INVOICE_FILE_TYPES = {
+	pdf: { mimeType: 'application/pdf', label: '📕 PDF' },
+	csv: { mimeType: 'text/csv',        label: '📊 CSV' },
+};
+
+// Only finalized invoices have files; the current invoice preview has none
+function buildInvoiceFileButtons(invoiceUuid) {
+	return Object.entries(INVOICE_FILE_TYPES).map(([format, t]) => ({ text: t.label, callback_data: `inv_${format}_${invoiceUuid}` }));
+}
+
+// GET /customers/my/invoices/:uuid/{pdf|csv} — the file bytes, or null when the download failed
+async function fetchInvoiceFile(invoiceUuid, format, apiToken) {
+	const response = await fetch(`https://api.digitalocean.com/v2/customers/my/invoices/${invoiceUuid}/${format}`, {
+		headers: { Authorization: `Bearer ${apiToken}` },
+	});
+	if (!response.ok) return null;
+	return await response.arrayBuffer();
+}
+
+async function sendInvoiceFile(chatId, invoiceUuid, format, env) {
+	const type = INVOICE_FILE_TYPES[format];
+	if (!type) return;
+	const apiToken = await getUserApiToken(chatId, env);
+	if (!apiToken) { await sendMessage(chatId, '❌ No API token. Use /setapi first.', env); return; }
+
+	let period = invoiceUuid.slice(0, 8); // fallback
+	try {
+		const found = (await getBillingPeriods(apiToken)).find(p => p.uuid === invoiceUuid);
+		if (found) period = found.period;
+	} catch (_) {}
+
+	const file = await fetchInvoiceFile(invoiceUuid, format, apiToken);
+	if (!file) {
+		await sendMessage(chatId, `❌ Could not download the ${format.toUpperCase()} for invoice ${period}.`, env);
 		return;
 	}
+	await sendDocument(chatId, `digitalocean-invoice-${period}.${format}`, file, type.mimeType, env, `🧾 Invoice ${period} (${format.toUpperCase()})`);
+}
 
-	// Slash commands
-	if (text === '/help') {
-		await clearState(chatId, env);
-		await sendMessage(chatId, `📚 *DigitalOcean Bot Help*\n\n*Commands:*\n• /menu - Show main menu\n• /droplets - List your droplets\n• /create - Create new droplet\n• /snapshots - Manage snapshots\n• /genai - GenAI usage & cost\n• /setapi - Set API token\n• /clearcache - Clear cached data\n• /help - Show this help\n\n*Features:*\n• Create droplets with OS/Apps/Snapshots\n• Rebuild existing droplets\n• Rename droplets\n• Power on/off/restart droplets\n• Take droplet snapshots\n• Delete droplets and snapshots\n• Search images\n• Add notes to droplets\n• GenAI token usage & cost per model per month\n• Smart caching for faster performance\n\n*Get API Token:*\nhttps://cloud.digitalocean.com/account/api/tokens`, env);
-	} else if (text === '/setapi') {
-		await clearState(chatId, env);
-		const hasExisting = await getUserApiToken(chatId, env);
-		await sendMessage(chatId, hasExisting
-			? '🔑 *Change API Token*\n\n⚠️ This will clear all sessions.\n\nSend your new DigitalOcean API token:'
-			: '🔑 *Setup API Token*\n\nSend your DigitalOcean API token:\n\nGet it at: https://cloud.digitalocean.com/', env);
-		await setState(chatId, { step: 'setting_api_token' }, env);
-	} else if (text === '/droplets') {
-		await clearState(chatId, env);
-		await listDroplets(chatId, env);
-	} else if (text === '/create') {
-		await clearState(chatId, env);
-		await showRegions(chatId, env);
-	} else if (text === '/snapshots') {
-		await clearState(chatId, env);
-		await showSnapshotsList(chatId, 0, env);
-	} else if (text === '/genai') {
-		await clearState(chatId, env);
-		await showGenAIMenu(chatId, env);
-	} else if (text === '/clearcache') {
-		await clearState(chatId, env);
-		const msg = await sendMessage(chatId, '⏳ Clearing cache...', env);
-		const count = await clearAllCache(env);
-		await clearUserSessions(chatId, env);
-		if (msg.result?.message_id) await deleteMessage(chatId, msg.result.message_id, env);
-		await sendMessage(chatId, `✅ Cache cleared!\n\n🗑️ Deleted ${count} cached items\n🔄 Cleared your sessions\n\n💡 API token & notes preserved`, env);
+// ─── ROLES & PERMISSIONS ──────────────────────────────────────────────────────
+
+// Minimum role per callback prefix; first match wins, unlisted callbacks are open to every role
+const CALLBACK_PERMISSIONS = [
+	['delete_note_',     'operator'],
+	['add_note_',        'operator'],
+	['edit_note_',       'operator'],
+	['confirm_delete_',  'admin'],
+	['delete_',          'admin'],
+	['rebuild_',         'admin'],
+	['execute_rebuild_', 'admin'],
+	['snap_del_',        'admin'],
+	['usr_',             'admin'],
+	['menu_setapi',      'admin'],
+	['acct_add',         'admin'],
+	['acct_del_',        'admin'],
+	['acct_delyes_',     'admin'],
+	['bulk_act_delete',  'admin'],
+	['bulk_yes_delete',  'admin'],
+	['bulk_',            'operator'],
+	['audit_',           'admin'],
+	['menu_create',      'operator'],
+	['confirmcreate_',   'operator'],
+	['sshk_',            'operator'],
+	['copt_',            'operator'],
+	['cvpc_',            'operator'],
+	['ctpl_',            'operator'],
+	['tpl_add',          'operator'],
+	['tpl_edit_',        'operator'],
+	['tpl_del_',         'operator'],
+	['tpl_delyes_',      'operator'],
+	['pre_run_',         'operator'],
+	['pre_del_',         'operator'],
+	['pre_delyes_',      'operator'],
+	['vol_delc_',        'admin'],
+	['vol_dely_',        'admin'],
+	['vol_new',          'operator'],
+	['vol_nr_',          'operator'],
+	['vol_ns_',          'operator'],
+	['vol_nd',           'operator'],
+	['vol_create',       'operator'],
+	['vol_att_',         'operator'],
+	['vol_atc_',         'operator'],
+	['vol_aty_',         'operator'],
+	['vol_dtc_',         'operator'],
+	['vol_dty_',         'operator'],
+	['vol_rs_',          'operator'],
+	['vol_rsc_',         'operator'],
+	['vol_rsy_',         'operator'],
+	['vol_snc_',         'operator'],
+	['vol_sny_',         'operator'],
+	['rip_relc_',        'admin'],
+	['rip_rely_',        'admin'],
+	['rip_new',          'operator'],
+	['rip_nr_',          'operator'],
+	['rip_nry_',         'operator'],
+	['rip_as_',          'operator'],
+	['rip_asc_',         'operator'],
+	['rip_asy_',         'operator'],
+	['rip_unc_',         'operator'],
+	['rip_uny_',         'operator'],
+	['rip_here_',        'operator'],
+	['dns_add_',         'operator'],
+	['dns_edit_',        'operator'],
+	['dns_delc_',        'operator'],
+	['dns_dely_',        'operator'],
+	['dns_drop_',        'operator'],
+	['dns_dpick_',       'operator'],
+	['dnsa_',            'operator'],
+	['alp_new',          'operator'],
+	['alp_tog_',         'operator'],
+	['alp_delc_',        'operator'],
+	['alp_dely_',        'operator'],
+	['alpa_',            'operator'],
+	['wat_new',          'operator'],
+	['watn_',            'operator'],
+	['wat_sub_',         'operator'],
+	['wat_q_',           'operator'],
+	['wat_qs_',          'operator'],
+	['wat_delc_',        'operator'],
+	['wat_dely_',        'operator'],
+	['fw_add_',          'operator'],
+	['fwa_',             'operator'],
+	['fw_rmr_',          'operator'],
+	['fw_rmy_',          'operator'],
+	['fw_dt_',           'operator'],
+	['fw_tgrm_',         'operator'],
+	['fw_tgadd_',        'operator'],
+	['fw_ssh_',          'operator'],
+	['fw_sshgo_',        'operator'],
+	['pwr_on_',          'operator'],
+	['pwr_off_',         'operator'],
+	['restart_',         'operator'],
+	['rsz_',             'operator'],
+	['snap_take_',       'operator'],
+	['snap_exec_',       'operator'],
+	['rename_existing_', 'operator'],
+	['confirm_rename_',  'operator'],
+	['spol_new_',        'operator'],
+	['spol_f_',          'operator'],
+	['spol_w_',          'operator'],
+	['spol_h_',          'operator'],
+	['spol_k_',          'operator'],
+	['spol_rm_',         'operator'],
+	['spol_rmy_',        'operator'],
+];
+
+// Minimum role per slash command
+const COMMAND_PERMISSIONS = {
+	'/create': 'operator',
+	'/tag':    'operator',
+	'/users':  'admin',
+	'/audit':  'admin',
+	'/setapi': 'admin',
+};
+
+// Minimum role per text-input step, checked again when the reply arrives; unlisted steps are open to every role
+const STATE_PERMISSIONS = {
+	setting_api_token:         'admin',
+	adding_user:               'admin',
+	adding_account_name:       'admin',
+	adding_account_token:      'admin',
+	rebuild_searching_image:   'admin',
+	searching_image:           'operator',
+	renaming_droplet:          'operator',
+	adding_template_name:      'operator',
+	editing_template:          'operator',
+	naming_preset:             'operator',
+	naming_volume:             'operator',
+	dns_record_name:           'operator',
+	dns_record_data:           'operator',
+	alert_value:               'operator',
+	alert_tag:                 'operator',
+	alert_email:               'operator',
+	alert_slack:               'operator',
+	watch_threshold:           'operator',
+	watch_quiet:               'operator',
+	fw_rule_ports:             'operator',
+	fw_rule_targets:           'operator',
+	fw_adding_tag:             'operator',
+	fw_ssh_ip:                 'operator',
+	setting_create_tags:       'operator',
+	uploading_ssh_key:         'operator',
+	renaming_existing_droplet: 'operator',
+	naming_snapshot:           'operator',
+	editing_note:              'operator',
+};
+
+function getRequiredRoleForCallback(data) {
+	return CALLBACK_PERMISSIONS.find(([prefix]) => data.startsWith(prefix))?.[1] || null;
+}
+
+function getRequiredRoleForCommand(text) {
+	return COMMAND_PERMISSIONS[(text || '').split(' ')[0]] || null;
+}
+
+function hasRole(role, requiredRole) {
+	return ROLES.includes(role) && ROLES.indexOf(role) >= ROLES.indexOf(requiredRole);
+}
+
+function getAdminUserIds(env) {
+	return (env.ALLOWED_USER_IDS || '').split(',').map(id => parseInt(id.trim())).filter(id => !isNaN(id));
+}
+
+// ALLOWED_USER_IDS are always admins; everyone else needs a role stored with /users
+async function getUserRole(userId, env) {
+	if (getAdminUserIds(env).includes(userId)) return 'admin';
+	try {
+		const json = await env.DROPLET_CREATION.get(`user_role_${userId}`);
+		const role = json ? JSON.parse(json).role : null;
+		return ROLES.includes(role) ? role : null;
+	} catch {
+		return null;
 	}
 }
 
-// ─── CALLBACK QUERY HANDLER ───────────────────────────────────────────────────
+async function setUserRole(userId, role, addedBy, env) {
+	await env.DROPLET_CREATION.put(`user_role_${userId}`, JSON.stringify({ role, addedBy, updatedAt: new Date().toISOString() }));
+}
 
-async function handleCallbackQuery(callbackQuery, env) {
-	const chatId    = callbackQuery.message.chat.id;
-	const messageId = callbackQuery.message.message_id;
-	const data      = callbackQuery.data;
+async function listStoredUserRoles(env) {
+	const users = [];
+	const listResult = await env.DROPLET_CREATION.list({ prefix: 'user_role_' });
+	for (const key of listResult.keys) {
+		const json = await env.DROPLET_CREATION.get(key.name);
+		if (!json) continue;
+		users.push({ userId: parseInt(key.name.replace('user_role_', '')), ...JSON.parse(json) });
+	}
+	return users;
+}
 
-	await fetch(`https://api.telegram.org/bot${env.TELEGRAM_BOT_TOKEN}/answerCallbackQuery`, {
-		method: 'POST',
-		headers: { 'Content-Type': 'application/json' },
-		body: JSON.stringify({ callback_query_id: callbackQuery.id }),
-	});
+async function buildUsersScreen(env) {
+	const admins = getAdminUserIds(env);
+	const users = (await listStoredUserRoles(env)).filter(u => !admins.includes(u.userId));
+	let text = `👥 *Users & Roles*\n\n*Roles:*\n• \`viewer\` — read-only\n• \`operator\` — create, power, snapshot, rename, notes\n• \`admin\` — delete, rebuild, API tokens & accounts, manage users\n\n*Admins* (from \`ALLOWED_USER_IDS\`):\n`;
+	text += admins.map(id => `• \`${id}\` 🔒`).join('\n') || '_none_';
+	if (users.length === 0) text += '\n\nNo other users yet.';
+	const keyboard = users.map(u => [{ text: `👤 ${u.userId} — ${u.role}`, callback_data: `usr_view_${u.userId}` }]);
+	keyboard.push([{ text: '➕ Add User', callback_data: 'usr_add' }]);
+	return { text, keyboard };
+}
 
-	// ── Main menu ──
-	if (data === 'menu_droplets') {
-		await deleteMessage(chatId, messageId, env); await listDroplets(chatId, env); return;
+async function showUsers(chatId, env) {
+	const { text, keyboard } = await buildUsersScreen(env);
+	await sendMessage(chatId, text, env, { inline_keyboard: keyboard });
+}
+
+async function showUsersEdit(chatId, messageId, env) {
+	const { text, keyboard } = await buildUsersScreen(env);
+	await editMessage(chatId, messageId, text, env, { inline_keyboard: keyboard });
+}
+
+function buildRoleKeyboard(userId) {
+	return [
+		ROLES.map(role => ({ text: role, callback_data: `usr_set_${userId}_${role}` })),
+		[{ text: '🗑️ Remove User', callback_data: `usr_rm_${userId}` }],
+		[{ text: '◀️ Back',        callback_data: 'usr_back' }],
+	];
+}
+
+async function showUserRole(chatId, messageId, userId, env) {
+	const role = await getUserRole(userId, env);
+	await editMessage(chatId, messageId,
+		`👤 *User* \`${userId}\`\n\nRole: \`${role || 'none'}\`\n\nPick a new role:`,
+		env, { inline_keyboard: buildRoleKeyboard(userId) });
+}
+
+// ─── AUDIT LOG ────────────────────────────────────────────────────────────────
+
+// Keys sort newest first: audit_<inverted timestamp>_<random>. The entry is also stored
+// as list metadata so /audit can page through it without one KV read per entry; the
+// metadata copy has its free-text fields shortened to fit the KV size limit.
+function buildAuditKey(timestamp) {
+	const inverted = String(9999999999999 - timestamp).padStart(13, '0');
+	return `audit_${inverted}_${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function formatActor(actor) {
+	if (!actor) return 'unknown';
+	if (actor.username) return `@${actor.username}`;
+	return [actor.first_name, actor.last_name].filter(Boolean).join(' ') || String(actor.id);
+}
+
+function auditMetadataBytes(record) {
+	return new TextEncoder().encode(JSON.stringify(record)).length;
+}
+
+// Shorten detail, then resource name, then user until the serialized record fits the metadata limit.
+// Non-ASCII text can take up to 4 bytes per character, so the character caps alone are not enough
+function fitAuditMetadata(record) {
+	const metadata = { ...record };
+	for (const field of ['detail', 'resourceName', 'user', 'resourceId']) {
+		let excess = auditMetadataBytes(metadata) - AUDIT_METADATA_MAX_BYTES;
+		while (excess > 0 && metadata[field].length > 0) {
+			// Trim in steps sized for 4-byte characters (plus the ellipsis) and re-measure, so ASCII text is not over-trimmed
+			const chars = [...metadata[field].replace(/…$/, '')];
+			const keep = Math.max(0, chars.length - Math.ceil(excess / 4) - 1);
+			metadata[field] = keep > 0 ? `${chars.slice(0, keep).join('')}…` : '';
+			excess = auditMetadataBytes(metadata) - AUDIT_METADATA_MAX_BYTES;
+		}
 	}
-	if (data === 'menu_create') {
-		await deleteMessage(chatId, messageId, env); await showRegions(chatId, env); return;
+	return metadata;
+}
+
+async function recordAudit(actor, entry, env) {
+	try {
+		const now = Date.now();
+		const record = {
+			ts: new Date(now).toISOString(),
+			userId: actor?.id ?? null,
+			user: formatActor(actor).slice(0, 64),
+			action: entry.action,
+			resourceType: entry.resourceType,
+			resourceId: entry.resourceId != null ? String(entry.resourceId) : '',
+			resourceName: (entry.resourceName || '').slice(0, 100),
+			result: entry.result,
+			detail: String(entry.detail || '').slice(0, 200),
+		};
+		await env.DROPLET_CREATION.put(buildAuditKey(now), JSON.stringify(record), { metadata: fitAuditMetadata(record), expirationTtl: AUDIT_TTL });
+	} catch (error) {
+		console.error('Error writing audit log:', error);
 	}
-	if (data === 'menu_setapi') {
-		await deleteMessage(chatId, messageId, env);
-		const hasExisting = await getUserApiToken(chatId, env);
-		await sendMessage(chatId, hasExisting
-			? '🔑 *Change API Token*\n\n⚠️ This will clear all sessions.\n\nSend your new DigitalOcean API token:'
-			: '🔑 *Setup API Token*\n\nSend your DigitalOcean API token:\n\nGet it at: https://cloud.digitalocean.com/', env);
-		await setState(chatId, { step: 'setting_api_token' }, env);
+}
+
+// Parse "user:<id> droplet:<id> date:<YYYY-MM-DD | YYYY-MM>" into a filter object
+function parseAuditFilters(text) {
+	const filters = {};
+	for (const part of text.trim().split(/\s+/)) {
+		const [key, value] = part.split(':');
+		if (!value) continue;
+		if (key === 'user' && /^\d+$/.test(value)) filters.userId = parseInt(value);
+		else if (key === 'droplet' && /^\d+$/.test(value)) filters.dropletId = value;
+		else if (key === 'date' && /^\d{4}-\d{2}(-\d{2})?$/.test(value)) filters.date = value;
+	}
+	return filters;
+}
+
+function describeAuditFilters(filters) {
+	const parts = [];
+	if (filters.userId) parts.push(`user \`${filters.userId}\``);
+	if (filters.dropletId) parts.push(`droplet \`${filters.dropletId}\``);
+	if (filters.date) parts.push(`date \`${filters.date}\``);
+	return parts.length ? parts.join(', ') : 'none';
+}
+
+function matchesAuditFilters(entry, filters) {
+	if (filters.userId && entry.userId !== filters.userId) return false;
+	if (filters.dropletId && !(entry.resourceType === 'droplet' && entry.resourceId === filters.dropletId)) return false;
+	if (filters.date && !entry.ts.startsWith(filters.date)) return false;
+	return true;
+}
+
+async function loadAuditEntries(filters, env) {
+	const entries = [];
+	let scanned = 0;
+	let cursor;
+	do {
+		const listResult = await env.DROPLET_CREATION.list({ prefix: 'audit_', cursor, limit: 1000 });
+		for (const key of listResult.keys) {
+			scanned++;
+			if (key.metadata && matchesAuditFilters(key.metadata, filters)) entries.push(key.metadata);
+		}
+		cursor = listResult.list_complete ? null : listResult.cursor;
+	} while (cursor && scanned < AUDIT_MAX_SCAN);
+	return entries;
+}
+
+// Backticks would break the Markdown code spans used to display entries
+function sanitizeForCode(value) {
+	return String(value ?? '').replace(/`/g, "'");
+}
+
+function formatAuditEntry(entry) {
+	const icon = entry.result === 'success' ? '✅' : '❌';
+	const resource = `${entry.resourceType} ${entry.resourceId}${entry.resourceName ? ` (${entry.resourceName})` : ''}`;
+	let line = `${icon} \`${entry.action}\` • \`${sanitizeForCode(resource)}\`\n    👤 \`${sanitizeForCode(entry.user)}\` (${entry.userId}) • ${formatDate(entry.ts)}`;
+	if (entry.detail) line += `\n    \`${sanitizeForCode(entry.detail)}\``;
+	return line;
+}
+
+async function getAuditFilters(chatId, env) {
+	const json = await env.DROPLET_CREATION.get(`auditfilter_${chatId}`);
+	return json ? JSON.parse(json) : {};
+}
+
+async function showAuditLog(chatId, messageId, page, env) {
+	const filters = await getAuditFilters(chatId, env);
+	const entries = await loadAuditEntries(filters, env);
+	const header = `📜 *Audit Log*\n\nFilters: ${describeAuditFilters(filters)}`;
+	if (entries.length === 0) {
+		const text = `${header}\n\nNo entries found.\n\nUsage: \`/audit user:<id> droplet:<id> date:YYYY-MM-DD\``;
+		if (messageId) await editMessage(chatId, messageId, text, env);
+		else await sendMessage(chatId, text, env);
 		return;
 	}
-	if (data === 'menu_clearcache') {
-		await deleteMessage(chatId, messageId, env);
-		const msg = await sendMessage(chatId, '⏳ Clearing cache...', env);
-		const count = await clearAllCache(env);
-		await clearUserSessions(chatId, env);
-		if (msg.result?.message_id) await deleteMessage(chatId, msg.result.message_id, env);
-		await sendMessage(chatId, `✅ Cache cleared!\n\n🗑️ Deleted ${count} cached items\n🔄 Cleared your sessions\n\n💡 API token & notes preserved`, env);
+	const totalPages = Math.ceil(entries.length / AUDIT_PAGE_SIZE);
+	const pageEntries = entries.slice(page * AUDIT_PAGE_SIZE, (page + 1) * AUDIT_PAGE_SIZE);
+	const text = `${header}\nTotal: ${entries.length} • Page ${page + 1}/${totalPages}\n\n${pageEntries.map(formatAuditEntry).join('\n\n')}`;
+	const keyboard = [];
+	const nav = [];
+	if (page > 0) nav.push({ text: '◀️ Newer', callback_data: `audit_page_${page - 1}` });
+	if (page < totalPages - 1) nav.push({ text: 'Older ▶️', callback_data: `audit_page_${page + 1}` });
+	if (nav.length) keyboard.push(nav);
+	keyboard.push([{ text: '📥 Export CSV', callback_data: 'audit_csv' }]);
+	if (messageId) await editMessage(chatId, messageId, text, env, { inline_keyboard: keyboard });
+	else await sendMessage(chatId, text, env, { inline_keyboard: keyboard });
+}
+
+function csvEscape(value) {
+	const str = String(value ?? '');
+	return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+async function sendAuditCsv(chatId, env) {
+	const filters = await getAuditFilters(chatId, env);
+	const entries = await loadAuditEntries(filters, env);
+	const columns = ['ts', 'userId', 'user', 'action', 'resourceType', 'resourceId', 'resourceName', 'result', 'detail'];
+	const rows = [columns.join(',')];
+	for (const entry of entries) rows.push(columns.map(c => csvEscape(entry[c])).join(','));
+	const filename = `audit-${new Date().toISOString().slice(0, 10)}.csv`;
+	await sendDocument(chatId, filename, rows.join('\n'), 'text/csv', env, `📜 Audit log export — ${entries.length} entries`);
+}
+
+// ─── MESSAGE HANDLER ──────────────────────────────────────────────────────────
+
+async function handleMessage(message, env) {
+	const chatId = message.chat.id;
+	const userId = message.from.id;
+	const text = message.text;
+
+	const role = await getUserRole(userId, env);
+	if (!role) {
+		await sendMessage(chatId, '⛔ Access denied. You are not authorized to use this bot.', env);
 		return;
 	}
-	if (data === 'menu_help') {
-		await deleteMessage(chatId, messageId, env);
-		await sendMessage(chatId, `📚 *DigitalOcean Bot Help*\n\n*Commands:*\n• /menu - Show main menu\n• /droplets - List your droplets\n• /create - Create new droplet\n• /snapshots - Manage snapshots\n• /genai - GenAI usage & cost\n• /setapi - Set API token\n• /clearcache - Clear cached data\n• /help - Show this help\n\n*Features:*\n• Create droplets with OS/Apps/Snapshots\n• Rebuild existing droplets\n• Rename droplets\n• Power on/off/restart droplets\n• Take droplet snapshots\n• Delete droplets and snapshots\n• Search images\n• Add notes to droplets\n• GenAI token usage & cost per model per month\n• Smart caching for faster performance\n\n*Get API Token:*\nhttps://cloud.digitalocean.com/account/api/tokens`, env);
+	const requiredRole = getRequiredRoleForCommand(text);
+	if (requiredRole && !hasRole(role, requiredRole)) {
+		await sendMessage(chatId, `⛔ *Insufficient permission*\n\nThis requires the \`${requiredRole}\` role (yours: \`${role}\`).`, env);
 		return;
 	}
-	if (data === 'menu_snapshots') {
-		await deleteMessage(chatId, messageId, env); await showSnapshotsList(chatId, 0, env); return;
+	// Stickers, photos, service messages… carry no text
+	if (typeof text !== 'string') return;
+
+	// Escape hatches — always break out of any state
+	if (text === '/start' || text === '/menu') {
+		await clearState(chatId, env);
+		await showMainMenu(chatId, env);
+		return;
 	}
-	if (data === 'menu_genai') {
-		await deleteMessage(chatId, messageId, env); await showGenAIMenu(chatId, env); return;
+	if (text === '/cancel') {
+		await clearState(chatId, env);
+		await sendMessage(chatId, '✅ Cancelled.', env);
+		return;
 	}
 
-	// ── GenAI invoice detail ──
-	if (data.startsWith('genai_inv_')) {
-		const invoiceUuid = data.replace('genai_inv_', '');
-		await showGenAIInvoiceDetail(chatId, messageId, invoiceUuid, env);
+	// Check current state for direct-input flows; a prompt only takes replies from the user it was opened for
+	let state = await getState(chatId, env);
+	if (state.step && state.userId != null && state.userId !== userId) state = {};
+	const stepRole = STATE_PERMISSIONS[state.step];
+	if (stepRole && !hasRole(role, stepRole)) {
+		await clearState(chatId, env);
+		await sendMessage(chatId, `⛔ *Insufficient permission*\n\nThis requires the \`${stepRole}\` role (yours: \`${role}\`).`, env);
 		return;
 	}
-	if (data === 'genai_back') {
-		await deleteMessage(chatId, messageId, env);
-		await showGenAIMenu(chatId, env);
+
+	if (state?.step === 'setting_api_token') {
+		await deleteMessage(chatId, message.message_id, env);
+		const validatingMsg = await sendMessage(chatId, '⏳ Validating your API token...', env);
+		const isValid = await saveUserApiToken(chatId, text.trim(), env);
+		if (validatingMsg.result?.message_id) await deleteMessage(chatId, validatingMsg.result.message_id, env);
+		if (isValid) {
+			await sendMessage(chatId, '✅ API token saved successfully!\n\nYou can now use /droplets and /create commands.', env);
+		} else {
+			await sendMessage(chatId, '❌ Invalid API token!\n\nPlease check your token and try /setapi again.', env);
+		}
+		await clearState(chatId, env);
 		return;
 	}
 
-	// ── Region selection (Step 1) ──
-	if (data.startsWith('region_')) {
-		const region = data.replace('region_', '');
-		await setState(chatId, { region }, env);
-		await deleteMessage(chatId, messageId, env);
-		await showImageTypeSelection(chatId, region, env);
+	// Adding a user — Telegram user ID
+	if (state?.step === 'adding_user') {
+		const newUserId = text.trim();
+		if (!/^\d{1,15}$/.test(newUserId)) {
+			await sendMessage(chatId, '❌ *Invalid user ID!*\n\nSend the numeric Telegram user ID, or /cancel:', env);
+			return;
+		}
+		await clearState(chatId, env);
+		await sendMessage(chatId, `👤 *Add User* \`${newUserId}\`\n\nPick a role:`, env, {
+			inline_keyboard: ROLES.map(role => [{ text: role, callback_data: `usr_set_${newUserId}_${role}` }]),
+		});
+		return;
 	}
-	// ── Image type selection (Step 2) ──
-	else if (data.startsWith('imgtype_')) {
-		const [region, type] = data.replace('imgtype_', '').split('_');
-		await deleteMessage(chatId, messageId, env);
-		await showImagesList(chatId, region, type, 0, env);
+
+	// Adding an account — step 1: profile name
+	if (state?.step === 'adding_account_name') {
+		const profile = text.trim();
+		if (!isValidProfileName(profile)) {
+			await sendMessage(chatId, `❌ *Invalid account name!*\n\n✅ Allowed: a-z, A-Z, 0-9, _ and -\n✅ Max ${MAX_PROFILE_NAME_LENGTH} characters\n\nPlease try again or send /cancel:`, env);
+			return;
+		}
+		await setState(chatId, { step: 'adding_account_token', profile }, env);
+		await sendMessage(chatId, `🔑 *Add Account*\n\nAccount: \`${profile}\`\n\nSend the DigitalOcean API token for this account:`, env);
+		return;
 	}
-	// ── Image pagination ──
-	else if (data.startsWith('imgpage_')) {
-		const parts = data.replace('imgpage_', '').split('_');
-		await showImagesListEdit(chatId, messageId, parts[0], parts[1], parseInt(parts[2]), env);
+
+	// Adding an account — step 2: token
+	if (state?.step === 'adding_account_token') {
+		await deleteMessage(chatId, message.message_id, env);
+		const validatingMsg = await sendMessage(chatId, '⏳ Validating your API token...', env);
+		const isValid = await saveUserApiToken(chatId, text.trim(), env, state.profile);
+		if (validatingMsg.result?.message_id) await deleteMessage(chatId, validatingMsg.result.message_id, env);
+		await clearState(chatId, env);
+		if (isValid) {
+			await sendMessage(chatId, `✅ Account \`${state.profile}\` saved and now active!`, env);
+			await showAccounts(chatId, env);
+		} else {
+			await sendMessage(chatId, '❌ Invalid API token!\n\nPlease check your token and try /accounts again.', env);
+		}
+		return;
 	}
-	// ── Image search ──
-	else if (data.startsWith('imgsearch_')) {
-		const [region, type] = data.replace('imgsearch_', '').split('_');
-		await deleteMessage(chatId, messageId, env);
-		await sendMessage(chatId, `🔍 *Search ${type === 'app' ? 'Applications' : type === 'os' ? 'OS' : 'Snapshots'}*\n\nType at least ${MIN_SEARCH_LENGTH} characters:`, env);
-		await setState(chatId, { step: 'searching_image', region, type }, env);
+
+	if (state?.step === 'searching_droplets') {
+		await handleDropletSearch(chatId, text.trim(), env);
+		return;
 	}
-	else if (data.startsWith('back_from_search_')) {
-		const region = data.replace('back_from_search_', '');
-		await clearState(chatId, env);
-		await deleteMessage(chatId, messageId, env);
-		await showImageTypeSelection(chatId, region, env);
+
+	if (state?.step === 'searching_image') {
+		await handleImageSearch(chatId, text, state, env);
+		return;
 	}
-	// ── Image selection → sizes (Step 3) ──
-	else if (data.startsWith('selectimg_')) {
-		const parts = data.replace('selectimg_', '').split('_');
-		await deleteMessage(chatId, messageId, env);
-		await showSizes(chatId, parts[0], parts.slice(1).join('_'), env);
+
+	if (state?.step === 'rebuild_searching_image') {
+		await handleRebuildImageSearch(chatId, text, state, env);
+		return;
 	}
-	else if (data.startsWith('size_')) {
-		const parts = data.replace('size_', '').split('_');
-		const state = await getState(chatId, env);
-		state.size = parts.slice(2).join('_'); state.region = parts[0]; state.image = parts[1];
-		await setState(chatId, state, env);
-		await deleteMessage(chatId, messageId, env);
-		await askDropletName(chatId, parts[1], parts.slice(2).join('_'), parts[0], env);
-	}
-	// ── Droplet name step ──
-	else if (data.startsWith('use_default_name_')) {
-		await deleteMessage(chatId, messageId, env);
-		await useDefaultNameAndConfirm(chatId, data.replace('use_default_name_', ''), env);
-	}
-	else if (data.startsWith('rename_droplet_')) {
-		const sessionId = data.replace('rename_droplet_', '');
+
+	// CREATE flow — asking for custom droplet name
+	if (state?.step === 'renaming_droplet') {
+		const sessionId = state.sessionId;
+		if (!sessionId) {
+			await clearState(chatId, env);
+			await sendMessage(chatId, '❌ Session expired. Please try /create again.', env);
+			return;
+		}
+		const customName = text.trim();
+		if (!isValidDropletName(customName)) {
+			await sendMessage(chatId, '❌ *Invalid droplet name!*\n\n✅ Allowed: a-z, A-Z, 0-9, . and -\n\nPlease try again:', env);
+			return;
+		}
 		const dataStr = await env.DROPLET_CREATION.get(sessionId);
-		if (!dataStr) { await editMessage(chatId, messageId, '❌ Session expired.', env); return; }
-		const sessionData = JSON.parse(dataStr);
-		await deleteMessage(chatId, messageId, env);
-		await setState(chatId, { step: 'renaming_droplet', sessionId }, env);
-		await sendMessage(chatId, `📝 *Rename Droplet*\n\nRegion: ${sessionData.region}\nSize: ${sessionData.size}\nImage: ${sessionData.image}\n\n✅ Allowed: a-z, A-Z, 0-9, . and -\n\nSend your desired droplet name:`, env);
-	}
-	// ── Confirm & create ──
-	else if (data.startsWith('confirmcreate_')) {
-		await createDropletFromKV(chatId, messageId, data.replace('confirmcreate_', ''), env);
-	}
-	// ── Droplet management ──
-	else if (data.startsWith('droplet_')) {
-		await showDropletDetails(chatId, messageId, data.replace('droplet_', ''), env);
+		if (!dataStr) {
+			await clearState(chatId, env);
+			await sendMessage(chatId, '❌ Session expired. Please try /create again.', env);
+			return;
+		}
+		const data = JSON.parse(dataStr);
+		await clearState(chatId, env);
+		await createDropletDraft(chatId, customName, data.region, data.size, data.image, env);
+		return;
 	}
-	else if (data.startsWith('confirm_delete_')) {
-		await showDeleteConfirmation(chatId, messageId, data.replace('confirm_delete_', ''), env);
+
+	// Adding a cloud-init template — step 1: name
+	if (state?.step === 'adding_template_name') {
+		const name = text.trim();
+		if (!isValidTemplateName(name)) {
+			await sendMessage(chatId, `❌ *Invalid template name!*\n\n✅ Allowed: a-z, A-Z, 0-9, _ and -\n✅ Max ${MAX_TEMPLATE_NAME_LENGTH} characters\n\nPlease try again or send /cancel:`, env);
+			return;
+		}
+		if (await getTemplate(name, env)) {
+			await sendMessage(chatId, `❌ Template \`${name}\` already exists. Send another name, or /cancel and edit it from /templates:`, env);
+			return;
+		}
+		await setState(chatId, { step: 'editing_template', name }, env);
+		await sendMessage(chatId, `📜 *New Template* \`${name}\`\n\n${TEMPLATE_CONTENT_HINT}`, env);
+		return;
 	}
-	// NOTE: delete_note_ must be checked BEFORE delete_
-	else if (data.startsWith('delete_note_')) {
-		const dropletId = data.replace('delete_note_', '');
-		const success = await deleteDropletNote(dropletId, env);
-		await deleteMessage(chatId, messageId, env);
-		await sendMessage(chatId, success ? '✅ *Note deleted!*' : '❌ Failed to delete note.', env);
+
+	// Adding or editing a cloud-init template — step 2: content
+	if (state?.step === 'editing_template') {
+		const saved = await saveTemplate(chatId, state.name, text, message.from, env);
+		if (saved) await clearState(chatId, env);
+		return;
 	}
-	else if (data.startsWith('delete_')) {
-		await deleteDroplet(chatId, messageId, data.replace('delete_', ''), env);
+
+	// CREATE flow — saving the confirmed draft as a preset
+	if (state?.step === 'naming_preset') {
+		const name = text.trim();
+		if (!isValidPresetName(name)) {
+			await sendMessage(chatId, `❌ *Invalid preset name!*\n\n✅ Allowed: a-z, A-Z, 0-9, . and -\n✅ Max ${MAX_PRESET_NAME_LENGTH} characters\n\nPlease try again or send /cancel:`, env);
+			return;
+		}
+		await clearState(chatId, env);
+		await savePreset(chatId, state.creationId, name, message.from, env);
+		return;
 	}
-	else if (data === 'back_to_list') {
-		await editMessageToDropletList(chatId, messageId, env);
+
+	// Volume creation — name for the new volume
+	if (state?.step === 'naming_volume') {
+		const name = text.trim();
+		if (!isValidVolumeName(name)) {
+			await sendMessage(chatId, '❌ *Invalid volume name!*\n\n✅ Allowed: a-z, 0-9 and -, starting with a letter\n✅ Max 64 characters\n\nPlease try again or send /cancel:', env);
+			return;
+		}
+		await clearState(chatId, env);
+		const draft = await getVolumeDraft(chatId, env);
+		if (draft) await saveVolumeDraft(chatId, { ...draft, name }, env);
+		await confirmVolumeCreation(chatId, null, env);
+		return;
 	}
-	else if (data.startsWith('rebuild_')) {
-		await showRebuildImageTypeSelection(chatId, messageId, data.replace('rebuild_', ''), env);
+
+	// DNS record — name
+	if (state?.step === 'dns_record_name') {
+		const name = text.trim();
+		if (!isValidDnsRecordName(name)) {
+			await sendMessage(chatId, '❌ *Invalid record name!*\n\nUse a name like `www`, `api.dev`, `*` or `@`, or /cancel:', env);
+			return;
+		}
+		await clearState(chatId, env);
+		await updateDnsRecordDraft(chatId, null, { name }, env);
+		return;
 	}
-	// ── Notes ──
-	else if (data.startsWith('manage_note_')) {
-		await showNoteManagement(chatId, messageId, data.replace('manage_note_', ''), env);
+
+	// DNS record — value, checked against the record type
+	if (state?.step === 'dns_record_data') {
+		const value = text.trim();
+		const draft = await getDnsRecordDraft(chatId, env);
+		const error = draft ? validateDnsRecordData(draft.type, value) : null;
+		if (error) {
+			await sendMessage(chatId, `❌ *Invalid value:* ${error}\n\nSend ${DNS_DATA_HINTS[draft.type]}, or /cancel:`, env);
+			return;
+		}
+		await clearState(chatId, env);
+		await updateDnsRecordDraft(chatId, null, { data: value }, env);
+		return;
 	}
-	else if (data.startsWith('add_note_')) {
-		const dropletId = data.replace('add_note_', '');
-		await deleteMessage(chatId, messageId, env);
-		await setState(chatId, { step: 'editing_note', dropletId }, env);
-		await sendMessage(chatId, `📝 *Add Note*\n\nSend your note for this droplet:\n\n✅ Max ${MAX_NOTE_LENGTH} characters\n✅ Multi-line supported`, env);
+
+	// Alert policy — custom threshold
+	if (state?.step === 'alert_value') {
+		const value = parseFloat(text.trim());
+		if (!isFinite(value) || value < 0) {
+			await sendMessage(chatId, '❌ *Invalid threshold!*\n\nSend a number like `85`, or /cancel:', env);
+			return;
+		}
+		await clearState(chatId, env);
+		await updateAlertDraft(chatId, null, { value }, env);
+		return;
 	}
-	else if (data.startsWith('edit_note_')) {
-		const dropletId = data.replace('edit_note_', '');
-		await deleteMessage(chatId, messageId, env);
-		const currentNote = await getDropletNote(dropletId, env);
-		await setState(chatId, { step: 'editing_note', dropletId }, env);
-		await sendMessage(chatId, `📝 *Edit Note*\n\nCurrent note:\n\`\`\`\n${currentNote || 'No note'}\n\`\`\`\n\nSend your new note:\n\n✅ Max ${MAX_NOTE_LENGTH} characters\n✅ Multi-line supported`, env);
+
+	// Alert policy — tag target
+	if (state?.step === 'alert_tag') {
+		const tag = text.trim();
+		if (!isValidTag(tag)) {
+			await sendMessage(chatId, '❌ *Invalid tag!*\n\n✅ Allowed: a-z, A-Z, 0-9, _ - :\n\nPlease try again or send /cancel:', env);
+			return;
+		}
+		await clearState(chatId, env);
+		await updateAlertDraft(chatId, null, { tags: [tag] }, env);
+		return;
 	}
-	else if (data.startsWith('back_to_droplet_')) {
-		await showDropletDetails(chatId, messageId, data.replace('back_to_droplet_', ''), env);
+
+	// Alert policy — email recipients
+	if (state?.step === 'alert_email') {
+		const emails = text.split(/[\s,]+/).filter(Boolean);
+		if (emails.length === 0 || !emails.every(e => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(e))) {
+			await sendMessage(chatId, '❌ *Invalid email!*\n\nSend one or more addresses separated by spaces, or /cancel:', env);
+			return;
+		}
+		await clearState(chatId, env);
+		await updateAlertDraft(chatId, null, { alerts: { email: emails, slack: [] } }, env);
+		return;
 	}
-	// ── Rename existing droplet ──
-	else if (data.startsWith('rename_existing_')) {
-		const dropletId = data.replace('rename_existing_', '');
-		const apiToken = await getUserApiToken(chatId, env);
-		const dropletData = await doApiCall(`/droplets/${dropletId}`, 'GET', apiToken);
-		if (!dropletData.droplet) { await editMessage(chatId, messageId, '❌ Droplet not found.', env); return; }
-		await deleteMessage(chatId, messageId, env);
-		await setState(chatId, { step: 'renaming_existing_droplet', dropletId, oldName: dropletData.droplet.name }, env);
-		await sendMessage(chatId, `🏷️ *Rename Droplet*\n\nCurrent name: \`${dropletData.droplet.name}\`\n\n✅ Allowed: a-z, A-Z, 0-9, . and -\n\nSend new droplet name:`, env);
+
+	// Alert policy — Slack webhook and channel
+	if (state?.step === 'alert_slack') {
+		const [url, channel] = text.trim().split(/\s+/);
+		if (!/^https:\/\/hooks\.slack\.com\/\S+$/.test(url || '') || !/^#\S+$/.test(channel || '')) {
+			await sendMessage(chatId, '❌ *Invalid Slack target!*\n\nSend `<webhook url> <#channel>`, e.g. `https://hooks.slack.com/services/… #alerts`, or /cancel:', env);
+			return;
+		}
+		await clearState(chatId, env);
+		await updateAlertDraft(chatId, null, { alerts: { email: [], slack: [{ url, channel }] } }, env);
+		return;
 	}
-	else if (data.startsWith('confirm_rename_')) {
-		await executeRename(chatId, messageId, data.replace('confirm_rename_', ''), env);
+
+	// Watcher — custom threshold
+	if (state?.step === 'watch_threshold') {
+		const threshold = parseFloat(text.trim());
+		if (!isFinite(threshold) || threshold < 0) {
+			await sendMessage(chatId, '❌ *Invalid limit!*\n\nSend a number like `20`, or /cancel:', env);
+			return;
+		}
+		await clearState(chatId, env);
+		await createWatcher(chatId, null, { kind: state.kind, threshold }, message.from, env);
+		return;
 	}
-	// ── Rebuild ──
-	else if (data.startsWith('rebuildtype_')) {
-		const parts = data.replace('rebuildtype_', '').split('_');
-		await showRebuildImagesList(chatId, messageId, parts[0], parts[1], 0, env);
+
+	// Watcher — custom quiet hours as HH-HH (UTC)
+	if (state?.step === 'watch_quiet') {
+		const match = text.trim().match(/^(\d{1,2})\s*-\s*(\d{1,2})$/);
+		const [from, to] = match ? [parseInt(match[1]), parseInt(match[2])] : [];
+		if (!match || from > 23 || to > 23 || from === to) {
+			await sendMessage(chatId, '❌ *Invalid range!*\n\nSend two different UTC hours like `22-07`, or /cancel:', env);
+			return;
+		}
+		await clearState(chatId, env);
+		await setWatcherQuietHours(chatId, null, state.watcherId, { from, to }, message.from, env);
+		return;
 	}
-	else if (data.startsWith('rebuildpage_')) {
-		const parts = data.replace('rebuildpage_', '').split('_');
-		await showRebuildImagesList(chatId, messageId, parts[0], parts[1], parseInt(parts[2]), env);
+
+	// Firewall rule — custom ports
+	if (state?.step === 'fw_rule_ports') {
+		const ports = text.trim();
+		const [from, to = from] = ports.split('-').map(Number);
+		if (!/^\d{1,5}(-\d{1,5})?$/.test(ports) || from < 1 || to > 65535 || from > to) {
+			await sendMessage(chatId, '❌ *Invalid ports!*\n\nSend a port like `8080` or a range like `8000-9000`, or /cancel:', env);
+			return;
+		}
+		await clearState(chatId, env);
+		await updateFirewallRuleDraft(chatId, null, { ports }, env);
+		return;
 	}
-	else if (data.startsWith('rebuildsearch_')) {
-		const parts = data.replace('rebuildsearch_', '').split('_');
-		await deleteMessage(chatId, messageId, env);
-		await sendMessage(chatId, `🔍 *Search ${parts[1] === 'app' ? 'Applications' : parts[1] === 'os' ? 'OS' : 'Snapshots'}*\n\nType at least ${MIN_SEARCH_LENGTH} characters:`, env);
-		await setState(chatId, { step: 'rebuild_searching_image', dropletId: parts[0], type: parts[1] }, env);
+
+	// Firewall rule — sources / destinations
+	if (state?.step === 'fw_rule_targets') {
+		const targets = parseFirewallTargets(text);
+		if (!targets) {
+			await sendMessage(chatId, '❌ *Invalid targets!*\n\nUse IPs or CIDRs (`203.0.113.4`, `10.0.0.0/8`), `tag:<name>` or `droplet:<id>`, or /cancel:', env);
+			return;
+		}
+		await clearState(chatId, env);
+		await updateFirewallRuleDraft(chatId, null, { targets }, env);
+		return;
 	}
-	else if (data.startsWith('back_from_rebuild_search_')) {
-		const dropletId = data.replace('back_from_rebuild_search_', '');
+
+	// Firewall — tag to attach
+	if (state?.step === 'fw_adding_tag') {
+		const tag = text.trim();
+		if (!isValidTag(tag)) {
+			await sendMessage(chatId, '❌ *Invalid tag!*\n\n✅ Allowed: a-z, A-Z, 0-9, _ - :\n\nPlease try again or send /cancel:', env);
+			return;
+		}
 		await clearState(chatId, env);
-		await deleteMessage(chatId, messageId, env);
-		await showRebuildImageTypeSelectionNew(chatId, dropletId, env);
+		await changeFirewallTag(chatId, null, state.firewallId, tag, false, message.from, env);
+		return;
 	}
-	else if (data.startsWith('rebuildimg_')) {
-		const parts = data.replace('rebuildimg_', '').split('_');
-		await confirmRebuild(chatId, messageId, parts[0], parts.slice(1).join('_'), env);
+
+	// Quick SSH access — the user's public IP
+	if (state?.step === 'fw_ssh_ip') {
+		const ip = text.trim();
+		if (!isValidIpOrCidr(ip)) {
+			await sendMessage(chatId, '❌ *Invalid IP address!*\n\nSend an address like `203.0.113.4`, or /cancel:', env);
+			return;
+		}
+		await clearState(chatId, env);
+		await openSshToIp(chatId, state.dropletId, ip, env);
+		return;
 	}
-	else if (data.startsWith('execute_rebuild_')) {
-		await executeRebuild(chatId, messageId, data.replace('execute_rebuild_', ''), env);
+
+	// CREATE flow — tags for the new droplet
+	if (state?.step === 'setting_create_tags') {
+		const saved = await setCreateTags(chatId, state.creationId, text, env);
+		if (saved) await clearState(chatId, env);
+		return;
 	}
-	// ── Power on/off ──
-	else if (data.startsWith('pwr_on_yes_')) {
-		await executePowerAction(chatId, messageId, data.replace('pwr_on_yes_', ''), 'power_on', env);
+
+	// CREATE flow — pasting a new SSH public key
+	if (state?.step === 'uploading_ssh_key') {
+		const publicKey = text.trim().replace(/\s+/g, ' ');
+		if (!isValidSshPublicKey(publicKey)) {
+			await sendMessage(chatId, '❌ *Invalid public key!*\n\nPaste a single line like `ssh-ed25519 AAAA... you@host`, or send /cancel:', env);
+			return;
+		}
+		await clearState(chatId, env);
+		await uploadSshKey(chatId, state.creationId, publicKey, env);
+		return;
 	}
-	else if (data.startsWith('pwr_off_yes_')) {
-		await executePowerAction(chatId, messageId, data.replace('pwr_off_yes_', ''), 'power_off', env);
+
+	// Renaming an existing droplet
+	if (state?.step === 'renaming_existing_droplet') {
+		const { dropletId, oldName } = state;
+		if (!dropletId) {
+			await clearState(chatId, env);
+			await sendMessage(chatId, '❌ Session expired. Please try again.', env);
+			return;
+		}
+		const newName = text.trim();
+		if (!isValidDropletName(newName)) {
+			await sendMessage(chatId, '❌ *Invalid droplet name!*\n\n✅ Allowed: a-z, A-Z, 0-9, . and -\n\nPlease try again:', env);
+			return;
+		}
+		if (newName === oldName) {
+			await clearState(chatId, env);
+			await sendMessage(chatId, '❌ *New name is same as old name!*\n\nPlease use a different name.', env);
+			return;
+		}
+		await clearState(chatId, env);
+		await confirmRenameDroplet(chatId, dropletId, oldName, newName, env);
+		return;
 	}
-	else if (data.startsWith('pwr_on_')) {
-		await confirmPowerAction(chatId, messageId, data.replace('pwr_on_', ''), 'power_on', env);
+
+	// Custom snapshot name input
+	if (state?.step === 'naming_snapshot') {
+		const { dropletId, dropletName } = state;
+		if (!dropletId) {
+			await clearState(chatId, env);
+			await sendMessage(chatId, '❌ Session expired. Please try again.', env);
+			return;
+		}
+		const snapshotName = text.trim();
+		if (!isValidSnapshotName(snapshotName)) {
+			await sendMessage(chatId, `❌ *Invalid snapshot name!*\n\n✅ Allowed: a-z, A-Z, 0-9, spaces, . _ -\n✅ Max ${MAX_SNAPSHOT_NAME_LENGTH} characters\n\nPlease try again or send /cancel:`, env);
+			return;
+		}
+		await clearState(chatId, env);
+		await confirmSnapshotCreation(chatId, dropletId, dropletName, snapshotName, env);
+		return;
 	}
-	else if (data.startsWith('pwr_off_')) {
-		await confirmPowerAction(chatId, messageId, data.replace('pwr_off_', ''), 'power_off', env);
+
+	// Editing a droplet note
+	if (state?.step === 'editing_note') {
+		const { dropletId } = state;
+		if (!dropletId) {
+			await clearState(chatId, env);
+			await sendMessage(chatId, '❌ Session expired. Please try again.', env);
+			return;
+		}
+		const noteText = text.trim();
+		if (noteText.length > MAX_NOTE_LENGTH) {
+			await sendMessage(chatId, `❌ Note too long! Maximum ${MAX_NOTE_LENGTH} characters (yours: ${noteText.length}).\n\nPlease try again:`, env);
+			return;
+		}
+		const success = await setDropletNote(dropletId, noteText, env);
+		await clearState(chatId, env);
+		await sendMessage(chatId, success ? '✅ *Note saved!*\n\nYou can view it in droplet details.' : '❌ Failed to save note. Please try again.', env);
+		return;
 	}
-	// ── Restart ──
-	else if (data.startsWith('restart_yes_')) {
-		await executeRestartAction(chatId, messageId, data.replace('restart_yes_', ''), env);
+
+	// Slash commands
+	if (text === '/help') {
+		await clearState(chatId, env);
+		await sendMessage(chatId, `📚 *DigitalOcean Bot Help*\n\n*Commands:*\n• /menu - Show main menu\n• /droplets - List your droplets\n• /create - Create new droplet\n• /presets - Launch a saved droplet preset\n• /tag <name> - Bulk actions on tagged droplets\n• /snapshots - Manage snapshots\n• /volumes - Manage block storage volumes\n• /reservedips - Manage reserved IPs\n• /domains - DNS domains & records\n• /alerts - Monitoring alert policies\n• /watch - Threshold watchers pushed to chats\n• /firewalls - Manage cloud firewalls\n• /billing - Balance, invoice preview & costs by product\n• /genai - GenAI usage & cost\n• /templates - Cloud-init templates\n• /accounts - Switch DigitalOcean accounts\n• /users - Manage users & roles (admin)\n• /audit - Audit log (admin)\n• /setapi - Set API token\n• /clearcache - Clear cached data\n• /help - Show this help\n\n*Features:*\n• Create droplets with OS/Apps/Snapshots\n• Rebuild existing droplets\n• Rename droplets\n• Power on/off/restart droplets\n• Resize droplets (CPU/RAM or disk)\n• Droplet metrics & charts (1h / 24h / 7d)\n• Monitoring alerts via email or Slack\n• Watchers for status, droplet count, usage & snapshot storage\n• Bulk actions on selected or tagged droplets\n• Take droplet snapshots\n• Delete droplets and snapshots\n• Block storage volumes\n• Reserved IP failover between droplets\n• DNS records, incl. A records for droplets\n• Cloud firewall rules, droplets and tags\n• Search images\n• Add notes to droplets\n• Cloud-init templates for new droplets\n• Saved presets for one-tap creation\n• Billing: balance and costs by product vs last month\n• Invoice PDF & CSV downloads\n• GenAI token usage & cost per model per month\n• Multiple DigitalOcean accounts\n• Smart caching for faster performance\n\n*Get API Token:*\nhttps://cloud.digitalocean.com/account/api/tokens`, env);
+	} else if (text === '/setapi') {
+		await clearState(chatId, env);
+		const hasExisting = await getUserApiToken(chatId, env);
+		const profile = await getActiveProfileName(chatId, env) || DEFAULT_PROFILE;
+		await sendMessage(chatId, hasExisting
+			? `🔑 *Change API Token*\n\nAccount: \`${profile}\`\n\n⚠️ This will clear all sessions.\n\nSend your new DigitalOcean API token:`
+			: `🔑 *Setup API Token*\n\nAccount: \`${profile}\`\n\nSend your DigitalOcean API token:\n\nGet it at: https://cloud.digitalocean.com/`, env);
+		await setState(chatId, { step: 'setting_api_token' }, env);
+	} else if (text === '/audit' || text.startsWith('/audit ')) {
+		await clearState(chatId, env);
+		const filters = parseAuditFilters(text.replace('/audit', ''));
+		await env.DROPLET_CREATION.put(`auditfilter_${chatId}`, JSON.stringify(filters), { expirationTtl: 3600 });
+		await showAuditLog(chatId, null, 0, env);
+	} else if (text === '/users') {
+		await clearState(chatId, env);
+		await showUsers(chatId, env);
+	} else if (text === '/presets') {
+		await clearState(chatId, env);
+		await showPresets(chatId, null, env);
+	} else if (text === '/volumes') {
+		await clearState(chatId, env);
+		await showVolumesList(chatId, 0, env);
+	} else if (text === '/reservedips') {
+		await clearState(chatId, env);
+		await showReservedIps(chatId, null, 0, env);
+	} else if (text === '/domains') {
+		await clearState(chatId, env);
+		await showDomains(chatId, null, env);
+	} else if (text === '/alerts') {
+		await clearState(chatId, env);
+		await showAlertPolicies(chatId, null, env);
+	} else if (text === '/watch') {
+		await clearState(chatId, env);
+		await showWatchers(chatId, null, env);
+	} else if (text === '/firewalls') {
+		await clearState(chatId, env);
+		await showFirewalls(chatId, null, env);
+	} else if (text === '/templates') {
+		await clearState(chatId, env);
+		await showTemplates(chatId, null, env);
+	} else if (text === '/accounts') {
+		await clearState(chatId, env);
+		await showAccounts(chatId, env);
+	} else if (text === '/droplets') {
+		await clearState(chatId, env);
+		await listDroplets(chatId, env);
+	} else if (text === '/tag' || text.startsWith('/tag ')) {
+		await clearState(chatId, env);
+		const tag = text.replace('/tag', '').trim();
+		if (!isValidTag(tag)) {
+			await sendMessage(chatId, '🏷️ *Usage:* `/tag <name>`\n\nSelects every droplet with that tag for bulk actions.', env);
+			return;
+		}
+		await startBulkSelection(chatId, null, tag, env);
+	} else if (text === '/create') {
+		await clearState(chatId, env);
+		await showRegions(chatId, env);
+	} else if (text === '/snapshots') {
+		await clearState(chatId, env);
+		await showSnapshotsList(chatId, 0, env);
+	} else if (text === '/billing') {
+		await clearState(chatId, env);
+		await showBilling(chatId, null, env);
+	} else if (text === '/genai') {
+		await clearState(chatId, env);
+		await showGenAIMenu(chatId, env);
+	} else if (text === '/clearcache') {
+		await clearState(chatId, env);
+		const msg = await sendMessage(chatId, '⏳ Clearing cache...', env);
+		const count = await clearAllCache(env);
+		await clearUserSessions(chatId, env);
+		if (msg.result?.message_id) await deleteMessage(chatId, msg.result.message_id, env);
+		await sendMessage(chatId, `✅ Cache cleared!\n\n🗑️ Deleted ${count} cached items\n🔄 Cleared your sessions\n\n💡 API token & notes preserved`, env);
 	}
-	else if (data.startsWith('restart_')) {
-		await confirmRestartAction(chatId, messageId, data.replace('restart_', ''), env);
+}
+
+// ─── CALLBACK QUERY HANDLER ───────────────────────────────────────────────────
+
+async function handleCallbackQuery(callbackQuery, env) {
+	const chatId    = callbackQuery.message.chat.id;
+	const messageId = callbackQuery.message.message_id;
+	const data      = callbackQuery.data;
+
+	// Authorize the user who pressed the button, not the chat the message lives in
+	const role = await getUserRole(callbackQuery.from.id, env);
+	if (!role) {
+		await answerCallbackQuery(callbackQuery.id, env, '⛔ Access denied. You are not authorized to use this bot.');
+		return;
 	}
-	// ── Take snapshot ──
-	else if (data.startsWith('snap_take_')) {
-		await askSnapshotName(chatId, messageId, data.replace('snap_take_', ''), env);
+	const requiredRole = getRequiredRoleForCallback(data);
+	if (requiredRole && !hasRole(role, requiredRole)) {
+		await answerCallbackQuery(callbackQuery.id, env, `⛔ Insufficient permission: this requires the ${requiredRole} role.`);
+		return;
 	}
-	else if (data.startsWith('snap_default_')) {
-		await useDefaultSnapshotName(chatId, messageId, data.replace('snap_default_', ''), env);
+	await answerCallbackQuery(callbackQuery.id, env);
+
+	// ── Main menu ──
+	if (data === 'menu_droplets') {
+		await deleteMessage(chatId, messageId, env); await listDroplets(chatId, env); return;
 	}
-	else if (data.startsWith('snap_rename_')) {
-		const sessionId = data.replace('snap_rename_', '');
-		const dataStr = await env.DROPLET_CREATION.get(sessionId);
-		if (!dataStr) { await editMessage(chatId, messageId, '❌ Session expired.', env); return; }
-		const sessionData = JSON.parse(dataStr);
+	if (data === 'menu_create') {
+		await deleteMessage(chatId, messageId, env); await showRegions(chatId, env); return;
+	}
+	if (data === 'menu_setapi') {
 		await deleteMessage(chatId, messageId, env);
-		await setState(chatId, { step: 'naming_snapshot', dropletId: sessionData.dropletId, dropletName: sessionData.dropletName }, env);
-		await sendMessage(chatId, `📝 *Snapshot Name*\n\nDroplet: \`${sessionData.dropletName}\`\n\n✅ Allowed: a-z, A-Z, 0-9, spaces, . _ -\n✅ Max ${MAX_SNAPSHOT_NAME_LENGTH} characters\n\nSend your snapshot name (or /cancel to abort):`, env);
+		const hasExisting = await getUserApiToken(chatId, env);
+		const profile = await getActiveProfileName(chatId, env) || DEFAULT_PROFILE;
+		await sendMessage(chatId, hasExisting
+			? `🔑 *Change API Token*\n\nAccount: \`${profile}\`\n\n⚠️ This will clear all sessions.\n\nSend your new DigitalOcean API token:`
+			: `🔑 *Setup API Token*\n\nAccount: \`${profile}\`\n\nSend your DigitalOcean API token:\n\nGet it at: https://cloud.digitalocean.com/`, env);
+		await setState(chatId, { step: 'setting_api_token' }, env);
+		return;
 	}
-	else if (data.startsWith('snap_exec_')) {
-		await executeSnapshot(chatId, messageId, data.replace('snap_exec_', ''), env);
+	if (data === 'menu_clearcache') {
+		await deleteMessage(chatId, messageId, env);
+		const msg = await sendMessage(chatId, '⏳ Clearing cache...', env);
+		const count = await clearAllCache(env);
+		await clearUserSessions(chatId, env);
+		if (msg.result?.message_id) await deleteMessage(chatId, msg.result.message_id, env);
+		await sendMessage(chatId, `✅ Cache cleared!\n\n🗑️ Deleted ${count} cached items\n🔄 Cleared your sessions\n\n💡 API token & notes preserved`, env);
+		return;
 	}
-	// ── Snapshot management ──
-	else if (data.startsWith('snap_page_')) {
-		await showSnapshotsListEdit(chatId, messageId, parseInt(data.replace('snap_page_', '')), env);
+	if (data === 'menu_help') {
+		await deleteMessage(chatId, messageId, env);
+		await sendMessage(chatId, `📚 *DigitalOcean Bot Help*\n\n*Commands:*\n• /menu - Show main menu\n• /droplets - List your droplets\n• /create - Create new droplet\n• /presets - Launch a saved droplet preset\n• /tag <name> - Bulk actions on tagged droplets\n• /snapshots - Manage snapshots\n• /volumes - Manage block storage volumes\n• /reservedips - Manage reserved IPs\n• /domains - DNS domains & records\n• /alerts - Monitoring alert policies\n• /watch - Threshold watchers pushed to chats\n• /firewalls - Manage cloud firewalls\n• /billing - Balance, invoice preview & costs by product\n• /genai - GenAI usage & cost\n• /templates - Cloud-init templates\n• /accounts - Switch DigitalOcean accounts\n• /users - Manage users & roles (admin)\n• /audit - Audit log (admin)\n• /setapi - Set API token\n• /clearcache - Clear cached data\n• /help - Show this help\n\n*Features:*\n• Create droplets with OS/Apps/Snapshots\n• Rebuild existing droplets\n• Rename droplets\n• Power on/off/restart droplets\n• Resize droplets (CPU/RAM or disk)\n• Droplet metrics & charts (1h / 24h / 7d)\n• Monitoring alerts via email or Slack\n• Watchers for status, droplet count, usage & snapshot storage\n• Bulk actions on selected or tagged droplets\n• Take droplet snapshots\n• Delete droplets and snapshots\n• Block storage volumes\n• Reserved IP failover between droplets\n• DNS records, incl. A records for droplets\n• Cloud firewall rules, droplets and tags\n• Search images\n• Add notes to droplets\n• Cloud-init templates for new droplets\n• Saved presets for one-tap creation\n• Billing: balance and costs by product vs last month\n• Invoice PDF & CSV downloads\n• GenAI token usage & cost per model per month\n• Multiple DigitalOcean accounts\n• Smart caching for faster performance\n\n*Get API Token:*\nhttps://cloud.digitalocean.com/account/api/tokens`, env);
+		return;
 	}
-	else if (data.startsWith('snap_view_')) {
-		await showSnapshotDetails(chatId, messageId, data.replace('snap_view_', ''), env);
+	if (data === 'menu_snapshots') {
+		await deleteMessage(chatId, messageId, env); await showSnapshotsList(chatId, 0, env); return;
 	}
-	else if (data.startsWith('snap_del_yes_')) {
-		await executeDeleteSnapshot(chatId, messageId, data.replace('snap_del_yes_', ''), env);
+	if (data === 'menu_billing') {
+		await deleteMessage(chatId, messageId, env); await showBilling(chatId, null, env); return;
 	}
-	else if (data.startsWith('snap_del_')) {
-		await confirmDeleteSnapshot(chatId, messageId, data.replace('snap_del_', ''), env);
+	if (data === 'menu_genai') {
+		await deleteMessage(chatId, messageId, env); await showGenAIMenu(chatId, env); return;
 	}
-	else if (data === 'snap_back_list') {
-		await showSnapshotsListEdit(chatId, messageId, 0, env);
+	if (data === 'menu_accounts') {
+		await deleteMessage(chatId, messageId, env); await showAccounts(chatId, env); return;
 	}
-	// ── Cancel / back ──
-	else if (data === 'cancel_create') {
-		await clearState(chatId, env); await editMessage(chatId, messageId, '❌ Cancelled.', env);
+
+	// ── Audit log ──
+	if (data.startsWith('audit_page_')) {
+		await showAuditLog(chatId, messageId, parseInt(data.replace('audit_page_', '')), env);
+		return;
 	}
-	else if (data === 'back_to_regions') {
-		await showRegionsEdit(chatId, messageId, env);
+	if (data === 'audit_csv') {
+		await sendAuditCsv(chatId, env);
+		return;
+	}
+
+	// ── Users & roles ──
+	if (data === 'usr_back') {
+		await showUsersEdit(chatId, messageId, env);
+		return;
+	}
+	if (data === 'usr_add') {
+		await deleteMessage(chatId, messageId, env);
+		await setState(chatId, { step: 'adding_user' }, env);
+		await sendMessage(chatId, '👤 *Add User*\n\nSend the numeric Telegram user ID of the new user:', env);
+		return;
+	}
+	if (data.startsWith('usr_view_')) {
+		await showUserRole(chatId, messageId, parseInt(data.replace('usr_view_', '')), env);
+		return;
+	}
+	if (data.startsWith('usr_set_')) {
+		const [userId, role] = data.replace('usr_set_', '').split('_');
+		if (getAdminUserIds(env).includes(parseInt(userId))) {
+			await editMessage(chatId, messageId, '❌ Users in `ALLOWED_USER_IDS` are always admins.', env, { inline_keyboard: [[{ text: '◀️ Back', callback_data: 'usr_back' }]] });
+			return;
+		}
+		if (ROLES.includes(role)) await setUserRole(parseInt(userId), role, callbackQuery.from.id, env);
+		await showUsersEdit(chatId, messageId, env);
+		return;
+	}
+	if (data.startsWith('usr_rm_')) {
+		await env.DROPLET_CREATION.delete(`user_role_${data.replace('usr_rm_', '')}`);
+		await showUsersEdit(chatId, messageId, env);
+		return;
+	}
+
+	// ── Accounts ──
+	if (data === 'acct_noop') return;
+	if (data === 'acct_back') {
+		await showAccountsEdit(chatId, messageId, env);
+		return;
+	}
+	if (data === 'acct_add') {
+		await deleteMessage(chatId, messageId, env);
+		await setState(chatId, { step: 'adding_account_name' }, env);
+		await sendMessage(chatId, `👤 *Add Account*\n\nSend a name for this account (e.g. \`prod\`, \`staging\`, \`client-x\`):\n\n✅ Allowed: a-z, A-Z, 0-9, _ and -\n✅ Max ${MAX_PROFILE_NAME_LENGTH} characters`, env);
+		return;
+	}
+	if (data.startsWith('acct_use_')) {
+		await switchUserProfile(chatId, data.replace('acct_use_', ''), env);
+		await showAccountsEdit(chatId, messageId, env);
+		return;
+	}
+	if (data.startsWith('acct_delyes_')) {
+		await removeUserProfile(chatId, data.replace('acct_delyes_', ''), env);
+		await showAccountsEdit(chatId, messageId, env);
+		return;
+	}
+	if (data.startsWith('acct_del_')) {
+		await confirmRemoveAccount(chatId, messageId, data.replace('acct_del_', ''), env);
+		return;
+	}
+
+	// ── Cloud-init templates ──
+	if (data === 'tpl_back') {
+		await showTemplates(chatId, messageId, env);
+		return;
+	}
+	if (data === 'tpl_add') {
+		await deleteMessage(chatId, messageId, env);
+		await setState(chatId, { step: 'adding_template_name' }, env);
+		await sendMessage(chatId, `📜 *New Template*\n\nSend a name for the template (e.g. \`docker\`, \`web-base\`):\n\n✅ Allowed: a-z, A-Z, 0-9, _ and -\n✅ Max ${MAX_TEMPLATE_NAME_LENGTH} characters`, env);
+		return;
+	}
+	if (data.startsWith('tpl_view_')) {
+		await showTemplate(chatId, messageId, data.replace('tpl_view_', ''), env);
+		return;
+	}
+	if (data.startsWith('tpl_edit_')) {
+		const name = data.replace('tpl_edit_', '');
+		await setState(chatId, { step: 'editing_template', name }, env);
+		await sendMessage(chatId, `✏️ *Edit Template* \`${name}\`\n\n${TEMPLATE_CONTENT_HINT}`, env);
+		return;
+	}
+	if (data.startsWith('tpl_delyes_')) {
+		await deleteTemplate(chatId, messageId, data.replace('tpl_delyes_', ''), callbackQuery.from, env);
+		return;
+	}
+	if (data.startsWith('tpl_del_')) {
+		await confirmDeleteTemplate(chatId, messageId, data.replace('tpl_del_', ''), env);
+		return;
+	}
+
+	// ── Droplet presets ──
+	if (data === 'pre_back') {
+		await showPresets(chatId, messageId, env);
+		return;
+	}
+	if (data.startsWith('pre_view_')) {
+		await showPreset(chatId, messageId, data.replace('pre_view_', ''), env);
+		return;
+	}
+	if (data.startsWith('pre_run_')) {
+		const parts = data.replace('pre_run_', '').split('_');
+		const count = parseInt(parts.pop());
+		if (count === 1 || PRESET_LAUNCH_COUNTS.includes(count)) {
+			await launchPreset(chatId, messageId, parts.join('_'), count, callbackQuery.from, env);
+		}
+		return;
+	}
+	if (data.startsWith('pre_delyes_')) {
+		await deletePreset(chatId, messageId, data.replace('pre_delyes_', ''), callbackQuery.from, env);
+		return;
+	}
+	if (data.startsWith('pre_del_')) {
+		await confirmDeletePreset(chatId, messageId, data.replace('pre_del_', ''), env);
+		return;
+	}
+
+	// ── Volumes ──
+	if (data === 'menu_volumes') {
+		await deleteMessage(chatId, messageId, env);
+		await showVolumesList(chatId, 0, env);
+		return;
+	}
+	if (data.startsWith('vol_page_')) {
+		await showVolumesListEdit(chatId, messageId, parseInt(data.replace('vol_page_', '')), env);
+		return;
+	}
+	if (data.startsWith('vol_view_')) {
+		await showVolumeDetails(chatId, messageId, data.replace('vol_view_', ''), env);
+		return;
+	}
+	if (data === 'vol_new') {
+		await clearState(chatId, env);
+		await showVolumeRegions(chatId, messageId, env);
+		return;
+	}
+	if (data.startsWith('vol_nr_')) {
+		await showVolumeSizes(chatId, messageId, data.replace('vol_nr_', ''), env);
+		return;
+	}
+	if (data.startsWith('vol_ns_')) {
+		await askVolumeName(chatId, messageId, parseInt(data.replace('vol_ns_', '')), env);
+		return;
+	}
+	if (data === 'vol_nd') {
+		await clearState(chatId, env);
+		await confirmVolumeCreation(chatId, messageId, env);
+		return;
+	}
+	if (data === 'vol_create') {
+		await executeCreateVolume(chatId, messageId, callbackQuery.from, env);
+		return;
+	}
+	if (data.startsWith('vol_att_')) {
+		const [volumeId, page = '0'] = data.replace('vol_att_', '').split('_');
+		await showVolumeAttachTargets(chatId, messageId, volumeId, parseInt(page), env);
+		return;
+	}
+	// vol_{atc,aty,dtc,dty}_<volumeId>_<dropletId> — volume ids are UUIDs, so split on the last _
+	if (['vol_atc_', 'vol_aty_', 'vol_dtc_', 'vol_dty_'].some(prefix => data.startsWith(prefix))) {
+		const rest = data.slice(8);
+		const volumeId = rest.slice(0, rest.lastIndexOf('_'));
+		const dropletId = parseInt(rest.slice(rest.lastIndexOf('_') + 1));
+		const detach = data.startsWith('vol_dt');
+		if (data.startsWith('vol_atc_') || data.startsWith('vol_dtc_')) await confirmVolumeAttachment(chatId, messageId, volumeId, dropletId, detach, env);
+		else await executeVolumeAttachment(chatId, messageId, volumeId, dropletId, detach, callbackQuery.from, env);
+		return;
+	}
+	if (data.startsWith('vol_rsc_') || data.startsWith('vol_rsy_')) {
+		const rest = data.slice(8);
+		const volumeId = rest.slice(0, rest.lastIndexOf('_'));
+		const size = parseInt(rest.slice(rest.lastIndexOf('_') + 1));
+		if (data.startsWith('vol_rsc_')) await confirmVolumeResize(chatId, messageId, volumeId, size, env);
+		else await executeVolumeResize(chatId, messageId, volumeId, size, callbackQuery.from, env);
+		return;
+	}
+	if (data.startsWith('vol_rs_')) {
+		await showVolumeResizeOptions(chatId, messageId, data.replace('vol_rs_', ''), env);
+		return;
+	}
+	if (data.startsWith('vol_snc_')) {
+		await confirmVolumeSnapshot(chatId, messageId, data.replace('vol_snc_', ''), env);
+		return;
+	}
+	if (data.startsWith('vol_sny_')) {
+		await executeVolumeSnapshot(chatId, messageId, data.replace('vol_sny_', ''), callbackQuery.from, env);
+		return;
+	}
+	if (data.startsWith('vol_delc_')) {
+		await confirmDeleteVolume(chatId, messageId, data.replace('vol_delc_', ''), env);
+		return;
+	}
+	if (data.startsWith('vol_dely_')) {
+		await executeDeleteVolume(chatId, messageId, data.replace('vol_dely_', ''), callbackQuery.from, env);
+		return;
+	}
+
+	// ── Reserved IPs ──
+	if (data === 'rip_back') {
+		await showReservedIps(chatId, messageId, 0, env);
+		return;
+	}
+	if (data.startsWith('rip_page_')) {
+		await showReservedIps(chatId, messageId, parseInt(data.replace('rip_page_', '')), env);
+		return;
+	}
+	if (data.startsWith('rip_view_')) {
+		await showReservedIp(chatId, messageId, data.replace('rip_view_', ''), env);
+		return;
+	}
+	if (data === 'rip_new') {
+		await showReservedIpRegions(chatId, messageId, env);
+		return;
+	}
+	if (data.startsWith('rip_nr_')) {
+		await confirmAllocateReservedIp(chatId, messageId, data.replace('rip_nr_', ''), env);
+		return;
+	}
+	if (data.startsWith('rip_nry_')) {
+		await executeAllocateReservedIp(chatId, messageId, data.replace('rip_nry_', ''), callbackQuery.from, env);
+		return;
+	}
+	if (data.startsWith('rip_as_')) {
+		const [ip, page = '0'] = data.replace('rip_as_', '').split('_');
+		await showReservedIpTargets(chatId, messageId, ip, parseInt(page), env);
+		return;
+	}
+	if (data.startsWith('rip_asc_') || data.startsWith('rip_asy_')) {
+		const [ip, dropletId] = data.slice(8).split('_');
+		if (data.startsWith('rip_asc_')) await confirmAssignReservedIp(chatId, messageId, ip, parseInt(dropletId), env);
+		else await executeReservedIpAction(chatId, messageId, ip, parseInt(dropletId), callbackQuery.from, env);
+		return;
+	}
+	if (data.startsWith('rip_unc_')) {
+		await confirmUnassignReservedIp(chatId, messageId, data.replace('rip_unc_', ''), env);
+		return;
+	}
+	if (data.startsWith('rip_uny_')) {
+		await executeReservedIpAction(chatId, messageId, data.replace('rip_uny_', ''), null, callbackQuery.from, env);
+		return;
+	}
+	if (data.startsWith('rip_here_')) {
+		await showReservedIpsForDroplet(chatId, messageId, data.replace('rip_here_', ''), env);
+		return;
+	}
+	if (data.startsWith('rip_relc_')) {
+		await confirmReleaseReservedIp(chatId, messageId, data.replace('rip_relc_', ''), env);
+		return;
+	}
+	if (data.startsWith('rip_rely_')) {
+		await executeReleaseReservedIp(chatId, messageId, data.replace('rip_rely_', ''), callbackQuery.from, env);
+		return;
+	}
+
+	// ── Alert policies ──
+	if (data === 'alp_back') {
+		await showAlertPolicies(chatId, messageId, env);
+		return;
+	}
+	if (data.startsWith('alp_view_')) {
+		await showAlertPolicy(chatId, messageId, data.replace('alp_view_', ''), env);
+		return;
+	}
+	if (data.startsWith('alp_tog_')) {
+		await toggleAlertPolicy(chatId, messageId, data.replace('alp_tog_', ''), callbackQuery.from, env);
+		return;
+	}
+	if (data.startsWith('alp_delc_')) {
+		await confirmDeleteAlertPolicy(chatId, messageId, data.replace('alp_delc_', ''), env);
+		return;
+	}
+	if (data.startsWith('alp_dely_')) {
+		await deleteAlertPolicy(chatId, messageId, data.replace('alp_dely_', ''), callbackQuery.from, env);
+		return;
+	}
+	if (data === 'alp_new') {
+		await saveAlertDraft(chatId, {}, env);
+		await showAlertDraftStep(chatId, messageId, env);
+		return;
+	}
+	if (data.startsWith('alpa_m_')) {
+		await updateAlertDraft(chatId, messageId, { metric: data.replace('alpa_m_', '') }, env);
+		return;
+	}
+	if (data.startsWith('alpa_c_')) {
+		await updateAlertDraft(chatId, messageId, { compare: data.replace('alpa_c_', '') }, env);
+		return;
+	}
+	if (data.startsWith('alpa_v_')) {
+		await clearState(chatId, env);
+		await updateAlertDraft(chatId, messageId, { value: parseFloat(data.replace('alpa_v_', '')) }, env);
+		return;
+	}
+	if (data.startsWith('alpa_w_')) {
+		await updateAlertDraft(chatId, messageId, { window: data.replace('alpa_w_', '') }, env);
+		return;
+	}
+	if (data.startsWith('alpa_dp_')) {
+		await showAlertDraftStep(chatId, messageId, env, parseInt(data.replace('alpa_dp_', '')));
+		return;
+	}
+	if (data.startsWith('alpa_d_')) {
+		await clearState(chatId, env);
+		await updateAlertDraft(chatId, messageId, { entities: [data.replace('alpa_d_', '')] }, env);
+		return;
+	}
+	if (data === 'alpa_n_email') {
+		await setState(chatId, { step: 'alert_email' }, env);
+		await editMessage(chatId, messageId, '📧 *Email Alerts*\n\nSend the addresses to notify, separated by spaces. They must be verified on the DigitalOcean account:', env);
+		return;
+	}
+	if (data === 'alpa_n_slack') {
+		await setState(chatId, { step: 'alert_slack' }, env);
+		await editMessage(chatId, messageId, '💬 *Slack Alerts*\n\nSend the incoming webhook URL and channel, e.g.\n`https://hooks.slack.com/services/… #alerts`', env);
+		return;
+	}
+	if (data === 'alpa_save') {
+		await saveAlertPolicy(chatId, messageId, callbackQuery.from, env);
+		return;
+	}
+	if (data === 'alpa_cancel') {
+		await clearState(chatId, env);
+		await env.DROPLET_CREATION.delete(`alertnew_${chatId}`);
+		await showAlertPolicies(chatId, messageId, env);
+		return;
+	}
+
+	// ── Watchers ──
+	if (data === 'wat_back') {
+		await clearState(chatId, env);
+		await showWatchers(chatId, messageId, env);
+		return;
+	}
+	if (data.startsWith('wat_view_')) {
+		await clearState(chatId, env);
+		await showWatcher(chatId, messageId, data.replace('wat_view_', ''), env);
+		return;
+	}
+	if (data.startsWith('wat_sub_')) {
+		await toggleWatcherSubscription(chatId, messageId, data.replace('wat_sub_', ''), env);
+		return;
+	}
+	if (data.startsWith('wat_qs_')) {
+		const [id, from, to] = data.replace('wat_qs_', '').split('_');
+		await clearState(chatId, env);
+		const quiet = from === 'off' ? null : { from: parseInt(from), to: parseInt(to) };
+		await setWatcherQuietHours(chatId, messageId, id, quiet, callbackQuery.from, env);
+		return;
+	}
+	if (data.startsWith('wat_q_')) {
+		await showWatcherQuietHours(chatId, messageId, data.replace('wat_q_', ''), env);
+		return;
+	}
+	if (data.startsWith('wat_delc_')) {
+		await confirmDeleteWatcher(chatId, messageId, data.replace('wat_delc_', ''), env);
+		return;
+	}
+	if (data.startsWith('wat_dely_')) {
+		await deleteWatcher(chatId, messageId, data.replace('wat_dely_', ''), callbackQuery.from, env);
+		return;
+	}
+	if (data === 'wat_new') {
+		await showWatcherKinds(chatId, messageId, env);
+		return;
+	}
+	if (data.startsWith('watn_k_')) {
+		await showWatcherTarget(chatId, messageId, data.replace('watn_k_', ''), env);
+		return;
+	}
+	if (data.startsWith('watn_t_')) {
+		const [kind, threshold] = data.replace('watn_t_', '').split('_');
+		await clearState(chatId, env);
+		await createWatcher(chatId, messageId, { kind, threshold: parseFloat(threshold) }, callbackQuery.from, env);
+		return;
+	}
+	if (data.startsWith('watn_dp_')) {
+		await showWatcherTarget(chatId, messageId, 'status', env, parseInt(data.replace('watn_dp_', '')));
+		return;
+	}
+	if (data.startsWith('watn_d_')) {
+		await createWatcher(chatId, messageId, { kind: 'status', dropletId: data.replace('watn_d_', '') }, callbackQuery.from, env);
+		return;
+	}
+
+	// ── Metrics ──
+	if (data.startsWith('metc_')) {
+		const [dropletId, kind, period] = data.replace('metc_', '').split('_');
+		await sendDropletMetricChart(chatId, dropletId, kind, period, env);
+		return;
+	}
+	if (data.startsWith('met_')) {
+		const [dropletId, period] = data.replace('met_', '').split('_');
+		await showDropletMetrics(chatId, messageId, dropletId, METRIC_PERIODS[period] ? period : '1h', env);
+		return;
+	}
+
+	// ── DNS ──
+	if (data === 'dns_back') {
+		await showDomains(chatId, messageId, env);
+		return;
+	}
+	if (data.startsWith('dns_dom_')) {
+		const [ref, page] = data.replace('dns_dom_', '').split('_');
+		await showDomainRecords(chatId, messageId, ref, parseInt(page), env);
+		return;
+	}
+	if (data.startsWith('dns_rec_')) {
+		const [ref, recordId] = data.replace('dns_rec_', '').split('_');
+		await showDnsRecord(chatId, messageId, ref, parseInt(recordId), env);
+		return;
+	}
+	if (data.startsWith('dns_add_')) {
+		await startDnsRecordDraft(chatId, messageId, data.replace('dns_add_', ''), null, env);
+		return;
+	}
+	if (data.startsWith('dns_edit_')) {
+		const [ref, recordId] = data.replace('dns_edit_', '').split('_');
+		await startDnsRecordDraft(chatId, messageId, ref, parseInt(recordId), env);
+		return;
+	}
+	if (data.startsWith('dns_delc_')) {
+		const [ref, recordId] = data.replace('dns_delc_', '').split('_');
+		await confirmDeleteDnsRecord(chatId, messageId, ref, parseInt(recordId), env);
+		return;
+	}
+	if (data.startsWith('dns_dely_')) {
+		const [ref, recordId] = data.replace('dns_dely_', '').split('_');
+		await deleteDnsRecord(chatId, messageId, ref, parseInt(recordId), callbackQuery.from, env);
+		return;
+	}
+	if (data.startsWith('dns_drop_')) {
+		await showDomainsForDroplet(chatId, messageId, data.replace('dns_drop_', ''), env);
+		return;
+	}
+	if (data.startsWith('dns_dpick_')) {
+		const [dropletId, ref] = data.replace('dns_dpick_', '').split('_');
+		await startDropletDnsRecord(chatId, messageId, parseInt(dropletId), ref, env);
+		return;
+	}
+	if (data.startsWith('dnsa_type_')) {
+		await updateDnsRecordDraft(chatId, messageId, { type: data.replace('dnsa_type_', '') }, env);
+		return;
+	}
+	if (data === 'dnsa_apex' || data === 'dnsa_suggested') {
+		const draft = await getDnsRecordDraft(chatId, env);
+		await clearState(chatId, env);
+		await updateDnsRecordDraft(chatId, messageId, { name: data === 'dnsa_apex' ? '@' : draft?.suggestedName }, env);
+		return;
+	}
+	if (data.startsWith('dnsa_prio_')) {
+		await updateDnsRecordDraft(chatId, messageId, { priority: parseInt(data.replace('dnsa_prio_', '')) }, env);
+		return;
+	}
+	if (data.startsWith('dnsa_ttl_')) {
+		await updateDnsRecordDraft(chatId, messageId, { ttl: parseInt(data.replace('dnsa_ttl_', '')) }, env);
+		return;
+	}
+	if (data.startsWith('dnsa_reset_')) {
+		await updateDnsRecordDraft(chatId, messageId, { [data.replace('dnsa_reset_', '')]: null }, env);
+		return;
+	}
+	if (data === 'dnsa_review') {
+		await updateDnsRecordDraft(chatId, messageId, {}, env);
+		return;
+	}
+	if (data === 'dnsa_save') {
+		await saveDnsRecord(chatId, messageId, callbackQuery.from, env);
+		return;
+	}
+	if (data === 'dnsa_cancel') {
+		await cancelDnsRecordDraft(chatId, messageId, env);
+		return;
+	}
+
+	// ── Cloud firewalls ──
+	if (data === 'fw_back') {
+		await showFirewalls(chatId, messageId, env);
+		return;
+	}
+	if (data.startsWith('fw_view_')) {
+		await showFirewall(chatId, messageId, data.replace('fw_view_', ''), env);
+		return;
+	}
+	if (data.startsWith('fw_add_')) {
+		await saveFirewallRuleDraft(chatId, { firewallId: data.replace('fw_add_', '') }, env);
+		await showFirewallRuleStep(chatId, messageId, env);
+		return;
+	}
+	if (data.startsWith('fwa_dir_')) {
+		await updateFirewallRuleDraft(chatId, messageId, { direction: data.replace('fwa_dir_', '') }, env);
+		return;
+	}
+	if (data.startsWith('fwa_proto_')) {
+		await updateFirewallRuleDraft(chatId, messageId, { protocol: data.replace('fwa_proto_', '') }, env);
+		return;
+	}
+	if (data === 'fwa_ports_custom') {
+		await setState(chatId, { step: 'fw_rule_ports' }, env);
+		await editMessage(chatId, messageId, '➕ *Add Rule*\n\nSend a port like `8080` or a range like `8000-9000`:', env);
+		return;
+	}
+	if (data.startsWith('fwa_ports_')) {
+		const ports = data.replace('fwa_ports_', '');
+		await updateFirewallRuleDraft(chatId, messageId, { ports: ports === 'all' ? '0' : ports }, env);
+		return;
+	}
+	if (data === 'fwa_any') {
+		await clearState(chatId, env);
+		await updateFirewallRuleDraft(chatId, messageId, { targets: { addresses: ['0.0.0.0/0', '::/0'] } }, env);
+		return;
+	}
+	if (data === 'fwa_save') {
+		await saveFirewallRule(chatId, messageId, callbackQuery.from, env);
+		return;
+	}
+	if (data === 'fwa_cancel') {
+		const draft = await getFirewallRuleDraft(chatId, env);
+		await clearState(chatId, env);
+		await env.DROPLET_CREATION.delete(`fwrule_${chatId}`);
+		if (draft) await showFirewall(chatId, messageId, draft.firewallId, env);
+		else await showFirewalls(chatId, messageId, env);
+		return;
+	}
+	if (data.startsWith('fw_rules_')) {
+		await showFirewallRulesForRemoval(chatId, messageId, data.replace('fw_rules_', ''), env);
+		return;
+	}
+	if (data.startsWith('fw_rmr_')) {
+		const parts = data.replace('fw_rmr_', '').split('_');
+		const ref = parts.pop();
+		await confirmRemoveFirewallRule(chatId, messageId, parts.join('_'), ref, env);
+		return;
+	}
+	if (data.startsWith('fw_rmy_')) {
+		const parts = data.replace('fw_rmy_', '').split('_');
+		const fingerprint = parts.pop();
+		const ref = parts.pop();
+		await removeFirewallRule(chatId, messageId, parts.join('_'), ref, fingerprint, callbackQuery.from, env);
+		return;
+	}
+	if (data.startsWith('fw_drops_')) {
+		const parts = data.replace('fw_drops_', '').split('_');
+		const page = parseInt(parts.pop());
+		await showFirewallDroplets(chatId, messageId, parts.join('_'), page, env);
+		return;
+	}
+	if (data.startsWith('fw_dt_')) {
+		const parts = data.replace('fw_dt_', '').split('_');
+		const page = parseInt(parts.pop());
+		const dropletId = parseInt(parts.pop());
+		await toggleFirewallDroplet(chatId, messageId, parts.join('_'), dropletId, page, callbackQuery.from, env);
+		return;
+	}
+	if (data.startsWith('fw_tags_')) {
+		await showFirewallTags(chatId, messageId, data.replace('fw_tags_', ''), env);
+		return;
+	}
+	if (data.startsWith('fw_tgrm_')) {
+		const parts = data.replace('fw_tgrm_', '').split('_');
+		const index = parseInt(parts.pop());
+		await removeFirewallTag(chatId, messageId, parts.join('_'), index, callbackQuery.from, env);
+		return;
+	}
+	if (data.startsWith('fw_tgadd_')) {
+		await setState(chatId, { step: 'fw_adding_tag', firewallId: data.replace('fw_tgadd_', '') }, env);
+		await sendMessage(chatId, '🏷️ *Add Tag*\n\nSend the tag to attach. Every droplet with this tag will be covered by the firewall:', env);
+		return;
+	}
+	if (data.startsWith('fw_sshgo_')) {
+		await executeOpenSsh(chatId, messageId, data.replace('fw_sshgo_', ''), callbackQuery.from, env);
+		return;
+	}
+	if (data.startsWith('fw_ssh_')) {
+		await setState(chatId, { step: 'fw_ssh_ip', dropletId: data.replace('fw_ssh_', '') }, env);
+		await sendMessage(chatId, '🔓 *Open SSH to My IP*\n\nSend your public IP address (find it at https://ifconfig.me):', env);
+		return;
+	}
+
+	// ── Billing ──
+	if (data === 'bill_back') {
+		await showBilling(chatId, messageId, env);
+		return;
+	}
+	if (data.startsWith('bill_inv_')) {
+		await showBillingInvoice(chatId, messageId, data.replace('bill_inv_', ''), env);
+		return;
+	}
+
+	if (data.startsWith('inv_pdf_') || data.startsWith('inv_csv_')) {
+		const [format, ...rest] = data.replace('inv_', '').split('_');
+		await sendInvoiceFile(chatId, rest.join('_'), format, env);
+		return;
+	}
+
+	// ── GenAI invoice detail ──
+	if (data.startsWith('genai_inv_')) {
+		const invoiceUuid = data.replace('genai_inv_', '');
+		await showGenAIInvoiceDetail(chatId, messageId, invoiceUuid, env);
+		return;
+	}
+	if (data === 'genai_back') {
+		await deleteMessage(chatId, messageId, env);
+		await showGenAIMenu(chatId, env);
+		return;
+	}
+
+	// ── Region selection (Step 1) ──
+	if (data.startsWith('region_')) {
+		const region = data.replace('region_', '');
+		await setState(chatId, { region }, env);
+		await deleteMessage(chatId, messageId, env);
+		await showImageTypeSelection(chatId, region, env);
+	}
+	// ── Image type selection (Step 2) ──
+	else if (data.startsWith('imgtype_')) {
+		const [region, type] = data.replace('imgtype_', '').split('_');
+		await deleteMessage(chatId, messageId, env);
+		await showImagesList(chatId, region, type, 0, env);
+	}
+	// ── Image pagination ──
+	else if (data.startsWith('imgpage_')) {
+		const parts = data.replace('imgpage_', '').split('_');
+		await showImagesListEdit(chatId, messageId, parts[0], parts[1], parseInt(parts[2]), env);
+	}
+	// ── Image search ──
+	else if (data.startsWith('imgsearch_')) {
+		const [region, type] = data.replace('imgsearch_', '').split('_');
+		await deleteMessage(chatId, messageId, env);
+		await sendMessage(chatId, `🔍 *Search ${type === 'app' ? 'Applications' : type === 'os' ? 'OS' : 'Snapshots'}*\n\nType at least ${MIN_SEARCH_LENGTH} characters:`, env);
+		await setState(chatId, { step: 'searching_image', region, type }, env);
+	}
+	else if (data.startsWith('back_from_search_')) {
+		const region = data.replace('back_from_search_', '');
+		await clearState(chatId, env);
+		await deleteMessage(chatId, messageId, env);
+		await showImageTypeSelection(chatId, region, env);
+	}
+	// ── Image selection → sizes (Step 3) ──
+	else if (data.startsWith('selectimg_')) {
+		const parts = data.replace('selectimg_', '').split('_');
+		await deleteMessage(chatId, messageId, env);
+		await showSizes(chatId, parts[0], parts.slice(1).join('_'), env);
+	}
+	else if (data.startsWith('size_')) {
+		const parts = data.replace('size_', '').split('_');
+		const state = await getState(chatId, env);
+		state.size = parts.slice(2).join('_'); state.region = parts[0]; state.image = parts[1];
+		await setState(chatId, state, env);
+		await deleteMessage(chatId, messageId, env);
+		await askDropletName(chatId, parts[1], parts.slice(2).join('_'), parts[0], env);
+	}
+	// ── Droplet name step ──
+	else if (data.startsWith('use_default_name_')) {
+		await deleteMessage(chatId, messageId, env);
+		await useDefaultNameAndConfirm(chatId, data.replace('use_default_name_', ''), env);
+	}
+	else if (data.startsWith('rename_droplet_')) {
+		const sessionId = data.replace('rename_droplet_', '');
+		const dataStr = await env.DROPLET_CREATION.get(sessionId);
+		if (!dataStr) { await editMessage(chatId, messageId, '❌ Session expired.', env); return; }
+		const sessionData = JSON.parse(dataStr);
+		await deleteMessage(chatId, messageId, env);
+		await setState(chatId, { step: 'renaming_droplet', sessionId }, env);
+		await sendMessage(chatId, `📝 *Rename Droplet*\n\nRegion: ${sessionData.region}\nSize: ${sessionData.size}\nImage: ${sessionData.image}\n\n✅ Allowed: a-z, A-Z, 0-9, . and -\n\nSend your desired droplet name:`, env);
+	}
+	// ── SSH keys step ──
+	else if (data.startsWith('sshk_t_')) {
+		const parts = data.replace('sshk_t_', '').split('_');
+		const keyId = parseInt(parts.pop());
+		await toggleSshKey(chatId, messageId, parts.join('_'), keyId, env);
+	}
+	else if (data.startsWith('sshk_def_')) {
+		await saveDefaultSshKeys(chatId, messageId, data.replace('sshk_def_', ''), env);
+	}
+	else if (data.startsWith('sshk_add_')) {
+		const creationId = data.replace('sshk_add_', '');
+		await deleteMessage(chatId, messageId, env);
+		await setState(chatId, { step: 'uploading_ssh_key', creationId }, env);
+		await sendMessage(chatId, '🔑 *Upload SSH Key*\n\nPaste your public key (e.g. the contents of `~/.ssh/id_ed25519.pub`):', env);
+	}
+	else if (data.startsWith('sshk_show_')) {
+		await showSshKeySelection(chatId, messageId, data.replace('sshk_show_', ''), env);
+	}
+	else if (data.startsWith('sshk_go_')) {
+		await showCreateOptions(chatId, messageId, data.replace('sshk_go_', ''), env);
+	}
+	// ── Advanced options step ──
+	else if (data.startsWith('copt_bk_')) {
+		await toggleCreateOption(chatId, messageId, data.replace('copt_bk_', ''), 'backups', env);
+	}
+	else if (data.startsWith('copt_v6_')) {
+		await toggleCreateOption(chatId, messageId, data.replace('copt_v6_', ''), 'ipv6', env);
+	}
+	else if (data.startsWith('copt_mon_')) {
+		await toggleCreateOption(chatId, messageId, data.replace('copt_mon_', ''), 'monitoring', env);
+	}
+	else if (data.startsWith('copt_vpc_')) {
+		await showCreateVpcSelection(chatId, messageId, data.replace('copt_vpc_', ''), env);
+	}
+	else if (data.startsWith('cvpc_')) {
+		const parts = data.replace('cvpc_', '').split('_');
+		const choice = parts.pop();
+		await selectCreateVpc(chatId, messageId, parts.join('_'), choice, env);
+	}
+	else if (data.startsWith('copt_tags_')) {
+		const creationId = data.replace('copt_tags_', '');
+		await deleteMessage(chatId, messageId, env);
+		await setState(chatId, { step: 'setting_create_tags', creationId }, env);
+		await sendMessage(chatId, '🏷️ *Tags*\n\nSend tags separated by spaces or commas (e.g. `web prod`), or `-` for none:\n\n✅ Allowed: a-z, A-Z, 0-9, _ - :', env);
+	}
+	else if (data.startsWith('copt_tpl_')) {
+		await showCreateTemplateSelection(chatId, messageId, data.replace('copt_tpl_', ''), env);
+	}
+	else if (data.startsWith('ctpl_')) {
+		const parts = data.replace('ctpl_', '').split('_');
+		const choice = parts.pop();
+		await selectCreateTemplate(chatId, messageId, parts.join('_'), choice, env);
+	}
+	else if (data.startsWith('copt_save_')) {
+		await setState(chatId, { step: 'naming_preset', creationId: data.replace('copt_save_', '') }, env);
+		await sendMessage(chatId, `💾 *Save as Preset*\n\nSend a name for this preset (e.g. \`web-fra1\`). New droplets are named after it.\n\n✅ Allowed: a-z, A-Z, 0-9, . and -\n✅ Max ${MAX_PRESET_NAME_LENGTH} characters`, env);
+	}
+	else if (data.startsWith('copt_show_')) {
+		await showCreateOptions(chatId, messageId, data.replace('copt_show_', ''), env);
+	}
+	else if (data.startsWith('copt_go_')) {
+		await confirmDropletCreation(chatId, messageId, data.replace('copt_go_', ''), env);
+	}
+	// ── Confirm & create ──
+	else if (data.startsWith('confirmcreate_')) {
+		await createDropletFromKV(chatId, messageId, data.replace('confirmcreate_', ''), callbackQuery.from, env);
+	}
+	// ── Droplet management ──
+	else if (data.startsWith('droplet_')) {
+		await showDropletDetails(chatId, messageId, data.replace('droplet_', ''), env);
+	}
+	else if (data.startsWith('confirm_delete_')) {
+		await showDeleteConfirmation(chatId, messageId, data.replace('confirm_delete_', ''), env);
+	}
+	// NOTE: delete_note_ must be checked BEFORE delete_
+	else if (data.startsWith('delete_note_')) {
+		const dropletId = data.replace('delete_note_', '');
+		const success = await deleteDropletNote(dropletId, env);
+		await deleteMessage(chatId, messageId, env);
+		await sendMessage(chatId, success ? '✅ *Note deleted!*' : '❌ Failed to delete note.', env);
+	}
+	else if (data.startsWith('delete_')) {
+		await deleteDroplet(chatId, messageId, data.replace('delete_', ''), callbackQuery.from, env);
+	}
+	// ── Bulk operations ──
+	else if (data === 'bulk_start') {
+		await startBulkSelection(chatId, messageId, null, env);
+	}
+	else if (data === 'bulk_show') {
+		await showBulkSelection(chatId, messageId, env);
+	}
+	else if (data.startsWith('bulk_t_')) {
+		await toggleBulkDroplet(chatId, messageId, parseInt(data.replace('bulk_t_', '')), env);
+	}
+	else if (data.startsWith('bulk_pg_')) {
+		await setBulkSelectionPage(chatId, messageId, parseInt(data.replace('bulk_pg_', '')), env);
+	}
+	else if (data === 'bulk_all' || data === 'bulk_none') {
+		await setBulkSelectAll(chatId, messageId, data === 'bulk_all', env);
+	}
+	else if (data.startsWith('bulk_act_')) {
+		const action = data.replace('bulk_act_', '');
+		if (BULK_ACTIONS[action]) await confirmBulkAction(chatId, messageId, action, env);
+	}
+	else if (data.startsWith('bulk_yes_')) {
+		const action = data.replace('bulk_yes_', '');
+		if (BULK_ACTIONS[action]) await executeBulkAction(chatId, messageId, action, callbackQuery.from, env);
+	}
+	// ── Droplet list view ──
+	else if (data.startsWith('dlv_page_')) {
+		const view = await getDropletView(chatId, env);
+		await saveDropletView(chatId, { ...view, page: parseInt(data.replace('dlv_page_', '')) }, env);
+		await editMessageToDropletList(chatId, messageId, env);
+	}
+	else if (data === 'dlv_sort') {
+		const view = await getDropletView(chatId, env);
+		const next = DROPLET_SORTS[(DROPLET_SORTS.indexOf(view.sort) + 1) % DROPLET_SORTS.length];
+		await updateDropletView(chatId, messageId, { sort: next }, env);
+	}
+	else if (data === 'dlv_search') {
+		await setState(chatId, { step: 'searching_droplets' }, env);
+		await sendMessage(chatId, `🔍 *Search Droplets*\n\nSend part of a droplet name (min ${MIN_SEARCH_LENGTH} characters):`, env);
+	}
+	else if (data === 'dlv_clearsearch') {
+		await updateDropletView(chatId, messageId, { query: null }, env);
+	}
+	else if (data === 'dlv_filters') {
+		await showDropletFilters(chatId, messageId, env);
+	}
+	else if (data.startsWith('dlv_st_')) {
+		const status = data.replace('dlv_st_', '');
+		await setDropletFilter(chatId, messageId, 'status', status === 'all' ? null : status, env);
+	}
+	else if (data.startsWith('dlv_rg_')) {
+		const region = data.replace('dlv_rg_', '');
+		await setDropletFilter(chatId, messageId, 'region', region === 'all' ? null : region, env);
+	}
+	else if (data.startsWith('dlv_tg_')) {
+		await selectDropletTagFilter(chatId, messageId, data.replace('dlv_tg_', ''), env);
+	}
+	else if (data === 'dlv_note') {
+		const view = await getDropletView(chatId, env);
+		await setDropletFilter(chatId, messageId, 'noted', !view.noted, env);
+	}
+	else if (data === 'dlv_clear') {
+		const view = await getDropletView(chatId, env);
+		await saveDropletView(chatId, { ...DEFAULT_DROPLET_VIEW, sort: view.sort }, env);
+		await showDropletFilters(chatId, messageId, env);
+	}
+	else if (data === 'back_to_list') {
+		await editMessageToDropletList(chatId, messageId, env);
+	}
+	else if (data.startsWith('rebuild_')) {
+		await showRebuildImageTypeSelection(chatId, messageId, data.replace('rebuild_', ''), env);
+	}
+	// ── Notes ──
+	else if (data.startsWith('manage_note_')) {
+		await showNoteManagement(chatId, messageId, data.replace('manage_note_', ''), env);
+	}
+	else if (data.startsWith('add_note_')) {
+		const dropletId = data.replace('add_note_', '');
+		await deleteMessage(chatId, messageId, env);
+		await setState(chatId, { step: 'editing_note', dropletId }, env);
+		await sendMessage(chatId, `📝 *Add Note*\n\nSend your note for this droplet:\n\n✅ Max ${MAX_NOTE_LENGTH} characters\n✅ Multi-line supported`, env);
+	}
+	else if (data.startsWith('edit_note_')) {
+		const dropletId = data.replace('edit_note_', '');
+		await deleteMessage(chatId, messageId, env);
+		const currentNote = await getDropletNote(dropletId, env);
+		await setState(chatId, { step: 'editing_note', dropletId }, env);
+		await sendMessage(chatId, `📝 *Edit Note*\n\nCurrent note:\n\`\`\`\n${currentNote || 'No note'}\n\`\`\`\n\nSend your new note:\n\n✅ Max ${MAX_NOTE_LENGTH} characters\n✅ Multi-line supported`, env);
+	}
+	else if (data.startsWith('back_to_droplet_')) {
+		await showDropletDetails(chatId, messageId, data.replace('back_to_droplet_', ''), env);
+	}
+	// ── Rename existing droplet ──
+	else if (data.startsWith('rename_existing_')) {
+		const dropletId = data.replace('rename_existing_', '');
+		const apiToken = await getUserApiToken(chatId, env);
+		const dropletData = await doApiCall(`/droplets/${dropletId}`, 'GET', apiToken);
+		if (!dropletData.droplet) { await editMessage(chatId, messageId, '❌ Droplet not found.', env); return; }
+		await deleteMessage(chatId, messageId, env);
+		await setState(chatId, { step: 'renaming_existing_droplet', dropletId, oldName: dropletData.droplet.name }, env);
+		await sendMessage(chatId, `🏷️ *Rename Droplet*\n\nCurrent name: \`${dropletData.droplet.name}\`\n\n✅ Allowed: a-z, A-Z, 0-9, . and -\n\nSend new droplet name:`, env);
+	}
+	else if (data.startsWith('confirm_rename_')) {
+		await executeRename(chatId, messageId, data.replace('confirm_rename_', ''), callbackQuery.from, env);
+	}
+	// ── Rebuild ──
+	else if (data.startsWith('rebuildtype_')) {
+		const parts = data.replace('rebuildtype_', '').split('_');
+		await showRebuildImagesList(chatId, messageId, parts[0], parts[1], 0, env);
+	}
+	else if (data.startsWith('rebuildpage_')) {
+		const parts = data.replace('rebuildpage_', '').split('_');
+		await showRebuildImagesList(chatId, messageId, parts[0], parts[1], parseInt(parts[2]), env);
+	}
+	else if (data.startsWith('rebuildsearch_')) {
+		const parts = data.replace('rebuildsearch_', '').split('_');
+		await deleteMessage(chatId, messageId, env);
+		await sendMessage(chatId, `🔍 *Search ${parts[1] === 'app' ? 'Applications' : parts[1] === 'os' ? 'OS' : 'Snapshots'}*\n\nType at least ${MIN_SEARCH_LENGTH} characters:`, env);
+		await setState(chatId, { step: 'rebuild_searching_image', dropletId: parts[0], type: parts[1] }, env);
+	}
+	else if (data.startsWith('back_from_rebuild_search_')) {
+		const dropletId = data.replace('back_from_rebuild_search_', '');
+		await clearState(chatId, env);
+		await deleteMessage(chatId, messageId, env);
+		await showRebuildImageTypeSelectionNew(chatId, dropletId, env);
+	}
+	else if (data.startsWith('rebuildimg_')) {
+		const parts = data.replace('rebuildimg_', '').split('_');
+		await confirmRebuild(chatId, messageId, parts[0], parts.slice(1).join('_'), env);
+	}
+	else if (data.startsWith('execute_rebuild_')) {
+		await executeRebuild(chatId, messageId, data.replace('execute_rebuild_', ''), callbackQuery.from, env);
+	}
+	// ── Power on/off ──
+	else if (data.startsWith('pwr_on_yes_')) {
+		await executePowerAction(chatId, messageId, data.replace('pwr_on_yes_', ''), 'power_on', callbackQuery.from, env);
+	}
+	else if (data.startsWith('pwr_off_yes_')) {
+		await executePowerAction(chatId, messageId, data.replace('pwr_off_yes_', ''), 'power_off', callbackQuery.from, env);
+	}
+	else if (data.startsWith('pwr_on_')) {
+		await confirmPowerAction(chatId, messageId, data.replace('pwr_on_', ''), 'power_on', env);
+	}
+	else if (data.startsWith('pwr_off_')) {
+		await confirmPowerAction(chatId, messageId, data.replace('pwr_off_', ''), 'power_off', env);
+	}
+	// ── Restart ──
+	else if (data.startsWith('restart_yes_')) {
+		await executeRestartAction(chatId, messageId, data.replace('restart_yes_', ''), callbackQuery.from, env);
+	}
+	else if (data.startsWith('restart_')) {
+		await confirmRestartAction(chatId, messageId, data.replace('restart_', ''), env);
+	}
+	// ── Resize ──
+	else if (data.startsWith('rsz_s_')) {
+		const [dropletId, ...slug] = data.replace('rsz_s_', '').split('_');
+		await showResizeMode(chatId, messageId, dropletId, slug.join('_'), env);
+	}
+	else if (data.startsWith('rsz_m_') || data.startsWith('rsz_y_')) {
+		// rsz_{m,y}_<dropletId>_<size slug>_<d|c>; size slugs may contain _
+		const [dropletId, ...rest] = data.slice(6).split('_');
+		const disk = rest.pop() === 'd';
+		if (data.startsWith('rsz_m_')) await confirmResize(chatId, messageId, dropletId, rest.join('_'), disk, env);
+		else await executeResize(chatId, messageId, dropletId, rest.join('_'), disk, callbackQuery.from, env);
+	}
+	else if (data.startsWith('rsz_')) {
+		await showResizeSizes(chatId, messageId, data.replace('rsz_', ''), env);
+	}
+	// ── Take snapshot ──
+	// ── Snapshot policies ──
+	else if (data.startsWith('spol_new_')) {
+		await showSnapshotPolicyFrequency(chatId, messageId, data.replace('spol_new_', ''), env);
+	}
+	else if (data.startsWith('spol_f_')) {
+		const [dropletId, frequency] = data.replace('spol_f_', '').split('_');
+		if (frequency === 'w') await showSnapshotPolicyWeekday(chatId, messageId, dropletId, env);
+		else await showSnapshotPolicyHour(chatId, messageId, dropletId, 'd', env);
+	}
+	else if (data.startsWith('spol_w_')) {
+		const [dropletId, weekday] = data.replace('spol_w_', '').split('_');
+		await showSnapshotPolicyHour(chatId, messageId, dropletId, `w${weekday}`, env);
+	}
+	else if (data.startsWith('spol_h_')) {
+		const [dropletId, schedule, hour] = data.replace('spol_h_', '').split('_');
+		await showSnapshotPolicyKeep(chatId, messageId, dropletId, schedule, parseInt(hour), env);
+	}
+	else if (data.startsWith('spol_k_')) {
+		const [dropletId, schedule, hour, keep] = data.replace('spol_k_', '').split('_');
+		await saveSnapshotPolicy(chatId, messageId, dropletId, schedule, parseInt(hour), parseInt(keep), callbackQuery.from, env);
+	}
+	else if (data.startsWith('spol_rm_')) {
+		await confirmRemoveSnapshotPolicy(chatId, messageId, data.replace('spol_rm_', ''), env);
+	}
+	else if (data.startsWith('spol_rmy_')) {
+		await removeSnapshotPolicy(chatId, messageId, data.replace('spol_rmy_', ''), callbackQuery.from, env);
+	}
+	else if (data.startsWith('spol_')) {
+		await showSnapshotPolicy(chatId, messageId, data.replace('spol_', ''), env);
+	}
+	else if (data.startsWith('snap_take_')) {
+		await askSnapshotName(chatId, messageId, data.replace('snap_take_', ''), env);
+	}
+	else if (data.startsWith('snap_default_')) {
+		await useDefaultSnapshotName(chatId, messageId, data.replace('snap_default_', ''), env);
+	}
+	else if (data.startsWith('snap_rename_')) {
+		const sessionId = data.replace('snap_rename_', '');
+		const dataStr = await env.DROPLET_CREATION.get(sessionId);
+		if (!dataStr) { await editMessage(chatId, messageId, '❌ Session expired.', env); return; }
+		const sessionData = JSON.parse(dataStr);
+		await deleteMessage(chatId, messageId, env);
+		await setState(chatId, { step: 'naming_snapshot', dropletId: sessionData.dropletId, dropletName: sessionData.dropletName }, env);
+		await sendMessage(chatId, `📝 *Snapshot Name*\n\nDroplet: \`${sessionData.dropletName}\`\n\n✅ Allowed: a-z, A-Z, 0-9, spaces, . _ -\n✅ Max ${MAX_SNAPSHOT_NAME_LENGTH} characters\n\nSend your snapshot name (or /cancel to abort):`, env);
+	}
+	else if (data.startsWith('snap_exec_')) {
+		await executeSnapshot(chatId, messageId, data.replace('snap_exec_', ''), callbackQuery.from, env);
+	}
+	// ── Snapshot management ──
+	else if (data.startsWith('snap_page_')) {
+		await showSnapshotsListEdit(chatId, messageId, parseInt(data.replace('snap_page_', '')), env);
+	}
+	else if (data.startsWith('snap_view_')) {
+		await showSnapshotDetails(chatId, messageId, data.replace('snap_view_', ''), env);
+	}
+	else if (data.startsWith('snap_del_yes_')) {
+		await executeDeleteSnapshot(chatId, messageId, data.replace('snap_del_yes_', ''), callbackQuery.from, env);
+	}
+	else if (data.startsWith('snap_del_')) {
+		await confirmDeleteSnapshot(chatId, messageId, data.replace('snap_del_', ''), env);
+	}
+	else if (data === 'snap_back_list') {
+		await showSnapshotsListEdit(chatId, messageId, 0, env);
+	}
+	// ── Cancel / back ──
+	else if (data === 'cancel_create') {
+		await clearState(chatId, env); await editMessage(chatId, messageId, '❌ Cancelled.', env);
+	}
+	else if (data === 'back_to_regions') {
+		await showRegionsEdit(chatId, messageId, env);
+	}
+}
+
+// ─── STATE MANAGEMENT ─────────────────────────────────────────────────────────
+
+async function getState(chatId, env) {
+	const json = await env.DROPLET_CREATION.get(`state_${chatId}`);
+	return json ? JSON.parse(json) : {};
+}
+
+async function setState(chatId, state, env) {
+	await env.DROPLET_CREATION.put(`state_${chatId}`, JSON.stringify(state), { expirationTtl: 600 });
+}
+
+async function clearState(chatId, env) {
+	await env.DROPLET_CREATION.delete(`state_${chatId}`);
+}
+
+// State is kept per chat, so a prompt opened by this update is stamped with the user who opened it
+async function claimState(chatId, userId, env) {
+	const state = await getState(chatId, env);
+	if (state.step && state.userId == null) await setState(chatId, { ...state, userId }, env);
+}
+
+// ─── REGION SELECTION (Step 1) ────────────────────────────────────────────────
+
+async function showRegions(chatId, env) {
+	const apiToken = await getUserApiToken(chatId, env);
+	if (!apiToken) { await sendMessage(chatId, '❌ No API token. Use /setapi first.', env); return; }
+	const data = await doApiCall('/regions', 'GET', apiToken);
+	const regions = data.regions.filter(r => r.available);
+	const keyboard = [];
+	for (let i = 0; i < regions.length; i += 2) {
+		const row = [{ text: regions[i].name, callback_data: `region_${regions[i].slug}` }];
+		if (i + 1 < regions.length) row.push({ text: regions[i + 1].name, callback_data: `region_${regions[i + 1].slug}` });
+		keyboard.push(row);
+	}
+	await sendMessage(chatId, '🚀 *Create New Droplet*\n\n🌍 Step 1: Select region', env, { inline_keyboard: keyboard });
+}
+
+async function showRegionsEdit(chatId, messageId, env) {
+	const apiToken = await getUserApiToken(chatId, env);
+	const data = await doApiCall('/regions', 'GET', apiToken);
+	const regions = data.regions.filter(r => r.available);
+	const keyboard = [];
+	for (let i = 0; i < regions.length; i += 2) {
+		const row = [{ text: regions[i].name, callback_data: `region_${regions[i].slug}` }];
+		if (i + 1 < regions.length) row.push({ text: regions[i + 1].name, callback_data: `region_${regions[i + 1].slug}` });
+		keyboard.push(row);
+	}
+	await editMessage(chatId, messageId, '🌍 *Select region:*', env, { inline_keyboard: keyboard });
+}
+
+// ─── IMAGE TYPE SELECTION (Step 2) ────────────────────────────────────────────
+
+async function showImageTypeSelection(chatId, region, env) {
+	const keyboard = {
+		inline_keyboard: [
+			[{ text: '🐧 Operating Systems', callback_data: `imgtype_${region}_os` }],
+			[{ text: '📦 Applications',      callback_data: `imgtype_${region}_app` }],
+			[{ text: '📸 My Snapshots',      callback_data: `imgtype_${region}_snapshot` }],
+			[{ text: '◀️ Back to Regions',   callback_data: 'back_to_regions' }],
+		]
+	};
+	await sendMessage(chatId, `✅ Region: *${region}*\n\n🖥️ Step 2: Choose image type`, env, keyboard);
+}
+
+// ─── IMAGES LIST WITH PAGINATION ──────────────────────────────────────────────
+
+async function showImagesList(chatId, region, type, page, env) {
+	const apiToken = await getUserApiToken(chatId, env);
+	if (!apiToken) { await sendMessage(chatId, '❌ No API token.', env); return; }
+	let images = filterImagesByRegion(await getImagesByType(type, apiToken, env), region);
+	if (images.length === 0) {
+		await sendMessage(chatId, `❌ No ${type === 'app' ? 'applications' : type === 'os' ? 'OS images' : 'snapshots'} available in ${region}.`, env);
+		return;
+	}
+	const totalPages = Math.ceil(images.length / ITEMS_PER_PAGE);
+	const pageImages = images.slice(page * ITEMS_PER_PAGE, (page + 1) * ITEMS_PER_PAGE);
+	const keyboard = pageImages.map(img => [{ text: img.name, callback_data: `selectimg_${region}_${img.id}` }]);
+	const nav = [];
+	if (page > 0) nav.push({ text: '◀️ Previous', callback_data: `imgpage_${region}_${type}_${page - 1}` });
+	if (page < totalPages - 1) nav.push({ text: 'Next ▶️', callback_data: `imgpage_${region}_${type}_${page + 1}` });
+	if (nav.length) keyboard.push(nav);
+	keyboard.push([{ text: '🔍 Search', callback_data: `imgsearch_${region}_${type}` }]);
+	keyboard.push([{ text: '◀️ Back',   callback_data: 'back_to_regions' }]);
+	const label = type === 'app' ? 'Applications' : type === 'os' ? 'Operating Systems' : 'Snapshots';
+	const emoji = type === 'app' ? '📦' : type === 'os' ? '🐧' : '📸';
+	await sendMessage(chatId, `${emoji} *${label}*\n\nPage ${page + 1}/${totalPages} (${images.length} total)`, env, { inline_keyboard: keyboard });
+}
+
+async function showImagesListEdit(chatId, messageId, region, type, page, env) {
+	const apiToken = await getUserApiToken(chatId, env);
+	let images = filterImagesByRegion(await getImagesByType(type, apiToken, env), region);
+	const totalPages = Math.ceil(images.length / ITEMS_PER_PAGE);
+	const pageImages = images.slice(page * ITEMS_PER_PAGE, (page + 1) * ITEMS_PER_PAGE);
+	const keyboard = pageImages.map(img => [{ text: img.name, callback_data: `selectimg_${region}_${img.id}` }]);
+	const nav = [];
+	if (page > 0) nav.push({ text: '◀️ Previous', callback_data: `imgpage_${region}_${type}_${page - 1}` });
+	if (page < totalPages - 1) nav.push({ text: 'Next ▶️', callback_data: `imgpage_${region}_${type}_${page + 1}` });
+	if (nav.length) keyboard.push(nav);
+	keyboard.push([{ text: '🔍 Search', callback_data: `imgsearch_${region}_${type}` }]);
+	keyboard.push([{ text: '◀️ Back',   callback_data: 'back_to_regions' }]);
+	const label = type === 'app' ? 'Applications' : type === 'os' ? 'Operating Systems' : 'Snapshots';
+	const emoji = type === 'app' ? '📦' : type === 'os' ? '🐧' : '📸';
+	await editMessage(chatId, messageId, `${emoji} *${label}*\n\nPage ${page + 1}/${totalPages} (${images.length} total)`, env, { inline_keyboard: keyboard });
+}
+
+// ─── IMAGE SEARCH ─────────────────────────────────────────────────────────────
+
+async function handleImageSearch(chatId, query, state, env) {
+	if (query.length < MIN_SEARCH_LENGTH) {
+		await sendMessage(chatId, `❌ Search query too short. Min ${MIN_SEARCH_LENGTH} characters.`, env);
+		return;
+	}
+	const apiToken = await getUserApiToken(chatId, env);
+	const results = filterImagesByRegion(await getImagesByType(state.type, apiToken, env), state.region)
+		.filter(img => img.name.toLowerCase().includes(query.toLowerCase()));
+	if (results.length === 0) {
+		await clearState(chatId, env);
+		await sendMessage(chatId, '❌ No results found.', env, {
+			inline_keyboard: [[{ text: '◀️ Back to Menu', callback_data: `back_from_search_${state.region}` }]]
+		});
+		return;
+	}
+	const totalPages = Math.ceil(results.length / ITEMS_PER_PAGE);
+	const keyboard = results.slice(0, ITEMS_PER_PAGE).map(img => [{ text: img.name, callback_data: `selectimg_${state.region}_${img.id}` }]);
+	if (totalPages > 1) keyboard.push([{ text: 'Next ▶️', callback_data: `imgpage_${state.region}_${state.type}_1` }]);
+	keyboard.push([{ text: '◀️ Back', callback_data: `back_from_search_${state.region}` }]);
+	await sendMessage(chatId, `🔍 Found ${results.length} result(s)\n\nPage 1/${totalPages}`, env, { inline_keyboard: keyboard });
+	await clearState(chatId, env);
+}
+
+// ─── SIZE SELECTION (Step 3) ──────────────────────────────────────────────────
+
+// Available sizes in a region with at least minDisk GB, cheapest first; null when the region offers none
+async function getRegionSizes(apiToken, region, minDisk) {
+	const regionData = await doApiCall('/regions', 'GET', apiToken);
+	const regionSizes = regionData.regions.find(r => r.slug === region)?.sizes || [];
+	if (regionSizes.length === 0) return null;
+	const sizesData = await doApiCall('/sizes?per_page=200', 'GET', apiToken);
+	return sizesData.sizes
+		.filter(s => s.available && regionSizes.includes(s.slug) && s.disk >= minDisk)
+		.sort((a, b) => a.price_monthly - b.price_monthly);
+}
+
+async function showSizes(chatId, region, imageId, env) {
+	const apiToken = await getUserApiToken(chatId, env);
+	const imageData = await doApiCall(`/images/${imageId}`, 'GET', apiToken);
+	const image = imageData.image;
+	if (!image) { await sendMessage(chatId, '❌ Image not found.', env); return; }
+
+	const available = await getRegionSizes(apiToken, region, image.min_disk_size);
+	if (!available) { await sendMessage(chatId, '❌ No sizes available in this region.', env); return; }
+	if (available.length === 0) {
+		await sendMessage(chatId, `⚠️ *No compatible sizes!*\n\n${image.name} requires:\n• Min ${image.min_disk_size}GB disk`, env);
+		return;
+	}
+	await setState(chatId, { region, image: imageId }, env);
+	const keyboard = available.slice(0, 15).map(s => [{
+		text: `${s.slug} - $${s.price_monthly}/mo (${Math.ceil(s.memory / 1024)}GB RAM, ${s.disk}GB)`,
+		callback_data: `size_${region}_${imageId}_${s.slug}`
+	}]);
+	keyboard.push([{ text: '◀️ Back', callback_data: 'back_to_regions' }]);
+	await sendMessage(chatId, `✅ Image: *${image.name}*\n\n💰 Step 3: Select size`, env, { inline_keyboard: keyboard });
+}
+
+// ─── DROPLET NAME & CREATION ──────────────────────────────────────────────────
+
+function generateDropletName(imageId, size, region) {
+	return `droplet-${size}-${region}-${Date.now().toString().slice(-4)}`;
+}
+
+async function askDropletName(chatId, imageId, size, region, env) {
+	const defaultName = generateDropletName(imageId, size, region);
+	const sessionId = `session_${chatId}_${Date.now()}`;
+	await env.DROPLET_CREATION.put(sessionId, JSON.stringify({ region, size, image: imageId, defaultName }), { expirationTtl: 300 });
+	const keyboard = {
+		inline_keyboard: [
+			[{ text: '✅ Use Default', callback_data: `use_default_name_${sessionId}` },
+			 { text: '📝 Rename',      callback_data: `rename_droplet_${sessionId}` }],
+			[{ text: '◀️ Back', callback_data: 'back_to_regions' }],
+		]
+	};
+	await sendMessage(chatId, `📝 *Droplet Name*\n\nRegion: ${region}\nSize: ${size}\nImage ID: ${imageId}\n\nDefault: \`${defaultName}\``, env, keyboard);
+}
+
+async function useDefaultNameAndConfirm(chatId, sessionId, env) {
+	const dataStr = await env.DROPLET_CREATION.get(sessionId);
+	if (!dataStr) { await sendMessage(chatId, '❌ Session expired.', env); return; }
+	const data = JSON.parse(dataStr);
+	await createDropletDraft(chatId, data.defaultName, data.region, data.size, data.image, env);
+	await env.DROPLET_CREATION.delete(sessionId);
+}
+
+// Start a creation draft once the name is known; the following steps edit it in KV
+async function createDropletDraft(chatId, name, region, size, imageId, env) {
+	const apiToken = await getUserApiToken(chatId, env);
+	const keysData = await doApiCall('/account/keys', 'GET', apiToken);
+	const accountKeyIds = (keysData.ssh_keys || []).map(k => k.id);
+	const defaults = await getDefaultSshKeyIds(await getAccountUuid(apiToken), env);
+	const sshKeyIds = defaults ? accountKeyIds.filter(id => defaults.includes(id)) : accountKeyIds;
+	const creationId = `create_${chatId}_${Date.now()}`;
+	await saveDropletDraft(creationId, {
+		name, region, size, image: imageId, sshKeyIds,
+		backups: false, ipv6: false, monitoring: true, vpcUuid: null, vpcName: null, tags: [], template: null,
+	}, env);
+	await showSshKeySelection(chatId, null, creationId, env);
+}
+
+async function getDropletDraft(creationId, env) {
+	const dataStr = await env.DROPLET_CREATION.get(creationId);
+	return dataStr ? JSON.parse(dataStr) : null;
+}
+
+async function saveDropletDraft(creationId, draft, env) {
+	await env.DROPLET_CREATION.put(creationId, JSON.stringify(draft), { expirationTtl: 900 });
+}
+
+async function confirmDropletCreation(chatId, messageId, creationId, env) {
+	const draft = await getDropletDraft(creationId, env);
+	if (!draft) { await editMessage(chatId, messageId, '❌ Session expired.', env); return; }
+	const apiToken = await getUserApiToken(chatId, env);
+	const cost = await formatDraftCost(draft, apiToken);
+	const keyboard = {
+		inline_keyboard: [
+			[{ text: '✅ Create', callback_data: `confirmcreate_${creationId}` }],
+			[{ text: '💾 Save as Preset', callback_data: `copt_save_${creationId}` }],
+			[{ text: '◀️ Back',  callback_data: `copt_show_${creationId}` }],
+		]
+	};
+	await editMessage(chatId, messageId,
+		`⚠️ *Confirm*\n\n*Name:* ${draft.name}\n${describeDraftBasics(draft)}\n\n${describeCreateOptions(draft)}\n\n💰 *Cost:* ${cost}`,
+		env, keyboard);
+}
+
+function describeDraftBasics(draft) {
+	const auth = draft.sshKeyIds.length > 0
+		? `*SSH Keys:* ${draft.sshKeyIds.length}`
+		: '*Auth:* 🔐 root password (emailed by DigitalOcean)';
+	return `*Region:* ${draft.region}\n*Size:* ${draft.size}\n*Image ID:* ${draft.image}\n${auth}`;
+}
+
+async function formatDraftCost(draft, apiToken) {
+	const sizesData = await doApiCall('/sizes?per_page=200', 'GET', apiToken);
+	const price = (sizesData.sizes || []).find(s => s.slug === draft.size)?.price_monthly;
+	let cost = price != null ? `$${price}/mo` : '?';
+	if (draft.backups && price != null) {
+		const backupCost = price * BACKUP_PRICE_RATIO;
+		cost += ` + $${backupCost.toFixed(2)}/mo backups = *$${(price + backupCost).toFixed(2)}/mo*`;
+	}
+	return cost;
+}
+
+// ─── ADVANCED CREATE OPTIONS ──────────────────────────────────────────────────
+
+function isValidTag(tag) {
+	return /^[a-zA-Z0-9_\-:]{1,255}$/.test(tag);
+}
+
+function describeCreateOptions(draft) {
+	const flag = (on) => on ? '✅' : '❌';
+	const tags = draft.tags.length > 0 ? draft.tags.map(t => `\`${t}\``).join(', ') : 'none';
+	return `*Backups:* ${flag(draft.backups)}\n*IPv6:* ${flag(draft.ipv6)}\n*Monitoring:* ${flag(draft.monitoring)}\n*VPC:* ${draft.vpcName ? `\`${sanitizeForCode(draft.vpcName)}\`` : 'region default'}\n*Tags:* ${tags}\n*Cloud-init:* ${draft.template ? `\`${draft.template}\`` : 'none'}`;
+}
+
+async function showCreateOptions(chatId, messageId, creationId, env) {
+	const draft = await getDropletDraft(creationId, env);
+	if (!draft) {
+		if (messageId) await editMessage(chatId, messageId, '❌ Session expired.', env);
+		else await sendMessage(chatId, '❌ Session expired.', env);
+		return;
+	}
+	const check = (on) => on ? '✅' : '⬜';
+	const keyboard = [
+		[{ text: `${check(draft.backups)} Backups (+${BACKUP_PRICE_RATIO * 100}%)`, callback_data: `copt_bk_${creationId}` }],
+		[{ text: `${check(draft.ipv6)} IPv6`,             callback_data: `copt_v6_${creationId}` },
+		 { text: `${check(draft.monitoring)} Monitoring`, callback_data: `copt_mon_${creationId}` }],
+		[{ text: `🌐 VPC: ${draft.vpcName || 'default'}`, callback_data: `copt_vpc_${creationId}` }],
+		[{ text: `🏷️ Tags: ${draft.tags.length > 0 ? draft.tags.join(', ') : 'none'}`, callback_data: `copt_tags_${creationId}` }],
+		[{ text: `📜 Cloud-init: ${draft.template || 'none'}`, callback_data: `copt_tpl_${creationId}` }],
+		[{ text: 'Continue ▶️', callback_data: `copt_go_${creationId}` }],
+		[{ text: '◀️ Back',     callback_data: `sshk_show_${creationId}` }],
+	];
+	const text = `⚙️ *Advanced Options*\n\nDroplet: \`${draft.name}\`\n\n${describeCreateOptions(draft)}`;
+	if (messageId) await editMessage(chatId, messageId, text, env, { inline_keyboard: keyboard });
+	else await sendMessage(chatId, text, env, { inline_keyboard: keyboard });
+}
+
+async function toggleCreateOption(chatId, messageId, creationId, option, env) {
+	const draft = await getDropletDraft(creationId, env);
+	if (!draft) { await editMessage(chatId, messageId, '❌ Session expired.', env); return; }
+	draft[option] = !draft[option];
+	await saveDropletDraft(creationId, draft, env);
+	await showCreateOptions(chatId, messageId, creationId, env);
+}
+
+async function getRegionVpcs(region, apiToken) {
+	const data = await doApiCall('/vpcs?per_page=200', 'GET', apiToken);
+	return (data.vpcs || []).filter(v => v.region === region);
+}
+
+async function showCreateVpcSelection(chatId, messageId, creationId, env) {
+	const draft = await getDropletDraft(creationId, env);
+	if (!draft) { await editMessage(chatId, messageId, '❌ Session expired.', env); return; }
+	const apiToken = await getUserApiToken(chatId, env);
+	const vpcs = await getRegionVpcs(draft.region, apiToken);
+	const keyboard = vpcs.map((v, i) => [{
+		text: `${draft.vpcUuid === v.id ? '✅ ' : ''}${v.name}${v.default ? ' (default)' : ''} — ${v.ip_range}`,
+		callback_data: `cvpc_${creationId}_${i}`
+	}]);
+	keyboard.push([{ text: `${draft.vpcUuid ? '' : '✅ '}Region default`, callback_data: `cvpc_${creationId}_d` }]);
+	keyboard.push([{ text: '◀️ Back', callback_data: `copt_show_${creationId}` }]);
+	await editMessage(chatId, messageId, `🌐 *Select VPC*\n\nRegion: ${draft.region}\nVPCs: ${vpcs.length}`, env, { inline_keyboard: keyboard });
+}
+
+// Choice is an index into the region's VPC list, or 'd' for the region default
+async function selectCreateVpc(chatId, messageId, creationId, choice, env) {
+	const draft = await getDropletDraft(creationId, env);
+	if (!draft) { await editMessage(chatId, messageId, '❌ Session expired.', env); return; }
+	if (choice === 'd') {
+		draft.vpcUuid = null;
+		draft.vpcName = null;
+	} else {
+		const apiToken = await getUserApiToken(chatId, env);
+		const vpc = (await getRegionVpcs(draft.region, apiToken))[parseInt(choice)];
+		if (vpc) {
+			draft.vpcUuid = vpc.id;
+			draft.vpcName = vpc.name;
+		}
+	}
+	await saveDropletDraft(creationId, draft, env);
+	await showCreateOptions(chatId, messageId, creationId, env);
+}
+
+async function setCreateTags(chatId, creationId, text, env) {
+	const draft = await getDropletDraft(creationId, env);
+	if (!draft) { await sendMessage(chatId, '❌ Session expired. Please try /create again.', env); return false; }
+	const tags = text.trim() === '-' ? [] : [...new Set(text.split(/[\s,]+/).filter(Boolean))];
+	const invalid = tags.filter(t => !isValidTag(t));
+	if (invalid.length > 0) {
+		await sendMessage(chatId, `❌ *Invalid tag(s):* ${invalid.map(t => `\`${sanitizeForCode(t)}\``).join(', ')}\n\n✅ Allowed: a-z, A-Z, 0-9, _ - :\n\nPlease try again:`, env);
+		return false;
+	}
+	draft.tags = tags;
+	await saveDropletDraft(creationId, draft, env);
+	await showCreateOptions(chatId, null, creationId, env);
+	return true;
+}
+
+// ─── CLOUD-INIT TEMPLATES ─────────────────────────────────────────────────────
+
+const TEMPLATE_CONTENT_HINT = 'Send the cloud-config script. The first line must be `#cloud-config`.\n\nPlaceholders: `{{name}}`, `{{region}}`, `{{size}}`, `{{image}}`';
+
+// Quoted strings and flow collections must be closed on the same line
+function checkYamlScalar(value) {
+	const v = value.replace(/\s+#.*$/, '').trim();
+	if (v === '') return null;
+	if (v[0] === '@' || v[0] === '`') return `"${v[0]}" cannot start a plain value`;
+	if (v[0] === '"' || v[0] === "'") {
+		const m = v[0] === '"' ? v.match(/^"(?:[^"\\]|\\.)*"/) : v.match(/^'(?:[^']|'')*'/);
+		if (!m) return 'unterminated quoted string';
+		if (v.slice(m[0].length).trim() !== '') return 'unexpected text after quoted string';
+		return null;
+	}
+	if (v[0] === '[' || v[0] === '{') {
+		const stack = [];
+		let quote = null;
+		for (const ch of v) {
+			if (quote) { if (ch === quote) quote = null; continue; }
+			if (ch === '"' || ch === "'") quote = ch;
+			else if (ch === '[' || ch === '{') stack.push(ch === '[' ? ']' : '}');
+			else if ((ch === ']' || ch === '}') && stack.pop() !== ch) return 'unbalanced brackets';
+		}
+		if (quote) return 'unterminated string in flow collection';
+		if (stack.length > 0) return 'unclosed flow collection';
+	}
+	return null;
+}
+
+// Split "key: value"; null when the line is not a mapping entry
+function splitYamlKey(content) {
+	let keyEnd;
+	if (content[0] === '"' || content[0] === "'") {
+		const m = content[0] === '"' ? content.match(/^"(?:[^"\\]|\\.)*"/) : content.match(/^'(?:[^']|'')*'/);
+		if (!m || content[m[0].length] !== ':') return null;
+		keyEnd = m[0].length;
+	} else {
+		const m = content.match(/:(\s|$)/);
+		if (!m || content[0] === '[' || content[0] === '{') return null;
+		keyEnd = m.index;
+	}
+	return { key: content.slice(0, keyEnd).trim(), value: content.slice(keyEnd + 1).trim() };
+}
+
+// Structural YAML check (block mappings, sequences, block scalars, quoting) — enough to catch
+// the indentation and syntax mistakes that make cloud-init silently skip a config.
+// Returns "line N: problem", or null when the document parses.
+function validateYaml(text) {
+	const lines = text.replace(/\r\n?/g, '\n').split('\n');
+	const stack = [{ indent: -1, type: 'map', keys: new Set() }];
+	let expectChild = true;   // previous line opened a nested collection ("key:" or "-")
+	let block = null;         // indent of the key that opened a | or > block scalar
+	let continuation = null;  // indent of the key whose plain value may wrap onto following lines
+
+	for (let i = 0; i < lines.length; i++) {
+		const raw = lines[i];
+		const n = i + 1;
+		const indent = raw.match(/^ */)[0].length;
+		if (block !== null) {
+			if (raw.trim() === '' || indent > block) continue;
+			block = null;
+		}
+		if (/^\s*(#.*)?$/.test(raw)) continue;
+		if (/^ *\t/.test(raw)) return `line ${n}: tabs are not allowed for indentation`;
+		let content = raw.slice(indent);
+		if (indent === 0 && (content === '---' || content === '...')) continue;
+		if (continuation !== null && indent > continuation && !expectChild) {
+			if (splitYamlKey(content)) return `line ${n}: unexpected indentation`;
+			continue;
+		}
+		continuation = null;
+
+		// "- - key: value" opens one sequence level per dash, then a mapping past the last dash
+		const levels = [];
+		let column = indent;
+		while (/^-(\s|$)/.test(content)) {
+			levels.push({ indent: column, type: 'seq' });
+			const rest = content.slice(1);
+			const pad = rest.match(/^ */)[0].length;
+			column += 1 + pad;
+			content = rest.slice(pad);
+		}
+		if (content !== '') levels.push({ indent: column, type: 'map' });
+
+		for (let li = 0; li < levels.length; li++) {
+			const { indent: col, type } = levels[li];
+			const inline = li > 0;
+			while (stack.length > 1 && stack[stack.length - 1].indent > col) stack.pop();
+			let top = stack[stack.length - 1];
+			// A sequence written at its parent key's indent ends at the next key
+			if (top.indent === col && top.type === 'seq' && top.compact && type === 'map') {
+				stack.pop();
+				top = stack[stack.length - 1];
+			}
+			if (top.indent === col && !expectChild && !inline) {
+				if (top.type !== type) return `line ${n}: cannot mix mapping and sequence entries at the same level`;
+			} else if (top.indent === col && expectChild && type === 'seq' && top.type === 'map') {
+				stack.push({ indent: col, type, keys: new Set(), compact: true });
+			} else if (top.indent < col && (expectChild || inline)) {
+				stack.push({ indent: col, type, keys: new Set() });
+			} else if (top.indent !== col || top.type !== type) {
+				return `line ${n}: unexpected indentation`;
+			}
+			expectChild = false;
+			if (type === 'seq') {
+				expectChild = li === levels.length - 1;
+				continue;
+			}
+
+			const pair = splitYamlKey(content);
+			if (!pair) {
+				if (!inline) return `line ${n}: expected "key: value"`;
+				// "- |" block scalar item: its lines belong to the dash
+				if (/^[|>][-+0-9]*\s*(#.*)?$/.test(content)) {
+					block = levels[li - 1].indent;
+					stack.pop();
+					continue;
+				}
+				// Plain sequence item such as "- nginx"
+				const error = checkYamlScalar(content);
+				if (error) return `line ${n}: ${error}`;
+				stack.pop();
+				continue;
+			}
+			const level = stack[stack.length - 1];
+			if (level.keys.has(pair.key)) return `line ${n}: duplicate key "${pair.key}"`;
+			level.keys.add(pair.key);
+			if (pair.value === '' || /^[&!]\S*$/.test(pair.value)) {
+				expectChild = true;
+			} else if (/^[|>][-+0-9]*\s*(#.*)?$/.test(pair.value)) {
+				block = col;
+			} else {
+				const error = checkYamlScalar(pair.value);
+				if (error) return `line ${n}: ${error}`;
+				if (!/^["'[{]/.test(pair.value)) continuation = col;
+			}
+		}
+	}
+	return null;
+}
+
+function validateCloudConfig(content) {
+	const firstLine = content.trimStart().split('\n')[0].trim();
+	if (firstLine !== '#cloud-config') return 'the first line must be `#cloud-config`';
+	return validateYaml(content);
+}
+
+function renderTemplate(content, draft) {
+	const values = { name: draft.name, region: draft.region, size: draft.size, image: draft.image };
+	return content.replace(/\{\{\s*(name|region|size|image)\s*\}\}/g, (_, key) => String(values[key]));
+}
+
+async function getTemplate(name, env) {
+	const json = await env.DROPLET_CREATION.get(`ud_template_${name}`);
+	return json ? JSON.parse(json) : null;
+}
+
+// Template names sorted alphabetically; the create flow refers to them by index
+async function listTemplateNames(env) {
+	const names = [];
+	let cursor;
+	do {
+		const page = await env.DROPLET_CREATION.list({ prefix: 'ud_template_', cursor });
+		names.push(...page.keys.map(k => k.name.replace('ud_template_', '')));
+		cursor = page.list_complete ? null : page.cursor;
+	} while (cursor);
+	return names.sort();
+}
+
+async function showTemplates(chatId, messageId, env) {
+	const names = await listTemplateNames(env);
+	const keyboard = names.map(name => [{ text: `📜 ${name}`, callback_data: `tpl_view_${name}` }]);
+	keyboard.push([{ text: '➕ Add Template', callback_data: 'tpl_add' }]);
+	const text = names.length > 0
+		? `📜 *Cloud-init Templates*\n\nTotal: ${names.length}\n\nPick one in the create options to pass it as user data.`
+		: '📜 *Cloud-init Templates*\n\nNo templates yet. Add one to run setup scripts on new droplets.';
+	if (messageId) await editMessage(chatId, messageId, text, env, { inline_keyboard: keyboard });
+	else await sendMessage(chatId, text, env, { inline_keyboard: keyboard });
+}
+
+async function showTemplate(chatId, messageId, name, env) {
+	const template = await getTemplate(name, env);
+	if (!template) {
+		await editMessage(chatId, messageId, '❌ Template not found.', env, { inline_keyboard: [[{ text: '◀️ Back', callback_data: 'tpl_back' }]] });
+		return;
+	}
+	const content = template.content.length > MAX_TEMPLATE_PREVIEW_LENGTH
+		? `${template.content.slice(0, MAX_TEMPLATE_PREVIEW_LENGTH)}\n…`
+		: template.content;
+	await editMessage(chatId, messageId,
+		`📜 *Template* \`${name}\`\n\n*Updated:* ${formatDate(template.updatedAt)}\n\n\`\`\`\n${sanitizeForCode(content)}\n\`\`\``,
+		env, {
+			inline_keyboard: [
+				[{ text: '✏️ Edit',   callback_data: `tpl_edit_${name}` },
+				 { text: '🗑️ Delete', callback_data: `tpl_del_${name}` }],
+				[{ text: '◀️ Back',   callback_data: 'tpl_back' }],
+			]
+		});
+}
+
+// Validate and store a template; returns false so the caller keeps waiting for a corrected script
+async function saveTemplate(chatId, name, content, actor, env) {
+	const error = validateCloudConfig(content);
+	if (error) {
+		await sendMessage(chatId, `❌ *Invalid cloud-config:* ${error}\n\nFix it and send the whole script again, or /cancel:`, env);
+		return false;
+	}
+	const existing = await getTemplate(name, env);
+	await env.DROPLET_CREATION.put(`ud_template_${name}`, JSON.stringify({
+		name, content, updatedBy: actor.id, updatedAt: new Date().toISOString(),
+	}));
+	await recordAudit(actor, {
+		action: existing ? 'edit' : 'create', resourceType: 'template', resourceId: name, result: 'success',
+	}, env);
+	await sendMessage(chatId, `✅ Template \`${name}\` saved.`, env);
+	await showTemplates(chatId, null, env);
+	return true;
+}
+
+async function confirmDeleteTemplate(chatId, messageId, name, env) {
+	await editMessage(chatId, messageId,
+		`⚠️ *Delete Template?*\n\nTemplate: \`${name}\`\n\nDroplets already created keep their user data.`,
+		env, {
+			inline_keyboard: [
+				[{ text: '✅ Yes, Delete', callback_data: `tpl_delyes_${name}` }],
+				[{ text: '◀️ Cancel',      callback_data: `tpl_view_${name}` }],
+			]
+		});
+}
+
+async function deleteTemplate(chatId, messageId, name, actor, env) {
+	await env.DROPLET_CREATION.delete(`ud_template_${name}`);
+	await recordAudit(actor, { action: 'delete', resourceType: 'template', resourceId: name, result: 'success' }, env);
+	await showTemplates(chatId, messageId, env);
+}
+
+async function showCreateTemplateSelection(chatId, messageId, creationId, env) {
+	const draft = await getDropletDraft(creationId, env);
+	if (!draft) { await editMessage(chatId, messageId, '❌ Session expired.', env); return; }
+	const names = await listTemplateNames(env);
+	const keyboard = names.map((name, i) => [{
+		text: `${draft.template === name ? '✅ ' : ''}${name}`,
+		callback_data: `ctpl_${creationId}_${i}`
+	}]);
+	keyboard.push([{ text: `${draft.template ? '' : '✅ '}None`, callback_data: `ctpl_${creationId}_n` }]);
+	keyboard.push([{ text: '◀️ Back', callback_data: `copt_show_${creationId}` }]);
+	const hint = names.length === 0 ? '\n\nNo templates yet. Add them with /templates.' : '';
+	await editMessage(chatId, messageId, `📜 *Cloud-init Template*\n\nDroplet: \`${draft.name}\`${hint}`, env, { inline_keyboard: keyboard });
+}
+
+// Choice is an index into the sorted template names, or 'n' for none
+async function selectCreateTemplate(chatId, messageId, creationId, choice, env) {
+	const draft = await getDropletDraft(creationId, env);
+	if (!draft) { await editMessage(chatId, messageId, '❌ Session expired.', env); return; }
+	if (choice === 'n') {
+		draft.template = null;
+	} else {
+		const name = (await listTemplateNames(env))[parseInt(choice)];
+		if (name) draft.template = name;
+	}
+	await saveDropletDraft(creationId, draft, env);
+	await showCreateOptions(chatId, messageId, creationId, env);
+}
+
+// ─── DROPLET PRESETS ──────────────────────────────────────────────────────────
+
+const PRESET_LAUNCH_COUNTS = [2, 3, 5, 10];
+
+async function getPreset(name, env) {
+	const json = await env.DROPLET_CREATION.get(`droplet_preset_${name}`);
+	return json ? JSON.parse(json) : null;
+}
+
+async function listPresetNames(env) {
+	const names = [];
+	let cursor;
+	do {
+		const page = await env.DROPLET_CREATION.list({ prefix: 'droplet_preset_', cursor });
+		names.push(...page.keys.map(k => k.name.replace('droplet_preset_', '')));
+		cursor = page.list_complete ? null : page.cursor;
+	} while (cursor);
+	return names.sort();
+}
+
+// Store everything from the draft except the droplet name; launches name droplets after the preset.
+// SSH key and VPC IDs belong to one DigitalOcean account, so the preset keeps that account's UUID
+// (and the profile name, for display and to pick the token).
+async function savePreset(chatId, creationId, name, actor, env) {
+	const draft = await getDropletDraft(creationId, env);
+	if (!draft) { await sendMessage(chatId, '❌ Session expired. Please try /create again.', env); return; }
+	const accountUuid = await getAccountUuid(await getUserApiToken(chatId, env));
+	if (!accountUuid) { await sendMessage(chatId, '❌ Could not read the DigitalOcean account. Please try again.', env); return; }
+	const existing = await getPreset(name, env);
+	const { name: _dropletName, ...settings } = draft;
+	await env.DROPLET_CREATION.put(`droplet_preset_${name}`, JSON.stringify({
+		...settings, profile: await getActiveProfileName(chatId, env), accountUuid, createdBy: actor.id, createdAt: new Date().toISOString(),
+	}));
+	await recordAudit(actor, {
+		action: existing ? 'edit' : 'create', resourceType: 'preset', resourceId: name, result: 'success',
+		detail: `${draft.region} ${draft.size} image ${draft.image}`,
+	}, env);
+	await sendMessage(chatId, `✅ Preset \`${name}\` ${existing ? 'updated' : 'saved'}.\n\nLaunch it any time with /presets.`, env);
+}
+
+async function showPresets(chatId, messageId, env) {
+	const names = await listPresetNames(env);
+	const keyboard = names.map(name => [{ text: `⚡ ${name}`, callback_data: `pre_view_${name}` }]);
+	const text = names.length > 0
+		? `⚡ *Droplet Presets*\n\nTotal: ${names.length}\n\nPick a preset to launch it.`
+		: '⚡ *Droplet Presets*\n\nNo presets yet. Use *💾 Save as Preset* on the /create confirmation screen.';
+	if (messageId) await editMessage(chatId, messageId, text, env, { inline_keyboard: keyboard });
+	else await sendMessage(chatId, text, env, { inline_keyboard: keyboard });
+}
+
+// The preset screen is the confirmation: one tap creates 1 or N droplets
+async function showPreset(chatId, messageId, name, env) {
+	const preset = await getPreset(name, env);
+	if (!preset) {
+		await editMessage(chatId, messageId, '❌ Preset not found.', env, { inline_keyboard: [[{ text: '◀️ Back', callback_data: 'pre_back' }]] });
+		return;
+	}
+	const apiToken = await getUserApiToken(chatId, env, preset.profile);
+	const cost = apiToken ? await formatDraftCost(preset, apiToken) : 'unknown';
+	const account = preset.profile ? `*Account:* \`${preset.profile}\`\n` : '';
+	await editMessage(chatId, messageId,
+		`⚡ *Preset* \`${name}\`\n\n${account}${describeDraftBasics(preset)}\n\n${describeCreateOptions(preset)}\n\n💰 *Cost:* ${cost} per droplet\n\nDroplets are named \`${name}-XXXX\` (with \`-1\`, \`-2\`… when creating several).`,
+		env, {
+			inline_keyboard: [
+				[{ text: '✅ Create', callback_data: `pre_run_${name}_1` }],
+				PRESET_LAUNCH_COUNTS.map(n => ({ text: `×${n}`, callback_data: `pre_run_${name}_${n}` })),
+				[{ text: '🗑️ Delete Preset', callback_data: `pre_del_${name}` }],
+				[{ text: '◀️ Back',          callback_data: 'pre_back' }],
+			]
+		});
+}
+
+async function launchPreset(chatId, messageId, name, count, actor, env) {
+	const preset = await getPreset(name, env);
+	if (!preset) { await editMessage(chatId, messageId, '❌ Preset not found.', env); return; }
+	let template = null;
+	if (preset.template) {
+		template = await getTemplate(preset.template, env);
+		if (!template) {
+			await editMessage(chatId, messageId, `❌ Template \`${preset.template}\` used by this preset no longer exists. Save the preset again from /create.`, env);
+			return;
+		}
+	}
+	const apiToken = await getUserApiToken(chatId, env, preset.profile);
+	if (!apiToken) {
+		await editMessage(chatId, messageId, preset.profile
+			? `❌ Preset \`${name}\` was saved on account \`${preset.profile}\`, which you have no token for. Add it with /accounts.`
+			: '❌ No API token. Use /setapi first.', env);
+		return;
+	}
+	// Presets are shared across chats, where the same profile name can hold another account's token
+	if (await getAccountUuid(apiToken) !== preset.accountUuid) {
+		await editMessage(chatId, messageId, `❌ Your \`${preset.profile}\` account is not the DigitalOcean account preset \`${name}\` was saved on, so its SSH keys and VPC do not exist there.`, env);
+		return;
+	}
+	await editMessage(chatId, messageId, `⏳ Creating ${count} droplet(s) from preset \`${name}\`...`, env);
+	const stamp = Date.now().toString().slice(-4);
+	const results = [];
+	for (let i = 1; i <= count; i++) {
+		const draft = { ...preset, name: count > 1 ? `${name}-${stamp}-${i}` : `${name}-${stamp}` };
+		const result = await doApiCall('/droplets', 'POST', apiToken, buildCreateDropletBody(draft, template));
+		await recordAudit(actor, {
+			action: 'create', resourceType: 'droplet', resourceId: result.droplet?.id, resourceName: draft.name,
+			result: result.droplet ? 'success' : 'failed',
+			detail: result.droplet ? `preset ${name}` : result.message,
+		}, env);
+		results.push({ name: draft.name, droplet: result.droplet, error: result.message });
+	}
+
+	if (count === 1) {
+		const [{ droplet, error }] = results;
+		if (!droplet) { await editMessage(chatId, messageId, `❌ Failed: ${error || 'Unknown'}`, env); return; }
+		await editMessage(chatId, messageId, `✅ *Created!*\n\n*Name:* ${droplet.name}\n*Status:* \`${droplet.status}\`\n\n⏳ Waiting for the droplet to boot and get an IP address. This message will update when it is ready.`, env);
+		await trackProvisioning(chatId, messageId, droplet, env, preset.profile);
+		return;
+	}
+
+	const created = results.filter(r => r.droplet);
+	const lines = results.map(r => r.droplet ? `✅ \`${r.name}\`` : `❌ \`${r.name}\`: ${r.error || 'Unknown'}`);
+	await editMessage(chatId, messageId, `⚡ *Preset* \`${name}\`\n\nCreated ${created.length}/${count}:\n${lines.join('\n')}`, env);
+	// One message per droplet so each can report its own IP once provisioned
+	for (const { droplet } of created) {
+		const sent = await sendMessage(chatId, `⏳ \`${droplet.name}\` is booting. This message will update when it is ready.`, env);
+		if (sent.result?.message_id) await trackProvisioning(chatId, sent.result.message_id, droplet, env, preset.profile);
+	}
+}
+
+async function confirmDeletePreset(chatId, messageId, name, env) {
+	await editMessage(chatId, messageId,
+		`⚠️ *Delete Preset?*\n\nPreset: \`${name}\``,
+		env, {
+			inline_keyboard: [
+				[{ text: '✅ Yes, Delete', callback_data: `pre_delyes_${name}` }],
+				[{ text: '◀️ Cancel',      callback_data: `pre_view_${name}` }],
+			]
+		});
+}
+
+async function deletePreset(chatId, messageId, name, actor, env) {
+	await env.DROPLET_CREATION.delete(`droplet_preset_${name}`);
+	await recordAudit(actor, { action: 'delete', resourceType: 'preset', resourceId: name, result: 'success' }, env);
+	await showPresets(chatId, messageId, env);
+}
+
+// ─── SSH KEY SELECTION ────────────────────────────────────────────────────────
+
+// Team-wide default key set per DigitalOcean account; null when never saved (then every account key is preselected)
+async function getDefaultSshKeyIds(accountUuid, env) {
+	if (!accountUuid) return null;
+	try {
+		const json = await env.DROPLET_CREATION.get(`ssh_default_keys_${accountUuid}`);
+		return json ? JSON.parse(json) : null;
+	} catch {
+		return null;
+	}
+}
+
+function isValidSshPublicKey(key) {
+	return /^(ssh-(rsa|ed25519|dss)|ecdsa-sha2-nistp(256|384|521)|sk-(ssh-ed25519|ecdsa-sha2-nistp256)@openssh\.com) [A-Za-z0-9+/=]+( [^\n]*)?$/.test(key);
+}
+
+async function showSshKeySelection(chatId, messageId, creationId, env) {
+	const draft = await getDropletDraft(creationId, env);
+	if (!draft) {
+		if (messageId) await editMessage(chatId, messageId, '❌ Session expired.', env);
+		else await sendMessage(chatId, '❌ Session expired.', env);
+		return;
+	}
+	const apiToken = await getUserApiToken(chatId, env);
+	const keysData = await doApiCall('/account/keys', 'GET', apiToken);
+	const sshKeys = keysData.ssh_keys || [];
+	const keyboard = sshKeys.map(k => [{
+		text: `${draft.sshKeyIds.includes(k.id) ? '✅' : '⬜'} ${k.name}`,
+		callback_data: `sshk_t_${creationId}_${k.id}`
+	}]);
+	keyboard.push([{ text: '➕ Upload New Key',  callback_data: `sshk_add_${creationId}` },
+	               { text: '💾 Save as Default', callback_data: `sshk_def_${creationId}` }]);
+	keyboard.push([draft.sshKeyIds.length > 0
+		? { text: `Continue with ${draft.sshKeyIds.length} key(s) ▶️`, callback_data: `sshk_go_${creationId}` }
+		: { text: '🔐 Continue with Password ▶️',                     callback_data: `sshk_go_${creationId}` }]);
+	keyboard.push([{ text: '◀️ Back', callback_data: 'back_to_regions' }]);
+	const hint = sshKeys.length === 0
+		? '\n\nNo SSH keys on this account. Upload one, or continue with a root password.'
+		: '\n\nTap keys to toggle them. With no keys selected, DigitalOcean emails a root password.';
+	const text = `🔑 *SSH Keys*\n\nDroplet: \`${draft.name}\`\nSelected: ${draft.sshKeyIds.length}/${sshKeys.length}${hint}`;
+	if (messageId) await editMessage(chatId, messageId, text, env, { inline_keyboard: keyboard });
+	else await sendMessage(chatId, text, env, { inline_keyboard: keyboard });
+}
+
+async function toggleSshKey(chatId, messageId, creationId, keyId, env) {
+	const draft = await getDropletDraft(creationId, env);
+	if (!draft) { await editMessage(chatId, messageId, '❌ Session expired.', env); return; }
+	draft.sshKeyIds = draft.sshKeyIds.includes(keyId)
+		? draft.sshKeyIds.filter(id => id !== keyId)
+		: [...draft.sshKeyIds, keyId];
+	await saveDropletDraft(creationId, draft, env);
+	await showSshKeySelection(chatId, messageId, creationId, env);
+}
+
+async function saveDefaultSshKeys(chatId, messageId, creationId, env) {
+	const draft = await getDropletDraft(creationId, env);
+	if (!draft) { await editMessage(chatId, messageId, '❌ Session expired.', env); return; }
+	const accountUuid = await getAccountUuid(await getUserApiToken(chatId, env));
+	if (!accountUuid) { await editMessage(chatId, messageId, '❌ Could not read the DigitalOcean account. Please try again.', env); return; }
+	await env.DROPLET_CREATION.put(`ssh_default_keys_${accountUuid}`, JSON.stringify(draft.sshKeyIds));
+	await showSshKeySelection(chatId, messageId, creationId, env);
+}
+
+// Upload a pasted public key to the account and preselect it
+async function uploadSshKey(chatId, creationId, publicKey, env) {
+	const draft = await getDropletDraft(creationId, env);
+	if (!draft) { await sendMessage(chatId, '❌ Session expired. Please try /create again.', env); return; }
+	const apiToken = await getUserApiToken(chatId, env);
+	const comment = publicKey.split(' ')[2];
+	const name = comment || `telegram-${new Date().toISOString().slice(0, 10)}`;
+	const result = await doApiCall('/account/keys', 'POST', apiToken, { name, public_key: publicKey });
+	if (!result.ssh_key) {
+		await sendMessage(chatId, `❌ Failed to upload key: ${result.message || 'Unknown error'}`, env);
+		await showSshKeySelection(chatId, null, creationId, env);
+		return;
+	}
+	draft.sshKeyIds = [...draft.sshKeyIds, result.ssh_key.id];
+	await saveDropletDraft(creationId, draft, env);
+	await sendMessage(chatId, `✅ SSH key \`${sanitizeForCode(result.ssh_key.name)}\` added to your account.`, env);
+	await showSshKeySelection(chatId, null, creationId, env);
+}
+
+// POST /droplets body for a draft or preset; template is the loaded cloud-init template or null
+function buildCreateDropletBody(draft, template) {
+	return {
+		name: draft.name, region: draft.region, size: draft.size, image: draft.image,
+		ssh_keys: draft.sshKeyIds.length > 0 ? draft.sshKeyIds : undefined,
+		backups: draft.backups, ipv6: draft.ipv6, monitoring: draft.monitoring,
+		vpc_uuid: draft.vpcUuid || undefined, tags: draft.tags.length > 0 ? draft.tags : undefined,
+		user_data: template ? renderTemplate(template.content, draft) : undefined,
+	};
+}
+
+async function createDropletFromKV(chatId, messageId, creationId, actor, env) {
+	const apiToken = await getUserApiToken(chatId, env);
+	const dataStr = await env.DROPLET_CREATION.get(creationId);
+	if (!dataStr) { await editMessage(chatId, messageId, '❌ Session expired.', env); return; }
+	const data = JSON.parse(dataStr);
+	let template = null;
+	if (data.template) {
+		template = await getTemplate(data.template, env);
+		if (!template) {
+			await editMessage(chatId, messageId, `❌ Template \`${data.template}\` no longer exists. Pick another one in the create options.`, env, {
+				inline_keyboard: [[{ text: '◀️ Back', callback_data: `copt_show_${creationId}` }]]
+			});
+			return;
+		}
+	}
+	await editMessage(chatId, messageId, '⏳ Creating...', env);
+	const result = await doApiCall('/droplets', 'POST', apiToken, buildCreateDropletBody(data, template));
+	await recordAudit(actor, {
+		action: 'create', resourceType: 'droplet', resourceId: result.droplet?.id, resourceName: data.name,
+		result: result.droplet ? 'success' : 'failed',
+		detail: result.droplet ? `${data.region} ${data.size} image ${data.image}${data.template ? ` template ${data.template}` : ''}` : result.message,
+	}, env);
+	if (result.droplet) {
+		await editMessage(chatId, messageId, `✅ *Created!*\n\n*Name:* ${result.droplet.name}\n*Status:* \`${result.droplet.status}\`\n\n⏳ Waiting for the droplet to boot and get an IP address. This message will update when it is ready.`, env);
+		await trackProvisioning(chatId, messageId, result.droplet, env);
+		await env.DROPLET_CREATION.delete(creationId);
+	} else {
+		await editMessage(chatId, messageId, `❌ Failed: ${result.message || 'Unknown'}`, env);
+	}
+}
+
+// ─── DROPLET LIST ─────────────────────────────────────────────────────────────
+
+const DROPLET_SORTS = ['name', 'created', 'price'];
+const DROPLET_STATUS_FILTERS = ['active', 'off', 'new'];
+const DEFAULT_DROPLET_VIEW = { page: 0, status: null, region: null, tag: null, noted: false, sort: 'name', query: null };
+
+// Follow /droplets pagination; optionally only droplets carrying a tag
+async function getAllDroplets(apiToken, tag = null) {
+	const tagQuery = tag ? `&tag_name=${encodeURIComponent(tag)}` : '';
+	let all = [];
+	let page = 1;
+	const perPage = 200;
+	while (page <= 20) {
+		const resp = await doApiCall(`/droplets?page=${page}&per_page=${perPage}${tagQuery}`, 'GET', apiToken);
+		const list = resp.droplets || [];
+		all = all.concat(list);
+		if (list.length < perPage) break;
+		page++;
+	}
+	return all;
+}
+
+async function getDropletView(chatId, env) {
+	const json = await env.DROPLET_CREATION.get(`droplet_view_${chatId}`);
+	return json ? { ...DEFAULT_DROPLET_VIEW, ...JSON.parse(json) } : { ...DEFAULT_DROPLET_VIEW };
+}
+
+async function saveDropletView(chatId, view, env) {
+	await env.DROPLET_CREATION.put(`droplet_view_${chatId}`, JSON.stringify(view), { expirationTtl: 3600 });
+}
+
+function applyDropletView(droplets, notedIds, view) {
+	const query = view.query?.toLowerCase();
+	const filtered = droplets.filter(d =>
+		(!view.status || d.status === view.status) &&
+		(!view.region || d.region?.slug === view.region) &&
+		(!view.tag || (d.tags || []).includes(view.tag)) &&
+		(!view.noted || notedIds.has(String(d.id))) &&
+		(!query || d.name.toLowerCase().includes(query)));
+	const compare = {
+		name:    (a, b) => a.name.localeCompare(b.name),
+		created: (a, b) => new Date(b.created_at) - new Date(a.created_at),
+		price:   (a, b) => (b.size?.price_monthly || 0) - (a.size?.price_monthly || 0),
+	}[view.sort] || ((a, b) => a.name.localeCompare(b.name));
+	return filtered.sort(compare);
+}
+
+function describeDropletView(view) {
+	const parts = [];
+	if (view.status) parts.push(`status \`${view.status}\``);
+	if (view.region) parts.push(`region \`${view.region}\``);
+	if (view.tag) parts.push(`tag \`${view.tag}\``);
+	if (view.noted) parts.push('has note');
+	if (view.query) parts.push(`name contains \`${sanitizeForCode(view.query)}\``);
+	return parts.length > 0 ? parts.join(', ') : 'none';
+}
+
+async function buildDropletList(chatId, apiToken, env) {
+	const view = await getDropletView(chatId, env);
+	const droplets = await getAllDroplets(apiToken);
+	if (droplets.length === 0) return { text: 'No droplets found.', keyboard: [] };
+	const notedIds = await getNotedDropletIds(env);
+	const shown = applyDropletView(droplets, notedIds, view);
+	const totalPages = Math.max(1, Math.ceil(shown.length / ITEMS_PER_PAGE));
+	const page = Math.min(view.page, totalPages - 1);
+	const keyboard = shown.slice(page * ITEMS_PER_PAGE, (page + 1) * ITEMS_PER_PAGE).map(droplet => [{
+		text: `${droplet.name} (${droplet.status})${notedIds.has(String(droplet.id)) ? ' 📝' : ''}`,
+		callback_data: `droplet_${droplet.id}`
+	}]);
+	const nav = [];
+	if (page > 0) nav.push({ text: '◀️ Previous', callback_data: `dlv_page_${page - 1}` });
+	if (page < totalPages - 1) nav.push({ text: 'Next ▶️', callback_data: `dlv_page_${page + 1}` });
+	if (nav.length) keyboard.push(nav);
+	keyboard.push([{ text: '🔍 Search',               callback_data: 'dlv_search' },
+	               { text: '🔎 Filters',              callback_data: 'dlv_filters' },
+	               { text: `↕️ Sort: ${view.sort}`,   callback_data: 'dlv_sort' }]);
+	if (view.query) keyboard.push([{ text: '✖️ Clear Search', callback_data: 'dlv_clearsearch' }]);
+	keyboard.push([{ text: '☑️ Select Multiple', callback_data: 'bulk_start' }]);
+	const text = `📋 *Your Droplets*\n\nShowing: ${shown.length}/${droplets.length}\nPage ${page + 1}/${totalPages}\n*Filters:* ${describeDropletView(view)}`;
+	return { text, keyboard };
+}
+
+// Fresh list: /droplets and the menu reset paging, filters and search
+async function listDroplets(chatId, env) {
+	const apiToken = await getUserApiToken(chatId, env);
+	if (!apiToken) { await sendMessage(chatId, '❌ No API token. Use /setapi first.', env); return; }
+	await env.DROPLET_CREATION.delete(`droplet_view_${chatId}`);
+	const { text, keyboard } = await buildDropletList(chatId, apiToken, env);
+	await sendMessage(chatId, text, env, { inline_keyboard: keyboard });
+}
+
+async function showDropletList(chatId, env) {
+	const apiToken = await getUserApiToken(chatId, env);
+	if (!apiToken) { await sendMessage(chatId, '❌ No API token. Use /setapi first.', env); return; }
+	const { text, keyboard } = await buildDropletList(chatId, apiToken, env);
+	await sendMessage(chatId, text, env, { inline_keyboard: keyboard });
+}
+
+async function editMessageToDropletList(chatId, messageId, env) {
+	const apiToken = await getUserApiToken(chatId, env);
+	if (!apiToken) { await editMessage(chatId, messageId, '❌ No API token.', env); return; }
+	const { text, keyboard } = await buildDropletList(chatId, apiToken, env);
+	await editMessage(chatId, messageId, text, env, { inline_keyboard: keyboard });
+}
+
+async function updateDropletView(chatId, messageId, changes, env) {
+	const view = await getDropletView(chatId, env);
+	await saveDropletView(chatId, { ...view, page: 0, ...changes }, env);
+	await editMessageToDropletList(chatId, messageId, env);
+}
+
+async function showDropletFilters(chatId, messageId, env) {
+	const apiToken = await getUserApiToken(chatId, env);
+	const view = await getDropletView(chatId, env);
+	const droplets = await getAllDroplets(apiToken);
+	const regions = [...new Set(droplets.map(d => d.region?.slug).filter(Boolean))].sort();
+	const tags = [...new Set(droplets.flatMap(d => d.tags || []))].sort();
+	const mark = (on) => on ? '✅ ' : '';
+	const keyboard = [
+		[{ text: `${mark(!view.status)}All`, callback_data: 'dlv_st_all' },
+		 ...DROPLET_STATUS_FILTERS.map(s => ({ text: `${mark(view.status === s)}${s}`, callback_data: `dlv_st_${s}` }))],
+	];
+	if (regions.length > 1) {
+		keyboard.push([{ text: `${mark(!view.region)}All regions`, callback_data: 'dlv_rg_all' }]);
+		for (let i = 0; i < regions.length; i += 3) {
+			keyboard.push(regions.slice(i, i + 3).map(r => ({ text: `${mark(view.region === r)}${r}`, callback_data: `dlv_rg_${r}` })));
+		}
+	}
+	// Tags can be long, so buttons refer to them by index into the sorted list
+	if (tags.length > 0) {
+		keyboard.push([{ text: `${mark(!view.tag)}All tags`, callback_data: 'dlv_tg_all' }]);
+		for (let i = 0; i < tags.length; i += 3) {
+			keyboard.push(tags.slice(i, i + 3).map((t, j) => ({ text: `${mark(view.tag === t)}🏷️ ${t}`, callback_data: `dlv_tg_${i + j}` })));
+		}
+	}
+	keyboard.push([{ text: `${view.noted ? '✅' : '⬜'} Has note`, callback_data: 'dlv_note' }]);
+	keyboard.push([{ text: '🧹 Clear All', callback_data: 'dlv_clear' },
+	               { text: '◀️ Back',      callback_data: 'back_to_list' }]);
+	await editMessage(chatId, messageId, `🔎 *Filter Droplets*\n\n*Active:* ${describeDropletView(view)}`, env, { inline_keyboard: keyboard });
+}
+
+async function setDropletFilter(chatId, messageId, field, value, env) {
+	const view = await getDropletView(chatId, env);
+	await saveDropletView(chatId, { ...view, page: 0, [field]: value }, env);
+	await showDropletFilters(chatId, messageId, env);
+}
+
+async function selectDropletTagFilter(chatId, messageId, choice, env) {
+	if (choice === 'all') { await setDropletFilter(chatId, messageId, 'tag', null, env); return; }
+	const apiToken = await getUserApiToken(chatId, env);
+	const tags = [...new Set((await getAllDroplets(apiToken)).flatMap(d => d.tags || []))].sort();
+	const tag = tags[parseInt(choice)];
+	if (tag) await setDropletFilter(chatId, messageId, 'tag', tag, env);
+}
+
+async function handleDropletSearch(chatId, query, env) {
+	if (query.length < MIN_SEARCH_LENGTH) {
+		await sendMessage(chatId, `❌ Search query too short. Min ${MIN_SEARCH_LENGTH} characters.`, env);
+		return;
+	}
+	await clearState(chatId, env);
+	const view = await getDropletView(chatId, env);
+	await saveDropletView(chatId, { ...view, page: 0, query }, env);
+	await showDropletList(chatId, env);
+}
+
+// ─── DROPLET MANAGEMENT ───────────────────────────────────────────────────────
+
+async function showDropletDetails(chatId, messageId, dropletId, env) {
+	const apiToken = await getUserApiToken(chatId, env);
+	const data = await doApiCall(`/droplets/${dropletId}`, 'GET', apiToken);
+	if (!data.droplet) { await editMessage(chatId, messageId, '❌ Not found.', env); return; }
+	const droplet = data.droplet;
+	const ip = droplet.networks.v4.find(n => n.type === 'public')?.ip_address || 'Not assigned';
+	const volumeIds = droplet.volume_ids || [];
+	const [note, allFirewalls, allVolumes, allReservedIps, allAlertPolicies] = await Promise.all([
+		getDropletNote(dropletId, env),
+		getFirewalls(apiToken),
+		volumeIds.length > 0 ? getVolumes(apiToken) : [],
+		getReservedIps(apiToken),
+		getAlertPolicies(apiToken),
+	]);
+	const noteSection = note ? `\n\n📝 *Note:*\n\`\`\`\n${note}\n\`\`\`` : '';
+	const firewalls = getDropletFirewalls(droplet, allFirewalls);
+	const firewallLine = `\n*Firewalls:* ${firewalls.length > 0 ? firewalls.map(fw => `\`${fw.name}\``).join(', ') : 'none'}`;
+	const volumes = allVolumes.filter(v => volumeIds.includes(v.id)).map(v => `\`${v.name}\` (${formatGB(v.size_gigabytes)})`);
+	const volumeLine = volumes.length > 0 ? `\n*Volumes:* ${volumes.join(', ')}` : '';
+	const reservedIp = allReservedIps.find(r => r.droplet?.id === droplet.id);
+	const reservedIpLine = reservedIp ? `\n*Reserved IP:* \`${reservedIp.ip}\`` : '';
+	const alertPolicies = getDropletAlertPolicies(droplet, allAlertPolicies);
+	const alertLine = alertPolicies.length > 0
+		? `\n*Alerts:* ${alertPolicies.map(p => `${p.enabled ? '🟢' : '⚪'} ${describeAlertCondition(p)}`).join(', ')}`
+		: '';
+	const details = `📦 *Droplet*\n\n*Name:* ${droplet.name}\n*Status:* ${droplet.status}\n*Region:* ${droplet.region.name}\n*Size:* ${droplet.size_slug}\n*IP:* \`${ip}\`${reservedIpLine}${firewallLine}${volumeLine}${alertLine}\n\nSSH: \`ssh root@${ip}\`${noteSection}`;
+	const powerButton = droplet.status === 'off'
+		? { text: '⚡ Power On',  callback_data: `pwr_on_${dropletId}` }
+		: { text: '🔌 Power Off', callback_data: `pwr_off_${dropletId}` };
+	const restartButton = droplet.status !== 'off'
+		? [{ text: '🔁 Restart', callback_data: `restart_${dropletId}` }]
+		: null;
+	const keyboard = {
+		inline_keyboard: [
+			[powerButton],
+			...(restartButton ? [restartButton] : []),
+			[{ text: '📸 Take Snapshot', callback_data: `snap_take_${dropletId}` },
+			 { text: '🔄 Rebuild',       callback_data: `rebuild_${dropletId}` }],
+			[{ text: '📐 Resize',        callback_data: `rsz_${dropletId}` },
+			 { text: '📈 Metrics',       callback_data: `met_${dropletId}_1h` }],
+			[{ text: '🏷️ Rename',        callback_data: `rename_existing_${dropletId}` },
+			 { text: '📝 Note',          callback_data: `manage_note_${dropletId}` }],
+			[{ text: '🗓️ Snapshot Policy', callback_data: `spol_${dropletId}` }],
+			[{ text: '🔓 Open SSH to My IP', callback_data: `fw_ssh_${dropletId}` }],
+			[{ text: '📌 Move Reserved IP Here', callback_data: `rip_here_${dropletId}` }],
+			[{ text: '🌐 Create A Record', callback_data: `dns_drop_${dropletId}` }],
+			[{ text: '🗑️ Delete Droplet', callback_data: `confirm_delete_${dropletId}` }],
+			[{ text: '◀️ Back',          callback_data: 'back_to_list' }],
+		]
+	};
+	await editMessage(chatId, messageId, details, env, keyboard);
+}
+
+async function showNoteManagement(chatId, messageId, dropletId, env) {
+	const note = await getDropletNote(dropletId, env);
+	if (note) {
+		await editMessage(chatId, messageId,
+			`📝 *Droplet Note*\n\nCurrent note:\n\`\`\`\n${note}\n\`\`\``,
+			env, {
+				inline_keyboard: [
+					[{ text: '✏️ Edit Note',   callback_data: `edit_note_${dropletId}` }],
+					[{ text: '🗑️ Delete Note', callback_data: `delete_note_${dropletId}` }],
+					[{ text: '◀️ Back',        callback_data: `back_to_droplet_${dropletId}` }],
+				]
+			});
+	} else {
+		await editMessage(chatId, messageId,
+			`📝 *Droplet Note*\n\nNo note for this droplet.`,
+			env, {
+				inline_keyboard: [
+					[{ text: '✏️ Add Note', callback_data: `add_note_${dropletId}` }],
+					[{ text: '◀️ Back',    callback_data: `back_to_droplet_${dropletId}` }],
+				]
+			});
+	}
+}
+
+async function showDeleteConfirmation(chatId, messageId, dropletId, env) {
+	await editMessage(chatId, messageId, '⚠️ Delete?\n\nCannot be undone!', env, {
+		inline_keyboard: [
+			[{ text: '✅ Yes, Delete', callback_data: `delete_${dropletId}` }],
+			[{ text: '◀️ Back',       callback_data: `droplet_${dropletId}` }],
+		]
+	});
+}
+
+async function deleteDroplet(chatId, messageId, dropletId, actor, env) {
+	const apiToken = await getUserApiToken(chatId, env);
+	const response = await doApiDelete(`/droplets/${dropletId}`, apiToken);
+	await recordAudit(actor, {
+		action: 'delete', resourceType: 'droplet', resourceId: dropletId,
+		result: response.status === 204 ? 'success' : 'failed', detail: `HTTP ${response.status}`,
+	}, env);
+	if (response.status === 204) {
+		await deleteDropletNote(dropletId, env);
+		await env.DROPLET_CREATION.delete(`snap_policy_${dropletId}`);
+		await editMessage(chatId, messageId, '✅ Deleted!', env);
+	} else {
+		await editMessage(chatId, messageId, '❌ Failed.', env);
+	}
+}
+
+// ─── RENAME DROPLET ───────────────────────────────────────────────────────────
+
+async function confirmRenameDroplet(chatId, dropletId, oldName, newName, env) {
+	const sessionId = `rename_${chatId}_${Date.now()}`;
+	await env.DROPLET_CREATION.put(sessionId, JSON.stringify({ dropletId, newName }), { expirationTtl: 300 });
+	const keyboard = {
+		inline_keyboard: [
+			[{ text: '✅ Yes, Rename', callback_data: `confirm_rename_${sessionId}` }],
+			[{ text: '◀️ Cancel',     callback_data: `droplet_${dropletId}` }],
+		]
+	};
+	await sendMessage(chatId, `⚠️ *Confirm Rename*\n\nDroplet ID: ${dropletId}\n\nOld name: \`${oldName}\`\nNew name: \`${newName}\``, env, keyboard);
+}
+
+async function executeRename(chatId, messageId, sessionId, actor, env) {
+	const apiToken = await getUserApiToken(chatId, env);
+	const dataStr = await env.DROPLET_CREATION.get(sessionId);
+	if (!dataStr) { await editMessage(chatId, messageId, '❌ Session expired.', env); return; }
+	const data = JSON.parse(dataStr);
+	await editMessage(chatId, messageId, '⏳ Renaming...', env);
+	const result = await doApiCall(`/droplets/${data.dropletId}/actions`, 'POST', apiToken, { type: 'rename', name: data.newName });
+	await recordAudit(actor, {
+		action: 'rename', resourceType: 'droplet', resourceId: data.dropletId, resourceName: data.newName,
+		result: result.action ? 'success' : 'failed', detail: result.action ? `renamed to ${data.newName}` : result.message,
+	}, env);
+	if (result.action) {
+		await editMessage(chatId, messageId, `✅ *Rename Started!*\n\nNew name: \`${data.newName}\`\nStatus: ${result.action.status}`, env);
+		await env.DROPLET_CREATION.delete(sessionId);
+	} else {
+		await editMessage(chatId, messageId, `❌ Failed: ${result.message || 'Unknown'}`, env);
+	}
+}
+
+// ─── REBUILD ──────────────────────────────────────────────────────────────────
+
+async function showRebuildImageTypeSelection(chatId, messageId, dropletId, env) {
+	await editMessage(chatId, messageId, '🔄 *Rebuild Droplet*\n\n⚠️ All data will be deleted\n\nChoose image type:', env, {
+		inline_keyboard: [
+			[{ text: '🐧 Operating Systems', callback_data: `rebuildtype_${dropletId}_os` }],
+			[{ text: '📦 Applications',      callback_data: `rebuildtype_${dropletId}_app` }],
+			[{ text: '📸 My Snapshots',      callback_data: `rebuildtype_${dropletId}_snapshot` }],
+			[{ text: '◀️ Back',             callback_data: `droplet_${dropletId}` }],
+		]
+	});
+}
+
+async function showRebuildImageTypeSelectionNew(chatId, dropletId, env) {
+	await sendMessage(chatId, '🔄 *Rebuild Droplet*\n\n⚠️ All data will be deleted\n\nChoose image type:', env, {
+		inline_keyboard: [
+			[{ text: '🐧 Operating Systems', callback_data: `rebuildtype_${dropletId}_os` }],
+			[{ text: '📦 Applications',      callback_data: `rebuildtype_${dropletId}_app` }],
+			[{ text: '📸 My Snapshots',      callback_data: `rebuildtype_${dropletId}_snapshot` }],
+			[{ text: '◀️ Back',             callback_data: `droplet_${dropletId}` }],
+		]
+	});
+}
+
+async function showRebuildImagesList(chatId, messageId, dropletId, type, page, env) {
+	const apiToken = await getUserApiToken(chatId, env);
+	const dropletData = await doApiCall(`/droplets/${dropletId}`, 'GET', apiToken);
+	const droplet = dropletData.droplet;
+	if (!droplet) { await editMessage(chatId, messageId, '❌ Droplet not found.', env); return; }
+
+	let images = filterImagesForRebuild(await getImagesByType(type, apiToken, env), droplet);
+	if (images.length === 0) {
+		const hint = type === 'snapshot' ? '\n\nTake a snapshot from a droplet first.' : '';
+		await editMessage(chatId, messageId, `❌ No compatible ${type === 'app' ? 'applications' : type === 'os' ? 'OS images' : 'snapshots'} for this droplet.${hint}`, env, {
+			inline_keyboard: [
+				[{ text: '◀️ Back to image types', callback_data: `rebuild_${dropletId}` }],
+				[{ text: '◀️ Back to droplet',    callback_data: `droplet_${dropletId}` }],
+			]
+		});
+		return;
+	}
+	const totalPages = Math.ceil(images.length / ITEMS_PER_PAGE);
+	const pageImages = images.slice(page * ITEMS_PER_PAGE, (page + 1) * ITEMS_PER_PAGE);
+	const keyboard = pageImages.map(img => [{ text: img.name, callback_data: `rebuildimg_${dropletId}_${img.id}` }]);
+	const nav = [];
+	if (page > 0) nav.push({ text: '◀️ Previous', callback_data: `rebuildpage_${dropletId}_${type}_${page - 1}` });
+	if (page < totalPages - 1) nav.push({ text: 'Next ▶️', callback_data: `rebuildpage_${dropletId}_${type}_${page + 1}` });
+	if (nav.length) keyboard.push(nav);
+	keyboard.push([{ text: '🔍 Search', callback_data: `rebuildsearch_${dropletId}_${type}` }]);
+	keyboard.push([{ text: '◀️ Back',   callback_data: `rebuild_${dropletId}` }]);
+	const label = type === 'app' ? 'Applications' : type === 'os' ? 'Operating Systems' : 'Snapshots';
+	const emoji = type === 'app' ? '📦' : type === 'os' ? '🐧' : '📸';
+	await editMessage(chatId, messageId, `${emoji} *${label}*\n\n✅ Compatible with ${droplet.size_slug}\nPage ${page + 1}/${totalPages} (${images.length} total)`, env, { inline_keyboard: keyboard });
+}
+
+async function handleRebuildImageSearch(chatId, query, state, env) {
+	if (query.length < MIN_SEARCH_LENGTH) {
+		await sendMessage(chatId, `❌ Search query too short. Min ${MIN_SEARCH_LENGTH} characters.`, env);
+		return;
+	}
+	const apiToken = await getUserApiToken(chatId, env);
+	const dropletData = await doApiCall(`/droplets/${state.dropletId}`, 'GET', apiToken);
+	const results = filterImagesForRebuild(await getImagesByType(state.type, apiToken, env), dropletData.droplet)
+		.filter(img => img.name.toLowerCase().includes(query.toLowerCase()));
+	if (results.length === 0) {
+		await clearState(chatId, env);
+		await sendMessage(chatId, '❌ No results found.', env, {
+			inline_keyboard: [[{ text: '◀️ Back to Menu', callback_data: `back_from_rebuild_search_${state.dropletId}` }]]
+		});
+		return;
+	}
+	const keyboard = results.slice(0, ITEMS_PER_PAGE).map(img => [{ text: img.name, callback_data: `rebuildimg_${state.dropletId}_${img.id}` }]);
+	keyboard.push([{ text: '◀️ Back', callback_data: `back_from_rebuild_search_${state.dropletId}` }]);
+	await sendMessage(chatId, `🔍 Found ${results.length} result(s)`, env, { inline_keyboard: keyboard });
+	await clearState(chatId, env);
+}
+
+async function confirmRebuild(chatId, messageId, dropletId, imageId, env) {
+	const sessionId = `rebuild_${chatId}_${Date.now()}`;
+	await env.DROPLET_CREATION.put(sessionId, JSON.stringify({ dropletId, imageId }), { expirationTtl: 300 });
+	await editMessage(chatId, messageId,
+		`⚠️ *Confirm Rebuild*\n\nDroplet ID: ${dropletId}\nNew Image ID: ${imageId}\n\n*All data will be deleted!*`,
+		env, {
+			inline_keyboard: [
+				[{ text: '✅ Yes, Rebuild', callback_data: `execute_rebuild_${sessionId}` }],
+				[{ text: '◀️ Back',        callback_data: `droplet_${dropletId}` }],
+			]
+		});
+}
+
+async function executeRebuild(chatId, messageId, sessionId, actor, env) {
+	const apiToken = await getUserApiToken(chatId, env);
+	const dataStr = await env.DROPLET_CREATION.get(sessionId);
+	if (!dataStr) { await editMessage(chatId, messageId, '❌ Session expired.', env); return; }
+	const data = JSON.parse(dataStr);
+	await editMessage(chatId, messageId, '⏳ Rebuilding...', env);
+	const result = await doApiCall(`/droplets/${data.dropletId}/actions`, 'POST', apiToken, { type: 'rebuild', image: data.imageId });
+	await recordAudit(actor, {
+		action: 'rebuild', resourceType: 'droplet', resourceId: data.dropletId,
+		result: result.action ? 'success' : 'failed', detail: result.action ? `image ${data.imageId}` : result.message,
+	}, env);
+	if (result.action) {
+		const replyMarkup = { inline_keyboard: [[{ text: '◀️ Back to Droplet', callback_data: `droplet_${data.dropletId}` }]] };
+		await editMessage(chatId, messageId, `✅ *Rebuild Started!*\n\nStatus: \`${result.action.status}\`\n\n⏳ This message will update when it finishes.`, env, replyMarkup);
+		await trackAction(chatId, messageId, result.action, data.dropletId, 'Rebuild', `Image ID: ${data.imageId}`, replyMarkup, env);
+		await env.DROPLET_CREATION.delete(sessionId);
+	} else {
+		await editMessage(chatId, messageId, `❌ Failed: ${result.message || 'Unknown'}`, env);
+	}
+}
+
+// ─── POWER ON / POWER OFF ─────────────────────────────────────────────────────
+
+async function confirmPowerAction(chatId, messageId, dropletId, action, env) {
+	const apiToken = await getUserApiToken(chatId, env);
+	const dropletData = await doApiCall(`/droplets/${dropletId}`, 'GET', apiToken);
+	if (!dropletData.droplet) { await editMessage(chatId, messageId, '❌ Droplet not found.', env); return; }
+	const droplet = dropletData.droplet;
+	const isOn = action === 'power_on';
+	const warning = isOn
+		? '\n\nThis will start the droplet.'
+		: '\n\n⚠️ This is a *non-graceful* power-off (like pulling the plug).\nFor a graceful shutdown, use the OS instead.';
+	const keyboard = {
+		inline_keyboard: [
+			[{ text: isOn ? '✅ Yes, Power On' : '✅ Yes, Power Off', callback_data: isOn ? `pwr_on_yes_${dropletId}` : `pwr_off_yes_${dropletId}` }],
+			[{ text: '◀️ Cancel', callback_data: `droplet_${dropletId}` }],
+		]
+	};
+	await editMessage(chatId, messageId,
+		`${isOn ? '⚡ *Power On*' : '🔌 *Power Off*'}\n\nDroplet: \`${droplet.name}\`\nCurrent status: \`${droplet.status}\`${warning}`,
+		env, keyboard);
+}
+
+async function executePowerAction(chatId, messageId, dropletId, action, actor, env) {
+	const apiToken = await getUserApiToken(chatId, env);
+	const isOn = action === 'power_on';
+	await editMessage(chatId, messageId, isOn ? '⏳ Powering on...' : '⏳ Powering off...', env);
+	const result = await doApiCall(`/droplets/${dropletId}/actions`, 'POST', apiToken, { type: action });
+	await recordAudit(actor, {
+		action, resourceType: 'droplet', resourceId: dropletId,
+		result: result.action ? 'success' : 'failed', detail: result.action ? `action ${result.action.id}` : result.message,
+	}, env);
+	if (result.action) {
+		const replyMarkup = { inline_keyboard: [[{ text: '◀️ Back to Droplet', callback_data: `droplet_${dropletId}` }]] };
+		await editMessage(chatId, messageId,
+			`✅ *${isOn ? 'Power On' : 'Power Off'} Started!*\n\nStatus: \`${result.action.status}\`\n\n⏳ This message will update when it finishes.`,
+			env, replyMarkup);
+		await trackAction(chatId, messageId, result.action, dropletId, isOn ? 'Power On' : 'Power Off', '', replyMarkup, env);
+	} else {
+		await editMessage(chatId, messageId, `❌ Failed: ${result.message || 'Unknown error'}`, env);
+	}
+}
+
+// ─── RESTART (reboot) ─────────────────────────────────────────────────────────
+
+async function confirmRestartAction(chatId, messageId, dropletId, env) {
+	const apiToken = await getUserApiToken(chatId, env);
+	const dropletData = await doApiCall(`/droplets/${dropletId}`, 'GET', apiToken);
+	if (!dropletData.droplet) { await editMessage(chatId, messageId, '❌ Droplet not found.', env); return; }
+	const droplet = dropletData.droplet;
+	if (droplet.status === 'off') {
+		await editMessage(chatId, messageId, '❌ Droplet is powered off. Power it on first.', env, {
+			inline_keyboard: [[{ text: '◀️ Back', callback_data: `droplet_${dropletId}` }]]
+		});
+		return;
+	}
+	await editMessage(chatId, messageId,
+		`🔁 *Restart Droplet*\n\nDroplet: \`${droplet.name}\`\nCurrent status: \`${droplet.status}\`\n\nThis sends a graceful *reboot* signal to the OS.`,
+		env, {
+			inline_keyboard: [
+				[{ text: '✅ Yes, Restart', callback_data: `restart_yes_${dropletId}` }],
+				[{ text: '◀️ Cancel',       callback_data: `droplet_${dropletId}` }],
+			]
+		});
+}
+
+async function executeRestartAction(chatId, messageId, dropletId, actor, env) {
+	const apiToken = await getUserApiToken(chatId, env);
+	await editMessage(chatId, messageId, '⏳ Restarting...', env);
+	const result = await doApiCall(`/droplets/${dropletId}/actions`, 'POST', apiToken, { type: 'reboot' });
+	await recordAudit(actor, {
+		action: 'reboot', resourceType: 'droplet', resourceId: dropletId,
+		result: result.action ? 'success' : 'failed', detail: result.action ? `action ${result.action.id}` : result.message,
+	}, env);
+	if (result.action) {
+		const replyMarkup = { inline_keyboard: [[{ text: '◀️ Back to Droplet', callback_data: `droplet_${dropletId}` }]] };
+		await editMessage(chatId, messageId,
+			`✅ *Restart Started!*\n\nStatus: \`${result.action.status}\`\n\n⏳ This message will update when it finishes.`,
+			env, replyMarkup);
+		await trackAction(chatId, messageId, result.action, dropletId, 'Restart', '', replyMarkup, env);
+	} else {
+		await editMessage(chatId, messageId, `❌ Failed: ${result.message || 'Unknown error'}`, env);
+	}
+}
+
+// ─── RESIZE ───────────────────────────────────────────────────────────────────
+
+function formatPriceDifference(from, to) {
+	const diff = to - from;
+	return `${diff >= 0 ? '+' : '-'}$${Math.abs(diff).toFixed(2)}/mo`;
+}
+
+// A resize needs a target disk at least as large as the current one, whether or not the disk is resized
+async function showResizeSizes(chatId, messageId, dropletId, env) {
+	const apiToken = await getUserApiToken(chatId, env);
+	const droplet = (await doApiCall(`/droplets/${dropletId}`, 'GET', apiToken)).droplet;
+	if (!droplet) { await editMessage(chatId, messageId, '❌ Droplet not found.', env); return; }
+	const back = [{ text: '◀️ Back', callback_data: `droplet_${dropletId}` }];
+	const sizes = ((await getRegionSizes(apiToken, droplet.region.slug, droplet.disk)) || []).filter(s => s.slug !== droplet.size_slug);
+	if (sizes.length === 0) {
+		await editMessage(chatId, messageId, `❌ No other sizes available for \`${droplet.name}\` in ${droplet.region.slug}.`, env, { inline_keyboard: [back] });
+		return;
+	}
+	const currentPrice = droplet.size?.price_monthly || 0;
+	const keyboard = sizes.slice(0, 15).map(s => [{
+		text: `${s.slug} - $${s.price_monthly}/mo (${formatPriceDifference(currentPrice, s.price_monthly)})`,
+		callback_data: `rsz_s_${dropletId}_${s.slug}`
+	}]);
+	keyboard.push(back);
+	await editMessage(chatId, messageId,
+		`📐 *Resize Droplet*\n\nDroplet: \`${droplet.name}\`\nCurrent size: \`${droplet.size_slug}\` ($${currentPrice}/mo, ${droplet.disk}GB disk)\n\nSelect the new size:`,
+		env, { inline_keyboard: keyboard });
+}
+
+async function showResizeMode(chatId, messageId, dropletId, sizeSlug, env) {
+	const apiToken = await getUserApiToken(chatId, env);
+	const droplet = (await doApiCall(`/droplets/${dropletId}`, 'GET', apiToken)).droplet;
+	const size = (await doApiCall('/sizes?per_page=200', 'GET', apiToken)).sizes?.find(s => s.slug === sizeSlug);
+	if (!droplet || !size) { await editMessage(chatId, messageId, '❌ Droplet or size not found.', env); return; }
+	const diskNote = size.disk > droplet.disk
+		? `• *CPU/RAM + disk:* disk grows to ${size.disk}GB. *Permanent* — the droplet can never be resized below this disk again.\n• *CPU/RAM only:* keeps the ${droplet.disk}GB disk, so you can resize back down later.`
+		: `The disk stays at ${droplet.disk}GB either way.`;
+	await editMessage(chatId, messageId,
+		`📐 *Resize Droplet*\n\nDroplet: \`${droplet.name}\`\n\`${droplet.size_slug}\` → \`${size.slug}\`\n\n${diskNote}`,
+		env, {
+			inline_keyboard: [
+				[{ text: '💽 CPU/RAM + Disk', callback_data: `rsz_m_${dropletId}_${size.slug}_d` }],
+				[{ text: '⚙️ CPU/RAM Only',   callback_data: `rsz_m_${dropletId}_${size.slug}_c` }],
+				[{ text: '◀️ Back',           callback_data: `rsz_${dropletId}` }],
+			]
+		});
+}
+
+async function confirmResize(chatId, messageId, dropletId, sizeSlug, disk, env) {
+	const apiToken = await getUserApiToken(chatId, env);
+	const droplet = (await doApiCall(`/droplets/${dropletId}`, 'GET', apiToken)).droplet;
+	const size = (await doApiCall('/sizes?per_page=200', 'GET', apiToken)).sizes?.find(s => s.slug === sizeSlug);
+	if (!droplet || !size) { await editMessage(chatId, messageId, '❌ Droplet or size not found.', env); return; }
+	const currentPrice = droplet.size?.price_monthly || 0;
+	const running = droplet.status !== 'off'
+		? '\n\n⚠️ Droplet is *running*. It will be shut down gracefully, resized and powered back on.'
+		: '\n\nDroplet is off and stays off after the resize.';
+	await editMessage(chatId, messageId,
+		`⚠️ *Confirm Resize*\n\nDroplet: \`${droplet.name}\`\nSize: \`${droplet.size_slug}\` → \`${size.slug}\`\nDisk: ${disk ? `${droplet.disk}GB → ${size.disk}GB (permanent)` : `${droplet.disk}GB (unchanged)`}\n💰 Price: $${currentPrice}/mo → $${size.price_monthly}/mo (${formatPriceDifference(currentPrice, size.price_monthly)})${running}`,
+		env, {
+			inline_keyboard: [
+				[{ text: '✅ Yes, Resize', callback_data: `rsz_y_${dropletId}_${size.slug}_${disk ? 'd' : 'c'}` }],
+				[{ text: '◀️ Cancel',     callback_data: `droplet_${dropletId}` }],
+			]
+		});
+}
+
+// Runs shutdown → resize → power on as one chain of tracked actions; the cron handler starts each next step.
+// A graceful shutdown (not power_off) lets the OS flush its disks before the resize.
+async function executeResize(chatId, messageId, dropletId, sizeSlug, disk, actor, env) {
+	const apiToken = await getUserApiToken(chatId, env);
+	const droplet = (await doApiCall(`/droplets/${dropletId}`, 'GET', apiToken)).droplet;
+	if (!droplet) { await editMessage(chatId, messageId, '❌ Droplet not found.', env); return; }
+	const change = `Size: \`${droplet.size_slug}\` → \`${sizeSlug}\`${disk ? ' (with disk)' : ''}`;
+	const running = droplet.status !== 'off';
+	const steps = [
+		...(running ? [{ body: { type: 'shutdown' }, detail: `${change}\nStep: shutting down` }] : []),
+		{
+			body: { type: 'resize', size: sizeSlug, disk }, detail: `${change}\nStep: resizing`,
+			failureNote: running ? '⚠️ The droplet has been left powered off. Power it on from its details screen.' : null,
+		},
+		...(running ? [{
+			body: { type: 'power_on' }, detail: `${change}\nStep: powering on`,
+			failureNote: '⚠️ The droplet was resized but is still powered off. Power it on from its details screen.',
+		}] : []),
+	];
+	const replyMarkup = { inline_keyboard: [[{ text: '◀️ Back to Droplet', callback_data: `droplet_${dropletId}` }]] };
+	// Audited once the whole chain has finished, so a failed resize or power-on is not logged as a success
+	const audit = {
+		actor,
+		entry: { action: 'resize', resourceType: 'droplet', resourceId: dropletId, resourceName: droplet.name, detail: `${droplet.size_slug} → ${sizeSlug}${disk ? ' (disk)' : ''}` },
+	};
+	await editMessage(chatId, messageId, '⏳ Starting resize...', env);
+	await startChainedActions(chatId, messageId, dropletId, 'Resize', steps, replyMarkup, env, null, audit);
+}
+
+// ─── BULK OPERATIONS ──────────────────────────────────────────────────────────
+
+// tagAction: POST /droplets/actions?tag_name= accepts this type (reboot has no tag variant).
+// Snapshots run per droplet so each gets a name of its own rather than one name for the whole tag.
+const BULK_ACTIONS = {
+	power_on:  { label: 'Power On',  icon: '⚡',  tagAction: true },
+	power_off: { label: 'Power Off', icon: '🔌', tagAction: true },
+	reboot:    { label: 'Reboot',    icon: '🔁', tagAction: false },
+	snapshot:  { label: 'Snapshot',  icon: '📸', tagAction: false },
+	delete:    { label: 'Delete',    icon: '🗑️', tagAction: true },
+};
+
+async function getBulkSelection(chatId, env) {
+	const json = await env.DROPLET_CREATION.get(`bulk_${chatId}`);
+	return json ? JSON.parse(json) : { tag: null, ids: [] };
+}
+
+async function saveBulkSelection(chatId, selection, env) {
+	await env.DROPLET_CREATION.put(`bulk_${chatId}`, JSON.stringify(selection), { expirationTtl: 3600 });
+}
+
+// Selected droplets that still exist; the tag endpoints are used only when the whole tag is selected
+async function resolveBulkTargets(chatId, action, apiToken, env) {
+	const selection = await getBulkSelection(chatId, env);
+	const candidates = await getAllDroplets(apiToken, selection.tag);
+	const targets = candidates.filter(d => selection.ids.includes(d.id));
+	const useTag = !!selection.tag && targets.length === candidates.length && BULK_ACTIONS[action].tagAction;
+	return { selection, targets, useTag };
+}
+
+async function startBulkSelection(chatId, messageId, tag, env) {
+	const apiToken = await getUserApiToken(chatId, env);
+	if (!apiToken) { await sendMessage(chatId, '❌ No API token. Use /setapi first.', env); return; }
+	// A tag filter starts with every tagged droplet selected
+	const ids = tag ? (await getAllDroplets(apiToken, tag)).map(d => d.id) : [];
+	await saveBulkSelection(chatId, { tag, ids }, env);
+	await showBulkSelection(chatId, messageId, env);
+}
+
+// The page is kept in the selection so toggling a droplet stays on the same page
+async function showBulkSelection(chatId, messageId, env) {
+	const apiToken = await getUserApiToken(chatId, env);
+	const selection = await getBulkSelection(chatId, env);
+	const droplets = await getAllDroplets(apiToken, selection.tag);
+	const selectedCount = droplets.filter(d => selection.ids.includes(d.id)).length;
+	const button = (action) => ({ text: `${BULK_ACTIONS[action].icon} ${BULK_ACTIONS[action].label}`, callback_data: `bulk_act_${action}` });
+	const totalPages = Math.max(1, Math.ceil(droplets.length / ITEMS_PER_PAGE));
+	const page = Math.min(selection.page || 0, totalPages - 1);
+	const keyboard = droplets.slice(page * ITEMS_PER_PAGE, (page + 1) * ITEMS_PER_PAGE).map(d => [{
+		text: `${selection.ids.includes(d.id) ? '✅' : '⬜'} ${d.name} (${d.status})`,
+		callback_data: `bulk_t_${d.id}`
+	}]);
+	const nav = [];
+	if (page > 0) nav.push({ text: '◀️ Previous', callback_data: `bulk_pg_${page - 1}` });
+	if (page < totalPages - 1) nav.push({ text: 'Next ▶️', callback_data: `bulk_pg_${page + 1}` });
+	if (nav.length) keyboard.push(nav);
+	if (droplets.length > 0) {
+		keyboard.push([{ text: '☑️ Select All', callback_data: 'bulk_all' }, { text: '⬜ Clear', callback_data: 'bulk_none' }]);
+	}
+	if (selectedCount > 0) {
+		keyboard.push([button('power_on'), button('power_off')]);
+		keyboard.push([button('reboot'), button('snapshot')]);
+		keyboard.push([button('delete')]);
+	}
+	keyboard.push([{ text: '◀️ Back', callback_data: 'back_to_list' }]);
+	const scope = selection.tag ? `Tag: \`${selection.tag}\`\n` : '';
+	const text = droplets.length === 0
+		? `☑️ *Select Droplets*\n\n${scope}No droplets found.`
+		: `☑️ *Select Droplets*\n\n${scope}Selected: ${selectedCount}/${droplets.length}${totalPages > 1 ? ` • Page ${page + 1}/${totalPages}` : ''}\n\nTap droplets to toggle them, then pick an action.`;
+	if (messageId) await editMessage(chatId, messageId, text, env, { inline_keyboard: keyboard });
+	else await sendMessage(chatId, text, env, { inline_keyboard: keyboard });
+}
+
+async function toggleBulkDroplet(chatId, messageId, dropletId, env) {
+	const selection = await getBulkSelection(chatId, env);
+	selection.ids = selection.ids.includes(dropletId)
+		? selection.ids.filter(id => id !== dropletId)
+		: [...selection.ids, dropletId];
+	await saveBulkSelection(chatId, selection, env);
+	await showBulkSelection(chatId, messageId, env);
+}
+
+async function setBulkSelectionPage(chatId, messageId, page, env) {
+	const selection = await getBulkSelection(chatId, env);
+	await saveBulkSelection(chatId, { ...selection, page }, env);
+	await showBulkSelection(chatId, messageId, env);
+}
+
+async function setBulkSelectAll(chatId, messageId, selectAll, env) {
+	const selection = await getBulkSelection(chatId, env);
+	if (selectAll) {
+		const apiToken = await getUserApiToken(chatId, env);
+		selection.ids = (await getAllDroplets(apiToken, selection.tag)).map(d => d.id);
+	} else {
+		selection.ids = [];
+	}
+	await saveBulkSelection(chatId, selection, env);
+	await showBulkSelection(chatId, messageId, env);
+}
+
+async function confirmBulkAction(chatId, messageId, action, env) {
+	const apiToken = await getUserApiToken(chatId, env);
+	const { selection, targets, useTag } = await resolveBulkTargets(chatId, action, apiToken, env);
+	const backKeyboard = { inline_keyboard: [[{ text: '◀️ Back', callback_data: 'bulk_show' }]] };
+	if (targets.length === 0) { await editMessage(chatId, messageId, '❌ No droplets selected.', env, backKeyboard); return; }
+	const { label, icon } = BULK_ACTIONS[action];
+	const names = targets.slice(0, 30).map(d => `• \`${d.name}\``).join('\n') + (targets.length > 30 ? `\n…and ${targets.length - 30} more` : '');
+	const scope = useTag ? `\n\nRuns as one action on every droplet tagged \`${selection.tag}\`.` : '';
+	const warning = action === 'delete' ? '\n\n⚠️ *This cannot be undone!*' : '';
+	await editMessage(chatId, messageId,
+		`⚠️ *Confirm ${label}*\n\nDroplets (${targets.length}):\n${names}${scope}${warning}`,
+		env, {
+			inline_keyboard: [
+				[{ text: `${icon} Yes, ${label} ${targets.length}`, callback_data: `bulk_yes_${action}` }],
+				[{ text: '◀️ Cancel', callback_data: 'bulk_show' }],
+			]
+		});
+}
+
+// One request for the whole tag; per-droplet results come from the returned actions
+async function runBulkTagAction(action, tag, droplets, apiToken) {
+	const tagQuery = `tag_name=${encodeURIComponent(tag)}`;
+	if (action === 'delete') {
+		const response = await doApiDelete(`/droplets?${tagQuery}`, apiToken);
+		const ok = response.status === 204;
+		return droplets.map(droplet => ({ droplet, ok, detail: ok ? '' : `HTTP ${response.status}` }));
+	}
+	const result = await doApiCall(`/droplets/actions?${tagQuery}`, 'POST', apiToken, { type: action });
+	const actions = result.actions || [];
+	return droplets.map(droplet => {
+		const started = actions.find(a => a.resource_id === droplet.id);
+		return { droplet, ok: !!started, detail: started ? `action ${started.id}` : (result.message || 'No action returned') };
+	});
+}
+
+async function runBulkPerDroplet(action, droplets, apiToken) {
+	const results = [];
+	for (const droplet of droplets) {
+		if (action === 'delete') {
+			const response = await doApiDelete(`/droplets/${droplet.id}`, apiToken);
+			const ok = response.status === 204;
+			results.push({ droplet, ok, detail: ok ? '' : `HTTP ${response.status}` });
+			continue;
+		}
+		const body = action === 'snapshot' ? { type: 'snapshot', name: generateSnapshotName(droplet.name) } : { type: action };
+		const result = await doApiCall(`/droplets/${droplet.id}/actions`, 'POST', apiToken, body);
+		results.push({ droplet, ok: !!result.action, detail: result.action ? `action ${result.action.id}` : (result.message || 'Unknown error') });
+	}
+	return results;
+}
+
+async function executeBulkAction(chatId, messageId, action, actor, env) {
+	const apiToken = await getUserApiToken(chatId, env);
+	const { selection, targets, useTag } = await resolveBulkTargets(chatId, action, apiToken, env);
+	if (targets.length === 0) { await editMessage(chatId, messageId, '❌ No droplets selected.', env); return; }
+	const { label } = BULK_ACTIONS[action];
+	await editMessage(chatId, messageId, `⏳ ${label}: ${targets.length} droplet(s)...`, env);
+	const results = useTag
+		? await runBulkTagAction(action, selection.tag, targets, apiToken)
+		: await runBulkPerDroplet(action, targets, apiToken);
+
+	for (const { droplet, ok, detail } of results) {
+		await recordAudit(actor, {
+			action, resourceType: 'droplet', resourceId: droplet.id, resourceName: droplet.name,
+			result: ok ? 'success' : 'failed', detail: `${useTag ? `tag ${selection.tag}` : 'bulk'}${detail ? ` ${detail}` : ''}`,
+		}, env);
+		if (ok && action === 'delete') {
+			await deleteDropletNote(droplet.id, env);
+			await env.DROPLET_CREATION.delete(`snap_policy_${droplet.id}`);
+		}
+	}
+	if (action === 'delete') {
+		const deleted = results.filter(r => r.ok).map(r => r.droplet.id);
+		selection.ids = selection.ids.filter(id => !deleted.includes(id));
+		await saveBulkSelection(chatId, selection, env);
+	}
+
+	const succeeded = results.filter(r => r.ok).length;
+	// Failures first, then as many lines as fit in one message
+	const lines = [];
+	let length = 0;
+	for (const r of [...results.filter(r => !r.ok), ...results.filter(r => r.ok)]) {
+		const line = r.ok ? `✅ \`${r.droplet.name}\`` : `❌ \`${r.droplet.name}\`: ${r.detail}`;
+		if (length + line.length > MAX_BULK_SUMMARY_LENGTH) break;
+		lines.push(line);
+		length += line.length + 1;
+	}
+	if (lines.length < results.length) lines.push(`…and ${results.length - lines.length} more`);
+	await editMessage(chatId, messageId,
+		`${succeeded === results.length ? '✅' : '⚠️'} *${label}:* ${succeeded}/${results.length} succeeded\n\n${lines.join('\n')}`,
+		env, {
+			inline_keyboard: [
+				[{ text: '☑️ Back to Selection', callback_data: 'bulk_show' }],
+				[{ text: '📋 Droplet List',      callback_data: 'back_to_list' }],
+			]
+		});
+}
+
+// ─── TAKE SNAPSHOT (per-droplet) ──────────────────────────────────────────────
+
+async function askSnapshotName(chatId, messageId, dropletId, env) {
+	const apiToken = await getUserApiToken(chatId, env);
+	const dropletData = await doApiCall(`/droplets/${dropletId}`, 'GET', apiToken);
+	if (!dropletData.droplet) { await editMessage(chatId, messageId, '❌ Droplet not found.', env); return; }
+	const droplet = dropletData.droplet;
+	const defaultName = generateSnapshotName(droplet.name);
+	const sessionId = `snap_session_${chatId}_${Date.now()}`;
+	await env.DROPLET_CREATION.put(sessionId, JSON.stringify({ dropletId, dropletName: droplet.name, defaultName }), { expirationTtl: 300 });
+	const liveWarning = droplet.status !== 'off'
+		? '\n\n⚠️ Droplet is *running*. Snapshotting a live droplet may produce inconsistent state.'
+		: '';
+	await editMessage(chatId, messageId,
+		`📸 *Take Snapshot*\n\nDroplet: \`${droplet.name}\`\nStatus: \`${droplet.status}\`\nDefault name: \`${defaultName}\`${liveWarning}`,
+		env, {
+			inline_keyboard: [
+				[{ text: '✅ Use Default', callback_data: `snap_default_${sessionId}` },
+				 { text: '📝 Rename',      callback_data: `snap_rename_${sessionId}` }],
+				[{ text: '◀️ Cancel', callback_data: `droplet_${dropletId}` }],
+			]
+		});
+}
+
+async function useDefaultSnapshotName(chatId, messageId, sessionId, env) {
+	const dataStr = await env.DROPLET_CREATION.get(sessionId);
+	if (!dataStr) { await editMessage(chatId, messageId, '❌ Session expired.', env); return; }
+	const data = JSON.parse(dataStr);
+	await deleteMessage(chatId, messageId, env);
+	await confirmSnapshotCreation(chatId, data.dropletId, data.dropletName, data.defaultName, env);
+	await env.DROPLET_CREATION.delete(sessionId);
+}
+
+async function confirmSnapshotCreation(chatId, dropletId, dropletName, snapshotName, env) {
+	const apiToken = await getUserApiToken(chatId, env);
+	const dropletData = await doApiCall(`/droplets/${dropletId}`, 'GET', apiToken);
+	const droplet = dropletData.droplet;
+	const sessionId = `snap_exec_${chatId}_${Date.now()}`;
+	await env.DROPLET_CREATION.put(sessionId, JSON.stringify({ dropletId, snapshotName }), { expirationTtl: 300 });
+	const liveWarning = droplet && droplet.status !== 'off' ? '\n\n⚠️ *Droplet is running.* Snapshot may be inconsistent.' : '';
+	await sendMessage(chatId,
+		`⚠️ *Confirm Snapshot*\n\nDroplet: \`${dropletName}\`\nSnapshot name: \`${snapshotName}\`${liveWarning}\n\nThis can take several minutes.`,
+		env, {
+			inline_keyboard: [
+				[{ text: '✅ Yes, Take Snapshot', callback_data: `snap_exec_${sessionId}` }],
+				[{ text: '◀️ Cancel',            callback_data: `droplet_${dropletId}` }],
+			]
+		});
+}
+
+async function executeSnapshot(chatId, messageId, sessionId, actor, env) {
+	const apiToken = await getUserApiToken(chatId, env);
+	const dataStr = await env.DROPLET_CREATION.get(sessionId);
+	if (!dataStr) { await editMessage(chatId, messageId, '❌ Session expired.', env); return; }
+	const data = JSON.parse(dataStr);
+	await editMessage(chatId, messageId, '⏳ Starting snapshot...', env);
+	const result = await doApiCall(`/droplets/${data.dropletId}/actions`, 'POST', apiToken, { type: 'snapshot', name: data.snapshotName });
+	await recordAudit(actor, {
+		action: 'snapshot', resourceType: 'droplet', resourceId: data.dropletId,
+		result: result.action ? 'success' : 'failed', detail: result.action ? data.snapshotName : result.message,
+	}, env);
+	if (result.action) {
+		const replyMarkup = {
+			inline_keyboard: [
+				[{ text: '📸 Manage Snapshots',  callback_data: 'menu_snapshots' }],
+				[{ text: '◀️ Back to Droplet', callback_data: `droplet_${data.dropletId}` }],
+			]
+		};
+		await editMessage(chatId, messageId,
+			`✅ *Snapshot Started!*\n\nName: \`${data.snapshotName}\`\nStatus: \`${result.action.status}\`\n\n⏳ Snapshots can take several minutes. This message will update when it finishes.`,
+			env, replyMarkup);
+		await trackAction(chatId, messageId, result.action, data.dropletId, 'Snapshot', `Name: \`${data.snapshotName}\``, replyMarkup, env);
+		await env.DROPLET_CREATION.delete(sessionId);
+	} else {
+		await editMessage(chatId, messageId, `❌ Failed: ${result.message || 'Unknown error'}`, env);
+	}
+}
+
+// ─── SNAPSHOT MANAGEMENT (account-wide) ──────────────────────────────────────
+
+async function getDropletSnapshots(apiToken) {
+	try {
+		let all = [];
+		let page = 1;
+		const perPage = 200;
+		while (page <= 20) {
+			const resp = await doApiCall(`/snapshots?resource_type=droplet&page=${page}&per_page=${perPage}`, 'GET', apiToken);
+			const list = resp.snapshots || [];
+			all = all.concat(list);
+			if (list.length < perPage) break;
+			page++;
+		}
+		return all;
+	} catch (error) {
+		console.error('Error getting droplet snapshots:', error);
+		return [];
+	}
+}
+
+function buildSnapshotsKeyboard(snapshots, page) {
+	const totalPages = Math.max(1, Math.ceil(snapshots.length / ITEMS_PER_PAGE));
+	const pageItems = snapshots.slice(page * ITEMS_PER_PAGE, (page + 1) * ITEMS_PER_PAGE);
+	const keyboard = pageItems.map(s => [{
+		text: `📸 ${s.name}${s.size_gigabytes != null ? ` • ${formatGB(s.size_gigabytes)}` : ''}`,
+		callback_data: `snap_view_${s.id}`
+	}]);
+	const nav = [];
+	if (page > 0) nav.push({ text: '◀️ Previous', callback_data: `snap_page_${page - 1}` });
+	if (page < totalPages - 1) nav.push({ text: 'Next ▶️', callback_data: `snap_page_${page + 1}` });
+	if (nav.length) keyboard.push(nav);
+	return { keyboard, totalPages };
+}
+
+async function showSnapshotsList(chatId, page, env) {
+	const apiToken = await getUserApiToken(chatId, env);
+	if (!apiToken) { await sendMessage(chatId, '❌ No API token. Use /setapi first.', env); return; }
+	const loading = await sendMessage(chatId, '⏳ Loading snapshots...', env);
+	const snapshots = await getDropletSnapshots(apiToken);
+	if (loading.result?.message_id) await deleteMessage(chatId, loading.result.message_id, env);
+	if (snapshots.length === 0) {
+		await sendMessage(chatId, '📸 *Snapshots*\n\nNo droplet snapshots found.\n\nTake one from any droplet via 📋 List Droplets.', env);
+		return;
+	}
+	const { keyboard, totalPages } = buildSnapshotsKeyboard(snapshots, page);
+	await sendMessage(chatId, `📸 *Manage Snapshots*\n\nTotal: ${snapshots.length}\nPage ${page + 1}/${totalPages}\n\nTap a snapshot to view details or delete it.`, env, { inline_keyboard: keyboard });
+}
+
+async function showSnapshotsListEdit(chatId, messageId, page, env) {
+	const apiToken = await getUserApiToken(chatId, env);
+	if (!apiToken) { await editMessage(chatId, messageId, '❌ No API token.', env); return; }
+	const snapshots = await getDropletSnapshots(apiToken);
+	if (snapshots.length === 0) { await editMessage(chatId, messageId, '📸 *Snapshots*\n\nNo droplet snapshots found.', env); return; }
+	const { keyboard, totalPages } = buildSnapshotsKeyboard(snapshots, page);
+	await editMessage(chatId, messageId, `📸 *Manage Snapshots*\n\nTotal: ${snapshots.length}\nPage ${page + 1}/${totalPages}\n\nTap a snapshot to view details or delete it.`, env, { inline_keyboard: keyboard });
+}
+
+async function showSnapshotDetails(chatId, messageId, snapshotId, env) {
+	const apiToken = await getUserApiToken(chatId, env);
+	const data = await doApiCall(`/snapshots/${snapshotId}`, 'GET', apiToken);
+	if (!data.snapshot) { await editMessage(chatId, messageId, '❌ Snapshot not found.', env); return; }
+	const s = data.snapshot;
+	const regions = (s.regions || []).join(', ') || 'none';
+	await editMessage(chatId, messageId,
+		`📸 *Snapshot Details*\n\n*Name:* \`${s.name}\`\n*ID:* \`${s.id}\`\n*Distribution:* \`${s.distribution || '?'}\`\n*Size:* ${formatGB(s.size_gigabytes)}\n*Min disk:* ${formatGB(s.min_disk_size)}\n*Created:* ${formatDate(s.created_at)}\n*Regions:* ${regions}\n*Resource:* ${s.resource_type} #${s.resource_id}`,
+		env, {
+			inline_keyboard: [
+				[{ text: '🗑️ Delete Snapshot',    callback_data: `snap_del_${snapshotId}` }],
+				[{ text: '◀️ Back to Snapshots', callback_data: 'snap_back_list' }],
+			]
+		});
+}
+
+async function confirmDeleteSnapshot(chatId, messageId, snapshotId, env) {
+	const apiToken = await getUserApiToken(chatId, env);
+	const data = await doApiCall(`/snapshots/${snapshotId}`, 'GET', apiToken);
+	if (!data.snapshot) { await editMessage(chatId, messageId, '❌ Snapshot not found.', env); return; }
+	const s = data.snapshot;
+	await editMessage(chatId, messageId,
+		`⚠️ *Delete Snapshot?*\n\nName: \`${s.name}\`\nSize: ${formatGB(s.size_gigabytes)}\nCreated: ${formatDate(s.created_at)}\n\n*This cannot be undone!*`,
+		env, {
+			inline_keyboard: [
+				[{ text: '✅ Yes, Delete', callback_data: `snap_del_yes_${snapshotId}` }],
+				[{ text: '◀️ Cancel',     callback_data: `snap_view_${snapshotId}` }],
+			]
+		});
+}
+
+async function executeDeleteSnapshot(chatId, messageId, snapshotId, actor, env) {
+	const apiToken = await getUserApiToken(chatId, env);
+	await editMessage(chatId, messageId, '⏳ Deleting snapshot...', env);
+	const response = await doApiDelete(`/snapshots/${snapshotId}`, apiToken);
+	await recordAudit(actor, {
+		action: 'delete', resourceType: 'snapshot', resourceId: snapshotId,
+		result: response.status === 204 ? 'success' : 'failed', detail: `HTTP ${response.status}`,
+	}, env);
+	if (response.status === 204) {
+		await editMessage(chatId, messageId, '✅ *Snapshot deleted!*', env, {
+			inline_keyboard: [[{ text: '◀️ Back to Snapshots', callback_data: 'snap_back_list' }]]
+		});
+	} else {
+		let detail = '';
+		try { const json = await response.json(); detail = json.message ? `\n\n${json.message}` : ''; } catch (e) {}
+		await editMessage(chatId, messageId, `❌ Failed to delete snapshot.${detail}`, env);
+	}
+}
+
+// ─── VOLUMES (block storage) ──────────────────────────────────────────────────
+
+async function getVolumes(apiToken) {
+	try {
+		let all = [];
+		let page = 1;
+		const perPage = 200;
+		while (page <= 20) {
+			const data = await doApiCall(`/volumes?page=${page}&per_page=${perPage}`, 'GET', apiToken);
+			const list = data.volumes || [];
+			all = all.concat(list);
+			if (list.length < perPage) break;
+			page++;
+		}
+		return all;
+	} catch (error) {
+		console.error('Error getting volumes:', error);
+		return [];
+	}
+}
+
+async function getVolume(volumeId, apiToken) {
+	const data = await doApiCall(`/volumes/${volumeId}`, 'GET', apiToken);
+	return data.volume || null;
+}
+
+function formatVolumeCost(sizeGigabytes) {
+	return `$${(sizeGigabytes * VOLUME_PRICE_PER_GB).toFixed(2)}/mo`;
+}
+
+function buildVolumesKeyboard(volumes, page) {
+	const totalPages = Math.max(1, Math.ceil(volumes.length / ITEMS_PER_PAGE));
+	const pageItems = volumes.slice(page * ITEMS_PER_PAGE, (page + 1) * ITEMS_PER_PAGE);
+	const keyboard = pageItems.map(v => [{
+		text: `💾 ${v.name} • ${formatGB(v.size_gigabytes)} • ${v.region.slug}${v.droplet_ids.length > 0 ? ' • 📎' : ''}`,
+		callback_data: `vol_view_${v.id}`
+	}]);
+	const nav = [];
+	if (page > 0) nav.push({ text: '◀️ Previous', callback_data: `vol_page_${page - 1}` });
+	if (page < totalPages - 1) nav.push({ text: 'Next ▶️', callback_data: `vol_page_${page + 1}` });
+	if (nav.length) keyboard.push(nav);
+	keyboard.push([{ text: '➕ Create Volume', callback_data: 'vol_new' }]);
+	return { keyboard, totalPages };
+}
+
+function describeVolumesList(volumes, page, totalPages) {
+	if (volumes.length === 0) return '💾 *Volumes*\n\nNo volumes found.';
+	return `💾 *Manage Volumes*\n\nTotal: ${volumes.length}\nPage ${page + 1}/${totalPages}\n\n📎 = attached. Tap a volume to manage it.`;
+}
+
+async function showVolumesList(chatId, page, env) {
+	const apiToken = await getUserApiToken(chatId, env);
+	if (!apiToken) { await sendMessage(chatId, '❌ No API token. Use /setapi first.', env); return; }
+	const loading = await sendMessage(chatId, '⏳ Loading volumes...', env);
+	const volumes = await getVolumes(apiToken);
+	if (loading.result?.message_id) await deleteMessage(chatId, loading.result.message_id, env);
+	const { keyboard, totalPages } = buildVolumesKeyboard(volumes, page);
+	await sendMessage(chatId, describeVolumesList(volumes, page, totalPages), env, { inline_keyboard: keyboard });
+}
+
+async function showVolumesListEdit(chatId, messageId, page, env) {
+	const apiToken = await getUserApiToken(chatId, env);
+	if (!apiToken) { await editMessage(chatId, messageId, '❌ No API token.', env); return; }
+	const volumes = await getVolumes(apiToken);
+	const { keyboard, totalPages } = buildVolumesKeyboard(volumes, page);
+	await editMessage(chatId, messageId, describeVolumesList(volumes, page, totalPages), env, { inline_keyboard: keyboard });
+}
+
+async function showVolumeDetails(chatId, messageId, volumeId, env) {
+	const apiToken = await getUserApiToken(chatId, env);
+	const v = await getVolume(volumeId, apiToken);
+	if (!v) { await editMessage(chatId, messageId, '❌ Volume not found.', env); return; }
+	const attachedTo = [];
+	for (const dropletId of v.droplet_ids) {
+		const droplet = (await doApiCall(`/droplets/${dropletId}`, 'GET', apiToken)).droplet;
+		attachedTo.push({ id: dropletId, name: droplet?.name || `#${dropletId}` });
+	}
+	const attachment = attachedTo.length > 0 ? attachedTo.map(d => `\`${d.name}\``).join(', ') : 'not attached';
+	const keyboard = attachedTo.map(d => [{ text: `🔌 Detach from ${d.name}`, callback_data: `vol_dtc_${v.id}_${d.id}` }]);
+	if (attachedTo.length === 0) keyboard.push([{ text: '📎 Attach to Droplet', callback_data: `vol_att_${v.id}` }]);
+	keyboard.push([{ text: '📏 Resize',        callback_data: `vol_rs_${v.id}` },
+	               { text: '📸 Take Snapshot', callback_data: `vol_snc_${v.id}` }]);
+	keyboard.push([{ text: '🗑️ Delete Volume', callback_data: `vol_delc_${v.id}` }]);
+	keyboard.push([{ text: '◀️ Back to Volumes', callback_data: 'vol_page_0' }]);
+	await editMessage(chatId, messageId,
+		`💾 *Volume Details*\n\n*Name:* \`${v.name}\`\n*Size:* ${formatGB(v.size_gigabytes)} (${formatVolumeCost(v.size_gigabytes)})\n*Region:* ${v.region.name}\n*Filesystem:* ${v.filesystem_type || 'unformatted'}\n*Attached to:* ${attachment}\n*Created:* ${formatDate(v.created_at)}`,
+		env, { inline_keyboard: keyboard });
+}
+
+// Volume actions (attach / detach / resize) are followed by the action tracker like droplet actions
+async function runVolumeAction(chatId, messageId, volumeId, body, label, actor, env) {
+	const apiToken = await getUserApiToken(chatId, env);
+	await editMessage(chatId, messageId, `⏳ ${label}...`, env);
+	const result = await doApiCall(`/volumes/${volumeId}/actions`, 'POST', apiToken, body);
+	await recordAudit(actor, {
+		action: body.type, resourceType: 'volume', resourceId: volumeId,
+		result: result.action ? 'success' : 'failed',
+		detail: result.action ? (body.droplet_id ? `droplet ${body.droplet_id}` : `${body.size_gigabytes} GB`) : result.message,
+	}, env);
+	const replyMarkup = { inline_keyboard: [[{ text: '◀️ Back to Volume', callback_data: `vol_view_${volumeId}` }]] };
+	if (!result.action) {
+		await editMessage(chatId, messageId, `❌ Failed: ${result.message || 'Unknown error'}`, env, replyMarkup);
+		return;
+	}
+	await editMessage(chatId, messageId,
+		`✅ *${label} Started!*\n\nStatus: \`${result.action.status}\`\n\n⏳ This message will update when it finishes.`,
+		env, replyMarkup);
+	await trackAction(chatId, messageId, result.action, null, label, '', replyMarkup, env);
+}
+
+// ── Attach / detach ──
+
+async function showVolumeAttachTargets(chatId, messageId, volumeId, page, env) {
+	const apiToken = await getUserApiToken(chatId, env);
+	const v = await getVolume(volumeId, apiToken);
+	if (!v) { await editMessage(chatId, messageId, '❌ Volume not found.', env); return; }
+	const droplets = (await getAllDroplets(apiToken)).filter(d => d.region?.slug === v.region.slug);
+	const totalPages = Math.max(1, Math.ceil(droplets.length / ITEMS_PER_PAGE));
+	page = Math.min(page, totalPages - 1);
+	const keyboard = droplets.slice(page * ITEMS_PER_PAGE, (page + 1) * ITEMS_PER_PAGE).map(d => [{ text: `${d.name} (${d.status})`, callback_data: `vol_atc_${v.id}_${d.id}` }]);
+	const nav = [];
+	if (page > 0) nav.push({ text: '◀️ Previous', callback_data: `vol_att_${v.id}_${page - 1}` });
+	if (page < totalPages - 1) nav.push({ text: 'Next ▶️', callback_data: `vol_att_${v.id}_${page + 1}` });
+	if (nav.length) keyboard.push(nav);
+	keyboard.push([{ text: '◀️ Back', callback_data: `vol_view_${v.id}` }]);
+	const hint = droplets.length === 0 ? `\n\nNo droplets in ${v.region.slug}. Volumes can only attach to droplets in their region.` : '';
+	await editMessage(chatId, messageId, `📎 *Attach Volume*\n\nVolume: \`${v.name}\`\nRegion: ${v.region.slug}\n\nPick a droplet:${hint}`, env, { inline_keyboard: keyboard });
+}
+
+async function confirmVolumeAttachment(chatId, messageId, volumeId, dropletId, detach, env) {
+	const apiToken = await getUserApiToken(chatId, env);
+	const v = await getVolume(volumeId, apiToken);
+	const droplet = (await doApiCall(`/droplets/${dropletId}`, 'GET', apiToken)).droplet;
+	if (!v || !droplet) { await editMessage(chatId, messageId, '❌ Volume or droplet not found.', env); return; }
+	const warning = detach ? '\n\n⚠️ Unmount the filesystem inside the droplet first to avoid data loss.' : '';
+	await editMessage(chatId, messageId,
+		`⚠️ *${detach ? 'Detach' : 'Attach'} Volume?*\n\nVolume: \`${v.name}\`\nDroplet: \`${droplet.name}\`${warning}`,
+		env, {
+			inline_keyboard: [
+				[{ text: `✅ Yes, ${detach ? 'Detach' : 'Attach'}`, callback_data: `${detach ? 'vol_dty_' : 'vol_aty_'}${volumeId}_${dropletId}` }],
+				[{ text: '◀️ Cancel', callback_data: `vol_view_${volumeId}` }],
+			]
+		});
+}
+
+async function executeVolumeAttachment(chatId, messageId, volumeId, dropletId, detach, actor, env) {
+	const apiToken = await getUserApiToken(chatId, env);
+	const v = await getVolume(volumeId, apiToken);
+	if (!v) { await editMessage(chatId, messageId, '❌ Volume not found.', env); return; }
+	const body = { type: detach ? 'detach' : 'attach', droplet_id: dropletId, region: v.region.slug };
+	await runVolumeAction(chatId, messageId, volumeId, body, detach ? 'Detach' : 'Attach', actor, env);
+}
+
+// ── Resize (grow only) ──
+
+async function showVolumeResizeOptions(chatId, messageId, volumeId, env) {
+	const apiToken = await getUserApiToken(chatId, env);
+	const v = await getVolume(volumeId, apiToken);
+	if (!v) { await editMessage(chatId, messageId, '❌ Volume not found.', env); return; }
+	const sizes = VOLUME_SIZES.filter(size => size > v.size_gigabytes);
+	const keyboard = [];
+	for (let i = 0; i < sizes.length; i += 3) {
+		keyboard.push(sizes.slice(i, i + 3).map(size => ({ text: `${size} GB`, callback_data: `vol_rsc_${v.id}_${size}` })));
+	}
+	keyboard.push([{ text: '◀️ Back', callback_data: `vol_view_${v.id}` }]);
+	const hint = sizes.length === 0 ? '\n\nAlready at the largest preset size.' : '\n\nVolumes can only grow.';
+	await editMessage(chatId, messageId, `📏 *Resize Volume*\n\nVolume: \`${v.name}\`\nCurrent: ${formatGB(v.size_gigabytes)}${hint}`, env, { inline_keyboard: keyboard });
+}
+
+async function confirmVolumeResize(chatId, messageId, volumeId, size, env) {
+	const apiToken = await getUserApiToken(chatId, env);
+	const v = await getVolume(volumeId, apiToken);
+	if (!v) { await editMessage(chatId, messageId, '❌ Volume not found.', env); return; }
+	await editMessage(chatId, messageId,
+		`⚠️ *Resize Volume?*\n\nVolume: \`${v.name}\`\n${formatGB(v.size_gigabytes)} → *${formatGB(size)}*\nCost: ${formatVolumeCost(v.size_gigabytes)} → ${formatVolumeCost(size)}\n\nThis cannot be reversed. Grow the filesystem inside the droplet afterwards.`,
+		env, {
+			inline_keyboard: [
+				[{ text: '✅ Yes, Resize', callback_data: `vol_rsy_${volumeId}_${size}` }],
+				[{ text: '◀️ Cancel',     callback_data: `vol_view_${volumeId}` }],
+			]
+		});
+}
+
+async function executeVolumeResize(chatId, messageId, volumeId, size, actor, env) {
+	const apiToken = await getUserApiToken(chatId, env);
+	const v = await getVolume(volumeId, apiToken);
+	if (!v) { await editMessage(chatId, messageId, '❌ Volume not found.', env); return; }
+	await runVolumeAction(chatId, messageId, volumeId, { type: 'resize', size_gigabytes: size, region: v.region.slug }, 'Volume Resize', actor, env);
+}
+
+// ── Snapshot ──
+
+async function confirmVolumeSnapshot(chatId, messageId, volumeId, env) {
+	const apiToken = await getUserApiToken(chatId, env);
+	const v = await getVolume(volumeId, apiToken);
+	if (!v) { await editMessage(chatId, messageId, '❌ Volume not found.', env); return; }
+	await editMessage(chatId, messageId,
+		`📸 *Snapshot Volume?*\n\nVolume: \`${v.name}\`\nName: \`${generateSnapshotName(v.name)}\``,
+		env, {
+			inline_keyboard: [
+				[{ text: '✅ Take Snapshot', callback_data: `vol_sny_${volumeId}` }],
+				[{ text: '◀️ Cancel',        callback_data: `vol_view_${volumeId}` }],
+			]
+		});
+}
+
+async function executeVolumeSnapshot(chatId, messageId, volumeId, actor, env) {
+	const apiToken = await getUserApiToken(chatId, env);
+	const v = await getVolume(volumeId, apiToken);
+	if (!v) { await editMessage(chatId, messageId, '❌ Volume not found.', env); return; }
+	const name = generateSnapshotName(v.name);
+	await editMessage(chatId, messageId, '⏳ Taking volume snapshot...', env);
+	const result = await doApiCall(`/volumes/${volumeId}/snapshots`, 'POST', apiToken, { name });
+	await recordAudit(actor, {
+		action: 'snapshot', resourceType: 'volume', resourceId: volumeId, resourceName: v.name,
+		result: result.snapshot ? 'success' : 'failed', detail: result.snapshot ? name : result.message,
+	}, env);
+	const replyMarkup = { inline_keyboard: [[{ text: '◀️ Back to Volume', callback_data: `vol_view_${volumeId}` }]] };
+	await editMessage(chatId, messageId,
+		result.snapshot ? `✅ *Volume snapshot created!*\n\nName: \`${name}\`\nSize: ${formatGB(result.snapshot.size_gigabytes)}` : `❌ Failed: ${result.message || 'Unknown error'}`,
+		env, replyMarkup);
+}
+
+// ── Delete ──
+
+async function confirmDeleteVolume(chatId, messageId, volumeId, env) {
+	const apiToken = await getUserApiToken(chatId, env);
+	const v = await getVolume(volumeId, apiToken);
+	if (!v) { await editMessage(chatId, messageId, '❌ Volume not found.', env); return; }
+	const back = [{ text: '◀️ Back', callback_data: `vol_view_${volumeId}` }];
+	if (v.droplet_ids.length > 0) {
+		await editMessage(chatId, messageId, `❌ *Volume is attached*\n\nDetach \`${v.name}\` from its droplet before deleting it.`, env, { inline_keyboard: [back] });
+		return;
+	}
+	await editMessage(chatId, messageId,
+		`⚠️ *Delete Volume?*\n\nName: \`${v.name}\`\nSize: ${formatGB(v.size_gigabytes)}\nCreated: ${formatDate(v.created_at)}\n\n*All data on it will be lost. This cannot be undone!*`,
+		env, {
+			inline_keyboard: [
+				[{ text: '✅ Yes, Delete', callback_data: `vol_dely_${volumeId}` }],
+				[{ text: '◀️ Cancel',     callback_data: `vol_view_${volumeId}` }],
+			]
+		});
+}
+
+async function executeDeleteVolume(chatId, messageId, volumeId, actor, env) {
+	const apiToken = await getUserApiToken(chatId, env);
+	await editMessage(chatId, messageId, '⏳ Deleting volume...', env);
+	const response = await doApiDelete(`/volumes/${volumeId}`, apiToken);
+	await recordAudit(actor, {
+		action: 'delete', resourceType: 'volume', resourceId: volumeId,
+		result: response.status === 204 ? 'success' : 'failed', detail: `HTTP ${response.status}`,
+	}, env);
+	const replyMarkup = { inline_keyboard: [[{ text: '◀️ Back to Volumes', callback_data: 'vol_page_0' }]] };
+	await editMessage(chatId, messageId, response.status === 204 ? '✅ *Volume deleted!*' : '❌ Failed to delete volume.', env, replyMarkup);
+}
+
+// ── Create: region → size → name → confirm ──
+
+async function getVolumeDraft(chatId, env) {
+	const json = await env.DROPLET_CREATION.get(`volnew_${chatId}`);
+	return json ? JSON.parse(json) : null;
+}
+
+async function saveVolumeDraft(chatId, draft, env) {
+	await env.DROPLET_CREATION.put(`volnew_${chatId}`, JSON.stringify(draft), { expirationTtl: 900 });
+}
+
+async function showVolumeRegions(chatId, messageId, env) {
+	const apiToken = await getUserApiToken(chatId, env);
+	const data = await doApiCall('/regions', 'GET', apiToken);
+	const regions = (data.regions || []).filter(r => r.available && (r.features || []).includes('storage'));
+	const keyboard = [];
+	for (let i = 0; i < regions.length; i += 2) {
+		keyboard.push(regions.slice(i, i + 2).map(r => ({ text: r.name, callback_data: `vol_nr_${r.slug}` })));
+	}
+	keyboard.push([{ text: '◀️ Back', callback_data: 'vol_page_0' }]);
+	await editMessage(chatId, messageId, '💾 *Create Volume*\n\n🌍 Step 1: Select region', env, { inline_keyboard: keyboard });
+}
+
+async function showVolumeSizes(chatId, messageId, region, env) {
+	await saveVolumeDraft(chatId, { region }, env);
+	const keyboard = [];
+	for (let i = 0; i < VOLUME_SIZES.length; i += 3) {
+		keyboard.push(VOLUME_SIZES.slice(i, i + 3).map(size => ({ text: `${size} GB • ${formatVolumeCost(size)}`, callback_data: `vol_ns_${size}` })));
+	}
+	keyboard.push([{ text: '◀️ Back', callback_data: 'vol_new' }]);
+	await editMessage(chatId, messageId, `💾 *Create Volume*\n\nRegion: ${region}\n\n📏 Step 2: Select size`, env, { inline_keyboard: keyboard });
+}
+
+async function askVolumeName(chatId, messageId, size, env) {
+	const draft = await getVolumeDraft(chatId, env);
+	if (!draft) { await editMessage(chatId, messageId, '❌ Session expired.', env); return; }
+	draft.size = size;
+	draft.name = `volume-${draft.region}-${Date.now().toString().slice(-4)}`;
+	await saveVolumeDraft(chatId, draft, env);
+	await setState(chatId, { step: 'naming_volume' }, env);
+	await editMessage(chatId, messageId,
+		`💾 *Create Volume*\n\nRegion: ${draft.region}\nSize: ${size} GB\n\n📝 Step 3: Send a name, or use the default:\n\`${draft.name}\`\n\n✅ Allowed: a-z, 0-9 and -, starting with a letter`,
+		env, { inline_keyboard: [[{ text: '✅ Use Default', callback_data: 'vol_nd' }], [{ text: '◀️ Cancel', callback_data: 'vol_page_0' }]] });
+}
+
+// Sends a fresh confirmation when the volume name was typed
+async function confirmVolumeCreation(chatId, messageId, env) {
+	const draft = await getVolumeDraft(chatId, env);
+	if (!draft?.size) {
+		if (messageId) await editMessage(chatId, messageId, '❌ Session expired.', env);
+		else await sendMessage(chatId, '❌ Session expired. Please try /volumes again.', env);
+		return;
+	}
+	const text = `⚠️ *Confirm Volume*\n\n*Name:* \`${draft.name}\`\n*Region:* ${draft.region}\n*Size:* ${draft.size} GB\n*Filesystem:* ext4\n\n💰 *Cost:* ${formatVolumeCost(draft.size)}`;
+	const keyboard = { inline_keyboard: [[{ text: '✅ Create', callback_data: 'vol_create' }], [{ text: '◀️ Cancel', callback_data: 'vol_page_0' }]] };
+	if (messageId) await editMessage(chatId, messageId, text, env, keyboard);
+	else await sendMessage(chatId, text, env, keyboard);
+}
+
+async function executeCreateVolume(chatId, messageId, actor, env) {
+	const draft = await getVolumeDraft(chatId, env);
+	if (!draft?.size) { await editMessage(chatId, messageId, '❌ Session expired.', env); return; }
+	const apiToken = await getUserApiToken(chatId, env);
+	await editMessage(chatId, messageId, '⏳ Creating volume...', env);
+	const result = await doApiCall('/volumes', 'POST', apiToken, {
+		name: draft.name, region: draft.region, size_gigabytes: draft.size, filesystem_type: 'ext4',
+	});
+	await recordAudit(actor, {
+		action: 'create', resourceType: 'volume', resourceId: result.volume?.id, resourceName: draft.name,
+		result: result.volume ? 'success' : 'failed', detail: result.volume ? `${draft.region} ${draft.size} GB` : result.message,
+	}, env);
+	if (!result.volume) { await editMessage(chatId, messageId, `❌ Failed: ${result.message || 'Unknown error'}`, env); return; }
+	await env.DROPLET_CREATION.delete(`volnew_${chatId}`);
+	await editMessage(chatId, messageId, `✅ *Volume created!*\n\n*Name:* \`${result.volume.name}\`\n*Size:* ${formatGB(result.volume.size_gigabytes)}`, env, {
+		inline_keyboard: [
+			[{ text: '📎 Attach to Droplet', callback_data: `vol_att_${result.volume.id}` }],
+			[{ text: '◀️ Back to Volumes',   callback_data: 'vol_page_0' }],
+		]
+	});
+}
+
+// ─── RESERVED IPS ─────────────────────────────────────────────────────────────
+
+async function getReservedIps(apiToken) {
+	try {
+		let all = [];
+		let page = 1;
+		const perPage = 200;
+		while (page <= 20) {
+			const data = await doApiCall(`/reserved_ips?page=${page}&per_page=${perPage}`, 'GET', apiToken);
+			const list = data.reserved_ips || [];
+			all = all.concat(list);
+			if (list.length < perPage) break;
+			page++;
+		}
+		return all;
+	} catch (error) {
+		console.error('Error getting reserved IPs:', error);
+		return [];
+	}
+}
+
+async function getReservedIp(ip, apiToken) {
+	const data = await doApiCall(`/reserved_ips/${ip}`, 'GET', apiToken);
+	return data.reserved_ip || null;
+}
+
+async function showReservedIps(chatId, messageId, page, env) {
+	const apiToken = await getUserApiToken(chatId, env);
+	if (!apiToken) { await sendMessage(chatId, '❌ No API token. Use /setapi first.', env); return; }
+	const reservedIps = await getReservedIps(apiToken);
+	const totalPages = Math.max(1, Math.ceil(reservedIps.length / ITEMS_PER_PAGE));
+	const keyboard = reservedIps.slice(page * ITEMS_PER_PAGE, (page + 1) * ITEMS_PER_PAGE).map(r => [{
+		text: `📌 ${r.ip} • ${r.region.slug} • ${r.droplet ? `→ ${r.droplet.name}` : 'unassigned'}`,
+		callback_data: `rip_view_${r.ip}`
+	}]);
+	const nav = [];
+	if (page > 0) nav.push({ text: '◀️ Previous', callback_data: `rip_page_${page - 1}` });
+	if (page < totalPages - 1) nav.push({ text: 'Next ▶️', callback_data: `rip_page_${page + 1}` });
+	if (nav.length) keyboard.push(nav);
+	keyboard.push([{ text: '➕ Allocate Reserved IP', callback_data: 'rip_new' }]);
+	const text = reservedIps.length > 0
+		? `📌 *Reserved IPs*\n\nTotal: ${reservedIps.length}\nPage ${page + 1}/${totalPages}\n\nTap an IP to assign, move or release it.`
+		: '📌 *Reserved IPs*\n\nNo reserved IPs on this account.';
+	if (messageId) await editMessage(chatId, messageId, text, env, { inline_keyboard: keyboard });
+	else await sendMessage(chatId, text, env, { inline_keyboard: keyboard });
+}
+
+async function showReservedIp(chatId, messageId, ip, env) {
+	const apiToken = await getUserApiToken(chatId, env);
+	const r = await getReservedIp(ip, apiToken);
+	if (!r) { await editMessage(chatId, messageId, '❌ Reserved IP not found.', env, { inline_keyboard: [[{ text: '◀️ Back', callback_data: 'rip_back' }]] }); return; }
+	const keyboard = [[{ text: r.droplet ? '🔀 Move to Another Droplet' : '🔗 Assign to Droplet', callback_data: `rip_as_${r.ip}` }]];
+	if (r.droplet) keyboard.push([{ text: '✂️ Unassign', callback_data: `rip_unc_${r.ip}` }]);
+	keyboard.push([{ text: '🗑️ Release IP', callback_data: `rip_relc_${r.ip}` }]);
+	keyboard.push([{ text: '◀️ Back', callback_data: 'rip_back' }]);
+	const target = r.droplet ? `\`${r.droplet.name}\` (${r.droplet.id})` : 'unassigned';
+	await editMessage(chatId, messageId,
+		`📌 *Reserved IP*\n\n*IP:* \`${r.ip}\`\n*Region:* ${r.region.name}\n*Points to:* ${target}${r.locked ? '\n\n🔒 Locked while an action is in progress.' : ''}`,
+		env, { inline_keyboard: keyboard });
+}
+
+// ── Allocate ──
+
+async function showReservedIpRegions(chatId, messageId, env) {
+	const apiToken = await getUserApiToken(chatId, env);
+	const data = await doApiCall('/regions', 'GET', apiToken);
+	const regions = (data.regions || []).filter(r => r.available);
+	const keyboard = [];
+	for (let i = 0; i < regions.length; i += 2) {
+		keyboard.push(regions.slice(i, i + 2).map(r => ({ text: r.name, callback_data: `rip_nr_${r.slug}` })));
+	}
+	keyboard.push([{ text: '◀️ Back', callback_data: 'rip_back' }]);
+	await editMessage(chatId, messageId, '📌 *Allocate Reserved IP*\n\n🌍 Select region:', env, { inline_keyboard: keyboard });
+}
+
+async function confirmAllocateReservedIp(chatId, messageId, region, env) {
+	await editMessage(chatId, messageId,
+		`⚠️ *Allocate Reserved IP?*\n\nRegion: ${region}\n\nUnassigned reserved IPs are billed until they are released.`,
+		env, {
+			inline_keyboard: [
+				[{ text: '✅ Yes, Allocate', callback_data: `rip_nry_${region}` }],
+				[{ text: '◀️ Cancel',       callback_data: 'rip_back' }],
+			]
+		});
+}
+
+async function executeAllocateReservedIp(chatId, messageId, region, actor, env) {
+	const apiToken = await getUserApiToken(chatId, env);
+	await editMessage(chatId, messageId, '⏳ Allocating reserved IP...', env);
+	const result = await doApiCall('/reserved_ips', 'POST', apiToken, { region });
+	const ip = result.reserved_ip?.ip;
+	await recordAudit(actor, {
+		action: 'create', resourceType: 'reserved_ip', resourceId: ip || null,
+		result: ip ? 'success' : 'failed', detail: ip ? region : result.message,
+	}, env);
+	if (!ip) {
+		await editMessage(chatId, messageId, `❌ Failed: ${result.message || 'Unknown error'}`, env, { inline_keyboard: [[{ text: '◀️ Back', callback_data: 'rip_back' }]] });
+		return;
+	}
+	await editMessage(chatId, messageId, `✅ *Reserved IP allocated!*\n\nIP: \`${ip}\`\nRegion: ${region}`, env, {
+		inline_keyboard: [
+			[{ text: '🔗 Assign to Droplet', callback_data: `rip_as_${ip}` }],
+			[{ text: '◀️ Back to Reserved IPs', callback_data: 'rip_back' }],
+		]
+	});
+}
+
+// ── Assign / move / unassign ──
+
+async function showReservedIpTargets(chatId, messageId, ip, page, env) {
+	const apiToken = await getUserApiToken(chatId, env);
+	const r = await getReservedIp(ip, apiToken);
+	if (!r) { await editMessage(chatId, messageId, '❌ Reserved IP not found.', env); return; }
+	const droplets = (await getAllDroplets(apiToken)).filter(d => d.region?.slug === r.region.slug && d.id !== r.droplet?.id);
+	const totalPages = Math.max(1, Math.ceil(droplets.length / ITEMS_PER_PAGE));
+	page = Math.min(page, totalPages - 1);
+	const keyboard = droplets.slice(page * ITEMS_PER_PAGE, (page + 1) * ITEMS_PER_PAGE).map(d => [{ text: `${d.name} (${d.status})`, callback_data: `rip_asc_${r.ip}_${d.id}` }]);
+	const nav = [];
+	if (page > 0) nav.push({ text: '◀️ Previous', callback_data: `rip_as_${r.ip}_${page - 1}` });
+	if (page < totalPages - 1) nav.push({ text: 'Next ▶️', callback_data: `rip_as_${r.ip}_${page + 1}` });
+	if (nav.length) keyboard.push(nav);
+	keyboard.push([{ text: '◀️ Back', callback_data: `rip_view_${r.ip}` }]);
+	const hint = droplets.length === 0 ? `\n\nNo other droplets in ${r.region.slug}. A reserved IP can only point to droplets in its region.` : '';
+	await editMessage(chatId, messageId, `🔗 *Assign Reserved IP*\n\nIP: \`${r.ip}\`\nRegion: ${r.region.slug}\n\nPick a droplet:${hint}`, env, { inline_keyboard: keyboard });
+}
+
+// Lists the reserved IPs in the droplet's region that could be moved onto it
+async function showReservedIpsForDroplet(chatId, messageId, dropletId, env) {
+	const apiToken = await getUserApiToken(chatId, env);
+	const droplet = (await doApiCall(`/droplets/${dropletId}`, 'GET', apiToken)).droplet;
+	if (!droplet) { await editMessage(chatId, messageId, '❌ Droplet not found.', env); return; }
+	const reservedIps = (await getReservedIps(apiToken)).filter(r => r.region.slug === droplet.region.slug && r.droplet?.id !== droplet.id);
+	const keyboard = reservedIps.map(r => [{
+		text: `📌 ${r.ip} • ${r.droplet ? `→ ${r.droplet.name}` : 'unassigned'}`,
+		callback_data: `rip_asc_${r.ip}_${droplet.id}`
+	}]);
+	keyboard.push([{ text: '◀️ Back', callback_data: `droplet_${droplet.id}` }]);
+	const hint = reservedIps.length === 0 ? `\n\nNo reserved IPs in ${droplet.region.slug} to move. Allocate one with /reservedips.` : '';
+	await editMessage(chatId, messageId, `📌 *Move Reserved IP Here*\n\nDroplet: \`${droplet.name}\`\n\nPick a reserved IP:${hint}`, env, { inline_keyboard: keyboard });
+}
+
+async function confirmAssignReservedIp(chatId, messageId, ip, dropletId, env) {
+	const apiToken = await getUserApiToken(chatId, env);
+	const r = await getReservedIp(ip, apiToken);
+	const droplet = (await doApiCall(`/droplets/${dropletId}`, 'GET', apiToken)).droplet;
+	if (!r || !droplet) { await editMessage(chatId, messageId, '❌ Reserved IP or droplet not found.', env); return; }
+	const move = r.droplet ? `\n\n⚠️ Traffic to this IP stops reaching \`${r.droplet.name}\`.` : '';
+	await editMessage(chatId, messageId,
+		`⚠️ *${r.droplet ? 'Move' : 'Assign'} Reserved IP?*\n\nIP: \`${r.ip}\`\nFrom: ${r.droplet ? `\`${r.droplet.name}\`` : 'unassigned'}\nTo: \`${droplet.name}\`${move}`,
+		env, {
+			inline_keyboard: [
+				[{ text: `✅ Yes, ${r.droplet ? 'Move' : 'Assign'}`, callback_data: `rip_asy_${r.ip}_${droplet.id}` }],
+				[{ text: '◀️ Cancel', callback_data: `rip_view_${r.ip}` }],
+			]
+		});
+}
+
+async function confirmUnassignReservedIp(chatId, messageId, ip, env) {
+	const apiToken = await getUserApiToken(chatId, env);
+	const r = await getReservedIp(ip, apiToken);
+	if (!r?.droplet) { await editMessage(chatId, messageId, '❌ Reserved IP is not assigned.', env, { inline_keyboard: [[{ text: '◀️ Back', callback_data: `rip_view_${ip}` }]] }); return; }
+	await editMessage(chatId, messageId,
+		`⚠️ *Unassign Reserved IP?*\n\nIP: \`${r.ip}\`\nDroplet: \`${r.droplet.name}\`\n\nThe IP stays allocated (and billed) until it is released.`,
+		env, {
+			inline_keyboard: [
+				[{ text: '✅ Yes, Unassign', callback_data: `rip_uny_${r.ip}` }],
+				[{ text: '◀️ Cancel',        callback_data: `rip_view_${r.ip}` }],
+			]
+		});
+}
+
+// dropletId is null for unassign
+async function executeReservedIpAction(chatId, messageId, ip, dropletId, actor, env) {
+	const apiToken = await getUserApiToken(chatId, env);
+	const body = dropletId ? { type: 'assign', droplet_id: dropletId } : { type: 'unassign' };
+	const label = dropletId ? 'Reserved IP Assign' : 'Reserved IP Unassign';
+	await editMessage(chatId, messageId, `⏳ ${label}...`, env);
+	const result = await doApiCall(`/reserved_ips/${ip}/actions`, 'POST', apiToken, body);
+	await recordAudit(actor, {
+		action: body.type, resourceType: 'reserved_ip', resourceId: ip,
+		result: result.action ? 'success' : 'failed',
+		detail: result.action ? (dropletId ? `droplet ${dropletId}` : '') : result.message,
+	}, env);
+	const replyMarkup = { inline_keyboard: [[{ text: '◀️ Back to Reserved IP', callback_data: `rip_view_${ip}` }]] };
+	if (!result.action) {
+		await editMessage(chatId, messageId, `❌ Failed: ${result.message || 'Unknown error'}`, env, replyMarkup);
+		return;
+	}
+	await editMessage(chatId, messageId,
+		`✅ *${label} Started!*\n\nIP: \`${ip}\`\nStatus: \`${result.action.status}\`\n\n⏳ This message will update when it finishes.`,
+		env, replyMarkup);
+	await trackAction(chatId, messageId, result.action, dropletId, label, `IP: \`${ip}\``, replyMarkup, env);
+}
+
+// ── Release ──
+
+async function confirmReleaseReservedIp(chatId, messageId, ip, env) {
+	const apiToken = await getUserApiToken(chatId, env);
+	const r = await getReservedIp(ip, apiToken);
+	if (!r) { await editMessage(chatId, messageId, '❌ Reserved IP not found.', env); return; }
+	const back = [{ text: '◀️ Back', callback_data: `rip_view_${ip}` }];
+	if (r.droplet) {
+		await editMessage(chatId, messageId, `❌ *Reserved IP is assigned*\n\nUnassign \`${r.ip}\` from \`${r.droplet.name}\` before releasing it.`, env, { inline_keyboard: [back] });
+		return;
+	}
+	await editMessage(chatId, messageId,
+		`⚠️ *Release Reserved IP?*\n\nIP: \`${r.ip}\`\nRegion: ${r.region.name}\n\n*The address goes back to DigitalOcean. This cannot be undone!*`,
+		env, {
+			inline_keyboard: [
+				[{ text: '✅ Yes, Release', callback_data: `rip_rely_${r.ip}` }],
+				[{ text: '◀️ Cancel',      callback_data: `rip_view_${r.ip}` }],
+			]
+		});
+}
+
+async function executeReleaseReservedIp(chatId, messageId, ip, actor, env) {
+	const apiToken = await getUserApiToken(chatId, env);
+	await editMessage(chatId, messageId, '⏳ Releasing reserved IP...', env);
+	const response = await doApiDelete(`/reserved_ips/${ip}`, apiToken);
+	await recordAudit(actor, {
+		action: 'delete', resourceType: 'reserved_ip', resourceId: ip,
+		result: response.status === 204 ? 'success' : 'failed', detail: `HTTP ${response.status}`,
+	}, env);
+	const replyMarkup = { inline_keyboard: [[{ text: '◀️ Back to Reserved IPs', callback_data: 'rip_back' }]] };
+	await editMessage(chatId, messageId, response.status === 204 ? '✅ *Reserved IP released!*' : '❌ Failed to release reserved IP.', env, replyMarkup);
+}
+
+// ─── SNAPSHOT POLICIES (scheduled) ────────────────────────────────────────────
+
+// Schedule is encoded as 'd' (daily) or 'w<0-6>' (weekly, 0 = Sunday)
+function describeSnapshotPolicy(policy) {
+	const hour = `${String(policy.hour).padStart(2, '0')}:00 UTC`;
+	const when = policy.schedule === 'd'
+		? `Daily at ${hour}`
+		: `Weekly on ${WEEKDAYS[parseInt(policy.schedule.slice(1))]} at ${hour}`;
+	return `${when}, keep last ${policy.keep}`;
+}
+
+// Hourly slot key (YYYY-MM-DD-HH) so a policy runs at most once per scheduled hour
+function getPolicySlot(date) {
+	return date.toISOString().slice(0, 13).replace('T', '-');
+}
+
+function isSnapshotPolicyDue(policy, now) {
+	if (now.getUTCHours() !== policy.hour) return false;
+	if (policy.schedule !== 'd' && now.getUTCDay() !== parseInt(policy.schedule.slice(1))) return false;
+	return policy.lastRunSlot !== getPolicySlot(now);
+}
+
+async function getSnapshotPolicy(dropletId, env) {
+	try {
+		const json = await env.DROPLET_CREATION.get(`snap_policy_${dropletId}`);
+		return json ? JSON.parse(json) : null;
+	} catch {
+		return null;
+	}
+}
+
+async function showSnapshotPolicy(chatId, messageId, dropletId, env) {
+	const policy = await getSnapshotPolicy(dropletId, env);
+	if (policy) {
+		const lastRun = policy.lastRunAt ? formatDate(policy.lastRunAt) : 'never';
+		await editMessage(chatId, messageId,
+			`🗓️ *Snapshot Policy*\n\nDroplet: \`${policy.dropletName}\`\nSchedule: ${describeSnapshotPolicy(policy)}\nLast run: ${lastRun}\nManaged snapshots: ${(policy.snapshotNames || []).length}\n\nOlder snapshots taken by this policy are pruned automatically.`,
+			env, {
+				inline_keyboard: [
+					[{ text: '✏️ Change Policy', callback_data: `spol_new_${dropletId}` }],
+					[{ text: '🗑️ Remove Policy', callback_data: `spol_rm_${dropletId}` }],
+					[{ text: '◀️ Back',          callback_data: `droplet_${dropletId}` }],
+				]
+			});
+	} else {
+		await editMessage(chatId, messageId,
+			`🗓️ *Snapshot Policy*\n\nNo policy for this droplet.\n\nA policy takes snapshots on a schedule and keeps only the newest ones.`,
+			env, {
+				inline_keyboard: [
+					[{ text: '➕ Add Policy', callback_data: `spol_new_${dropletId}` }],
+					[{ text: '◀️ Back',      callback_data: `droplet_${dropletId}` }],
+				]
+			});
+	}
+}
+
+async function showSnapshotPolicyFrequency(chatId, messageId, dropletId, env) {
+	await editMessage(chatId, messageId, '🗓️ *Snapshot Policy*\n\nStep 1: How often?', env, {
+		inline_keyboard: [
+			[{ text: '📅 Daily',  callback_data: `spol_f_${dropletId}_d` },
+			 { text: '📆 Weekly', callback_data: `spol_f_${dropletId}_w` }],
+			[{ text: '◀️ Cancel', callback_data: `spol_${dropletId}` }],
+		]
+	});
+}
+
+async function showSnapshotPolicyWeekday(chatId, messageId, dropletId, env) {
+	const keyboard = [];
+	for (let i = 0; i < WEEKDAYS.length; i += 2) {
+		const row = [{ text: WEEKDAYS[i], callback_data: `spol_w_${dropletId}_${i}` }];
+		if (i + 1 < WEEKDAYS.length) row.push({ text: WEEKDAYS[i + 1], callback_data: `spol_w_${dropletId}_${i + 1}` });
+		keyboard.push(row);
+	}
+	keyboard.push([{ text: '◀️ Cancel', callback_data: `spol_${dropletId}` }]);
+	await editMessage(chatId, messageId, '🗓️ *Snapshot Policy*\n\nStep 2: Which day?', env, { inline_keyboard: keyboard });
+}
+
+async function showSnapshotPolicyHour(chatId, messageId, dropletId, schedule, env) {
+	const keyboard = [];
+	for (let h = 0; h < 24; h += 6) {
+		const row = [];
+		for (let i = h; i < h + 6; i++) {
+			row.push({ text: String(i).padStart(2, '0'), callback_data: `spol_h_${dropletId}_${schedule}_${i}` });
+		}
+		keyboard.push(row);
+	}
+	keyboard.push([{ text: '◀️ Cancel', callback_data: `spol_${dropletId}` }]);
+	await editMessage(chatId, messageId, '🗓️ *Snapshot Policy*\n\nAt which hour (UTC)?', env, { inline_keyboard: keyboard });
+}
+
+async function showSnapshotPolicyKeep(chatId, messageId, dropletId, schedule, hour, env) {
+	const row = SNAPSHOT_POLICY_KEEP_OPTIONS.map(n => ({ text: String(n), callback_data: `spol_k_${dropletId}_${schedule}_${hour}_${n}` }));
+	await editMessage(chatId, messageId, '🗓️ *Snapshot Policy*\n\nHow many snapshots to keep?', env, {
+		inline_keyboard: [
+			row,
+			[{ text: '◀️ Cancel', callback_data: `spol_${dropletId}` }],
+		]
+	});
+}
+
+async function saveSnapshotPolicy(chatId, messageId, dropletId, schedule, hour, keep, actor, env) {
+	const apiToken = await getUserApiToken(chatId, env);
+	const dropletData = await doApiCall(`/droplets/${dropletId}`, 'GET', apiToken);
+	if (!dropletData.droplet) { await editMessage(chatId, messageId, '❌ Droplet not found.', env); return; }
+	const existing = await getSnapshotPolicy(dropletId, env);
+	const policy = {
+		dropletId,
+		dropletName: dropletData.droplet.name,
+		chatId,
+		profile: await getActiveProfileName(chatId, env),
+		schedule,
+		hour,
+		keep,
+		snapshotNames: existing?.snapshotNames || [],
+		lastRunAt: existing?.lastRunAt || null,
+		lastRunSlot: existing?.lastRunSlot || null,
+	};
+	await env.DROPLET_CREATION.put(`snap_policy_${dropletId}`, JSON.stringify(policy));
+	await recordAudit(actor, {
+		action: existing ? 'edit' : 'create', resourceType: 'snapshot_policy', resourceId: dropletId, resourceName: policy.dropletName,
+		result: 'success', detail: describeSnapshotPolicy(policy),
+	}, env);
+	await showSnapshotPolicy(chatId, messageId, dropletId, env);
+}
+
+async function confirmRemoveSnapshotPolicy(chatId, messageId, dropletId, env) {
+	const policy = await getSnapshotPolicy(dropletId, env);
+	if (!policy) { await showSnapshotPolicy(chatId, messageId, dropletId, env); return; }
+	await editMessage(chatId, messageId,
+		`⚠️ *Remove Snapshot Policy?*\n\nDroplet: \`${policy.dropletName}\`\nSchedule: ${describeSnapshotPolicy(policy)}\n\nSnapshots already taken are kept, but no longer pruned.`,
+		env, {
+			inline_keyboard: [
+				[{ text: '✅ Yes, Remove', callback_data: `spol_rmy_${dropletId}` }],
+				[{ text: '◀️ Cancel',      callback_data: `spol_${dropletId}` }],
+			]
+		});
+}
+
+async function removeSnapshotPolicy(chatId, messageId, dropletId, actor, env) {
+	const policy = await getSnapshotPolicy(dropletId, env);
+	if (policy) {
+		await env.DROPLET_CREATION.delete(`snap_policy_${dropletId}`);
+		await recordAudit(actor, {
+			action: 'delete', resourceType: 'snapshot_policy', resourceId: dropletId, resourceName: policy.dropletName,
+			result: 'success', detail: describeSnapshotPolicy(policy),
+		}, env);
+	}
+	await showSnapshotPolicy(chatId, messageId, dropletId, env);
+}
+
+// Run every policy whose scheduled hour has come
+async function runSnapshotPolicies(env) {
+	const now = new Date();
+	const listResult = await env.DROPLET_CREATION.list({ prefix: 'snap_policy_' });
+	for (const key of listResult.keys) {
+		try {
+			const dataStr = await env.DROPLET_CREATION.get(key.name);
+			if (!dataStr) continue;
+			const policy = JSON.parse(dataStr);
+			if (!isSnapshotPolicyDue(policy, now)) continue;
+			policy.lastRunAt = now.toISOString();
+			policy.lastRunSlot = getPolicySlot(now);
+			await env.DROPLET_CREATION.put(key.name, JSON.stringify(policy));
+			const stillActive = await runSnapshotPolicy(policy, env);
+			if (stillActive) await env.DROPLET_CREATION.put(key.name, JSON.stringify(policy));
+		} catch (error) {
+			console.error(`Error running ${key.name}:`, error);
+		}
+	}
+}
+
+// Take one policy snapshot, prune older policy snapshots, then report to the owner.
+// Returns false when the policy was removed because its droplet is gone.
+async function runSnapshotPolicy(policy, env) {
+	const apiToken = await getUserApiToken(policy.chatId, env, policy.profile);
+	if (!apiToken) return true;
+	const dropletData = await doApiCall(`/droplets/${policy.dropletId}`, 'GET', apiToken);
+	if (!dropletData.droplet) {
+		if (dropletData.id === 'not_found') {
+			await env.DROPLET_CREATION.delete(`snap_policy_${policy.dropletId}`);
+			await sendMessage(policy.chatId, `⚠️ *Snapshot Policy Removed*\n\nDroplet \`${policy.dropletName}\` no longer exists.`, env);
+			return false;
+		}
+		return true;
+	}
+	const droplet = dropletData.droplet;
+	const actor = { id: policy.chatId, first_name: 'Snapshot policy' };
+	const snapshotName = generateSnapshotName(droplet.name);
+	const result = await doApiCall(`/droplets/${policy.dropletId}/actions`, 'POST', apiToken, { type: 'snapshot', name: snapshotName });
+	await recordAudit(actor, {
+		action: 'snapshot', resourceType: 'droplet', resourceId: policy.dropletId, resourceName: droplet.name,
+		result: result.action ? 'success' : 'failed', detail: result.action ? snapshotName : result.message,
+	}, env);
+	if (!result.action) {
+		await sendMessage(policy.chatId,
+			`❌ *Scheduled Snapshot Failed*\n\nDroplet: \`${droplet.name}\`\nPolicy: ${describeSnapshotPolicy(policy)}\n\n${result.message || 'Unknown error'}`,
+			env, { inline_keyboard: [[{ text: '📦 Droplet Details', callback_data: `droplet_${policy.dropletId}` }]] });
+		return true;
+	}
+
+	// Only snapshots this policy created are pruned; the one just started counts toward `keep`
+	const snapshotsData = await doApiCall(`/droplets/${policy.dropletId}/snapshots?per_page=200`, 'GET', apiToken);
+	const owned = (snapshotsData.snapshots || [])
+		.filter(s => (policy.snapshotNames || []).includes(s.name))
+		.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+	const toKeep = owned.slice(0, Math.max(0, policy.keep - 1));
+	const toPrune = owned.slice(toKeep.length);
+	const pruned = [];
+	const pruneFailed = [];
+	for (const snapshot of toPrune) {
+		const response = await doApiDelete(`/snapshots/${snapshot.id}`, apiToken);
+		await recordAudit(actor, {
+			action: 'delete', resourceType: 'snapshot', resourceId: snapshot.id, resourceName: snapshot.name,
+			result: response.status === 204 ? 'success' : 'failed', detail: 'pruned by snapshot policy',
+		}, env);
+		if (response.status === 204) pruned.push(snapshot.name);
+		else pruneFailed.push(snapshot.name);
+	}
+	policy.dropletName = droplet.name;
+	policy.snapshotNames = [...toKeep.map(s => s.name), ...pruneFailed, snapshotName];
+
+	let detail = `Droplet: \`${droplet.name}\`\nPolicy: ${describeSnapshotPolicy(policy)}\nSnapshot: \`${snapshotName}\``;
+	if (pruned.length) detail += `\n🗑️ Pruned: ${pruned.map(n => `\`${n}\``).join(', ')}`;
+	if (pruneFailed.length) detail += `\n⚠️ Failed to prune: ${pruneFailed.map(n => `\`${n}\``).join(', ')}`;
+	const replyMarkup = { inline_keyboard: [[{ text: '📦 Droplet Details', callback_data: `droplet_${policy.dropletId}` }]] };
+	const sent = await sendMessage(policy.chatId,
+		`🗓️ *Scheduled Snapshot Started*\n\n${detail}\n\n⏳ This message will update when it finishes.`,
+		env, replyMarkup);
+	if (sent.result?.message_id) {
+		await trackAction(policy.chatId, sent.result.message_id, result.action, policy.dropletId, 'Scheduled Snapshot', detail, replyMarkup, env, [], policy.profile);
+	}
+	return true;
+}
+
+// ─── CLOUD FIREWALLS ──────────────────────────────────────────────────────────
+
+const FIREWALL_QUICK_PORTS = ['22', '80', '443'];
+
+async function getFirewalls(apiToken) {
+	try {
+		const data = await doApiCall('/firewalls?per_page=200', 'GET', apiToken);
+		return data.firewalls || [];
+	} catch (error) {
+		console.error('Error getting firewalls:', error);
+		return [];
+	}
+}
+
+// Firewalls that apply to a droplet directly or through one of its tags
+function getDropletFirewalls(droplet, firewalls) {
+	const tags = droplet.tags || [];
+	return firewalls.filter(fw => (fw.droplet_ids || []).includes(droplet.id) || (fw.tags || []).some(t => tags.includes(t)));
+}
+
+const IPV4_PATTERN = /^(25[0-5]|2[0-4]\d|1?\d?\d)(\.(25[0-5]|2[0-4]\d|1?\d?\d)){3}$/;
+
+// Eight hex groups of up to 4 digits; one "::" may stand for one or more zero groups,
+// and the last two groups may be written as an IPv4 address (::ffff:192.0.2.1)
+function isValidIpv6(value) {
+	const halves = value.split('::');
+	if (halves.length > 2) return false;
+	const groups = halves.flatMap(half => (half ? half.split(':') : []));
+	let count = groups.length;
+	if (groups.length > 0 && groups[groups.length - 1].includes('.')) {
+		if (!IPV4_PATTERN.test(groups.pop())) return false;
+		count++;
+	}
+	if (!groups.every(group => /^[0-9a-fA-F]{1,4}$/.test(group))) return false;
+	return halves.length === 2 ? count <= 7 : count === 8;
+}
+
+function isValidIpOrCidr(value) {
+	const [address, prefix, ...rest] = value.split('/');
+	if (rest.length > 0) return false;
+	if (IPV4_PATTERN.test(address)) return prefix === undefined || /^([12]?\d|3[0-2])$/.test(prefix);
+	return isValidIpv6(address) && (prefix === undefined || /^(1[01]\d|12[0-8]|\d{1,2})$/.test(prefix));
+}
+
+// "1.2.3.4 10.0.0.0/8 tag:web droplet:123" → rule sources/destinations; null when a token is invalid
+function parseFirewallTargets(text) {
+	const targets = { addresses: [], tags: [], droplet_ids: [] };
+	for (const token of text.split(/[\s,]+/).filter(Boolean)) {
+		if (token.startsWith('tag:') && isValidTag(token.slice(4))) targets.tags.push(token.slice(4));
+		else if (/^droplet:\d+$/.test(token)) targets.droplet_ids.push(parseInt(token.slice(8)));
+		else if (isValidIpOrCidr(token)) targets.addresses.push(token);
+		else return null;
+	}
+	const used = Object.entries(targets).filter(([, list]) => list.length > 0);
+	return used.length > 0 ? Object.fromEntries(used) : null;
+}
+
+function describeFirewallTargets(targets = {}) {
+	const parts = [
+		...(targets.addresses || []),
+		...(targets.tags || []).map(t => `tag:${t}`),
+		...(targets.droplet_ids || []).map(id => `droplet:${id}`),
+		...(targets.load_balancer_uids || []).map(() => 'load balancer'),
+		...(targets.kubernetes_ids || []).map(() => 'kubernetes'),
+	];
+	return parts.length > 0 ? parts.join(', ') : 'nothing';
+}
+
+function describeFirewallRule(rule, direction) {
+	const ports = rule.protocol === 'icmp' ? '' : ` ${!rule.ports || rule.ports === '0' || rule.ports === 'all' ? 'all' : rule.ports}`;
+	return direction === 'in'
+		? `${rule.protocol}${ports} ← ${describeFirewallTargets(rule.sources)}`
+		: `${rule.protocol}${ports} → ${describeFirewallTargets(rule.destinations)}`;
+}
+
+// Rule, droplet and tag endpoints answer 204 No Content; returns an error message or null
+async function applyFirewallChange(firewallId, path, method, body, apiToken) {
+	const response = await fetch(`https://api.digitalocean.com/v2/firewalls/${firewallId}/${path}`, {
+		method,
+		headers: { Authorization: `Bearer ${apiToken}`, 'Content-Type': 'application/json' },
+		body: JSON.stringify(body),
+	});
+	if (response.status === 204) return null;
+	const data = await response.json().catch(() => ({}));
+	return data.message || `HTTP ${response.status}`;
+}
+
+async function showFirewalls(chatId, messageId, env) {
+	const apiToken = await getUserApiToken(chatId, env);
+	if (!apiToken) { await sendMessage(chatId, '❌ No API token. Use /setapi first.', env); return; }
+	const firewalls = await getFirewalls(apiToken);
+	const keyboard = firewalls.map(fw => [{
+		text: `🛡️ ${fw.name} • ${fw.inbound_rules.length} in / ${fw.outbound_rules.length} out • ${fw.droplet_ids.length} droplet(s)`,
+		callback_data: `fw_view_${fw.id}`
+	}]);
+	const text = firewalls.length > 0
+		? `🛡️ *Cloud Firewalls*\n\nTotal: ${firewalls.length}\n\nTap a firewall to view or change its rules.`
+		: '🛡️ *Cloud Firewalls*\n\nNo firewalls on this account. Create one in the DigitalOcean control panel.';
+	if (messageId) await editMessage(chatId, messageId, text, env, { inline_keyboard: keyboard });
+	else await sendMessage(chatId, text, env, { inline_keyboard: keyboard });
+}
+
+async function showFirewall(chatId, messageId, firewallId, env) {
+	const apiToken = await getUserApiToken(chatId, env);
+	const data = await doApiCall(`/firewalls/${firewallId}`, 'GET', apiToken);
+	const fw = data.firewall;
+	if (!fw) { await editMessage(chatId, messageId, '❌ Firewall not found.', env, { inline_keyboard: [[{ text: '◀️ Back', callback_data: 'fw_back' }]] }); return; }
+	const list = (rules, direction) => rules.length > 0
+		? rules.map((r, i) => `${i + 1}. \`${describeFirewallRule(r, direction)}\``).join('\n')
+		: '_none_';
+	const tags = fw.tags.length > 0 ? fw.tags.map(t => `\`${t}\``).join(', ') : 'none';
+	await editMessage(chatId, messageId,
+		`🛡️ *Firewall* \`${fw.name}\`\n\n*Status:* ${fw.status}\n*Droplets:* ${fw.droplet_ids.length}\n*Tags:* ${tags}\n\n*Inbound:*\n${list(fw.inbound_rules, 'in')}\n\n*Outbound:*\n${list(fw.outbound_rules, 'out')}`,
+		env, {
+			inline_keyboard: [
+				[{ text: '➕ Add Rule',    callback_data: `fw_add_${fw.id}` },
+				 { text: '🗑️ Remove Rule', callback_data: `fw_rules_${fw.id}` }],
+				[{ text: '💧 Droplets',    callback_data: `fw_drops_${fw.id}_0` },
+				 { text: '🏷️ Tags',        callback_data: `fw_tags_${fw.id}` }],
+				[{ text: '◀️ Back',        callback_data: 'fw_back' }],
+			]
+		});
+}
+
+// ── Removing rules (referenced as i<index> / o<index>, plus a fingerprint on the final "Yes") ──
+
+async function showFirewallRulesForRemoval(chatId, messageId, firewallId, env) {
+	const apiToken = await getUserApiToken(chatId, env);
+	const fw = (await doApiCall(`/firewalls/${firewallId}`, 'GET', apiToken)).firewall;
+	if (!fw) { await editMessage(chatId, messageId, '❌ Firewall not found.', env); return; }
+	const keyboard = [
+		...fw.inbound_rules.map((r, i) => [{ text: `🗑️ In: ${describeFirewallRule(r, 'in')}`, callback_data: `fw_rmr_${fw.id}_i${i}` }]),
+		...fw.outbound_rules.map((r, i) => [{ text: `🗑️ Out: ${describeFirewallRule(r, 'out')}`, callback_data: `fw_rmr_${fw.id}_o${i}` }]),
+		[{ text: '◀️ Back', callback_data: `fw_view_${fw.id}` }],
+	];
+	await editMessage(chatId, messageId, `🗑️ *Remove Rule*\n\nFirewall: \`${fw.name}\`\n\nPick the rule to remove:`, env, { inline_keyboard: keyboard });
+}
+
+function getFirewallRuleByRef(fw, ref) {
+	const direction = ref[0] === 'i' ? 'in' : 'out';
+	const rules = direction === 'in' ? fw.inbound_rules : fw.outbound_rules;
+	return { direction, rule: rules[parseInt(ref.slice(1))] };
+}
+
+const CRC32_TABLE = (() => {
+	const table = new Uint32Array(256);
+	for (let n = 0; n < 256; n++) {
+		let c = n;
+		for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+		table[n] = c >>> 0;
+	}
+	return table;
+})();
+
+function crc32(bytes) {
+	let crc = 0xffffffff;
+	for (const byte of bytes) crc = CRC32_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+	return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Short hash of a rule's protocol, ports and targets, so removal can check the index still points at the confirmed rule
+function getFirewallRuleFingerprint(rule) {
+	const canonical = JSON.stringify([rule.protocol, rule.ports || '', rule.sources || rule.destinations || {}]);
+	return crc32(new TextEncoder().encode(canonical)).toString(36);
+}
+
+async function confirmRemoveFirewallRule(chatId, messageId, firewallId, ref, env) {
+	const apiToken = await getUserApiToken(chatId, env);
+	const fw = (await doApiCall(`/firewalls/${firewallId}`, 'GET', apiToken)).firewall;
+	const { direction, rule } = fw ? getFirewallRuleByRef(fw, ref) : {};
+	if (!rule) { await editMessage(chatId, messageId, '❌ Rule not found.', env, { inline_keyboard: [[{ text: '◀️ Back', callback_data: `fw_view_${firewallId}` }]] }); return; }
+	await editMessage(chatId, messageId,
+		`⚠️ *Remove Rule?*\n\nFirewall: \`${fw.name}\`\n${direction === 'in' ? 'Inbound' : 'Outbound'}: \`${describeFirewallRule(rule, direction)}\``,
+		env, {
+			inline_keyboard: [
+				[{ text: '✅ Yes, Remove', callback_data: `fw_rmy_${firewallId}_${ref}_${getFirewallRuleFingerprint(rule)}` }],
+				[{ text: '◀️ Cancel',      callback_data: `fw_view_${firewallId}` }],
+			]
+		});
+}
+
+async function removeFirewallRule(chatId, messageId, firewallId, ref, fingerprint, actor, env) {
+	const apiToken = await getUserApiToken(chatId, env);
+	const fw = (await doApiCall(`/firewalls/${firewallId}`, 'GET', apiToken)).firewall;
+	const { direction, rule } = fw ? getFirewallRuleByRef(fw, ref) : {};
+	if (!rule || getFirewallRuleFingerprint(rule) !== fingerprint) {
+		await editMessage(chatId, messageId, '⚠️ *Rules changed*\n\nThe firewall rules changed since you confirmed, so nothing was removed. Pick the rule again.', env, {
+			inline_keyboard: [[{ text: '◀️ Back', callback_data: `fw_rules_${firewallId}` }]]
+		});
+		return;
 	}
+	const body = direction === 'in' ? { inbound_rules: [rule] } : { outbound_rules: [rule] };
+	const error = await applyFirewallChange(firewallId, 'rules', 'DELETE', body, apiToken);
+	await recordAudit(actor, {
+		action: 'remove_rule', resourceType: 'firewall', resourceId: firewallId, resourceName: fw.name,
+		result: error ? 'failed' : 'success', detail: error || `${direction} ${describeFirewallRule(rule, direction)}`,
+	}, env);
+	if (error) { await editMessage(chatId, messageId, `❌ Failed: ${error}`, env, { inline_keyboard: [[{ text: '◀️ Back', callback_data: `fw_view_${firewallId}` }]] }); return; }
+	await showFirewall(chatId, messageId, firewallId, env);
 }
 
-// ─── STATE MANAGEMENT ─────────────────────────────────────────────────────────
+// ── Guided rule creation; the draft lives in KV so each step is a short callback ──
 
-async function getState(chatId, env) {
-	const json = await env.DROPLET_CREATION.get(`state_${chatId}`);
-	return json ? JSON.parse(json) : {};
+async function getFirewallRuleDraft(chatId, env) {
+	const json = await env.DROPLET_CREATION.get(`fwrule_${chatId}`);
+	return json ? JSON.parse(json) : null;
 }
 
-async function setState(chatId, state, env) {
-	await env.DROPLET_CREATION.put(`state_${chatId}`, JSON.stringify(state), { expirationTtl: 600 });
+async function saveFirewallRuleDraft(chatId, draft, env) {
+	await env.DROPLET_CREATION.put(`fwrule_${chatId}`, JSON.stringify(draft), { expirationTtl: 900 });
 }
 
-async function clearState(chatId, env) {
-	await env.DROPLET_CREATION.delete(`state_${chatId}`);
+async function updateFirewallRuleDraft(chatId, messageId, changes, env) {
+	const draft = await getFirewallRuleDraft(chatId, env);
+	if (!draft) {
+		if (messageId) await editMessage(chatId, messageId, '❌ Session expired.', env);
+		else await sendMessage(chatId, '❌ Session expired. Please start again from /firewalls.', env);
+		return;
+	}
+	await saveFirewallRuleDraft(chatId, { ...draft, ...changes }, env);
+	await showFirewallRuleStep(chatId, messageId, env);
 }
 
-// ─── REGION SELECTION (Step 1) ────────────────────────────────────────────────
-
-async function showRegions(chatId, env) {
-	const apiToken = await getUserApiToken(chatId, env);
-	if (!apiToken) { await sendMessage(chatId, '❌ No API token. Use /setapi first.', env); return; }
-	const data = await doApiCall('/regions', 'GET', apiToken);
-	const regions = data.regions.filter(r => r.available);
-	const keyboard = [];
-	for (let i = 0; i < regions.length; i += 2) {
-		const row = [{ text: regions[i].name, callback_data: `region_${regions[i].slug}` }];
-		if (i + 1 < regions.length) row.push({ text: regions[i + 1].name, callback_data: `region_${regions[i + 1].slug}` });
-		keyboard.push(row);
+// Shows whichever step the draft is missing next: direction → protocol → ports → targets → confirm
+async function showFirewallRuleStep(chatId, messageId, env) {
+	const draft = await getFirewallRuleDraft(chatId, env);
+	const cancel = [{ text: '◀️ Cancel', callback_data: 'fwa_cancel' }];
+	let text;
+	let keyboard;
+	if (!draft.direction) {
+		text = '➕ *Add Rule*\n\nDirection:';
+		keyboard = [[{ text: '⬇️ Inbound', callback_data: 'fwa_dir_in' }, { text: '⬆️ Outbound', callback_data: 'fwa_dir_out' }], cancel];
+	} else if (!draft.protocol) {
+		text = '➕ *Add Rule*\n\nProtocol:';
+		keyboard = [['tcp', 'udp', 'icmp'].map(p => ({ text: p.toUpperCase(), callback_data: `fwa_proto_${p}` })), cancel];
+	} else if (draft.protocol !== 'icmp' && !draft.ports) {
+		text = '➕ *Add Rule*\n\nPorts:';
+		keyboard = [
+			[...FIREWALL_QUICK_PORTS.map(p => ({ text: p, callback_data: `fwa_ports_${p}` })), { text: 'All', callback_data: 'fwa_ports_all' }],
+			[{ text: '✏️ Custom', callback_data: 'fwa_ports_custom' }],
+			cancel,
+		];
+	} else if (!draft.targets) {
+		const noun = draft.direction === 'in' ? 'Sources' : 'Destinations';
+		text = `➕ *Add Rule*\n\n${noun}: send IPs or CIDRs, \`tag:<name>\` or \`droplet:<id>\`, separated by spaces.`;
+		keyboard = [[{ text: '🌍 Anywhere', callback_data: 'fwa_any' }], cancel];
+		await setState(chatId, { step: 'fw_rule_targets' }, env);
+	} else {
+		const rule = draft.direction === 'in'
+			? { protocol: draft.protocol, ports: draft.ports, sources: draft.targets }
+			: { protocol: draft.protocol, ports: draft.ports, destinations: draft.targets };
+		text = `➕ *Add Rule*\n\n${draft.direction === 'in' ? 'Inbound' : 'Outbound'}: \`${describeFirewallRule(rule, draft.direction)}\``;
+		keyboard = [[{ text: '✅ Add Rule', callback_data: 'fwa_save' }], cancel];
 	}
-	await sendMessage(chatId, '🚀 *Create New Droplet*\n\n🌍 Step 1: Select region', env, { inline_keyboard: keyboard });
+	if (messageId) await editMessage(chatId, messageId, text, env, { inline_keyboard: keyboard });
+	else await sendMessage(chatId, text, env, { inline_keyboard: keyboard });
 }
 
-async function showRegionsEdit(chatId, messageId, env) {
+async function saveFirewallRule(chatId, messageId, actor, env) {
+	const draft = await getFirewallRuleDraft(chatId, env);
+	if (!draft?.targets) { await editMessage(chatId, messageId, '❌ Session expired.', env); return; }
 	const apiToken = await getUserApiToken(chatId, env);
-	const data = await doApiCall('/regions', 'GET', apiToken);
-	const regions = data.regions.filter(r => r.available);
-	const keyboard = [];
-	for (let i = 0; i < regions.length; i += 2) {
-		const row = [{ text: regions[i].name, callback_data: `region_${regions[i].slug}` }];
-		if (i + 1 < regions.length) row.push({ text: regions[i + 1].name, callback_data: `region_${regions[i + 1].slug}` });
-		keyboard.push(row);
-	}
-	await editMessage(chatId, messageId, '🌍 *Select region:*', env, { inline_keyboard: keyboard });
+	const rule = { protocol: draft.protocol, ports: draft.protocol === 'icmp' ? undefined : draft.ports };
+	const body = draft.direction === 'in'
+		? { inbound_rules: [{ ...rule, sources: draft.targets }] }
+		: { outbound_rules: [{ ...rule, destinations: draft.targets }] };
+	const error = await applyFirewallChange(draft.firewallId, 'rules', 'POST', body, apiToken);
+	await recordAudit(actor, {
+		action: 'add_rule', resourceType: 'firewall', resourceId: draft.firewallId,
+		result: error ? 'failed' : 'success',
+		detail: error || `${draft.direction} ${describeFirewallRule(body.inbound_rules?.[0] || body.outbound_rules[0], draft.direction)}`,
+	}, env);
+	await env.DROPLET_CREATION.delete(`fwrule_${chatId}`);
+	if (error) { await editMessage(chatId, messageId, `❌ Failed: ${error}`, env, { inline_keyboard: [[{ text: '◀️ Back', callback_data: `fw_view_${draft.firewallId}` }]] }); return; }
+	await showFirewall(chatId, messageId, draft.firewallId, env);
 }
 
-// ─── IMAGE TYPE SELECTION (Step 2) ────────────────────────────────────────────
+// ── Droplets & tags ──
 
-async function showImageTypeSelection(chatId, region, env) {
-	const keyboard = {
-		inline_keyboard: [
-			[{ text: '🐧 Operating Systems', callback_data: `imgtype_${region}_os` }],
-			[{ text: '📦 Applications',      callback_data: `imgtype_${region}_app` }],
-			[{ text: '📸 My Snapshots',      callback_data: `imgtype_${region}_snapshot` }],
-			[{ text: '◀️ Back to Regions',   callback_data: 'back_to_regions' }],
-		]
-	};
-	await sendMessage(chatId, `✅ Region: *${region}*\n\n🖥️ Step 2: Choose image type`, env, keyboard);
+async function showFirewallDroplets(chatId, messageId, firewallId, page, env) {
+	const apiToken = await getUserApiToken(chatId, env);
+	const fw = (await doApiCall(`/firewalls/${firewallId}`, 'GET', apiToken)).firewall;
+	if (!fw) { await editMessage(chatId, messageId, '❌ Firewall not found.', env); return; }
+	const attached = (d) => fw.droplet_ids.includes(d.id);
+	const droplets = (await getAllDroplets(apiToken)).sort((a, b) => attached(b) - attached(a) || a.name.localeCompare(b.name));
+	const totalPages = Math.max(1, Math.ceil(droplets.length / ITEMS_PER_PAGE));
+	const keyboard = droplets.slice(page * ITEMS_PER_PAGE, (page + 1) * ITEMS_PER_PAGE).map(d => [{
+		text: `${attached(d) ? '✅' : '⬜'} ${d.name}`,
+		callback_data: `fw_dt_${fw.id}_${d.id}_${page}`
+	}]);
+	const nav = [];
+	if (page > 0) nav.push({ text: '◀️ Previous', callback_data: `fw_drops_${fw.id}_${page - 1}` });
+	if (page < totalPages - 1) nav.push({ text: 'Next ▶️', callback_data: `fw_drops_${fw.id}_${page + 1}` });
+	if (nav.length) keyboard.push(nav);
+	keyboard.push([{ text: '◀️ Back', callback_data: `fw_view_${fw.id}` }]);
+	await editMessage(chatId, messageId,
+		`💧 *Firewall Droplets*\n\nFirewall: \`${fw.name}\`\nAttached directly: ${fw.droplet_ids.length}\nPage ${page + 1}/${totalPages}\n\nTap a droplet to attach or detach it. Droplets covered through a tag are managed under 🏷️ Tags.`,
+		env, { inline_keyboard: keyboard });
 }
 
-// ─── IMAGES LIST WITH PAGINATION ──────────────────────────────────────────────
+async function toggleFirewallDroplet(chatId, messageId, firewallId, dropletId, page, actor, env) {
+	const apiToken = await getUserApiToken(chatId, env);
+	const fw = (await doApiCall(`/firewalls/${firewallId}`, 'GET', apiToken)).firewall;
+	if (!fw) { await editMessage(chatId, messageId, '❌ Firewall not found.', env); return; }
+	const detach = fw.droplet_ids.includes(dropletId);
+	const error = await applyFirewallChange(firewallId, 'droplets', detach ? 'DELETE' : 'POST', { droplet_ids: [dropletId] }, apiToken);
+	await recordAudit(actor, {
+		action: detach ? 'detach' : 'attach', resourceType: 'firewall', resourceId: firewallId, resourceName: fw.name,
+		result: error ? 'failed' : 'success', detail: error || `droplet ${dropletId}`,
+	}, env);
+	if (error) { await editMessage(chatId, messageId, `❌ Failed: ${error}`, env, { inline_keyboard: [[{ text: '◀️ Back', callback_data: `fw_drops_${firewallId}_${page}` }]] }); return; }
+	await showFirewallDroplets(chatId, messageId, firewallId, page, env);
+}
 
-async function showImagesList(chatId, region, type, page, env) {
+async function showFirewallTags(chatId, messageId, firewallId, env) {
 	const apiToken = await getUserApiToken(chatId, env);
-	if (!apiToken) { await sendMessage(chatId, '❌ No API token.', env); return; }
-	let images = filterImagesByRegion(await getImagesByType(type, apiToken, env), region);
-	if (images.length === 0) {
-		await sendMessage(chatId, `❌ No ${type === 'app' ? 'applications' : type === 'os' ? 'OS images' : 'snapshots'} available in ${region}.`, env);
+	const fw = (await doApiCall(`/firewalls/${firewallId}`, 'GET', apiToken)).firewall;
+	if (!fw) { await editMessage(chatId, messageId, '❌ Firewall not found.', env); return; }
+	const keyboard = fw.tags.map((t, i) => [{ text: `🗑️ ${t}`, callback_data: `fw_tgrm_${fw.id}_${i}` }]);
+	keyboard.push([{ text: '➕ Add Tag', callback_data: `fw_tgadd_${fw.id}` }]);
+	keyboard.push([{ text: '◀️ Back',    callback_data: `fw_view_${fw.id}` }]);
+	await editMessage(chatId, messageId,
+		`🏷️ *Firewall Tags*\n\nFirewall: \`${fw.name}\`\n\nEvery droplet with one of these tags is covered. Tap a tag to remove it.`,
+		env, { inline_keyboard: keyboard });
+}
+
+// A typed tag gets a reply instead of a refreshed tag list
+async function changeFirewallTag(chatId, messageId, firewallId, tag, remove, actor, env) {
+	const apiToken = await getUserApiToken(chatId, env);
+	const error = await applyFirewallChange(firewallId, 'tags', remove ? 'DELETE' : 'POST', { tags: [tag] }, apiToken);
+	await recordAudit(actor, {
+		action: remove ? 'detach' : 'attach', resourceType: 'firewall', resourceId: firewallId,
+		result: error ? 'failed' : 'success', detail: error || `tag ${tag}`,
+	}, env);
+	const replyMarkup = { inline_keyboard: [[{ text: '🏷️ Back to Tags', callback_data: `fw_tags_${firewallId}` }]] };
+	if (error) {
+		if (messageId) await editMessage(chatId, messageId, `❌ Failed: ${error}`, env, replyMarkup);
+		else await sendMessage(chatId, `❌ Failed: ${error}`, env, replyMarkup);
 		return;
 	}
-	const totalPages = Math.ceil(images.length / ITEMS_PER_PAGE);
-	const pageImages = images.slice(page * ITEMS_PER_PAGE, (page + 1) * ITEMS_PER_PAGE);
-	const keyboard = pageImages.map(img => [{ text: img.name, callback_data: `selectimg_${region}_${img.id}` }]);
-	const nav = [];
-	if (page > 0) nav.push({ text: '◀️ Previous', callback_data: `imgpage_${region}_${type}_${page - 1}` });
-	if (page < totalPages - 1) nav.push({ text: 'Next ▶️', callback_data: `imgpage_${region}_${type}_${page + 1}` });
-	if (nav.length) keyboard.push(nav);
-	keyboard.push([{ text: '🔍 Search', callback_data: `imgsearch_${region}_${type}` }]);
-	keyboard.push([{ text: '◀️ Back',   callback_data: 'back_to_regions' }]);
-	const label = type === 'app' ? 'Applications' : type === 'os' ? 'Operating Systems' : 'Snapshots';
-	const emoji = type === 'app' ? '📦' : type === 'os' ? '🐧' : '📸';
-	await sendMessage(chatId, `${emoji} *${label}*\n\nPage ${page + 1}/${totalPages} (${images.length} total)`, env, { inline_keyboard: keyboard });
+	if (messageId) await showFirewallTags(chatId, messageId, firewallId, env);
+	else await sendMessage(chatId, `✅ Tag \`${tag}\` added to the firewall.`, env, replyMarkup);
 }
 
-async function showImagesListEdit(chatId, messageId, region, type, page, env) {
+async function removeFirewallTag(chatId, messageId, firewallId, index, actor, env) {
 	const apiToken = await getUserApiToken(chatId, env);
-	let images = filterImagesByRegion(await getImagesByType(type, apiToken, env), region);
-	const totalPages = Math.ceil(images.length / ITEMS_PER_PAGE);
-	const pageImages = images.slice(page * ITEMS_PER_PAGE, (page + 1) * ITEMS_PER_PAGE);
-	const keyboard = pageImages.map(img => [{ text: img.name, callback_data: `selectimg_${region}_${img.id}` }]);
-	const nav = [];
-	if (page > 0) nav.push({ text: '◀️ Previous', callback_data: `imgpage_${region}_${type}_${page - 1}` });
-	if (page < totalPages - 1) nav.push({ text: 'Next ▶️', callback_data: `imgpage_${region}_${type}_${page + 1}` });
-	if (nav.length) keyboard.push(nav);
-	keyboard.push([{ text: '🔍 Search', callback_data: `imgsearch_${region}_${type}` }]);
-	keyboard.push([{ text: '◀️ Back',   callback_data: 'back_to_regions' }]);
-	const label = type === 'app' ? 'Applications' : type === 'os' ? 'Operating Systems' : 'Snapshots';
-	const emoji = type === 'app' ? '📦' : type === 'os' ? '🐧' : '📸';
-	await editMessage(chatId, messageId, `${emoji} *${label}*\n\nPage ${page + 1}/${totalPages} (${images.length} total)`, env, { inline_keyboard: keyboard });
+	const fw = (await doApiCall(`/firewalls/${firewallId}`, 'GET', apiToken)).firewall;
+	const tag = fw?.tags[index];
+	if (!tag) { await showFirewallTags(chatId, messageId, firewallId, env); return; }
+	await changeFirewallTag(chatId, messageId, firewallId, tag, true, actor, env);
 }
 
-// ─── IMAGE SEARCH ─────────────────────────────────────────────────────────────
+// ── Quick "open port 22 to my IP" from droplet details ──
 
-async function handleImageSearch(chatId, query, state, env) {
-	if (query.length < MIN_SEARCH_LENGTH) {
-		await sendMessage(chatId, `❌ Search query too short. Min ${MIN_SEARCH_LENGTH} characters.`, env);
-		return;
-	}
+async function openSshToIp(chatId, dropletId, ip, env) {
 	const apiToken = await getUserApiToken(chatId, env);
-	const results = filterImagesByRegion(await getImagesByType(state.type, apiToken, env), state.region)
-		.filter(img => img.name.toLowerCase().includes(query.toLowerCase()));
-	if (results.length === 0) {
-		await clearState(chatId, env);
-		await sendMessage(chatId, '❌ No results found.', env, {
-			inline_keyboard: [[{ text: '◀️ Back to Menu', callback_data: `back_from_search_${state.region}` }]]
-		});
+	const droplet = (await doApiCall(`/droplets/${dropletId}`, 'GET', apiToken)).droplet;
+	if (!droplet) { await sendMessage(chatId, '❌ Droplet not found.', env); return; }
+	const applying = getDropletFirewalls(droplet, await getFirewalls(apiToken));
+	const back = [{ text: '◀️ Back to Droplet', callback_data: `droplet_${dropletId}` }];
+	if (applying.length === 0) {
+		await sendMessage(chatId, `ℹ️ No cloud firewall applies to \`${droplet.name}\`, so DigitalOcean is not blocking port 22.\n\nIf SSH still fails, check the firewall inside the droplet (ufw / iptables).`, env, { inline_keyboard: [back] });
 		return;
 	}
-	const totalPages = Math.ceil(results.length / ITEMS_PER_PAGE);
-	const keyboard = results.slice(0, ITEMS_PER_PAGE).map(img => [{ text: img.name, callback_data: `selectimg_${state.region}_${img.id}` }]);
-	if (totalPages > 1) keyboard.push([{ text: 'Next ▶️', callback_data: `imgpage_${state.region}_${state.type}_1` }]);
-	keyboard.push([{ text: '◀️ Back', callback_data: `back_from_search_${state.region}` }]);
-	await sendMessage(chatId, `🔍 Found ${results.length} result(s)\n\nPage 1/${totalPages}`, env, { inline_keyboard: keyboard });
-	await clearState(chatId, env);
+	await env.DROPLET_CREATION.put(`fwssh_${chatId}`, JSON.stringify({ dropletId, ip }), { expirationTtl: 900 });
+	// Firewall rules are additive, so allowing the IP on any one of them is enough
+	await sendMessage(chatId, `🔓 *Open SSH*\n\nDroplet: \`${droplet.name}\`\nIP: \`${ip}\`\n\nAdd an inbound \`tcp 22\` rule to:`, env, {
+		inline_keyboard: [...applying.map(fw => [{ text: `🛡️ ${fw.name}`, callback_data: `fw_sshgo_${fw.id}` }]), back]
+	});
 }
 
-// ─── SIZE SELECTION (Step 3) ──────────────────────────────────────────────────
-
-async function showSizes(chatId, region, imageId, env) {
+async function executeOpenSsh(chatId, messageId, firewallId, actor, env) {
+	const json = await env.DROPLET_CREATION.get(`fwssh_${chatId}`);
+	if (!json) { await editMessage(chatId, messageId, '❌ Session expired.', env); return; }
+	const { dropletId, ip } = JSON.parse(json);
 	const apiToken = await getUserApiToken(chatId, env);
-	const imageData = await doApiCall(`/images/${imageId}`, 'GET', apiToken);
-	const image = imageData.image;
-	if (!image) { await sendMessage(chatId, '❌ Image not found.', env); return; }
+	const body = { inbound_rules: [{ protocol: 'tcp', ports: '22', sources: { addresses: [ip] } }] };
+	const error = await applyFirewallChange(firewallId, 'rules', 'POST', body, apiToken);
+	await recordAudit(actor, {
+		action: 'add_rule', resourceType: 'firewall', resourceId: firewallId,
+		result: error ? 'failed' : 'success', detail: error || `in tcp 22 ← ${ip} (droplet ${dropletId})`,
+	}, env);
+	await env.DROPLET_CREATION.delete(`fwssh_${chatId}`);
+	const replyMarkup = { inline_keyboard: [[{ text: '🛡️ View Firewall', callback_data: `fw_view_${firewallId}` }], [{ text: '◀️ Back to Droplet', callback_data: `droplet_${dropletId}` }]] };
+	await editMessage(chatId, messageId, error ? `❌ Failed: ${error}` : `✅ *Port 22 open to* \`${ip}\``, env, replyMarkup);
+}
 
-	const regionData = await doApiCall('/regions', 'GET', apiToken);
-	const regionSizes = regionData.regions.find(r => r.slug === region)?.sizes || [];
-	if (regionSizes.length === 0) { await sendMessage(chatId, '❌ No sizes available in this region.', env); return; }
+// ─── DNS DOMAINS & RECORDS ────────────────────────────────────────────────────
 
-	const sizesData = await doApiCall('/sizes', 'GET', apiToken);
-	const available = sizesData.sizes
-		.filter(s => s.available && regionSizes.includes(s.slug) && s.disk >= image.min_disk_size)
-		.sort((a, b) => a.price_monthly - b.price_monthly);
-	if (available.length === 0) {
-		await sendMessage(chatId, `⚠️ *No compatible sizes!*\n\n${image.name} requires:\n• Min ${image.min_disk_size}GB disk`, env);
-		return;
+const DNS_RECORD_TYPES = ['A', 'AAAA', 'CNAME', 'TXT', 'MX']; // editable from the bot
+const DNS_TTL_OPTIONS = [300, 1800, 3600, 86400];
+const DNS_MX_PRIORITIES = [0, 5, 10, 20];
+
+async function getDomains(apiToken) {
+	try {
+		const data = await doApiCall('/domains?per_page=200', 'GET', apiToken);
+		return (data.domains || []).sort((a, b) => a.name.localeCompare(b.name));
+	} catch (error) {
+		console.error('Error getting domains:', error);
+		return [];
 	}
-	await setState(chatId, { region, image: imageId }, env);
-	const keyboard = available.slice(0, 15).map(s => [{
-		text: `${s.slug} - $${s.price_monthly}/mo (${Math.ceil(s.memory / 1024)}GB RAM, ${s.disk}GB)`,
-		callback_data: `size_${region}_${imageId}_${s.slug}`
-	}]);
-	keyboard.push([{ text: '◀️ Back', callback_data: 'back_to_regions' }]);
-	await sendMessage(chatId, `✅ Image: *${image.name}*\n\n💰 Step 3: Select size`, env, { inline_keyboard: keyboard });
 }
 
-// ─── DROPLET NAME & CREATION ──────────────────────────────────────────────────
+// Domain names can be too long for callback_data, so screens refer to them as <index>-<check>: the index
+// in the sorted list plus a short hash of the name, so a button does not act on another domain once the list changes
+function getDomainRef(domains, index) {
+	return `${index}-${crc32(new TextEncoder().encode(domains[index].name)).toString(36)}`;
+}
 
-function generateDropletName(imageId, size, region) {
-	return `droplet-${size}-${region}-${Date.now().toString().slice(-4)}`;
+async function getDomainByRef(ref, apiToken) {
+	const domains = await getDomains(apiToken);
+	const index = parseInt(ref);
+	if (!domains[index] || getDomainRef(domains, index) !== ref) return null;
+	return domains[index].name;
 }
 
-async function askDropletName(chatId, imageId, size, region, env) {
-	const defaultName = generateDropletName(imageId, size, region);
-	const sessionId = `session_${chatId}_${Date.now()}`;
-	await env.DROPLET_CREATION.put(sessionId, JSON.stringify({ region, size, image: imageId, defaultName }), { expirationTtl: 300 });
-	const keyboard = {
-		inline_keyboard: [
-			[{ text: '✅ Use Default', callback_data: `use_default_name_${sessionId}` },
-			 { text: '📝 Rename',      callback_data: `rename_droplet_${sessionId}` }],
-			[{ text: '◀️ Back', callback_data: 'back_to_regions' }],
-		]
-	};
-	await sendMessage(chatId, `📝 *Droplet Name*\n\nRegion: ${region}\nSize: ${size}\nImage ID: ${imageId}\n\nDefault: \`${defaultName}\``, env, keyboard);
+// "@", "www", "*.dev", "_dmarc" …
+function isValidDnsRecordName(name) {
+	if (name === '@') return true;
+	if (!name || name.length > 253) return false;
+	return name.split('.').every((label, i) => (i === 0 && label === '*') || /^[a-zA-Z0-9_]([a-zA-Z0-9_-]{0,61}[a-zA-Z0-9_])?$/.test(label));
 }
 
-async function useDefaultNameAndConfirm(chatId, sessionId, env) {
-	const dataStr = await env.DROPLET_CREATION.get(sessionId);
-	if (!dataStr) { await sendMessage(chatId, '❌ Session expired.', env); return; }
-	const data = JSON.parse(dataStr);
-	await confirmDropletCreation(chatId, data.defaultName, data.region, data.size, data.image, env);
-	await env.DROPLET_CREATION.delete(sessionId);
+// Returns an error message or null
+function validateDnsRecordData(type, value) {
+	const hostname = /^(@|([a-zA-Z0-9_]([a-zA-Z0-9_-]{0,61}[a-zA-Z0-9_])?\.)*[a-zA-Z0-9_]([a-zA-Z0-9_-]{0,61}[a-zA-Z0-9_])?\.?)$/;
+	if (!value) return 'value is empty';
+	if (type === 'A' && !IPV4_PATTERN.test(value)) return 'not an IPv4 address';
+	if (type === 'AAAA' && !isValidIpv6(value)) return 'not an IPv6 address';
+	if ((type === 'CNAME' || type === 'MX') && !hostname.test(value)) return 'not a hostname';
+	if (type === 'TXT' && value.length > MAX_DNS_TXT_LENGTH) return `longer than ${MAX_DNS_TXT_LENGTH} characters`;
+	return null;
 }
 
-async function confirmDropletCreation(chatId, name, region, size, imageId, env) {
-	const apiToken = await getUserApiToken(chatId, env);
-	const keysData = await doApiCall('/account/keys', 'GET', apiToken);
-	const sshKeys = keysData.ssh_keys || [];
-	if (sshKeys.length === 0) {
-		await sendMessage(chatId, '❌ *No SSH Keys*\n\nAdd an SSH key to your DigitalOcean account first.', env);
-		return;
-	}
-	const creationId = `create_${chatId}_${Date.now()}`;
-	await env.DROPLET_CREATION.put(creationId, JSON.stringify({ name, region, size, image: imageId, sshKeyIds: sshKeys.map(k => k.id) }), { expirationTtl: 300 });
-	const keyboard = {
-		inline_keyboard: [
-			[{ text: '✅ Create', callback_data: `confirmcreate_${creationId}` }],
-			[{ text: '◀️ Back',  callback_data: 'back_to_regions' }],
-		]
-	};
-	await sendMessage(chatId, `⚠️ *Confirm*\n\n*Name:* ${name}\n*Region:* ${region}\n*Size:* ${size}\n*Image ID:* ${imageId}\n*SSH Keys:* ${sshKeys.length}`, env, keyboard);
+function describeDnsRecord(record) {
+	const priority = record.type === 'MX' ? ` (priority ${record.priority})` : '';
+	return `${record.type} ${record.name} → ${record.data}${priority} • TTL ${record.ttl}`;
 }
 
-async function createDropletFromKV(chatId, messageId, creationId, env) {
+const DNS_DATA_HINTS = {
+	A:     'an IPv4 address, e.g. `203.0.113.4`',
+	AAAA:  'an IPv6 address, e.g. `2001:db8::1`',
+	CNAME: 'a hostname, e.g. `app.example.com.` (or `@` for the domain itself)',
+	TXT:   'the text value, e.g. `v=spf1 include:_spf.example.com ~all`',
+	MX:    'the mail server hostname, e.g. `mail.example.com.`',
+};
+
+async function showDomains(chatId, messageId, env) {
 	const apiToken = await getUserApiToken(chatId, env);
-	const dataStr = await env.DROPLET_CREATION.get(creationId);
-	if (!dataStr) { await editMessage(chatId, messageId, '❌ Session expired.', env); return; }
-	const data = JSON.parse(dataStr);
-	await editMessage(chatId, messageId, '⏳ Creating...', env);
-	const result = await doApiCall('/droplets', 'POST', apiToken, {
-		name: data.name, region: data.region, size: data.size, image: data.image,
-		ssh_keys: data.sshKeyIds, backups: false, ipv6: false, monitoring: true,
-	});
-	if (result.droplet) {
-		const ip = result.droplet.networks.v4.find(n => n.type === 'public')?.ip_address || 'Assigning...';
-		await editMessage(chatId, messageId, `✅ *Created!*\n\n*Name:* ${result.droplet.name}\n*IP:* \`${ip}\`\n\nSSH: \`ssh root@${ip}\``, env);
-		await env.DROPLET_CREATION.delete(creationId);
-	} else {
-		await editMessage(chatId, messageId, `❌ Failed: ${result.message || 'Unknown'}`, env);
-	}
+	if (!apiToken) { await sendMessage(chatId, '❌ No API token. Use /setapi first.', env); return; }
+	const domains = await getDomains(apiToken);
+	const keyboard = domains.map((d, i) => [{ text: `🌐 ${d.name}`, callback_data: `dns_dom_${getDomainRef(domains, i)}_0` }]);
+	const text = domains.length > 0
+		? `🌐 *Domains*\n\nTotal: ${domains.length}\n\nTap a domain to browse its records.`
+		: '🌐 *Domains*\n\nNo domains on this account. Add one in the DigitalOcean control panel.';
+	if (messageId) await editMessage(chatId, messageId, text, env, { inline_keyboard: keyboard });
+	else await sendMessage(chatId, text, env, { inline_keyboard: keyboard });
 }
 
-// ─── DROPLET MANAGEMENT ───────────────────────────────────────────────────────
+async function showDomainRecords(chatId, messageId, ref, page, env) {
+	const apiToken = await getUserApiToken(chatId, env);
+	const domain = await getDomainByRef(ref, apiToken);
+	if (!domain) { await editMessage(chatId, messageId, '❌ Domain not found.', env, { inline_keyboard: [[{ text: '◀️ Back', callback_data: 'dns_back' }]] }); return; }
+	const data = await doApiCall(`/domains/${domain}/records?page=${page + 1}&per_page=${ITEMS_PER_PAGE}`, 'GET', apiToken);
+	const records = data.domain_records || [];
+	const total = data.meta?.total ?? records.length;
+	const totalPages = Math.max(1, Math.ceil(total / ITEMS_PER_PAGE));
+	const keyboard = records.map(r => [{
+		text: `${r.type} ${r.name} → ${r.data}`.slice(0, 60),
+		callback_data: `dns_rec_${ref}_${r.id}`
+	}]);
+	const nav = [];
+	if (page > 0) nav.push({ text: '◀️ Previous', callback_data: `dns_dom_${ref}_${page - 1}` });
+	if (page < totalPages - 1) nav.push({ text: 'Next ▶️', callback_data: `dns_dom_${ref}_${page + 1}` });
+	if (nav.length) keyboard.push(nav);
+	keyboard.push([{ text: '➕ Add Record', callback_data: `dns_add_${ref}` }]);
+	keyboard.push([{ text: '◀️ Back to Domains', callback_data: 'dns_back' }]);
+	await editMessage(chatId, messageId,
+		`🌐 *Domain* \`${domain}\`\n\nRecords: ${total}\nPage ${page + 1}/${totalPages}\n\nTap a record to edit or delete it.`,
+		env, { inline_keyboard: keyboard });
+}
 
-async function listDroplets(chatId, env) {
+async function showDnsRecord(chatId, messageId, ref, recordId, env) {
 	const apiToken = await getUserApiToken(chatId, env);
-	if (!apiToken) { await sendMessage(chatId, '❌ No API token. Use /setapi first.', env); return; }
-	const data = await doApiCall('/droplets', 'GET', apiToken);
-	if (!data.droplets || data.droplets.length === 0) { await sendMessage(chatId, 'No droplets found.', env); return; }
+	const domain = await getDomainByRef(ref, apiToken);
+	const record = domain ? (await doApiCall(`/domains/${domain}/records/${recordId}`, 'GET', apiToken)).domain_record : null;
+	const back = [{ text: '◀️ Back', callback_data: `dns_dom_${ref}_0` }];
+	if (!record) { await editMessage(chatId, messageId, '❌ Record not found.', env, { inline_keyboard: [back] }); return; }
 	const keyboard = [];
-	for (const droplet of data.droplets) {
-		const hasNote = await getDropletNote(droplet.id, env);
-		keyboard.push([{ text: `${droplet.name} (${droplet.status})${hasNote ? ' 📝' : ''}`, callback_data: `droplet_${droplet.id}` }]);
+	if (DNS_RECORD_TYPES.includes(record.type)) {
+		keyboard.push([{ text: '✏️ Edit',   callback_data: `dns_edit_${ref}_${record.id}` },
+		               { text: '🗑️ Delete', callback_data: `dns_delc_${ref}_${record.id}` }]);
 	}
-	await sendMessage(chatId, 'Your Droplets:', env, { inline_keyboard: keyboard });
+	keyboard.push(back);
+	const priority = record.type === 'MX' ? `\n*Priority:* ${record.priority}` : '';
+	await editMessage(chatId, messageId,
+		`🌐 *DNS Record*\n\n*Domain:* \`${domain}\`\n*Type:* ${record.type}\n*Name:* \`${sanitizeForCode(record.name)}\`\n*Value:* \`${sanitizeForCode(record.data)}\`${priority}\n*TTL:* ${record.ttl}s`,
+		env, { inline_keyboard: keyboard });
 }
 
-async function showDropletDetails(chatId, messageId, dropletId, env) {
-	const apiToken = await getUserApiToken(chatId, env);
-	const data = await doApiCall(`/droplets/${dropletId}`, 'GET', apiToken);
-	if (!data.droplet) { await editMessage(chatId, messageId, '❌ Not found.', env); return; }
-	const droplet = data.droplet;
-	const ip = droplet.networks.v4.find(n => n.type === 'public')?.ip_address || 'Not assigned';
-	const note = await getDropletNote(dropletId, env);
-	const noteSection = note ? `\n\n📝 *Note:*\n\`\`\`\n${note}\n\`\`\`` : '';
-	const details = `📦 *Droplet*\n\n*Name:* ${droplet.name}\n*Status:* ${droplet.status}\n*Region:* ${droplet.region.name}\n*Size:* ${droplet.size_slug}\n*IP:* \`${ip}\`\n\nSSH: \`ssh root@${ip}\`${noteSection}`;
-	const powerButton = droplet.status === 'off'
-		? { text: '⚡ Power On',  callback_data: `pwr_on_${dropletId}` }
-		: { text: '🔌 Power Off', callback_data: `pwr_off_${dropletId}` };
-	const restartButton = droplet.status !== 'off'
-		? [{ text: '🔁 Restart', callback_data: `restart_${dropletId}` }]
-		: null;
-	const keyboard = {
-		inline_keyboard: [
-			[powerButton],
-			...(restartButton ? [restartButton] : []),
-			[{ text: '📸 Take Snapshot', callback_data: `snap_take_${dropletId}` },
-			 { text: '🔄 Rebuild',       callback_data: `rebuild_${dropletId}` }],
-			[{ text: '🏷️ Rename',        callback_data: `rename_existing_${dropletId}` },
-			 { text: '📝 Note',          callback_data: `manage_note_${dropletId}` }],
-			[{ text: '🗑️ Delete Droplet', callback_data: `confirm_delete_${dropletId}` }],
-			[{ text: '◀️ Back',          callback_data: 'back_to_list' }],
-		]
-	};
-	await editMessage(chatId, messageId, details, env, keyboard);
+// ── Record draft: type → name → value → priority (MX) → TTL → confirm ──
+
+async function getDnsRecordDraft(chatId, env) {
+	const json = await env.DROPLET_CREATION.get(`dnsrec_${chatId}`);
+	return json ? JSON.parse(json) : null;
 }
 
-async function showNoteManagement(chatId, messageId, dropletId, env) {
-	const note = await getDropletNote(dropletId, env);
-	if (note) {
-		await editMessage(chatId, messageId,
-			`📝 *Droplet Note*\n\nCurrent note:\n\`\`\`\n${note}\n\`\`\``,
-			env, {
-				inline_keyboard: [
-					[{ text: '✏️ Edit Note',   callback_data: `edit_note_${dropletId}` }],
-					[{ text: '🗑️ Delete Note', callback_data: `delete_note_${dropletId}` }],
-					[{ text: '◀️ Back',        callback_data: `back_to_droplet_${dropletId}` }],
-				]
-			});
-	} else {
-		await editMessage(chatId, messageId,
-			`📝 *Droplet Note*\n\nNo note for this droplet.`,
-			env, {
-				inline_keyboard: [
-					[{ text: '✏️ Add Note', callback_data: `add_note_${dropletId}` }],
-					[{ text: '◀️ Back',    callback_data: `back_to_droplet_${dropletId}` }],
-				]
-			});
+async function saveDnsRecordDraft(chatId, draft, env) {
+	await env.DROPLET_CREATION.put(`dnsrec_${chatId}`, JSON.stringify(draft), { expirationTtl: 900 });
+}
+
+async function updateDnsRecordDraft(chatId, messageId, changes, env) {
+	const draft = await getDnsRecordDraft(chatId, env);
+	if (!draft) {
+		if (messageId) await editMessage(chatId, messageId, '❌ Session expired.', env);
+		else await sendMessage(chatId, '❌ Session expired. Please start again from /domains.', env);
+		return;
 	}
+	await saveDnsRecordDraft(chatId, { ...draft, ...changes }, env);
+	await showDnsRecordStep(chatId, messageId, env);
 }
 
-async function showDeleteConfirmation(chatId, messageId, dropletId, env) {
-	await editMessage(chatId, messageId, '⚠️ Delete?\n\nCannot be undone!', env, {
-		inline_keyboard: [
-			[{ text: '✅ Yes, Delete', callback_data: `delete_${dropletId}` }],
-			[{ text: '◀️ Back',       callback_data: `droplet_${dropletId}` }],
-		]
-	});
+async function startDnsRecordDraft(chatId, messageId, ref, recordId, env) {
+	const apiToken = await getUserApiToken(chatId, env);
+	const domain = await getDomainByRef(ref, apiToken);
+	if (!domain) { await editMessage(chatId, messageId, '❌ Domain not found.', env); return; }
+	const draft = { domainRef: ref, domain, recordId: null, type: null, name: null, data: null, priority: null, ttl: null };
+	if (recordId) {
+		const record = (await doApiCall(`/domains/${domain}/records/${recordId}`, 'GET', apiToken)).domain_record;
+		if (!record) { await editMessage(chatId, messageId, '❌ Record not found.', env); return; }
+		Object.assign(draft, { recordId: record.id, type: record.type, name: record.name, data: record.data, priority: record.priority, ttl: record.ttl });
+	}
+	await saveDnsRecordDraft(chatId, draft, env);
+	await showDnsRecordStep(chatId, messageId, env);
+}
+
+// Droplet details → pick a domain → A record draft with the droplet's public IP filled in
+async function showDomainsForDroplet(chatId, messageId, dropletId, env) {
+	const apiToken = await getUserApiToken(chatId, env);
+	const domains = await getDomains(apiToken);
+	const keyboard = domains.map((d, i) => [{ text: `🌐 ${d.name}`, callback_data: `dns_dpick_${dropletId}_${getDomainRef(domains, i)}` }]);
+	keyboard.push([{ text: '◀️ Back', callback_data: `droplet_${dropletId}` }]);
+	const hint = domains.length === 0 ? '\n\nNo domains on this account.' : '';
+	await editMessage(chatId, messageId, `🌐 *Create A Record*\n\nPick the domain:${hint}`, env, { inline_keyboard: keyboard });
+}
+
+async function startDropletDnsRecord(chatId, messageId, dropletId, ref, env) {
+	const apiToken = await getUserApiToken(chatId, env);
+	const droplet = (await doApiCall(`/droplets/${dropletId}`, 'GET', apiToken)).droplet;
+	const domain = await getDomainByRef(ref, apiToken);
+	if (!droplet || !domain) { await editMessage(chatId, messageId, '❌ Droplet or domain not found.', env); return; }
+	const ip = droplet.networks.v4.find(n => n.type === 'public')?.ip_address;
+	if (!ip) {
+		await editMessage(chatId, messageId, '❌ This droplet has no public IPv4 address yet.', env, { inline_keyboard: [[{ text: '◀️ Back', callback_data: `droplet_${dropletId}` }]] });
+		return;
+	}
+	const suggestedName = droplet.name.toLowerCase();
+	await saveDnsRecordDraft(chatId, {
+		domainRef: ref, domain, recordId: null, dropletId: droplet.id,
+		type: 'A', name: null, data: ip, priority: null, ttl: null,
+		suggestedName: isValidDnsRecordName(suggestedName) ? suggestedName : null,
+	}, env);
+	await showDnsRecordStep(chatId, messageId, env);
 }
 
-async function deleteDroplet(chatId, messageId, dropletId, env) {
-	const apiToken = await getUserApiToken(chatId, env);
-	const response = await fetch(`https://api.digitalocean.com/v2/droplets/${dropletId}`, {
-		method: 'DELETE',
-		headers: { Authorization: `Bearer ${apiToken}`, 'Content-Type': 'application/json' },
-	});
-	if (response.status === 204) {
-		await deleteDropletNote(dropletId, env);
-		await editMessage(chatId, messageId, '✅ Deleted!', env);
+// Name and value are typed replies; the summary step lets each field be re-entered
+async function showDnsRecordStep(chatId, messageId, env) {
+	const draft = await getDnsRecordDraft(chatId, env);
+	const title = `${draft.recordId ? '✏️ *Edit Record*' : '➕ *Add Record*'} • \`${draft.domain}\``;
+	const cancel = [{ text: '◀️ Cancel', callback_data: 'dnsa_cancel' }];
+	let text;
+	let keyboard;
+	if (!draft.type) {
+		text = `${title}\n\nRecord type:`;
+		keyboard = [DNS_RECORD_TYPES.map(type => ({ text: type, callback_data: `dnsa_type_${type}` })), cancel];
+	} else if (draft.name == null) {
+		const value = draft.data ? `\nValue: \`${sanitizeForCode(draft.data)}\`` : '';
+		text = `${title}\n\nType: ${draft.type}${value}\n\nSend the record name, e.g. \`www\` for www.${draft.domain}, or use \`@\` for the domain itself:`;
+		keyboard = [[{ text: '@ (root)', callback_data: 'dnsa_apex' }]];
+		if (draft.suggestedName) keyboard.push([{ text: `✅ ${draft.suggestedName}`, callback_data: 'dnsa_suggested' }]);
+		keyboard.push(cancel);
+		await setState(chatId, { step: 'dns_record_name' }, env);
+	} else if (draft.data == null) {
+		text = `${title}\n\n${draft.type} \`${draft.name}\`\n\nSend ${DNS_DATA_HINTS[draft.type]}:`;
+		keyboard = [cancel];
+		await setState(chatId, { step: 'dns_record_data' }, env);
+	} else if (draft.type === 'MX' && draft.priority == null) {
+		text = `${title}\n\nMX priority (lower wins):`;
+		keyboard = [DNS_MX_PRIORITIES.map(p => ({ text: String(p), callback_data: `dnsa_prio_${p}` })), cancel];
+	} else if (!draft.ttl) {
+		text = `${title}\n\nTTL:`;
+		keyboard = [DNS_TTL_OPTIONS.map(ttl => ({ text: ttl >= 3600 ? `${ttl / 3600}h` : `${ttl / 60}m`, callback_data: `dnsa_ttl_${ttl}` })), cancel];
 	} else {
-		await editMessage(chatId, messageId, '❌ Failed.', env);
+		text = `${title}\n\n\`${sanitizeForCode(describeDnsRecord(draft))}\``;
+		const change = [
+			{ text: '✏️ Name',  callback_data: 'dnsa_reset_name' },
+			{ text: '✏️ Value', callback_data: 'dnsa_reset_data' },
+			{ text: '✏️ TTL',   callback_data: 'dnsa_reset_ttl' },
+		];
+		if (draft.type === 'MX') change.push({ text: '✏️ Priority', callback_data: 'dnsa_reset_priority' });
+		keyboard = [[{ text: '✅ Save Record', callback_data: 'dnsa_save' }], change, cancel];
 	}
+	if (messageId) await editMessage(chatId, messageId, text, env, { inline_keyboard: keyboard });
+	else await sendMessage(chatId, text, env, { inline_keyboard: keyboard });
 }
 
-async function editMessageToDropletList(chatId, messageId, env) {
+async function cancelDnsRecordDraft(chatId, messageId, env) {
+	const draft = await getDnsRecordDraft(chatId, env);
+	await clearState(chatId, env);
+	await env.DROPLET_CREATION.delete(`dnsrec_${chatId}`);
+	if (draft?.dropletId) await showDropletDetails(chatId, messageId, draft.dropletId, env);
+	else if (draft) await showDomainRecords(chatId, messageId, draft.domainRef, 0, env);
+	else await showDomains(chatId, messageId, env);
+}
+
+async function saveDnsRecord(chatId, messageId, actor, env) {
+	const draft = await getDnsRecordDraft(chatId, env);
+	if (!draft?.ttl) { await editMessage(chatId, messageId, '❌ Session expired.', env); return; }
 	const apiToken = await getUserApiToken(chatId, env);
-	const data = await doApiCall('/droplets', 'GET', apiToken);
-	if (!data.droplets || data.droplets.length === 0) { await editMessage(chatId, messageId, 'No droplets.', env); return; }
-	const keyboard = [];
-	for (const droplet of data.droplets) {
-		const hasNote = await getDropletNote(droplet.id, env);
-		keyboard.push([{ text: `${droplet.name} (${droplet.status})${hasNote ? ' 📝' : ''}`, callback_data: `droplet_${droplet.id}` }]);
+	const body = { type: draft.type, name: draft.name, data: draft.data, ttl: draft.ttl };
+	if (draft.type === 'MX') body.priority = draft.priority;
+	const result = draft.recordId
+		? await doApiCall(`/domains/${draft.domain}/records/${draft.recordId}`, 'PUT', apiToken, body)
+		: await doApiCall(`/domains/${draft.domain}/records`, 'POST', apiToken, body);
+	const record = result.domain_record;
+	await recordAudit(actor, {
+		action: draft.recordId ? 'edit' : 'create', resourceType: 'dns_record',
+		resourceId: record?.id || draft.recordId, resourceName: draft.name === '@' ? draft.domain : `${draft.name}.${draft.domain}`,
+		result: record ? 'success' : 'failed', detail: record ? describeDnsRecord(record) : result.message,
+	}, env);
+	if (!record) {
+		await editMessage(chatId, messageId, `❌ Failed: ${result.message || 'Unknown error'}`, env, { inline_keyboard: [[{ text: '✏️ Back to Draft', callback_data: 'dnsa_review' }], [{ text: '◀️ Cancel', callback_data: 'dnsa_cancel' }]] });
+		return;
 	}
-	await editMessage(chatId, messageId, 'Your Droplets:', env, { inline_keyboard: keyboard });
+	await env.DROPLET_CREATION.delete(`dnsrec_${chatId}`);
+	await showDnsRecord(chatId, messageId, draft.domainRef, record.id, env);
 }
 
-// ─── RENAME DROPLET ───────────────────────────────────────────────────────────
+// ── Delete ──
 
-async function confirmRenameDroplet(chatId, dropletId, oldName, newName, env) {
-	const sessionId = `rename_${chatId}_${Date.now()}`;
-	await env.DROPLET_CREATION.put(sessionId, JSON.stringify({ dropletId, newName }), { expirationTtl: 300 });
-	const keyboard = {
-		inline_keyboard: [
-			[{ text: '✅ Yes, Rename', callback_data: `confirm_rename_${sessionId}` }],
-			[{ text: '◀️ Cancel',     callback_data: `droplet_${dropletId}` }],
-		]
-	};
-	await sendMessage(chatId, `⚠️ *Confirm Rename*\n\nDroplet ID: ${dropletId}\n\nOld name: \`${oldName}\`\nNew name: \`${newName}\``, env, keyboard);
+async function confirmDeleteDnsRecord(chatId, messageId, ref, recordId, env) {
+	const apiToken = await getUserApiToken(chatId, env);
+	const domain = await getDomainByRef(ref, apiToken);
+	const record = domain ? (await doApiCall(`/domains/${domain}/records/${recordId}`, 'GET', apiToken)).domain_record : null;
+	if (!record) { await editMessage(chatId, messageId, '❌ Record not found.', env); return; }
+	await editMessage(chatId, messageId,
+		`⚠️ *Delete DNS Record?*\n\nDomain: \`${domain}\`\nRecord: \`${sanitizeForCode(describeDnsRecord(record))}\``,
+		env, {
+			inline_keyboard: [
+				[{ text: '✅ Yes, Delete', callback_data: `dns_dely_${ref}_${record.id}` }],
+				[{ text: '◀️ Cancel',     callback_data: `dns_rec_${ref}_${record.id}` }],
+			]
+		});
 }
 
-async function executeRename(chatId, messageId, sessionId, env) {
+async function deleteDnsRecord(chatId, messageId, ref, recordId, actor, env) {
 	const apiToken = await getUserApiToken(chatId, env);
-	const dataStr = await env.DROPLET_CREATION.get(sessionId);
-	if (!dataStr) { await editMessage(chatId, messageId, '❌ Session expired.', env); return; }
-	const data = JSON.parse(dataStr);
-	await editMessage(chatId, messageId, '⏳ Renaming...', env);
-	const result = await doApiCall(`/droplets/${data.dropletId}/actions`, 'POST', apiToken, { type: 'rename', name: data.newName });
-	if (result.action) {
-		await editMessage(chatId, messageId, `✅ *Rename Started!*\n\nNew name: \`${data.newName}\`\nStatus: ${result.action.status}`, env);
-		await env.DROPLET_CREATION.delete(sessionId);
-	} else {
-		await editMessage(chatId, messageId, `❌ Failed: ${result.message || 'Unknown'}`, env);
+	const domain = await getDomainByRef(ref, apiToken);
+	if (!domain) { await editMessage(chatId, messageId, '❌ Domain not found.', env); return; }
+	const response = await doApiDelete(`/domains/${domain}/records/${recordId}`, apiToken);
+	await recordAudit(actor, {
+		action: 'delete', resourceType: 'dns_record', resourceId: recordId, resourceName: domain,
+		result: response.status === 204 ? 'success' : 'failed', detail: `HTTP ${response.status}`,
+	}, env);
+	if (response.status !== 204) {
+		await editMessage(chatId, messageId, '❌ Failed to delete record.', env, { inline_keyboard: [[{ text: '◀️ Back', callback_data: `dns_rec_${ref}_${recordId}` }]] });
+		return;
 	}
+	await showDomainRecords(chatId, messageId, ref, 0, env);
 }
 
-// ─── REBUILD ──────────────────────────────────────────────────────────────────
+// ─── PNG CHARTS ───────────────────────────────────────────────────────────────
+
+// Charts are built as SVG, then converted to PNG inside the Worker: Workers ship no SVG rasteriser,
+// so rasterizeSvg draws the subset the charts use (rect, line, polyline, text) into an 8-bit palette
+// bitmap, which is encoded with CompressionStream (zlib) — no external chart service
+
+const CHART_PALETTE = [
+	[255, 255, 255], // 0 background
+	[226, 232, 240], // 1 grid
+	[71, 85, 105],   // 2 axes & text
+	[0, 105, 255],   // 3 series 1 (DigitalOcean blue)
+	[249, 115, 22],  // 4 series 2
+];
+
+const CHART_COLORS = CHART_PALETTE.map(rgb => '#' + rgb.map(c => c.toString(16).padStart(2, '0')).join(''));
+
+// 5×7 glyphs, one 5-bit row per entry; text is drawn upper-case and unknown characters as blanks
+const CHART_FONT = {
+	'0': [0x0e, 0x11, 0x13, 0x15, 0x19, 0x11, 0x0e], '1': [0x04, 0x0c, 0x04, 0x04, 0x04, 0x04, 0x0e],
+	'2': [0x0e, 0x11, 0x01, 0x02, 0x04, 0x08, 0x1f], '3': [0x1f, 0x02, 0x04, 0x02, 0x01, 0x11, 0x0e],
+	'4': [0x02, 0x06, 0x0a, 0x12, 0x1f, 0x02, 0x02], '5': [0x1f, 0x10, 0x1e, 0x01, 0x01, 0x11, 0x0e],
+	'6': [0x06, 0x08, 0x10, 0x1e, 0x11, 0x11, 0x0e], '7': [0x1f, 0x01, 0x02, 0x04, 0x08, 0x08, 0x08],
+	'8': [0x0e, 0x11, 0x11, 0x0e, 0x11, 0x11, 0x0e], '9': [0x0e, 0x11, 0x11, 0x0f, 0x01, 0x02, 0x0c],
+	'A': [0x0e, 0x11, 0x11, 0x1f, 0x11, 0x11, 0x11], 'B': [0x1e, 0x11, 0x11, 0x1e, 0x11, 0x11, 0x1e],
+	'C': [0x0e, 0x11, 0x10, 0x10, 0x10, 0x11, 0x0e], 'D': [0x1c, 0x12, 0x11, 0x11, 0x11, 0x12, 0x1c],
+	'E': [0x1f, 0x10, 0x10, 0x1e, 0x10, 0x10, 0x1f], 'F': [0x1f, 0x10, 0x10, 0x1e, 0x10, 0x10, 0x10],
+	'G': [0x0e, 0x11, 0x10, 0x17, 0x11, 0x11, 0x0f], 'H': [0x11, 0x11, 0x11, 0x1f, 0x11, 0x11, 0x11],
+	'I': [0x0e, 0x04, 0x04, 0x04, 0x04, 0x04, 0x0e], 'J': [0x07, 0x02, 0x02, 0x02, 0x02, 0x12, 0x0c],
+	'K': [0x11, 0x12, 0x14, 0x18, 0x14, 0x12, 0x11], 'L': [0x10, 0x10, 0x10, 0x10, 0x10, 0x10, 0x1f],
+	'M': [0x11, 0x1b, 0x15, 0x15, 0x11, 0x11, 0x11], 'N': [0x11, 0x11, 0x19, 0x15, 0x13, 0x11, 0x11],
+	'O': [0x0e, 0x11, 0x11, 0x11, 0x11, 0x11, 0x0e], 'P': [0x1e, 0x11, 0x11, 0x1e, 0x10, 0x10, 0x10],
+	'Q': [0x0e, 0x11, 0x11, 0x11, 0x15, 0x12, 0x0d], 'R': [0x1e, 0x11, 0x11, 0x1e, 0x14, 0x12, 0x11],
+	'S': [0x0f, 0x10, 0x10, 0x0e, 0x01, 0x01, 0x1e], 'T': [0x1f, 0x04, 0x04, 0x04, 0x04, 0x04, 0x04],
+	'U': [0x11, 0x11, 0x11, 0x11, 0x11, 0x11, 0x0e], 'V': [0x11, 0x11, 0x11, 0x11, 0x11, 0x0a, 0x04],
+	'W': [0x11, 0x11, 0x11, 0x15, 0x15, 0x15, 0x0a], 'X': [0x11, 0x11, 0x0a, 0x04, 0x0a, 0x11, 0x11],
+	'Y': [0x11, 0x11, 0x11, 0x0a, 0x04, 0x04, 0x04], 'Z': [0x1f, 0x01, 0x02, 0x04, 0x08, 0x10, 0x1f],
+	'%': [0x18, 0x19, 0x02, 0x04, 0x08, 0x13, 0x03], '.': [0x00, 0x00, 0x00, 0x00, 0x00, 0x0c, 0x0c],
+	':': [0x00, 0x0c, 0x0c, 0x00, 0x0c, 0x0c, 0x00], '-': [0x00, 0x00, 0x00, 0x1f, 0x00, 0x00, 0x00],
+	'/': [0x00, 0x01, 0x02, 0x04, 0x08, 0x10, 0x00], '(': [0x02, 0x04, 0x08, 0x08, 0x08, 0x04, 0x02],
+	')': [0x08, 0x04, 0x02, 0x02, 0x02, 0x04, 0x08],
+};
 
-async function showRebuildImageTypeSelection(chatId, messageId, dropletId, env) {
-	await editMessage(chatId, messageId, '🔄 *Rebuild Droplet*\n\n⚠️ All data will be deleted\n\nChoose image type:', env, {
-		inline_keyboard: [
-			[{ text: '🐧 Operating Systems', callback_data: `rebuildtype_${dropletId}_os` }],
-			[{ text: '📦 Applications',      callback_data: `rebuildtype_${dropletId}_app` }],
-			[{ text: '📸 My Snapshots',      callback_data: `rebuildtype_${dropletId}_snapshot` }],
-			[{ text: '◀️ Back',             callback_data: `droplet_${dropletId}` }],
-		]
-	});
+function createBitmap(width, height) {
+	return { width, height, pixels: new Uint8Array(width * height) };
 }
 
-async function showRebuildImageTypeSelectionNew(chatId, dropletId, env) {
-	await sendMessage(chatId, '🔄 *Rebuild Droplet*\n\n⚠️ All data will be deleted\n\nChoose image type:', env, {
-		inline_keyboard: [
-			[{ text: '🐧 Operating Systems', callback_data: `rebuildtype_${dropletId}_os` }],
-			[{ text: '📦 Applications',      callback_data: `rebuildtype_${dropletId}_app` }],
-			[{ text: '📸 My Snapshots',      callback_data: `rebuildtype_${dropletId}_snapshot` }],
-			[{ text: '◀️ Back',             callback_data: `droplet_${dropletId}` }],
-		]
-	});
+function fillRect(bitmap, x, y, w, h, color) {
+	for (let py = Math.max(0, y); py < Math.min(bitmap.height, y + h); py++) {
+		bitmap.pixels.fill(color, py * bitmap.width + Math.max(0, x), py * bitmap.width + Math.min(bitmap.width, x + w));
+	}
 }
 
-async function showRebuildImagesList(chatId, messageId, dropletId, type, page, env) {
-	const apiToken = await getUserApiToken(chatId, env);
-	const dropletData = await doApiCall(`/droplets/${dropletId}`, 'GET', apiToken);
-	const droplet = dropletData.droplet;
-	if (!droplet) { await editMessage(chatId, messageId, '❌ Droplet not found.', env); return; }
+// Bresenham line, `thickness` pixels wide
+function drawLine(bitmap, x0, y0, x1, y1, color, thickness = 1) {
+	x0 = Math.round(x0); y0 = Math.round(y0); x1 = Math.round(x1); y1 = Math.round(y1);
+	const dx = Math.abs(x1 - x0);
+	const dy = -Math.abs(y1 - y0);
+	const sx = x0 < x1 ? 1 : -1;
+	const sy = y0 < y1 ? 1 : -1;
+	let err = dx + dy;
+	while (true) {
+		fillRect(bitmap, x0, y0, thickness, thickness, color);
+		if (x0 === x1 && y0 === y1) break;
+		const e2 = 2 * err;
+		if (e2 >= dy) { err += dy; x0 += sx; }
+		if (e2 <= dx) { err += dx; y0 += sy; }
+	}
+}
 
-	let images = filterImagesForRebuild(await getImagesByType(type, apiToken, env), droplet);
-	if (images.length === 0) {
-		const hint = type === 'snapshot' ? '\n\nTake a snapshot from a droplet first.' : '';
-		await editMessage(chatId, messageId, `❌ No compatible ${type === 'app' ? 'applications' : type === 'os' ? 'OS images' : 'snapshots'} for this droplet.${hint}`, env, {
-			inline_keyboard: [
-				[{ text: '◀️ Back to image types', callback_data: `rebuild_${dropletId}` }],
-				[{ text: '◀️ Back to droplet',    callback_data: `droplet_${dropletId}` }],
-			]
-		});
-		return;
+function drawText(bitmap, x, y, text, color, scale = 1) {
+	for (const char of String(text).toUpperCase()) {
+		const glyph = CHART_FONT[char];
+		if (glyph) {
+			glyph.forEach((row, gy) => {
+				for (let gx = 0; gx < 5; gx++) {
+					if (row & (0x10 >> gx)) fillRect(bitmap, x + gx * scale, y + gy * scale, scale, scale, color);
+				}
+			});
+		}
+		x += 6 * scale;
 	}
-	const totalPages = Math.ceil(images.length / ITEMS_PER_PAGE);
-	const pageImages = images.slice(page * ITEMS_PER_PAGE, (page + 1) * ITEMS_PER_PAGE);
-	const keyboard = pageImages.map(img => [{ text: img.name, callback_data: `rebuildimg_${dropletId}_${img.id}` }]);
-	const nav = [];
-	if (page > 0) nav.push({ text: '◀️ Previous', callback_data: `rebuildpage_${dropletId}_${type}_${page - 1}` });
-	if (page < totalPages - 1) nav.push({ text: 'Next ▶️', callback_data: `rebuildpage_${dropletId}_${type}_${page + 1}` });
-	if (nav.length) keyboard.push(nav);
-	keyboard.push([{ text: '🔍 Search', callback_data: `rebuildsearch_${dropletId}_${type}` }]);
-	keyboard.push([{ text: '◀️ Back',   callback_data: `rebuild_${dropletId}` }]);
-	const label = type === 'app' ? 'Applications' : type === 'os' ? 'Operating Systems' : 'Snapshots';
-	const emoji = type === 'app' ? '📦' : type === 'os' ? '🐧' : '📸';
-	await editMessage(chatId, messageId, `${emoji} *${label}*\n\n✅ Compatible with ${droplet.size_slug}\nPage ${page + 1}/${totalPages} (${images.length} total)`, env, { inline_keyboard: keyboard });
 }
 
-async function handleRebuildImageSearch(chatId, query, state, env) {
-	if (query.length < MIN_SEARCH_LENGTH) {
-		await sendMessage(chatId, `❌ Search query too short. Min ${MIN_SEARCH_LENGTH} characters.`, env);
-		return;
+function measureText(text, scale = 1) {
+	return String(text).length * 6 * scale;
+}
+
+function pngChunk(type, data) {
+	const chunk = new Uint8Array(12 + data.length);
+	const view = new DataView(chunk.buffer);
+	view.setUint32(0, data.length);
+	chunk.set(new TextEncoder().encode(type), 4);
+	chunk.set(data, 8);
+	view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+	return chunk;
+}
+
+async function encodePng(bitmap, palette) {
+	const { width, height, pixels } = bitmap;
+	const header = new Uint8Array(13);
+	const view = new DataView(header.buffer);
+	view.setUint32(0, width);
+	view.setUint32(4, height);
+	header.set([8, 3, 0, 0, 0], 8); // 8-bit depth, indexed colour, deflate, no filter, no interlace
+	const raw = new Uint8Array((width + 1) * height);
+	for (let y = 0; y < height; y++) raw.set(pixels.subarray(y * width, (y + 1) * width), y * (width + 1) + 1);
+	const compressed = new Uint8Array(await new Response(new Blob([raw]).stream().pipeThrough(new CompressionStream('deflate'))).arrayBuffer());
+	const chunks = [
+		new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+		pngChunk('IHDR', header),
+		pngChunk('PLTE', new Uint8Array(palette.flat())),
+		pngChunk('IDAT', compressed),
+		pngChunk('IEND', new Uint8Array(0)),
+	];
+	const png = new Uint8Array(chunks.reduce((sum, c) => sum + c.length, 0));
+	let offset = 0;
+	for (const c of chunks) { png.set(c, offset); offset += c.length; }
+	return png;
+}
+
+// Round up to 1, 2 or 5 × 10^n so the y axis gets readable labels
+function niceCeiling(value) {
+	if (value <= 0) return 1;
+	const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+	return [1, 2, 5, 10].map(m => m * magnitude).find(v => v >= value);
+}
+
+function formatChartValue(value) {
+	return value >= 100 || Number.isInteger(value) ? String(Math.round(value)) : value.toFixed(value >= 10 ? 1 : 2);
+}
+
+function escapeSvgText(text) {
+	return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Text is sized for the 5×7 bitmap font: font-size 7 per scale step, 6px advance per character
+function svgText(x, y, text, color, scale = 1, anchor = 'start') {
+	return `<text x="${Math.round(x)}" y="${Math.round(y + 7 * scale)}" font-family="monospace" font-size="${7 * scale}" fill="${CHART_COLORS[color]}" text-anchor="${anchor}">${escapeSvgText(text)}</text>`;
+}
+
+function svgLine(x0, y0, x1, y1, color, width = 1) {
+	return `<line x1="${Math.round(x0)}" y1="${Math.round(y0)}" x2="${Math.round(x1)}" y2="${Math.round(y1)}" stroke="${CHART_COLORS[color]}" stroke-width="${width}"/>`;
+}
+
+// series: [{ label, points: [{ t, v }] }] with t in seconds; yMax fixes the scale (e.g. 100 for percentages)
+function buildLineChartSvg({ title, unit, series, start, end, yMax = null, timeFormat }) {
+	const width = 800;
+	const height = 360;
+	const plot = { left: 70, right: width - 20, top: 50, bottom: height - 40 };
+	const maxValue = yMax ?? niceCeiling(Math.max(0, ...series.flatMap(s => s.points.map(p => p.v))));
+	const xOf = (t) => plot.left + (t - start) / (end - start) * (plot.right - plot.left);
+	const yOf = (v) => plot.bottom - Math.min(v, maxValue) / maxValue * (plot.bottom - plot.top);
+	const parts = [`<rect x="0" y="0" width="${width}" height="${height}" fill="${CHART_COLORS[0]}"/>`];
+
+	parts.push(svgText(plot.left, 16, `${title} (${unit})`, 2, 2));
+	for (let i = 0; i <= 4; i++) {
+		const value = maxValue * i / 4;
+		const y = Math.round(yOf(value));
+		parts.push(svgLine(plot.left, y, plot.right, y, i === 0 ? 2 : 1));
+		parts.push(svgText(plot.left - 8, y - 3, formatChartValue(value), 2, 1, 'end'));
 	}
-	const apiToken = await getUserApiToken(chatId, env);
-	const dropletData = await doApiCall(`/droplets/${state.dropletId}`, 'GET', apiToken);
-	const results = filterImagesForRebuild(await getImagesByType(state.type, apiToken, env), dropletData.droplet)
-		.filter(img => img.name.toLowerCase().includes(query.toLowerCase()));
-	if (results.length === 0) {
-		await clearState(chatId, env);
-		await sendMessage(chatId, '❌ No results found.', env, {
-			inline_keyboard: [[{ text: '◀️ Back to Menu', callback_data: `back_from_rebuild_search_${state.dropletId}` }]]
-		});
-		return;
+	parts.push(svgLine(plot.left, plot.top, plot.left, plot.bottom, 2));
+	for (let i = 0; i <= 4; i++) {
+		const t = start + (end - start) * i / 4;
+		const x = Math.round(xOf(t));
+		const label = timeFormat(t);
+		parts.push(svgLine(x, plot.bottom, x, plot.bottom + 4, 2));
+		parts.push(svgText(Math.min(width - measureText(label) - 2, Math.max(2, x - measureText(label) / 2)), plot.bottom + 10, label, 2));
 	}
-	const keyboard = results.slice(0, ITEMS_PER_PAGE).map(img => [{ text: img.name, callback_data: `rebuildimg_${state.dropletId}_${img.id}` }]);
-	keyboard.push([{ text: '◀️ Back', callback_data: `back_from_rebuild_search_${state.dropletId}` }]);
-	await sendMessage(chatId, `🔍 Found ${results.length} result(s)`, env, { inline_keyboard: keyboard });
-	await clearState(chatId, env);
+
+	series.forEach((s, i) => {
+		const color = 3 + (i % 2);
+		// Average the points that fall into each pixel column so long ranges stay readable
+		const columns = new Map();
+		for (const p of s.points) {
+			const x = Math.round(xOf(p.t));
+			const column = columns.get(x) || { sum: 0, count: 0 };
+			column.sum += p.v;
+			column.count++;
+			columns.set(x, column);
+		}
+		const points = [...columns].sort((a, b) => a[0] - b[0]).map(([x, column]) => `${x},${Math.round(yOf(column.sum / column.count))}`);
+		parts.push(`<polyline points="${points.join(' ')}" fill="none" stroke="${CHART_COLORS[color]}" stroke-width="2"/>`);
+		if (series.length > 1) {
+			const legendX = plot.right - 100 * (series.length - i);
+			parts.push(`<rect x="${legendX}" y="18" width="12" height="12" fill="${CHART_COLORS[color]}"/>`);
+			parts.push(svgText(legendX + 18, 20, s.label, 2));
+		}
+	});
+	return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">${parts.join('')}</svg>`;
 }
 
-async function confirmRebuild(chatId, messageId, dropletId, imageId, env) {
-	const sessionId = `rebuild_${chatId}_${Date.now()}`;
-	await env.DROPLET_CREATION.put(sessionId, JSON.stringify({ dropletId, imageId }), { expirationTtl: 300 });
-	await editMessage(chatId, messageId,
-		`⚠️ *Confirm Rebuild*\n\nDroplet ID: ${dropletId}\nNew Image ID: ${imageId}\n\n*All data will be deleted!*`,
-		env, {
-			inline_keyboard: [
-				[{ text: '✅ Yes, Rebuild', callback_data: `execute_rebuild_${sessionId}` }],
-				[{ text: '◀️ Back',        callback_data: `droplet_${dropletId}` }],
-			]
-		});
+// Rasterises the SVG subset buildLineChartSvg emits; colours must come from CHART_PALETTE
+function rasterizeSvg(svg) {
+	const attrsOf = (source) => Object.fromEntries([...source.matchAll(/([\w-]+)="([^"]*)"/g)].map(m => [m[1], m[2]]));
+	const colorOf = (value) => Math.max(0, CHART_COLORS.indexOf(value));
+	const root = attrsOf(svg.match(/<svg\b([^>]*)>/)[1]);
+	const bitmap = createBitmap(parseInt(root.width), parseInt(root.height));
+	for (const m of svg.matchAll(/<(rect|line|polyline)\b([^>]*)\/>|<text\b([^>]*)>([^<]*)<\/text>/g)) {
+		const a = attrsOf(m[2] ?? m[3]);
+		const num = (key) => parseFloat(a[key]);
+		if (m[1] === 'rect') {
+			fillRect(bitmap, num('x'), num('y'), num('width'), num('height'), colorOf(a.fill));
+		} else if (m[1] === 'line') {
+			drawLine(bitmap, num('x1'), num('y1'), num('x2'), num('y2'), colorOf(a.stroke), num('stroke-width') || 1);
+		} else if (m[1] === 'polyline') {
+			const points = a.points.trim().split(/\s+/).map(p => p.split(',').map(Number));
+			for (let i = 1; i < points.length; i++) {
+				drawLine(bitmap, ...points[i - 1], ...points[i], colorOf(a.stroke), num('stroke-width') || 1);
+			}
+		} else {
+			const text = m[4].replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+			const scale = Math.max(1, Math.round(num('font-size') / 7));
+			const shift = { middle: measureText(text, scale) / 2, end: measureText(text, scale) }[a['text-anchor']] || 0;
+			drawText(bitmap, Math.round(num('x') - shift), num('y') - 7 * scale, text, colorOf(a.fill), scale);
+		}
+	}
+	return bitmap;
 }
 
-async function executeRebuild(chatId, messageId, sessionId, env) {
-	const apiToken = await getUserApiToken(chatId, env);
-	const dataStr = await env.DROPLET_CREATION.get(sessionId);
-	if (!dataStr) { await editMessage(chatId, messageId, '❌ Session expired.', env); return; }
-	const data = JSON.parse(dataStr);
-	await editMessage(chatId, messageId, '⏳ Rebuilding...', env);
-	const result = await doApiCall(`/droplets/${data.dropletId}/actions`, 'POST', apiToken, { type: 'rebuild', image: data.imageId });
-	if (result.action) {
-		await editMessage(chatId, messageId, `✅ *Rebuild Started!*\n\nStatus: ${result.action.status}`, env);
-		await env.DROPLET_CREATION.delete(sessionId);
-	} else {
-		await editMessage(chatId, messageId, `❌ Failed: ${result.message || 'Unknown'}`, env);
+async function renderLineChart(options) {
+	return await encodePng(rasterizeSvg(buildLineChartSvg(options)), CHART_PALETTE);
+}
+
+// ─── DROPLET METRICS ──────────────────────────────────────────────────────────
+
+const METRIC_PERIODS = { '1h': 3600, '24h': 86400, '7d': 7 * 86400 };
+
+const METRIC_KINDS = {
+	cpu:       { label: 'CPU',       unit: '%' },
+	memory:    { label: 'Memory',    unit: '%' },
+	disk:      { label: 'Disk',      unit: '%' },
+	bandwidth: { label: 'Bandwidth', unit: 'Mbps' },
+};
+
+// Prometheus-style matrix result: [{ metric: {...}, values: [[ts, "value"], ...] }]
+async function fetchDropletMetric(apiToken, metric, dropletId, start, end, extra = '') {
+	const data = await doApiCall(`/monitoring/metrics/droplet/${metric}?host_id=${dropletId}&start=${start}&end=${end}${extra}`, 'GET', apiToken);
+	return data.data?.result || [];
+}
+
+function toPoints(values) {
+	return (values || []).map(([t, v]) => ({ t: Number(t), v: parseFloat(v) })).filter(p => !isNaN(p.v));
+}
+
+// CPU metrics are cumulative seconds per mode; usage is 1 − Δidle / Δtotal between samples
+function cpuUsagePoints(result) {
+	const totals = new Map();
+	for (const series of result) {
+		for (const { t, v } of toPoints(series.values)) {
+			const entry = totals.get(t) || { total: 0, idle: 0 };
+			entry.total += v;
+			if (series.metric?.mode === 'idle') entry.idle += v;
+			totals.set(t, entry);
+		}
+	}
+	const samples = [...totals].sort((a, b) => a[0] - b[0]);
+	const points = [];
+	for (let i = 1; i < samples.length; i++) {
+		const total = samples[i][1].total - samples[i - 1][1].total;
+		const idle = samples[i][1].idle - samples[i - 1][1].idle;
+		if (total > 0) points.push({ t: samples[i][0], v: Math.max(0, Math.min(100, (1 - idle / total) * 100)) });
 	}
+	return points;
 }
 
-// ─── POWER ON / POWER OFF ─────────────────────────────────────────────────────
+// Used percentage from a "size" and a "free" series sampled at the same timestamps
+function usedPercentPoints(sizeSeries, freeSeries) {
+	const free = new Map(toPoints(freeSeries?.values).map(p => [p.t, p.v]));
+	return toPoints(sizeSeries?.values)
+		.filter(p => p.v > 0 && free.has(p.t))
+		.map(p => ({ t: p.t, v: (1 - free.get(p.t) / p.v) * 100 }));
+}
 
-async function confirmPowerAction(chatId, messageId, dropletId, action, env) {
-	const apiToken = await getUserApiToken(chatId, env);
-	const dropletData = await doApiCall(`/droplets/${dropletId}`, 'GET', apiToken);
-	if (!dropletData.droplet) { await editMessage(chatId, messageId, '❌ Droplet not found.', env); return; }
-	const droplet = dropletData.droplet;
-	const isOn = action === 'power_on';
-	const warning = isOn
-		? '\n\nThis will start the droplet.'
-		: '\n\n⚠️ This is a *non-graceful* power-off (like pulling the plug).\nFor a graceful shutdown, use the OS instead.';
-	const keyboard = {
-		inline_keyboard: [
-			[{ text: isOn ? '✅ Yes, Power On' : '✅ Yes, Power Off', callback_data: isOn ? `pwr_on_yes_${dropletId}` : `pwr_off_yes_${dropletId}` }],
-			[{ text: '◀️ Cancel', callback_data: `droplet_${dropletId}` }],
-		]
-	};
-	await editMessage(chatId, messageId,
-		`${isOn ? '⚡ *Power On*' : '🔌 *Power Off*'}\n\nDroplet: \`${droplet.name}\`\nCurrent status: \`${droplet.status}\`${warning}`,
-		env, keyboard);
+// Root filesystem if reported, otherwise the first device
+function pickFilesystem(result) {
+	return result.find(s => s.metric?.mountpoint === '/') || result[0];
 }
 
-async function executePowerAction(chatId, messageId, dropletId, action, env) {
-	const apiToken = await getUserApiToken(chatId, env);
-	const isOn = action === 'power_on';
-	await editMessage(chatId, messageId, isOn ? '⏳ Powering on...' : '⏳ Powering off...', env);
-	const result = await doApiCall(`/droplets/${dropletId}/actions`, 'POST', apiToken, { type: action });
-	if (result.action) {
-		await editMessage(chatId, messageId,
-			`✅ *${isOn ? 'Power On' : 'Power Off'} Started!*\n\nStatus: \`${result.action.status}\`\n\nUse 📋 List Droplets to refresh status.`,
-			env, { inline_keyboard: [[{ text: '◀️ Back to Droplet', callback_data: `droplet_${dropletId}` }]] });
-	} else {
-		await editMessage(chatId, messageId, `❌ Failed: ${result.message || 'Unknown error'}`, env);
+// Series for one metric kind: [{ label, points }]
+async function getDropletMetricSeries(apiToken, dropletId, kind, start, end) {
+	if (kind === 'cpu') {
+		return [{ label: 'CPU', points: cpuUsagePoints(await fetchDropletMetric(apiToken, 'cpu', dropletId, start, end)) }];
+	}
+	if (kind === 'memory') {
+		const [total, available] = await Promise.all([
+			fetchDropletMetric(apiToken, 'memory_total', dropletId, start, end),
+			fetchDropletMetric(apiToken, 'memory_available', dropletId, start, end),
+		]);
+		return [{ label: 'Memory', points: usedPercentPoints(total[0], available[0]) }];
+	}
+	if (kind === 'disk') {
+		const [size, free] = await Promise.all([
+			fetchDropletMetric(apiToken, 'filesystem_size', dropletId, start, end),
+			fetchDropletMetric(apiToken, 'filesystem_free', dropletId, start, end),
+		]);
+		const root = pickFilesystem(size);
+		const rootFree = free.find(s => s.metric?.device === root?.metric?.device) || free[0];
+		return [{ label: 'Disk', points: usedPercentPoints(root, rootFree) }];
 	}
+	const [inbound, outbound] = await Promise.all(['inbound', 'outbound'].map(direction =>
+		fetchDropletMetric(apiToken, 'bandwidth', dropletId, start, end, `&interface=public&direction=${direction}`)));
+	return [
+		{ label: 'In',  points: toPoints(inbound[0]?.values) },
+		{ label: 'Out', points: toPoints(outbound[0]?.values) },
+	];
 }
 
-// ─── RESTART (reboot) ─────────────────────────────────────────────────────────
+function describeMetricStats(points, unit) {
+	if (points.length === 0) return 'no data';
+	const values = points.map(p => p.v);
+	const avg = values.reduce((sum, v) => sum + v, 0) / values.length;
+	const format = (v) => `${formatChartValue(v)}${unit === '%' ? '%' : ` ${unit}`}`;
+	return `min ${format(Math.min(...values))} • avg ${format(avg)} • max ${format(Math.max(...values))}`;
+}
 
-async function confirmRestartAction(chatId, messageId, dropletId, env) {
+function getMetricWindow(period) {
+	const end = Math.floor(Date.now() / 1000);
+	return { start: end - METRIC_PERIODS[period], end };
+}
+
+async function showDropletMetrics(chatId, messageId, dropletId, period, env) {
 	const apiToken = await getUserApiToken(chatId, env);
-	const dropletData = await doApiCall(`/droplets/${dropletId}`, 'GET', apiToken);
-	if (!dropletData.droplet) { await editMessage(chatId, messageId, '❌ Droplet not found.', env); return; }
-	const droplet = dropletData.droplet;
-	if (droplet.status === 'off') {
-		await editMessage(chatId, messageId, '❌ Droplet is powered off. Power it on first.', env, {
-			inline_keyboard: [[{ text: '◀️ Back', callback_data: `droplet_${dropletId}` }]]
-		});
-		return;
+	const droplet = (await doApiCall(`/droplets/${dropletId}`, 'GET', apiToken)).droplet;
+	if (!droplet) { await editMessage(chatId, messageId, '❌ Droplet not found.', env); return; }
+	await editMessage(chatId, messageId, '⏳ Loading metrics...', env);
+	const { start, end } = getMetricWindow(period);
+	const lines = [];
+	for (const [kind, { label, unit }] of Object.entries(METRIC_KINDS)) {
+		const series = await getDropletMetricSeries(apiToken, dropletId, kind, start, end);
+		for (const s of series) {
+			lines.push(`*${series.length > 1 ? `${label} ${s.label.toLowerCase()}` : label}:* ${describeMetricStats(s.points, unit)}`);
+		}
 	}
+	const noData = lines.every(line => line.endsWith('no data'))
+		? '\n\n⚠️ No data. Metrics need the DigitalOcean monitoring agent on the droplet (enabled with monitoring at create time).'
+		: '';
 	await editMessage(chatId, messageId,
-		`🔁 *Restart Droplet*\n\nDroplet: \`${droplet.name}\`\nCurrent status: \`${droplet.status}\`\n\nThis sends a graceful *reboot* signal to the OS.`,
+		`📈 *Metrics* \`${droplet.name}\` • last ${period}\n\n${lines.join('\n')}${noData}`,
 		env, {
 			inline_keyboard: [
-				[{ text: '✅ Yes, Restart', callback_data: `restart_yes_${dropletId}` }],
-				[{ text: '◀️ Cancel',       callback_data: `droplet_${dropletId}` }],
+				Object.keys(METRIC_PERIODS).map(p => ({ text: p === period ? `✅ ${p}` : p, callback_data: `met_${dropletId}_${p}` })),
+				Object.entries(METRIC_KINDS).map(([kind, { label }]) => ({ text: `📊 ${label}`, callback_data: `metc_${dropletId}_${kind}_${period}` })),
+				[{ text: '◀️ Back to Droplet', callback_data: `droplet_${dropletId}` }],
 			]
 		});
 }
 
-async function executeRestartAction(chatId, messageId, dropletId, env) {
+async function sendDropletMetricChart(chatId, dropletId, kind, period, env) {
 	const apiToken = await getUserApiToken(chatId, env);
-	await editMessage(chatId, messageId, '⏳ Restarting...', env);
-	const result = await doApiCall(`/droplets/${dropletId}/actions`, 'POST', apiToken, { type: 'reboot' });
-	if (result.action) {
-		await editMessage(chatId, messageId,
-			`✅ *Restart Started!*\n\nStatus: \`${result.action.status}\`\n\nUse 📋 List Droplets to refresh status.`,
-			env, { inline_keyboard: [[{ text: '◀️ Back to Droplet', callback_data: `droplet_${dropletId}` }]] });
-	} else {
-		await editMessage(chatId, messageId, `❌ Failed: ${result.message || 'Unknown error'}`, env);
+	const droplet = (await doApiCall(`/droplets/${dropletId}`, 'GET', apiToken)).droplet;
+	const metric = METRIC_KINDS[kind];
+	if (!droplet || !metric || !METRIC_PERIODS[period]) { await sendMessage(chatId, '❌ Droplet not found.', env); return; }
+	const { start, end } = getMetricWindow(period);
+	const series = await getDropletMetricSeries(apiToken, dropletId, kind, start, end);
+	if (series.every(s => s.points.length === 0)) {
+		await sendMessage(chatId, `📊 No ${metric.label.toLowerCase()} data for \`${droplet.name}\` in the last ${period}.`, env);
+		return;
+	}
+	const pad = (n) => String(n).padStart(2, '0');
+	const timeFormat = period === '7d'
+		? (t) => { const d = new Date(t * 1000); return `${pad(d.getUTCMonth() + 1)}-${pad(d.getUTCDate())}`; }
+		: (t) => { const d = new Date(t * 1000); return `${pad(d.getUTCHours())}:${pad(d.getUTCMinutes())}`; };
+	const png = await renderLineChart({
+		title: `${metric.label} ${period}`, // the name is in the caption; the chart font only covers 0-9, A-Z and a few symbols
+		unit: metric.unit,
+		series,
+		start,
+		end,
+		yMax: metric.unit === '%' ? 100 : null,
+		timeFormat,
+	});
+	const stats = series.map(s => `${series.length > 1 ? `${s.label}: ` : ''}${describeMetricStats(s.points, metric.unit)}`).join('\n');
+	await sendPhoto(chatId, `${droplet.name}-${kind}-${period}.png`, png, env, `📊 *${metric.label}* \`${droplet.name}\` • last ${period} (UTC)\n${stats}`);
+}
+
+// ─── MONITORING ALERT POLICIES ────────────────────────────────────────────────
+
+const ALERT_METRICS = {
+	cpu:    { type: 'v1/insights/droplet/cpu',                        label: 'CPU',           unit: '%',     values: [50, 70, 80, 90, 95] },
+	memory: { type: 'v1/insights/droplet/memory_utilization_percent', label: 'Memory',        unit: '%',     values: [50, 70, 80, 90, 95] },
+	disk:   { type: 'v1/insights/droplet/disk_utilization_percent',   label: 'Disk',          unit: '%',     values: [50, 70, 80, 90, 95] },
+	load1:  { type: 'v1/insights/droplet/load_1',                     label: 'Load (1m)',     unit: '',      values: [1, 2, 4, 8] },
+	bwout:  { type: 'v1/insights/droplet/public_outbound_bandwidth',  label: 'Bandwidth out', unit: ' Mbps', values: [10, 50, 100, 500] },
+};
+const ALERT_WINDOWS = ['5m', '10m', '30m', '1h'];
+
+function getAlertMetric(type) {
+	return Object.values(ALERT_METRICS).find(m => m.type === type) || { type, label: type.split('/').pop(), unit: '' };
+}
+
+function describeAlertCondition(policy) {
+	const metric = getAlertMetric(policy.type);
+	return `${metric.label} ${policy.compare === 'LessThan' ? '<' : '>'} ${policy.value}${metric.unit} for ${policy.window}`;
+}
+
+function describeAlertTargets(policy) {
+	const parts = [
+		...(policy.entities || []).map(id => `droplet ${id}`),
+		...(policy.tags || []).map(tag => `tag \`${tag}\``),
+	];
+	return parts.length > 0 ? parts.join(', ') : 'all droplets';
+}
+
+function describeAlertNotifications(alerts) {
+	const parts = [
+		...(alerts?.email || []).map(email => `📧 ${email}`),
+		...(alerts?.slack || []).map(slack => `💬 ${slack.channel}`),
+	];
+	return parts.join(', ') || 'none';
+}
+
+async function getAlertPolicies(apiToken) {
+	try {
+		const data = await doApiCall('/monitoring/alerts?per_page=200', 'GET', apiToken);
+		return data.policies || [];
+	} catch (error) {
+		console.error('Error getting alert policies:', error);
+		return [];
 	}
 }
 
-// ─── TAKE SNAPSHOT (per-droplet) ──────────────────────────────────────────────
-
-async function askSnapshotName(chatId, messageId, dropletId, env) {
+// Policies with no droplets or tags cover every droplet
+function getDropletAlertPolicies(droplet, policies) {
+	const tags = droplet.tags || [];
+	return policies.filter(p => {
+		const entities = p.entities || [];
+		const policyTags = p.tags || [];
+		if (entities.length === 0 && policyTags.length === 0) return true;
+		return entities.includes(String(droplet.id)) || policyTags.some(t => tags.includes(t));
+	});
+}
+
+async function showAlertPolicies(chatId, messageId, env) {
+	const apiToken = await getUserApiToken(chatId, env);
+	if (!apiToken) { await sendMessage(chatId, '❌ No API token. Use /setapi first.', env); return; }
+	const policies = await getAlertPolicies(apiToken);
+	const keyboard = policies.map(p => [{
+		text: `${p.enabled ? '🟢' : '⚪'} ${describeAlertCondition(p)}`,
+		callback_data: `alp_view_${p.uuid}`
+	}]);
+	keyboard.push([{ text: '➕ New Alert', callback_data: 'alp_new' }]);
+	const text = policies.length > 0
+		? `🔔 *Alert Policies*\n\nTotal: ${policies.length} (🟢 enabled, ⚪ disabled)\n\nTap a policy to toggle or delete it.`
+		: '🔔 *Alert Policies*\n\nNo monitoring alerts yet.';
+	if (messageId) await editMessage(chatId, messageId, text, env, { inline_keyboard: keyboard });
+	else await sendMessage(chatId, text, env, { inline_keyboard: keyboard });
+}
+
+async function showAlertPolicy(chatId, messageId, uuid, env) {
 	const apiToken = await getUserApiToken(chatId, env);
-	const dropletData = await doApiCall(`/droplets/${dropletId}`, 'GET', apiToken);
-	if (!dropletData.droplet) { await editMessage(chatId, messageId, '❌ Droplet not found.', env); return; }
-	const droplet = dropletData.droplet;
-	const defaultName = generateSnapshotName(droplet.name);
-	const sessionId = `snap_session_${chatId}_${Date.now()}`;
-	await env.DROPLET_CREATION.put(sessionId, JSON.stringify({ dropletId, dropletName: droplet.name, defaultName }), { expirationTtl: 300 });
-	const liveWarning = droplet.status !== 'off'
-		? '\n\n⚠️ Droplet is *running*. Snapshotting a live droplet may produce inconsistent state.'
-		: '';
+	const policy = (await doApiCall(`/monitoring/alerts/${uuid}`, 'GET', apiToken)).policy;
+	if (!policy) { await editMessage(chatId, messageId, '❌ Alert policy not found.', env, { inline_keyboard: [[{ text: '◀️ Back', callback_data: 'alp_back' }]] }); return; }
 	await editMessage(chatId, messageId,
-		`📸 *Take Snapshot*\n\nDroplet: \`${droplet.name}\`\nStatus: \`${droplet.status}\`\nDefault name: \`${defaultName}\`${liveWarning}`,
+		`🔔 *Alert Policy*\n\n*Condition:* ${describeAlertCondition(policy)}\n*Applies to:* ${describeAlertTargets(policy)}\n*Notify:* ${describeAlertNotifications(policy.alerts)}\n*Status:* ${policy.enabled ? '🟢 enabled' : '⚪ disabled'}${policy.description ? `\n*Description:* ${policy.description}` : ''}`,
 		env, {
 			inline_keyboard: [
-				[{ text: '✅ Use Default', callback_data: `snap_default_${sessionId}` },
-				 { text: '📝 Rename',      callback_data: `snap_rename_${sessionId}` }],
-				[{ text: '◀️ Cancel', callback_data: `droplet_${dropletId}` }],
+				[{ text: policy.enabled ? '⏸️ Disable' : '▶️ Enable', callback_data: `alp_tog_${policy.uuid}` }],
+				[{ text: '🗑️ Delete', callback_data: `alp_delc_${policy.uuid}` }],
+				[{ text: '◀️ Back',   callback_data: 'alp_back' }],
 			]
 		});
 }
 
-async function useDefaultSnapshotName(chatId, messageId, sessionId, env) {
-	const dataStr = await env.DROPLET_CREATION.get(sessionId);
-	if (!dataStr) { await editMessage(chatId, messageId, '❌ Session expired.', env); return; }
-	const data = JSON.parse(dataStr);
-	await deleteMessage(chatId, messageId, env);
-	await confirmSnapshotCreation(chatId, data.dropletId, data.dropletName, data.defaultName, env);
-	await env.DROPLET_CREATION.delete(sessionId);
+// The API has no PATCH, so toggling sends the whole policy back
+async function toggleAlertPolicy(chatId, messageId, uuid, actor, env) {
+	const apiToken = await getUserApiToken(chatId, env);
+	const policy = (await doApiCall(`/monitoring/alerts/${uuid}`, 'GET', apiToken)).policy;
+	if (!policy) { await editMessage(chatId, messageId, '❌ Alert policy not found.', env); return; }
+	const { uuid: _, ...body } = policy;
+	const result = await doApiCall(`/monitoring/alerts/${uuid}`, 'PUT', apiToken, { ...body, enabled: !policy.enabled });
+	await recordAudit(actor, {
+		action: 'edit', resourceType: 'alert_policy', resourceId: uuid, resourceName: describeAlertCondition(policy),
+		result: result.policy ? 'success' : 'failed', detail: result.policy ? (result.policy.enabled ? 'enabled' : 'disabled') : result.message,
+	}, env);
+	if (!result.policy) {
+		await editMessage(chatId, messageId, `❌ Failed: ${result.message || 'Unknown error'}`, env, { inline_keyboard: [[{ text: '◀️ Back', callback_data: `alp_view_${uuid}` }]] });
+		return;
+	}
+	await showAlertPolicy(chatId, messageId, uuid, env);
 }
 
-async function confirmSnapshotCreation(chatId, dropletId, dropletName, snapshotName, env) {
+async function confirmDeleteAlertPolicy(chatId, messageId, uuid, env) {
 	const apiToken = await getUserApiToken(chatId, env);
-	const dropletData = await doApiCall(`/droplets/${dropletId}`, 'GET', apiToken);
-	const droplet = dropletData.droplet;
-	const sessionId = `snap_exec_${chatId}_${Date.now()}`;
-	await env.DROPLET_CREATION.put(sessionId, JSON.stringify({ dropletId, snapshotName }), { expirationTtl: 300 });
-	const liveWarning = droplet && droplet.status !== 'off' ? '\n\n⚠️ *Droplet is running.* Snapshot may be inconsistent.' : '';
-	await sendMessage(chatId,
-		`⚠️ *Confirm Snapshot*\n\nDroplet: \`${dropletName}\`\nSnapshot name: \`${snapshotName}\`${liveWarning}\n\nThis can take several minutes.`,
+	const policy = (await doApiCall(`/monitoring/alerts/${uuid}`, 'GET', apiToken)).policy;
+	if (!policy) { await editMessage(chatId, messageId, '❌ Alert policy not found.', env); return; }
+	await editMessage(chatId, messageId,
+		`⚠️ *Delete Alert Policy?*\n\n${describeAlertCondition(policy)}\nApplies to: ${describeAlertTargets(policy)}`,
 		env, {
 			inline_keyboard: [
-				[{ text: '✅ Yes, Take Snapshot', callback_data: `snap_exec_${sessionId}` }],
-				[{ text: '◀️ Cancel',            callback_data: `droplet_${dropletId}` }],
+				[{ text: '✅ Yes, Delete', callback_data: `alp_dely_${uuid}` }],
+				[{ text: '◀️ Cancel',     callback_data: `alp_view_${uuid}` }],
 			]
 		});
 }
 
-async function executeSnapshot(chatId, messageId, sessionId, env) {
+async function deleteAlertPolicy(chatId, messageId, uuid, actor, env) {
 	const apiToken = await getUserApiToken(chatId, env);
-	const dataStr = await env.DROPLET_CREATION.get(sessionId);
-	if (!dataStr) { await editMessage(chatId, messageId, '❌ Session expired.', env); return; }
-	const data = JSON.parse(dataStr);
-	await editMessage(chatId, messageId, '⏳ Starting snapshot...', env);
-	const result = await doApiCall(`/droplets/${data.dropletId}/actions`, 'POST', apiToken, { type: 'snapshot', name: data.snapshotName });
-	if (result.action) {
-		await editMessage(chatId, messageId,
-			`✅ *Snapshot Started!*\n\nName: \`${data.snapshotName}\`\nStatus: \`${result.action.status}\`\n\n💡 Snapshot will appear in 📸 *Manage Snapshots* once complete.`,
-			env, {
-				inline_keyboard: [
-					[{ text: '📸 Manage Snapshots',  callback_data: 'menu_snapshots' }],
-					[{ text: '◀️ Back to Droplet', callback_data: `droplet_${data.dropletId}` }],
-				]
-			});
-		await env.DROPLET_CREATION.delete(sessionId);
+	const response = await doApiDelete(`/monitoring/alerts/${uuid}`, apiToken);
+	await recordAudit(actor, {
+		action: 'delete', resourceType: 'alert_policy', resourceId: uuid,
+		result: response.status === 204 ? 'success' : 'failed', detail: `HTTP ${response.status}`,
+	}, env);
+	if (response.status !== 204) {
+		await editMessage(chatId, messageId, '❌ Failed to delete alert policy.', env, { inline_keyboard: [[{ text: '◀️ Back', callback_data: `alp_view_${uuid}` }]] });
+		return;
+	}
+	await showAlertPolicies(chatId, messageId, env);
+}
+
+// ── New policy: metric → comparison → value → window → target → notification → confirm ──
+
+async function getAlertDraft(chatId, env) {
+	const json = await env.DROPLET_CREATION.get(`alertnew_${chatId}`);
+	return json ? JSON.parse(json) : null;
+}
+
+async function saveAlertDraft(chatId, draft, env) {
+	await env.DROPLET_CREATION.put(`alertnew_${chatId}`, JSON.stringify(draft), { expirationTtl: 900 });
+}
+
+async function updateAlertDraft(chatId, messageId, changes, env) {
+	const draft = await getAlertDraft(chatId, env);
+	if (!draft) {
+		if (messageId) await editMessage(chatId, messageId, '❌ Session expired.', env);
+		else await sendMessage(chatId, '❌ Session expired. Please start again from /alerts.', env);
+		return;
+	}
+	await saveAlertDraft(chatId, { ...draft, ...changes }, env);
+	await showAlertDraftStep(chatId, messageId, env);
+}
+
+// The threshold and tag can also be typed; page only applies to the droplet picker
+async function showAlertDraftStep(chatId, messageId, env, page = 0) {
+	const draft = await getAlertDraft(chatId, env);
+	const metric = ALERT_METRICS[draft.metric];
+	const cancel = [{ text: '◀️ Cancel', callback_data: 'alpa_cancel' }];
+	let text;
+	let keyboard;
+	if (!metric) {
+		text = '🔔 *New Alert*\n\nMetric:';
+		keyboard = [...Object.entries(ALERT_METRICS).map(([key, m]) => [{ text: m.label, callback_data: `alpa_m_${key}` }]), cancel];
+	} else if (!draft.compare) {
+		text = `🔔 *New Alert*\n\n${metric.label} is…`;
+		keyboard = [[{ text: '> above', callback_data: 'alpa_c_GreaterThan' }, { text: '< below', callback_data: 'alpa_c_LessThan' }], cancel];
+	} else if (draft.value == null) {
+		text = `🔔 *New Alert*\n\n${metric.label} ${draft.compare === 'LessThan' ? '<' : '>'} …\n\nPick a threshold or send a number:`;
+		keyboard = [metric.values.map(v => ({ text: `${v}${metric.unit}`, callback_data: `alpa_v_${v}` })), cancel];
+		await setState(chatId, { step: 'alert_value' }, env);
+	} else if (!draft.window) {
+		text = `🔔 *New Alert*\n\n${describeAlertCondition({ ...draft, type: metric.type, window: '…' })}\n\nFor how long?`;
+		keyboard = [ALERT_WINDOWS.map(w => ({ text: w, callback_data: `alpa_w_${w}` })), cancel];
+	} else if (!draft.entities && !draft.tags) {
+		text = `🔔 *New Alert*\n\n${describeAlertCondition({ ...draft, type: metric.type })}\n\nApply to a droplet, or send a tag name:`;
+		const droplets = await getAllDroplets(await getUserApiToken(chatId, env));
+		const totalPages = Math.max(1, Math.ceil(droplets.length / ITEMS_PER_PAGE));
+		page = Math.min(page, totalPages - 1);
+		keyboard = droplets.slice(page * ITEMS_PER_PAGE, (page + 1) * ITEMS_PER_PAGE).map(d => [{ text: `💧 ${d.name}`, callback_data: `alpa_d_${d.id}` }]);
+		const nav = [];
+		if (page > 0) nav.push({ text: '◀️ Previous', callback_data: `alpa_dp_${page - 1}` });
+		if (page < totalPages - 1) nav.push({ text: 'Next ▶️', callback_data: `alpa_dp_${page + 1}` });
+		if (nav.length) keyboard.push(nav);
+		keyboard.push(cancel);
+		await setState(chatId, { step: 'alert_tag' }, env);
+	} else if (!draft.alerts) {
+		text = `🔔 *New Alert*\n\n${describeAlertCondition({ ...draft, type: metric.type })}\nApplies to: ${describeAlertTargets(draft)}\n\nHow should DigitalOcean notify you?`;
+		keyboard = [[{ text: '📧 Email', callback_data: 'alpa_n_email' }, { text: '💬 Slack', callback_data: 'alpa_n_slack' }], cancel];
 	} else {
-		await editMessage(chatId, messageId, `❌ Failed: ${result.message || 'Unknown error'}`, env);
+		text = `🔔 *New Alert*\n\n*Condition:* ${describeAlertCondition({ ...draft, type: metric.type })}\n*Applies to:* ${describeAlertTargets(draft)}\n*Notify:* ${describeAlertNotifications(draft.alerts)}`;
+		keyboard = [[{ text: '✅ Create Alert', callback_data: 'alpa_save' }], cancel];
 	}
+	if (messageId) await editMessage(chatId, messageId, text, env, { inline_keyboard: keyboard });
+	else await sendMessage(chatId, text, env, { inline_keyboard: keyboard });
 }
 
-// ─── SNAPSHOT MANAGEMENT (account-wide) ──────────────────────────────────────
+async function saveAlertPolicy(chatId, messageId, actor, env) {
+	const draft = await getAlertDraft(chatId, env);
+	if (!draft?.alerts) { await editMessage(chatId, messageId, '❌ Session expired.', env); return; }
+	const apiToken = await getUserApiToken(chatId, env);
+	const metric = ALERT_METRICS[draft.metric];
+	const policy = {
+		type: metric.type,
+		compare: draft.compare,
+		value: draft.value,
+		window: draft.window,
+		entities: draft.entities || [],
+		tags: draft.tags || [],
+		alerts: { email: draft.alerts.email || [], slack: draft.alerts.slack || [] },
+		enabled: true,
+	};
+	policy.description = `${describeAlertCondition(policy)} on ${describeAlertTargets(policy).replace(/`/g, '')}`;
+	const result = await doApiCall('/monitoring/alerts', 'POST', apiToken, policy);
+	await recordAudit(actor, {
+		action: 'create', resourceType: 'alert_policy', resourceId: result.policy?.uuid || null, resourceName: policy.description,
+		result: result.policy ? 'success' : 'failed', detail: result.policy ? describeAlertNotifications(policy.alerts) : result.message,
+	}, env);
+	if (!result.policy) {
+		await editMessage(chatId, messageId, `❌ Failed: ${result.message || 'Unknown error'}`, env, { inline_keyboard: [[{ text: '◀️ Cancel', callback_data: 'alpa_cancel' }]] });
+		return;
+	}
+	await env.DROPLET_CREATION.delete(`alertnew_${chatId}`);
+	await showAlertPolicy(chatId, messageId, result.policy.uuid, env);
+}
 
-async function getDropletSnapshots(apiToken) {
+// ─── ACTION TRACKING ──────────────────────────────────────────────────────────
+
+// Remember an in-progress DigitalOcean action so the cron handler can report its outcome.
+// `next` holds droplet action steps to start once this one completes (see startChainedActions)
+async function trackAction(chatId, messageId, action, dropletId, label, detail, replyMarkup, env, next = [], profile = null, failureNote = null, audit = null) {
+	if (action.status !== 'in-progress') return;
 	try {
-		let all = [];
-		let page = 1;
-		const perPage = 200;
-		while (page <= 20) {
-			const resp = await doApiCall(`/snapshots?resource_type=droplet&page=${page}&per_page=${perPage}`, 'GET', apiToken);
-			const list = resp.snapshots || [];
-			all = all.concat(list);
-			if (list.length < perPage) break;
-			page++;
+		await env.DROPLET_CREATION.put(`action_track_${action.id}`, JSON.stringify({
+			actionId: action.id,
+			chatId,
+			profile: profile || await getActiveProfileName(chatId, env),
+			messageId,
+			dropletId,
+			label,
+			detail,
+			replyMarkup,
+			next,
+			failureNote,
+			audit,
+			startedAt: action.started_at || new Date().toISOString(),
+		}), { expirationTtl: ACTION_TRACK_TTL });
+	} catch (error) {
+		console.error('Error tracking action:', error);
+	}
+}
+
+// Start the first of a list of droplet action steps ({ body, detail }); the rest follow one by one
+// as each tracked action completes. Returns false when a step could not be started.
+// `audit` ({ actor, entry }) is recorded with the outcome of the whole chain
+async function startChainedActions(chatId, messageId, dropletId, label, steps, replyMarkup, env, profile = null, audit = null) {
+	const [step, ...next] = steps;
+	const apiToken = await getUserApiToken(chatId, env, profile);
+	const result = apiToken ? await doApiCall(`/droplets/${dropletId}/actions`, 'POST', apiToken, step.body) : {};
+	if (!result.action) {
+		const note = step.failureNote ? `\n\n${step.failureNote}` : '';
+		const text = `❌ *${label} Failed*\n\n${step.detail}\n\n${result.message || 'Unknown error'}${note}`;
+		const edited = await editMessage(chatId, messageId, text, env, replyMarkup);
+		if (!edited?.ok) await sendMessage(chatId, text, env, replyMarkup);
+		if (audit) await recordAudit(audit.actor, { ...audit.entry, result: 'failed', detail: `${audit.entry.detail}: ${step.body.type} ${result.message || 'not started'}` }, env);
+		return false;
+	}
+	if (result.action.status === 'completed' && next.length > 0) {
+		return await startChainedActions(chatId, messageId, dropletId, label, next, replyMarkup, env, profile, audit);
+	}
+	if (result.action.status !== 'in-progress') {
+		await reportActionResult({ chatId, messageId, label, detail: step.detail, failureNote: step.failureNote, audit, replyMarkup, startedAt: result.action.started_at }, result.action, env);
+		return result.action.status === 'completed';
+	}
+	await editMessage(chatId, messageId,
+		`⏳ *${label} In Progress*\n\n${step.detail}\nStatus: \`${result.action.status}\`\n\nThis message will update as each step finishes.`,
+		env, replyMarkup);
+	await trackAction(chatId, messageId, result.action, dropletId, label, step.detail, replyMarkup, env, next, profile, step.failureNote, audit);
+	return true;
+}
+
+// Poll every tracked action and report the ones that finished
+async function pollTrackedActions(env) {
+	const listResult = await env.DROPLET_CREATION.list({ prefix: 'action_track_' });
+	for (const key of listResult.keys) {
+		try {
+			const dataStr = await env.DROPLET_CREATION.get(key.name);
+			if (!dataStr) continue;
+			const tracked = JSON.parse(dataStr);
+			const apiToken = await getUserApiToken(tracked.chatId, env, tracked.profile);
+			if (!apiToken) { await env.DROPLET_CREATION.delete(key.name); continue; }
+			const data = await doApiCall(`/actions/${tracked.actionId}`, 'GET', apiToken);
+			if (!data.action) {
+				if (data.id === 'not_found') await env.DROPLET_CREATION.delete(key.name);
+				continue;
+			}
+			if (data.action.status === 'in-progress') continue;
+			if (data.action.status === 'completed' && tracked.next?.length > 0) {
+				await env.DROPLET_CREATION.delete(key.name);
+				await startChainedActions(tracked.chatId, tracked.messageId, tracked.dropletId, tracked.label, tracked.next, tracked.replyMarkup, env, tracked.profile, tracked.audit);
+				continue;
+			}
+			await reportActionResult(tracked, data.action, env);
+			await env.DROPLET_CREATION.delete(key.name);
+		} catch (error) {
+			console.error(`Error polling ${key.name}:`, error);
 		}
-		return all;
+	}
+}
+
+// Edit the original message with the final state, or send a new one if it is gone
+async function reportActionResult(tracked, action, env) {
+	const ok = action.status === 'completed';
+	const startedAt = new Date(action.started_at || tracked.startedAt);
+	const completedAt = action.completed_at ? new Date(action.completed_at) : new Date();
+	const detail = tracked.detail ? `${tracked.detail}\n` : '';
+	const note = !ok && tracked.failureNote ? `\n\n${tracked.failureNote}` : '';
+	const text = `${ok ? '✅' : '❌'} *${tracked.label} ${ok ? 'Completed' : 'Failed'}*\n\n${detail}Status: \`${action.status}\`\nDuration: ${formatDuration(completedAt - startedAt)}\nFinished: ${formatDate(completedAt.toISOString())}${note}`;
+	const edited = await editMessage(tracked.chatId, tracked.messageId, text, env, tracked.replyMarkup);
+	if (!edited?.ok) await sendMessage(tracked.chatId, text, env, tracked.replyMarkup);
+	if (tracked.audit) {
+		const { actor, entry } = tracked.audit;
+		await recordAudit(actor, { ...entry, result: ok ? 'success' : 'failed', detail: ok ? entry.detail : `${entry.detail}: ${action.type} ${action.status}` }, env);
+	}
+}
+
+// Remember a freshly created droplet so the cron handler can report its address once it is up
+async function trackProvisioning(chatId, messageId, droplet, env, profile = null) {
+	try {
+		await env.DROPLET_CREATION.put(`provision_track_${droplet.id}`, JSON.stringify({
+			dropletId: droplet.id,
+			chatId,
+			profile: profile || await getActiveProfileName(chatId, env),
+			messageId,
+			name: droplet.name,
+			startedAt: new Date().toISOString(),
+		}), { expirationTtl: ACTION_TRACK_TTL });
 	} catch (error) {
-		console.error('Error getting droplet snapshots:', error);
-		return [];
+		console.error('Error tracking provisioning:', error);
 	}
 }
 
-function buildSnapshotsKeyboard(snapshots, page) {
-	const totalPages = Math.max(1, Math.ceil(snapshots.length / ITEMS_PER_PAGE));
-	const pageItems = snapshots.slice(page * ITEMS_PER_PAGE, (page + 1) * ITEMS_PER_PAGE);
-	const keyboard = pageItems.map(s => [{
-		text: `📸 ${s.name}${s.size_gigabytes != null ? ` • ${formatGB(s.size_gigabytes)}` : ''}`,
-		callback_data: `snap_view_${s.id}`
-	}]);
-	const nav = [];
-	if (page > 0) nav.push({ text: '◀️ Previous', callback_data: `snap_page_${page - 1}` });
-	if (page < totalPages - 1) nav.push({ text: 'Next ▶️', callback_data: `snap_page_${page + 1}` });
-	if (nav.length) keyboard.push(nav);
-	return { keyboard, totalPages };
+// Public addresses of a droplet; null when not assigned yet
+function getDropletPublicIps(droplet) {
+	return {
+		ipv4: droplet.networks?.v4?.find(n => n.type === 'public')?.ip_address || null,
+		ipv6: droplet.networks?.v6?.find(n => n.type === 'public')?.ip_address || null,
+	};
 }
 
-async function showSnapshotsList(chatId, page, env) {
+// A droplet is ready once it is active and every enabled public address is assigned
+function isDropletProvisioned(droplet) {
+	if (droplet.status !== 'active') return false;
+	const { ipv4, ipv6 } = getDropletPublicIps(droplet);
+	if (!ipv4) return false;
+	if ((droplet.features || []).includes('ipv6') && !ipv6) return false;
+	return true;
+}
+
+// Poll every droplet that is still being provisioned
+async function pollProvisioningDroplets(env) {
+	const listResult = await env.DROPLET_CREATION.list({ prefix: 'provision_track_' });
+	for (const key of listResult.keys) {
+		try {
+			const dataStr = await env.DROPLET_CREATION.get(key.name);
+			if (!dataStr) continue;
+			const tracked = JSON.parse(dataStr);
+			const apiToken = await getUserApiToken(tracked.chatId, env, tracked.profile);
+			if (!apiToken) { await env.DROPLET_CREATION.delete(key.name); continue; }
+			const data = await doApiCall(`/droplets/${tracked.dropletId}`, 'GET', apiToken);
+			if (!data.droplet) {
+				if (data.id === 'not_found') await env.DROPLET_CREATION.delete(key.name);
+				continue;
+			}
+			const timedOut = Date.now() - new Date(tracked.startedAt).getTime() > PROVISION_TIMEOUT_MS;
+			if (!isDropletProvisioned(data.droplet) && !timedOut) continue;
+			await reportDropletReady(tracked, data.droplet, env);
+			await env.DROPLET_CREATION.delete(key.name);
+		} catch (error) {
+			console.error(`Error polling ${key.name}:`, error);
+		}
+	}
+}
+
+async function reportDropletReady(tracked, droplet, env) {
+	const ready = isDropletProvisioned(droplet);
+	const { ipv4, ipv6 } = getDropletPublicIps(droplet);
+	const elapsed = formatDuration(Date.now() - new Date(tracked.startedAt).getTime());
+	let text = ready ? '✅ *Droplet Ready!*' : '⚠️ *Droplet still provisioning*';
+	text += `\n\n*Name:* ${droplet.name}\n*Status:* \`${droplet.status}\`\n*Region:* ${droplet.region.name}\n*IPv4:* \`${ipv4 || 'Not assigned'}\``;
+	if (ipv6) text += `\n*IPv6:* \`${ipv6}\``;
+	if (ipv4) text += `\n\nSSH: \`ssh root@${ipv4}\``;
+	text += ready ? `\n\n⏱️ Ready after ${elapsed}` : `\n\nNot ready after ${elapsed}. Check the droplet details for its current state.`;
+	const replyMarkup = { inline_keyboard: [[{ text: '📦 Droplet Details', callback_data: `droplet_${droplet.id}` }]] };
+	const edited = await editMessage(tracked.chatId, tracked.messageId, text, env, replyMarkup);
+	if (!edited?.ok) await sendMessage(tracked.chatId, text, env, replyMarkup);
+}
+
+// ─── WATCHERS (cron alerts) ───────────────────────────────────────────────────
+
+// Checked by the cron trigger, independent of DigitalOcean's own monitoring alerts
+const WATCHER_KINDS = {
+	status:    { label: 'Droplet status change' },
+	count:     { label: 'Droplet count',       unit: '',    values: [5, 10, 20, 50] },
+	balance:   { label: 'Month-to-date usage', unit: '$',   values: [25, 50, 100, 250, 500] },
+	snapshots: { label: 'Snapshot storage',    unit: ' GB', values: [50, 100, 250, 500] },
+};
+const WATCHER_CHECK_INTERVAL_MS = 5 * 60 * 1000;
+const WATCHER_QUIET_PRESETS = [[22, 7], [23, 8], [0, 6]];
+
+function formatWatcherThreshold(kind, value) {
+	return kind === 'balance' ? `$${value}` : `${value}${WATCHER_KINDS[kind].unit}`;
+}
+
+function describeWatcher(watcher) {
+	if (watcher.kind === 'status') return `Droplet ${watcher.dropletName} changes status`;
+	return `${WATCHER_KINDS[watcher.kind].label} above ${formatWatcherThreshold(watcher.kind, watcher.threshold)}`;
+}
+
+// Quiet hours are whole UTC hours [from, to) and may wrap past midnight
+function isQuietHour(quiet, hour) {
+	if (!quiet) return false;
+	return quiet.from < quiet.to
+		? hour >= quiet.from && hour < quiet.to
+		: hour >= quiet.from || hour < quiet.to;
+}
+
+function formatQuietHours(quiet) {
+	if (!quiet) return 'off';
+	const pad = h => `${String(h).padStart(2, '0')}:00`;
+	return `${pad(quiet.from)}–${pad(quiet.to)} UTC`;
+}
+
+async function getWatcher(id, env) {
+	const json = await env.DROPLET_CREATION.get(`watcher_${id}`);
+	return json ? JSON.parse(json) : null;
+}
+
+async function saveWatcher(watcher, env) {
+	await env.DROPLET_CREATION.put(`watcher_${watcher.id}`, JSON.stringify(watcher));
+}
+
+async function listWatchers(env) {
+	const watchers = [];
+	let cursor;
+	do {
+		const page = await env.DROPLET_CREATION.list({ prefix: 'watcher_', cursor });
+		for (const key of page.keys) {
+			const json = await env.DROPLET_CREATION.get(key.name);
+			if (json) watchers.push(JSON.parse(json));
+		}
+		cursor = page.list_complete ? null : page.cursor;
+	} while (cursor);
+	return watchers.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+// A watcher reads one DigitalOcean account, so a chat only sees the watchers it created or follows
+// and those on the account of its own active token
+function isWatcherVisible(watcher, chatId, accountUuid) {
+	return watcher.chatId === chatId || watcher.subscribers.includes(chatId) || (!!accountUuid && watcher.accountUuid === accountUuid);
+}
+
+async function getChatAccountUuid(chatId, env) {
 	const apiToken = await getUserApiToken(chatId, env);
-	if (!apiToken) { await sendMessage(chatId, '❌ No API token. Use /setapi first.', env); return; }
-	const loading = await sendMessage(chatId, '⏳ Loading snapshots...', env);
-	const snapshots = await getDropletSnapshots(apiToken);
-	if (loading.result?.message_id) await deleteMessage(chatId, loading.result.message_id, env);
-	if (snapshots.length === 0) {
-		await sendMessage(chatId, '📸 *Snapshots*\n\nNo droplet snapshots found.\n\nTake one from any droplet via 📋 List Droplets.', env);
+	return apiToken ? await getAccountUuid(apiToken) : null;
+}
+
+async function getChatWatcher(chatId, id, env) {
+	const watcher = await getWatcher(id, env);
+	if (!watcher) return null;
+	if (isWatcherVisible(watcher, chatId, null)) return watcher;
+	return isWatcherVisible(watcher, chatId, await getChatAccountUuid(chatId, env)) ? watcher : null;
+}
+
+async function showWatchers(chatId, messageId, env) {
+	const accountUuid = await getChatAccountUuid(chatId, env);
+	const watchers = (await listWatchers(env)).filter(w => isWatcherVisible(w, chatId, accountUuid));
+	const keyboard = watchers.map(w => [{
+		text: `${w.subscribers.includes(chatId) ? '🔔' : '🔕'} ${describeWatcher(w)}`,
+		callback_data: `wat_view_${w.id}`
+	}]);
+	keyboard.push([{ text: '➕ New Watcher', callback_data: 'wat_new' }]);
+	const text = watchers.length > 0
+		? `👀 *Watchers*\n\nTotal: ${watchers.length} (🔔 this chat is subscribed)\n\nChecked every ${WATCHER_CHECK_INTERVAL_MS / 60000} minutes. A tripped watcher alerts once and stays silent until its condition clears.`
+		: '👀 *Watchers*\n\nNo watchers yet. A watcher checks a condition from the cron trigger and alerts the subscribed chats.';
+	if (messageId) await editMessage(chatId, messageId, text, env, { inline_keyboard: keyboard });
+	else await sendMessage(chatId, text, env, { inline_keyboard: keyboard });
+}
+
+async function showWatcher(chatId, messageId, id, env) {
+	const watcher = await getChatWatcher(chatId, id, env);
+	if (!watcher) {
+		const notFound = { inline_keyboard: [[{ text: '◀️ Back', callback_data: 'wat_back' }]] };
+		if (messageId) await editMessage(chatId, messageId, '❌ Watcher not found.', env, notFound);
+		else await sendMessage(chatId, '❌ Watcher not found.', env, notFound);
 		return;
 	}
-	const { keyboard, totalPages } = buildSnapshotsKeyboard(snapshots, page);
-	await sendMessage(chatId, `📸 *Manage Snapshots*\n\nTotal: ${snapshots.length}\nPage ${page + 1}/${totalPages}\n\nTap a snapshot to view details or delete it.`, env, { inline_keyboard: keyboard });
+	const subscribed = watcher.subscribers.includes(chatId);
+	const lastCheck = watcher.lastCheckedAt ? `${watcher.lastValue} (${formatDate(watcher.lastCheckedAt)})` : 'not yet';
+	const text = `👀 *Watcher*\n\n*Condition:* ${describeWatcher(watcher)}\n*Account:* \`${watcher.profile || DEFAULT_PROFILE}\`\n*Subscribed chats:* ${watcher.subscribers.length}${subscribed ? ' (incl. this one)' : ''}\n*Quiet hours:* ${formatQuietHours(watcher.quiet)}\n*Last check:* ${lastCheck}\n*Last alert:* ${watcher.lastAlertAt ? formatDate(watcher.lastAlertAt) : 'never'}`;
+	const keyboard = {
+		inline_keyboard: [
+			[{ text: subscribed ? '🔕 Unsubscribe This Chat' : '🔔 Subscribe This Chat', callback_data: `wat_sub_${id}` }],
+			[{ text: '🌙 Quiet Hours', callback_data: `wat_q_${id}` },
+			 { text: '🗑️ Delete',      callback_data: `wat_delc_${id}` }],
+			[{ text: '◀️ Back',        callback_data: 'wat_back' }],
+		]
+	};
+	if (messageId) await editMessage(chatId, messageId, text, env, keyboard);
+	else await sendMessage(chatId, text, env, keyboard);
 }
 
-async function showSnapshotsListEdit(chatId, messageId, page, env) {
-	const apiToken = await getUserApiToken(chatId, env);
-	if (!apiToken) { await editMessage(chatId, messageId, '❌ No API token.', env); return; }
-	const snapshots = await getDropletSnapshots(apiToken);
-	if (snapshots.length === 0) { await editMessage(chatId, messageId, '📸 *Snapshots*\n\nNo droplet snapshots found.', env); return; }
-	const { keyboard, totalPages } = buildSnapshotsKeyboard(snapshots, page);
-	await editMessage(chatId, messageId, `📸 *Manage Snapshots*\n\nTotal: ${snapshots.length}\nPage ${page + 1}/${totalPages}\n\nTap a snapshot to view details or delete it.`, env, { inline_keyboard: keyboard });
+// Subscriptions are per chat, so a group on the same account can follow a watcher someone created in private
+async function toggleWatcherSubscription(chatId, messageId, id, env) {
+	const watcher = await getChatWatcher(chatId, id, env);
+	if (!watcher) { await editMessage(chatId, messageId, '❌ Watcher not found.', env); return; }
+	watcher.subscribers = watcher.subscribers.includes(chatId)
+		? watcher.subscribers.filter(c => c !== chatId)
+		: [...watcher.subscribers, chatId];
+	await saveWatcher(watcher, env);
+	await showWatcher(chatId, messageId, id, env);
 }
 
-async function showSnapshotDetails(chatId, messageId, snapshotId, env) {
-	const apiToken = await getUserApiToken(chatId, env);
-	const data = await doApiCall(`/snapshots/${snapshotId}`, 'GET', apiToken);
-	if (!data.snapshot) { await editMessage(chatId, messageId, '❌ Snapshot not found.', env); return; }
-	const s = data.snapshot;
-	const regions = (s.regions || []).join(', ') || 'none';
+async function showWatcherQuietHours(chatId, messageId, id, env) {
+	const watcher = await getChatWatcher(chatId, id, env);
+	if (!watcher) { await editMessage(chatId, messageId, '❌ Watcher not found.', env); return; }
 	await editMessage(chatId, messageId,
-		`📸 *Snapshot Details*\n\n*Name:* \`${s.name}\`\n*ID:* \`${s.id}\`\n*Distribution:* \`${s.distribution || '?'}\`\n*Size:* ${formatGB(s.size_gigabytes)}\n*Min disk:* ${formatGB(s.min_disk_size)}\n*Created:* ${formatDate(s.created_at)}\n*Regions:* ${regions}\n*Resource:* ${s.resource_type} #${s.resource_id}`,
+		`🌙 *Quiet Hours*\n\nWatcher: ${describeWatcher(watcher)}\nCurrent: ${formatQuietHours(watcher.quiet)}\n\nAlerts that trip during quiet hours are sent at the first check after them, if the condition still holds.\n\nPick a range or send one like \`22-07\` (UTC):`,
 		env, {
 			inline_keyboard: [
-				[{ text: '🗑️ Delete Snapshot',    callback_data: `snap_del_${snapshotId}` }],
-				[{ text: '◀️ Back to Snapshots', callback_data: 'snap_back_list' }],
+				WATCHER_QUIET_PRESETS.map(([from, to]) => ({ text: formatQuietHours({ from, to }).replace(' UTC', ''), callback_data: `wat_qs_${id}_${from}_${to}` })),
+				[{ text: '🔔 No Quiet Hours', callback_data: `wat_qs_${id}_off` }],
+				[{ text: '◀️ Back',           callback_data: `wat_view_${id}` }],
 			]
 		});
+	await setState(chatId, { step: 'watch_quiet', watcherId: id }, env);
 }
 
-async function confirmDeleteSnapshot(chatId, messageId, snapshotId, env) {
+async function setWatcherQuietHours(chatId, messageId, id, quiet, actor, env) {
+	const watcher = await getChatWatcher(chatId, id, env);
+	if (!watcher) { await sendMessage(chatId, '❌ Watcher not found.', env); return; }
+	watcher.quiet = quiet;
+	await saveWatcher(watcher, env);
+	await recordAudit(actor, {
+		action: 'edit', resourceType: 'watcher', resourceId: id, resourceName: describeWatcher(watcher),
+		result: 'success', detail: `quiet hours ${formatQuietHours(quiet)}`,
+	}, env);
+	await showWatcher(chatId, messageId, id, env);
+}
+
+async function showWatcherKinds(chatId, messageId, env) {
+	await editMessage(chatId, messageId, '👀 *New Watcher*\n\nWhat should it watch?', env, {
+		inline_keyboard: [
+			...Object.entries(WATCHER_KINDS).map(([kind, k]) => [{ text: k.label, callback_data: `watn_k_${kind}` }]),
+			[{ text: '◀️ Cancel', callback_data: 'wat_back' }],
+		]
+	});
+}
+
+// Status watchers pick a droplet; threshold watchers take a preset or a typed number
+async function showWatcherTarget(chatId, messageId, kind, env, page = 0) {
+	const cancel = [{ text: '◀️ Cancel', callback_data: 'wat_back' }];
+	if (kind === 'status') {
+		const droplets = await getAllDroplets(await getUserApiToken(chatId, env));
+		const totalPages = Math.max(1, Math.ceil(droplets.length / ITEMS_PER_PAGE));
+		page = Math.min(page, totalPages - 1);
+		const keyboard = droplets.slice(page * ITEMS_PER_PAGE, (page + 1) * ITEMS_PER_PAGE).map(d => [{ text: `💧 ${d.name}`, callback_data: `watn_d_${d.id}` }]);
+		const nav = [];
+		if (page > 0) nav.push({ text: '◀️ Previous', callback_data: `watn_dp_${page - 1}` });
+		if (page < totalPages - 1) nav.push({ text: 'Next ▶️', callback_data: `watn_dp_${page + 1}` });
+		if (nav.length) keyboard.push(nav);
+		keyboard.push(cancel);
+		await editMessage(chatId, messageId, '👀 *New Watcher*\n\nWhich droplet?', env, { inline_keyboard: keyboard });
+		return;
+	}
+	const k = WATCHER_KINDS[kind];
+	await editMessage(chatId, messageId, `👀 *New Watcher*\n\nAlert when ${k.label.toLowerCase()} goes above…\n\nPick a limit or send a number:`, env, {
+		inline_keyboard: [k.values.map(v => ({ text: formatWatcherThreshold(kind, v), callback_data: `watn_t_${kind}_${v}` })), cancel]
+	});
+	await setState(chatId, { step: 'watch_threshold', kind }, env);
+}
+
+// The owner's active account is stored so the cron trigger checks the same account later,
+// and its UUID decides which other chats may see the watcher
+async function createWatcher(chatId, messageId, fields, actor, env) {
+	const profile = await getActiveProfileName(chatId, env);
 	const apiToken = await getUserApiToken(chatId, env);
-	const data = await doApiCall(`/snapshots/${snapshotId}`, 'GET', apiToken);
-	if (!data.snapshot) { await editMessage(chatId, messageId, '❌ Snapshot not found.', env); return; }
-	const s = data.snapshot;
+	const watcher = {
+		id: Date.now().toString(36),
+		...fields,
+		chatId,
+		profile,
+		accountUuid: await getAccountUuid(apiToken),
+		subscribers: [chatId],
+		quiet: null,
+		lastFingerprint: null,
+		lastValue: null,
+		lastCheckedAt: null,
+		lastAlertAt: null,
+		createdBy: actor.id,
+		createdAt: new Date().toISOString(),
+	};
+	// Status watchers start from the current status, so only later changes alert
+	if (watcher.kind === 'status') {
+		const dropletData = await doApiCall(`/droplets/${watcher.dropletId}`, 'GET', apiToken);
+		if (!dropletData.droplet) { await editMessage(chatId, messageId, '❌ Droplet not found.', env); return; }
+		watcher.dropletName = dropletData.droplet.name;
+		watcher.lastFingerprint = dropletData.droplet.status;
+		watcher.lastValue = dropletData.droplet.status;
+	}
+	await saveWatcher(watcher, env);
+	await recordAudit(actor, {
+		action: 'create', resourceType: 'watcher', resourceId: watcher.id, resourceName: describeWatcher(watcher), result: 'success',
+	}, env);
+	await showWatcher(chatId, messageId, watcher.id, env);
+}
+
+async function confirmDeleteWatcher(chatId, messageId, id, env) {
+	const watcher = await getChatWatcher(chatId, id, env);
+	if (!watcher) { await editMessage(chatId, messageId, '❌ Watcher not found.', env); return; }
 	await editMessage(chatId, messageId,
-		`⚠️ *Delete Snapshot?*\n\nName: \`${s.name}\`\nSize: ${formatGB(s.size_gigabytes)}\nCreated: ${formatDate(s.created_at)}\n\n*This cannot be undone!*`,
+		`⚠️ *Delete Watcher?*\n\nCondition: ${describeWatcher(watcher)}\nSubscribed chats: ${watcher.subscribers.length}`,
 		env, {
 			inline_keyboard: [
-				[{ text: '✅ Yes, Delete', callback_data: `snap_del_yes_${snapshotId}` }],
-				[{ text: '◀️ Cancel',     callback_data: `snap_view_${snapshotId}` }],
+				[{ text: '✅ Yes, Delete', callback_data: `wat_dely_${id}` }],
+				[{ text: '◀️ Cancel',      callback_data: `wat_view_${id}` }],
 			]
 		});
 }
 
-async function executeDeleteSnapshot(chatId, messageId, snapshotId, env) {
-	const apiToken = await getUserApiToken(chatId, env);
-	await editMessage(chatId, messageId, '⏳ Deleting snapshot...', env);
-	const response = await fetch(`https://api.digitalocean.com/v2/snapshots/${snapshotId}`, {
-		method: 'DELETE',
-		headers: { Authorization: `Bearer ${apiToken}`, 'Content-Type': 'application/json' },
-	});
-	if (response.status === 204) {
-		await editMessage(chatId, messageId, '✅ *Snapshot deleted!*', env, {
-			inline_keyboard: [[{ text: '◀️ Back to Snapshots', callback_data: 'snap_back_list' }]]
-		});
+async function deleteWatcher(chatId, messageId, id, actor, env) {
+	const watcher = await getChatWatcher(chatId, id, env);
+	if (!watcher) { await editMessage(chatId, messageId, '❌ Watcher not found.', env); return; }
+	await env.DROPLET_CREATION.delete(`watcher_${id}`);
+	await recordAudit(actor, {
+		action: 'delete', resourceType: 'watcher', resourceId: id, resourceName: describeWatcher(watcher), result: 'success',
+	}, env);
+	await showWatchers(chatId, messageId, env);
+}
+
+async function getSnapshotStorageGb(apiToken) {
+	let total = 0;
+	let page = 1;
+	const perPage = 200;
+	while (page <= 20) {
+		const resp = await doApiCall(`/snapshots?page=${page}&per_page=${perPage}`, 'GET', apiToken);
+		if (!resp.snapshots) return null;
+		total += resp.snapshots.reduce((sum, s) => sum + (s.size_gigabytes || 0), 0);
+		if (resp.snapshots.length < perPage) break;
+		page++;
+	}
+	return Math.round(total * 100) / 100;
+}
+
+// Current reading of a watcher: null when the API call failed, fingerprint null while the condition is not met.
+// Threshold fingerprints only change when the condition clears, so one breach is one alert.
+async function evaluateWatcher(watcher, apiToken) {
+	if (watcher.kind === 'status') {
+		const dropletData = await doApiCall(`/droplets/${watcher.dropletId}`, 'GET', apiToken);
+		if (!dropletData.droplet) {
+			if (dropletData.id !== 'not_found') return null;
+			return { value: 'deleted', fingerprint: 'deleted', text: `🗑️ Droplet \`${watcher.dropletName}\` no longer exists. The watcher has been removed.` };
+		}
+		const status = dropletData.droplet.status;
+		return { value: status, fingerprint: status, text: `🔄 Droplet \`${watcher.dropletName}\` is now *${status}* (was ${watcher.lastFingerprint || 'unknown'}).` };
+	}
+	let value;
+	let text;
+	if (watcher.kind === 'count') {
+		const data = await doApiCall('/droplets?per_page=1', 'GET', apiToken);
+		if (!data.meta) return null;
+		value = data.meta.total;
+		text = `💧 There are *${value}* droplets, above the limit of ${watcher.threshold}.`;
+	} else if (watcher.kind === 'balance') {
+		const balance = await doApiCall('/customers/my/balance', 'GET', apiToken);
+		if (balance.month_to_date_usage == null) return null;
+		value = parseFloat(balance.month_to_date_usage);
+		text = `💰 Month-to-date usage is *$${value.toFixed(2)}*, above the limit of $${watcher.threshold}.`;
+	} else if (watcher.kind === 'snapshots') {
+		value = await getSnapshotStorageGb(apiToken);
+		if (value == null) return null;
+		text = `📸 Snapshots use *${value} GB*, above the limit of ${watcher.threshold} GB.`;
 	} else {
-		let detail = '';
-		try { const json = await response.json(); detail = json.message ? `\n\n${json.message}` : ''; } catch (e) {}
-		await editMessage(chatId, messageId, `❌ Failed to delete snapshot.${detail}`, env);
+		return null;
+	}
+	const reading = watcher.kind === 'balance' ? `$${value.toFixed(2)}` : formatWatcherThreshold(watcher.kind, value);
+	// Usage resets monthly, so a new month re-arms a balance watcher that never cleared
+	const fingerprint = watcher.kind === 'balance' ? `above-${new Date().toISOString().slice(0, 7)}` : 'above';
+	return { value: reading, fingerprint: value > watcher.threshold ? fingerprint : null, text };
+}
+
+// Check every watcher whose interval has passed
+async function runWatchers(env) {
+	const now = new Date();
+	const listResult = await env.DROPLET_CREATION.list({ prefix: 'watcher_' });
+	for (const key of listResult.keys) {
+		try {
+			const dataStr = await env.DROPLET_CREATION.get(key.name);
+			if (!dataStr) continue;
+			const watcher = JSON.parse(dataStr);
+			if (watcher.lastCheckedAt && now - new Date(watcher.lastCheckedAt) < WATCHER_CHECK_INTERVAL_MS) continue;
+			await runWatcher(watcher, now, env);
+		} catch (error) {
+			console.error(`Error running ${key.name}:`, error);
+		}
+	}
+}
+
+// Alert the subscribers when the fingerprint differs from the last one alerted.
+// In quiet hours the fingerprint is left alone, so the alert goes out at the first check after them.
+async function runWatcher(watcher, now, env) {
+	const apiToken = await getUserApiToken(watcher.chatId, env, watcher.profile);
+	if (!apiToken) return;
+	const reading = await evaluateWatcher(watcher, apiToken);
+	if (!reading) return;
+	watcher.lastValue = reading.value;
+	watcher.lastCheckedAt = now.toISOString();
+	if (!reading.fingerprint) {
+		watcher.lastFingerprint = null;
+	} else if (reading.fingerprint !== watcher.lastFingerprint && !isQuietHour(watcher.quiet, now.getUTCHours())) {
+		const replyMarkup = reading.fingerprint === 'deleted'
+			? null
+			: { inline_keyboard: [[{ text: '👀 Watcher', callback_data: `wat_view_${watcher.id}` }]] };
+		for (const chatId of watcher.subscribers) {
+			await sendMessage(chatId, `🚨 *Watcher Alert*\n\n${reading.text}\n\n👀 ${describeWatcher(watcher)}`, env, replyMarkup);
+		}
+		if (reading.fingerprint === 'deleted') {
+			await env.DROPLET_CREATION.delete(`watcher_${watcher.id}`);
+			return;
+		}
+		watcher.lastFingerprint = reading.fingerprint;
+		watcher.lastAlertAt = now.toISOString();
+	}
+	await saveWatcher(watcher, env);
+}
+
+// ─── SCHEDULED TASKS ──────────────────────────────────────────────────────────
+
+// Entry point for the Worker cron trigger
+async function runScheduledTasks(env) {
+	try {
+		await pollTrackedActions(env);
+	} catch (error) {
+		console.error('Error polling tracked actions:', error);
+	}
+	try {
+		await pollProvisioningDroplets(env);
+	} catch (error) {
+		console.error('Error polling provisioning droplets:', error);
+	}
+	try {
+		await runSnapshotPolicies(env);
+	} catch (error) {
+		console.error('Error running snapshot policies:', error);
+	}
+	try {
+		await runWatchers(env);
+	} catch (error) {
+		console.error('Error running watchers:', error);
 	}
 }